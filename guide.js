@@ -12,6 +12,8 @@
  * @version 1.0.0
  */
 
+import { t } from './i18n.js';
+
 // === GUIDE CONFIGURATION ===
 const GUIDE_CONFIG = {
   GUIDE_ID: 'portfolio-guide',
@@ -42,35 +44,28 @@ let guideState = {
 };
 
 // === GUIDE STEPS CONFIGURATION ===
+// Each step's title and message come from the guide.steps.<id> strings of the i18n catalogs
 const guideSteps = [
   {
     id: 'welcome',
-    title: '🌟 Welcome to my portfolio island!',
-    message: 'I am your virtual guide! This 3D hexagonal island presents my professional universe in an interactive way. Ready for a guided tour?',
     action: 'continue',
     position: 'bottom-right',
     showSkip: true
   },
   {
     id: 'overview',
-    title: '🗺️ Overview',
-    message: 'You can drag the mouse to rotate around the island and discover the different thematic zones. Each hexagon represents a section of my portfolio.',
     action: 'continue',
     position: 'bottom-right',
     highlight: null
   },
   {
     id: 'navigation',
-    title: '🧭 Easy navigation',
-    message: 'Use this navigation bar to quickly access the different sections: Home, CV, Projects, Contact, and Design.',
     action: 'continue',
     position: 'left-center',
     highlight: '#zoneNavSidebar'
   },
   {
     id: 'hex_interaction',
-    title: '🎯 Click on hexagons',
-    message: 'Click on any hexagon to go there! The camera will automatically animate to that zone. Try clicking on a hexagon now.',
     action: 'click_hex',
     position: 'center',
     highlight: null,
@@ -78,16 +73,12 @@ const guideSteps = [
   },
   {
     id: 'objects_intro',
-    title: '🔍 Interactive objects',
-    message: 'Each zone contains interactive 3D objects! Look for elements that shine or move when you hover over them.',
     action: 'continue',
     position: 'bottom-right',
     highlight: null
   },
   {
     id: 'hover_objects',
-    title: '✨ Hover to discover',
-    message: 'Hover your mouse over objects to see information and animations. Some objects lift up or light up!',
     action: 'hover_object',
     position: 'top-center',
     highlight: null,
@@ -95,8 +86,6 @@ const guideSteps = [
   },
   {
     id: 'click_objects',
-    title: '🖱️ Click to explore further',
-    message: 'Click on special objects to open detailed modals with my projects, experiences and skills. Try it now!',
     action: 'click_object',
     position: 'top-center',
     highlight: null,
@@ -104,16 +93,12 @@ const guideSteps = [
   },
   {
     id: 'scroll_tip',
-    title: '🔄 Navigation tip',
-    message: 'Use the mouse wheel to return to the overview at any time. Very convenient for quick exploration!',
     action: 'continue',
     position: 'bottom-right',
     highlight: null
   },
   {
     id: 'completion',
-    title: '🎉 Perfect!',
-    message: 'You now master the basics! Freely explore my professional universe. Have a good discovery and don\'t hesitate to contact me!',
     action: 'complete',
     position: 'center',
     highlight: null
@@ -140,6 +125,13 @@ function initializeGuide() {
     return;
   }
 
+  // Same after a reload from the language switch (flag set by portfolio.html)
+  if (window.languageSwitchReload) {
+    guideState.isFirstVisit = false;
+    createGuideToggleButton();
+    return;
+  }
+
   // Wait for both assets to load AND loading overlay to be hidden
   function checkReadyToStart() {
     const assetsLoaded = window.allAssetsLoaded || sessionStorage.getItem('portfolioAssetsLoaded') === 'true';
@@ -386,7 +378,7 @@ function createHighlightOverlay(targetSelector) {
 function createSkipButton() {
   const skipBtn = document.createElement('button');
   skipBtn.id = 'guide-skip-button';
-  skipBtn.textContent = 'Skip guide';
+  skipBtn.textContent = t('guide.skip');
   skipBtn.style.cssText = `
     position: fixed;
     top: 20px;
@@ -440,7 +432,7 @@ function createGuideToggleButton() {
   const toggleBtn = document.createElement('button');
   toggleBtn.id = 'guide-toggle';
   toggleBtn.innerHTML = '❓';
-  toggleBtn.title = 'Restart guide (right-click to reset)';
+  toggleBtn.title = t('guide.restart');
   toggleBtn.style.cssText = `
     position: fixed;
     top: 20px;
@@ -489,10 +481,10 @@ function createGuideToggleButton() {
     
     // Show confirmation
     toggleBtn.innerHTML = '✓';
-    toggleBtn.title = 'Guide preferences reset - Left click to start';
+    toggleBtn.title = t('guide.resetDone');
     setTimeout(() => {
       toggleBtn.innerHTML = '❓';
-      toggleBtn.title = 'Restart guide (right-click to reset)';
+      toggleBtn.title = t('guide.restart');
     }, 2000);
   });
 
@@ -639,21 +631,21 @@ function updateBubbleContent(step) {
       ">
       <div style="flex: 1;">
         <div style="font-size: 18px; font-weight: bold; color: ${GUIDE_CONFIG.COLORS.PRIMARY}; margin-bottom: 8px;">
-          ${step.title}
+          ${t(`guide.steps.${step.id}.title`)}
         </div>
         <div style="font-size: 14px; line-height: 1.5; color: ${GUIDE_CONFIG.COLORS.TEXT};">
-          ${step.message}
+          ${t(`guide.steps.${step.id}.message`)}
         </div>
         ${isInteractiveStep ? `
           <div style="margin-top: 10px; padding: 8px; background: rgba(255, 212, 163, 0.1); border-radius: 8px; font-size: 12px; color: #ffd4a3; border: 1px solid rgba(255, 212, 163, 0.2);">
-            💡 Interact with the element to continue
+            💡 ${t('guide.interact')}
           </div>
         ` : ''}
       </div>
     </div>
     <div style="display: flex; justify-content: space-between; align-items: center;">
       <div style="font-size: 12px; color: #aaa;">
-        Step ${guideState.currentStep + 1} of ${guideSteps.length}
+        ${t('guide.stepOf', { index: guideState.currentStep + 1, total: guideSteps.length })}
       </div>
       <div>
         ${showNextButton ? 
@@ -666,7 +658,7 @@ function updateBubbleContent(step) {
             cursor: pointer;
             font-weight: bold;
             transition: all 0.2s ease;
-          ">Next</button>` : ''
+          ">${t('guide.next')}</button>` : ''
         }
         ${isCompleteStep ? 
           `<button id="guide-complete-btn" style="
@@ -678,7 +670,7 @@ function updateBubbleContent(step) {
             cursor: pointer;
             font-weight: bold;
             transition: all 0.2s ease;
-          ">Finish</button>` : ''
+          ">${t('guide.finish')}</button>` : ''
         }
       </div>
     </div>
@@ -927,8 +919,10 @@ function setupInteractionListeners(step) {
         if (guideState.isActive && guideState.currentStep === guideSteps.indexOf(step)) {
           // Check if a modal was opened
           setTimeout(() => {
-            const modals = document.querySelectorAll('[id*="Modal"]');
-            if (modals.length > 0) {
+            const modalOpen = window.appState
+              ? window.appState.is('modalOpen')
+              : document.querySelectorAll('[id*="Modal"]').length > 0;
+            if (modalOpen) {
               document.removeEventListener('click', objectClickHandler);
               setTimeout(() => nextStep(), 1000);
             }
@@ -0,0 +1,106 @@
+/**
+ * Portfolio i18n - French and English for the island, its guide and its sidepages
+ *
+ * - String catalogs live in public/data/i18n/<language>.json; English fills in any missing key
+ * - The language is the visitor's choice (saved by the toggle), else the first supported entry
+ *   of navigator.languages, else English
+ * - A catalog's "world" section overlays world.json for that language: zone names, object labels,
+ *   tooltips, tour captions and the translated variants of the sidepages (see WorldManifest.localize)
+ *
+ * Shared by main.js and guide.js:
+ *   import { i18n, t } from './i18n.js';
+ *   t('tour.stop', { index: 2, total: 13, title, caption });
+ *   t('skillLinks.usedIn', { skill, count: 3 }); // { one, other } entries pick their plural form from count
+ *
+ * @author Thomas Menu
+ */
+
+const I18N_CONFIG = {
+  STORAGE_KEY: 'portfolioLanguage',
+  CATALOG_URL: './public/data/i18n/',
+  LANGUAGES: ['en', 'fr'],
+  FALLBACK: 'en'
+};
+
+function detectLanguage() {
+  let saved = null;
+  try {
+    saved = localStorage.getItem(I18N_CONFIG.STORAGE_KEY);
+  } catch (error) {
+    // Storage blocked (private mode, sandboxed iframe): fall back to the browser's languages
+  }
+  if (I18N_CONFIG.LANGUAGES.includes(saved)) return saved;
+  const preferred = navigator.languages?.length ? navigator.languages : [navigator.language];
+  for (const tag of preferred) {
+    const base = String(tag || '').toLowerCase().split('-')[0];
+    if (I18N_CONFIG.LANGUAGES.includes(base)) return base;
+  }
+  return I18N_CONFIG.FALLBACK;
+}
+
+async function loadCatalog(language) {
+  try {
+    const response = await fetch(`${I18N_CONFIG.CATALOG_URL}${language}.json`);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return await response.json();
+  } catch (error) {
+    // Untranslated keys are still readable, t() shows them as-is
+    console.error(`[i18n] Could not load the ${language} catalog:`, error);
+    return {};
+  }
+}
+
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+}
+
+class I18n {
+  constructor(language, catalog, fallback) {
+    this.language = language;
+    this.languages = I18N_CONFIG.LANGUAGES;
+    this.catalog = catalog;
+    this.fallback = fallback;
+    this.plurals = new Intl.PluralRules(language);
+    this.missing = new Set();
+  }
+  // Translates key, replacing {name} placeholders with params
+  t(key, params = {}) {
+    let value = lookup(this.catalog, key);
+    if (value === undefined) value = lookup(this.fallback, key);
+    if (value && typeof value === 'object' && 'other' in value) {
+      value = value[this.plurals.select(params.count ?? 0)] ?? value.other;
+    }
+    if (typeof value !== 'string') {
+      if (!this.missing.has(key)) {
+        this.missing.add(key);
+        console.warn(`[i18n] Missing ${this.language} string "${key}"`);
+      }
+      return key;
+    }
+    return value.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+  }
+  // This language's overlay for world.json - never the fallback's, English reads world.json as written
+  get world() {
+    return this.catalog.world || {};
+  }
+  // Saves the visitor's choice for the next page load; returns whether it differs from the current one
+  setLanguage(language) {
+    if (!this.languages.includes(language)) return false;
+    try {
+      localStorage.setItem(I18N_CONFIG.STORAGE_KEY, language);
+    } catch (error) {
+      return false;
+    }
+    return language !== this.language;
+  }
+}
+
+const language = detectLanguage();
+const [catalog, fallback] = await Promise.all([
+  loadCatalog(language),
+  language === I18N_CONFIG.FALLBACK ? null : loadCatalog(I18N_CONFIG.FALLBACK)
+]);
+document.documentElement.lang = language;
+
+export const i18n = new I18n(language, catalog, fallback || catalog);
+export const t = (key, params) => i18n.t(key, params);
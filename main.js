@@ -16,8 +16,94 @@
 import * as THREE from 'https://esm.sh/three@0.150.1';
 import { GLTFLoader } from 'https://esm.sh/three@0.150.1/examples/jsm/loaders/GLTFLoader.js';
 import { gsap } from 'https://esm.sh/gsap@3.12.2';
+import { i18n, t } from './i18n.js';
 // SEO Manager and Analytics modules removed to reduce bundle size
-let interactionsDisabled = false; // Global flag to disable all 3D interactions
+// Single source of truth for what the visitor is doing; input handlers ask it
+// instead of combining flags, the loading overlay and visible-modal DOM checks
+class AppStateMachine {
+  static TRANSITIONS = {
+    loading: ['cinematic', 'orbit', 'modalOpen', 'fallback'], // modalOpen: contact form opened from the loading screen
+    cinematic: ['orbit', 'fallback'],
+    orbit: ['orbit', 'cinematic', 'zoneFocus', 'objectFocus', 'modalOpen', 'editor', 'fallback'],
+    zoneFocus: ['orbit', 'zoneFocus', 'objectFocus', 'modalOpen', 'editor', 'fallback'],
+    objectFocus: ['orbit', 'zoneFocus', 'objectFocus', 'modalOpen', 'editor', 'fallback'],
+    modalOpen: ['loading', 'orbit', 'zoneFocus', 'objectFocus', 'modalOpen', 'fallback'],
+    editor: ['orbit', 'zoneFocus', 'objectFocus', 'fallback'],
+    fallback: ['modalOpen'] // 2D map, the scene never comes back
+  };
+  // States that sit on top of another one and return to it when they end
+  static OVERLAY_STATES = ['modalOpen', 'editor'];
+  constructor(initialState) {
+    this.state = initialState;
+    this.context = {}; // { hex } in zoneFocus, { objectId } in objectFocus/modalOpen
+    this.resumeTarget = null;
+    this.locks = new Set(); // Reasons input is frozen without changing state (e.g. guide steps)
+    this.listeners = new Map();
+  }
+  is(...states) {
+    return states.includes(this.state);
+  }
+  can(nextState) {
+    return AppStateMachine.TRANSITIONS[this.state].includes(nextState);
+  }
+  transition(nextState, context = {}) {
+    if (!this.can(nextState)) {
+      if (!isProduction) console.warn(`App state: ${this.state} -> ${nextState} is not allowed`);
+      return false;
+    }
+    const from = this.state;
+    if (AppStateMachine.OVERLAY_STATES.includes(nextState) && !AppStateMachine.OVERLAY_STATES.includes(from)) {
+      this.resumeTarget = { state: from, context: this.context };
+    }
+    this.state = nextState;
+    this.context = context;
+    const change = { from, to: nextState, context };
+    this.emit(nextState, change);
+    this.emit('change', change);
+    return true;
+  }
+  // Leave modalOpen/editor for the state they were entered from
+  resume() {
+    const { state, context } = this.resumeTarget || { state: 'orbit', context: {} };
+    this.resumeTarget = null;
+    return this.transition(state, context);
+  }
+  on(event, listener) {
+    if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+    this.listeners.get(event).add(listener);
+    return () => this.listeners.get(event).delete(listener);
+  }
+  emit(event, change) {
+    this.listeners.get(event)?.forEach(listener => {
+      try {
+        listener(change);
+      } catch (error) {
+        ErrorHandler.logError(error, `App state listener - ${event}`);
+      }
+    });
+  }
+  lock(reason) {
+    this.locks.add(reason);
+  }
+  unlock(reason) {
+    this.locks.delete(reason);
+  }
+  isLocked() {
+    return this.locks.size > 0;
+  }
+  // Clicks, taps and wheel on the 3D scene
+  allowsPointer() {
+    return !this.isLocked() && this.is('orbit', 'zoneFocus', 'objectFocus');
+  }
+  // Dragging the camera around the island
+  allowsOrbit() {
+    return !this.isLocked() && this.is('orbit');
+  }
+  // Hover labels and hover animations
+  allowsHover() {
+    return !this.is('loading', 'cinematic', 'editor', 'fallback');
+  }
+}
 const CONFIG = {
   SCENE: {
     BACKGROUND_COLOR: 0x111111,
@@ -44,137 +130,37 @@ const CONFIG = {
   },
   NAVIGATION: {
     SIDEBAR_WIDTH: 220
+  },
+  FALLBACK: {
+    MAX_FAILED_MODELS: 5 // Failed GLB loads before switching to the 2D map
+  },
+  STREAMING: {
+    MAX_CONCURRENT: 4, // Model requests in flight at once, so priorities actually apply
+    MAX_RETRIES: 2,
+    RETRY_DELAY: 1000 // ms before the first retry, doubled for each following one
+  },
+  OCEAN: {
+    SIZE: 100,
+    SEGMENTS: { low: 24, medium: 50, high: 96 }, // Grid density per quality preset
+    FOAM_WIDTH: 0.35 // World units of foam beyond the hex shoreline
+  },
+  QUALITY: {
+    LOW_FPS: 30, // Below this for DOWNGRADE_SECONDS in a row, drop a tier
+    HIGH_FPS: 55, // At or above this for the upgrade window, raise a tier
+    DOWNGRADE_SECONDS: 4,
+    UPGRADE_SECONDS: 15, // Doubles after each drop, up to MAX_UPGRADE_SECONDS
+    MAX_UPGRADE_SECONDS: 120
   }
 };
-let totalAssetsToLoad = 0;
-let assetsLoaded = 0;
-let allAssetsLoaded = false;
-let cinematicMode = false;
-function incrementTotalAssets() {
-  totalAssetsToLoad++;
-}
-function markAssetLoaded() {
-  assetsLoaded++;
-  if (!isProduction) {
-    console.log(`Asset loaded: ${assetsLoaded}/${totalAssetsToLoad}`);
-  }
-  if (assetsLoaded === totalAssetsToLoad && !allAssetsLoaded) {
-    allAssetsLoaded = true;
-    if (!isProduction) console.log('All assets loaded successfully');
-    // Signal to loading page that portfolio assets are ready
-    sessionStorage.setItem('portfolioAssetsLoaded', 'true');
-    onAllAssetsLoaded();
-  }
-}
-function startCinematicEntrance() {
-  if (!isProduction) {
-    console.log('=== STARTING UNDERWATER EMERGENCE CINEMATIC ===');
-  }
-  // Set cinematic mode and disable cursor interactions
-  cinematicMode = true;
-  document.body.style.cursor = 'wait';
-  // Underwater emergence parameters
-  const centerX = 0;
-  const centerZ = 0;
-  const finalRadius = 7.5; // Final orbital distance
-  const finalHeight = 6; // Final camera height
-  const emergenceDuration = 4; // 4 seconds for underwater emergence
-  // Final position in front of the island (90°)
-  const finalAngle = Math.PI / 2;
-  const finalX = centerX + finalRadius * Math.cos(finalAngle);
-  const finalZ = centerZ + finalRadius * Math.sin(finalAngle);
-  // Starting position: further back and at sea level
-  const startDistance = 12; // Start further away
-  const startX = centerX + startDistance * Math.cos(finalAngle);
-  const startY = 0; // Start at sea level
-  const startZ = centerZ + startDistance * Math.sin(finalAngle);
-  // Look at center of the island (better visual experience)
-  const lookAtCenter = { x: centerX, y: 0.3, z: centerZ };
-  // Set initial position
-  camera.position.set(startX, startY, startZ);
-  camera.lookAt(lookAtCenter.x, lookAtCenter.y, lookAtCenter.z);
-  // Create underwater emergence animation
-  gsap.to(camera.position, {
-    x: finalX,
-    y: finalHeight,
-    z: finalZ,
-    duration: emergenceDuration,
-    ease: "power2.out", // Slow start, fast finish (like surfacing)
-    onUpdate: function() {
-      // Always look at the center during emergence
-      camera.lookAt(lookAtCenter.x, lookAtCenter.y, lookAtCenter.z);
-    },
-    onComplete: () => {
-      // Animation complete - now look at center and enable controls
-      const lookAtCenter = { x: centerX, y: 0.3, z: centerZ };
-      camera.lookAt(lookAtCenter.x, lookAtCenter.y, lookAtCenter.z);
-      if (!isProduction) console.log('Underwater emergence complete - controls enabled');
-      cinematicMode = false;
-      document.body.style.cursor = 'default';
-      // Re-enable interactions after cinematic completes
-      interactionsDisabled = false;
-      window.interactionsDisabled = false;
-      // Update orbital camera angle to current position
-      updateCameraAngleFromPosition();
-      // Sync lookAtTarget with the actual camera look-at direction
-      lookAtTarget.x = lookAtCenter.x;
-      lookAtTarget.y = lookAtCenter.y;
-      lookAtTarget.z = lookAtCenter.z;
-    }
-  });
-  return true; // Animation started
-}
-function onAllAssetsLoaded() {
-  // Signal that portfolio assets are loaded
-  sessionStorage.setItem('portfolioAssetsLoaded', 'true');
-  if (!isProduction) console.log('Assets loaded, waiting for overlay to be manually dismissed...');
-  // Set global flag for guide system
-  window.allAssetsLoaded = true;
-  // Ensure fresh state after all assets are loaded
-  initializeFreshState();
-  // Initialize badges once all assets are loaded
-  updateThemeUnreadBadges();
-  // Initialize hex info display
-  initHexInfo();
-  // Initialize portfolio experience system
-  initPortfolioExperience();
-  // Wait for loading overlay to be hidden before starting cinematic animation
-  function checkAndStartCinematic() {
-    const overlayHidden = sessionStorage.getItem('loadingOverlayHidden');
-    const overlayElement = document.getElementById('loadingOverlay');
-    const videoTransitionComplete = sessionStorage.getItem('videoTransitionComplete');
-    // Double check - ensure overlay is actually hidden
-    const isOverlayActuallyHidden = overlayHidden === 'true' &&
-      (!overlayElement || overlayElement.classList.contains('hidden'));
-    // Start animation when overlay is hidden, regardless of video state
-    if (isOverlayActuallyHidden) {
-      if (!isProduction) console.log('Overlay confirmed hidden, starting cinematic animation immediately...');
-      // Clean up the video transition flag
-      if (videoTransitionComplete) {
-        sessionStorage.removeItem('videoTransitionComplete');
-      }
-      // Start cinematic animation if conditions are met
-      if (!virtualModalOpened || virtualModalClosed) {
-        // Minimal delay to ensure everything is ready
-        setTimeout(() => {
-          startCinematicEntrance();
-        }, 50); // Very short delay for immediate response
-      }
-    } else {
-      // Check again in 50ms for faster response
-      setTimeout(checkAndStartCinematic, 50);
-    }
-  }
-  // Start checking for overlay hidden signal
-  checkAndStartCinematic();
-}
 let isOrbiting = false;
 let previousMouseX = 0;
+let previousMouseY = 0;
 let currentCameraAngle = Math.PI / 2; // Start at front of island (end position of cinematic)
 const orbitRadius = 7.5; // Same radius as cinematic animation
 const orbitHeight = 6; // Same height as cinematic animation
 const orbitCenter = { x: 0, y: 0.3, z: 0 }; // Same center as cinematic animation
 const orbitSensitivity = 0.005; // How fast the camera rotates
+const orbitWheelZoomSpeed = 0.001; // Distance factor per wheel delta unit
 const scene = new THREE.Scene();
 scene.background = new THREE.Color(CONFIG.SCENE.BACKGROUND_COLOR);
 const camera = new THREE.PerspectiveCamera(
@@ -186,6 +172,15 @@ const camera = new THREE.PerspectiveCamera(
 // Check if we should use cinematic camera position (when loading overlay is present)
 const loadingOverlay = document.getElementById('loadingOverlay');
 const shouldUseCinematicStart = loadingOverlay && !loadingOverlay.classList.contains('hidden');
+// Interactions stay disabled while the loading overlay is visible
+const appState = new AppStateMachine(shouldUseCinematicStart ? 'loading' : 'orbit');
+window.appState = appState;
+// guide.js and portfolio.html still toggle window.interactionsDisabled
+Object.defineProperty(window, 'interactionsDisabled', {
+  get: () => appState.isLocked(),
+  set: (disabled) => disabled ? appState.lock('external') : appState.unlock('external'),
+  configurable: true
+});
 if (shouldUseCinematicStart) {
   // Use exact same parameters as underwater emergence animation to prevent any jumps
   const centerX = 0;
@@ -203,9 +198,6 @@ if (shouldUseCinematicStart) {
   camera.lookAt(lookAtCenter.x, lookAtCenter.y, lookAtCenter.z);
   // Set currentCameraAngle to match the final position angle (prevents orbital controls from moving camera)
   currentCameraAngle = finalAngle;
-  // Disable all interactions while loading overlay is visible
-  interactionsDisabled = true;
-  window.interactionsDisabled = true;
 } else {
   // Normal position for direct access
   camera.position.set(
@@ -219,15 +211,6 @@ if (shouldUseCinematicStart) {
     CONFIG.CAMERA.ORIGINAL_LOOK_AT.z
   );
 }
-const renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
-renderer.setSize(window.innerWidth, window.innerHeight);
-renderer.shadowMap.enabled = true;
-renderer.shadowMap.type = THREE.PCFSoftShadowMap;
-renderer.toneMapping = THREE.ACESFilmicToneMapping;
-renderer.toneMappingExposure = CONFIG.RENDERER.TONE_MAPPING_EXPOSURE;
-renderer.outputColorSpace = THREE.SRGBColorSpace;
-renderer.useLegacyLights = false; // Modern lighting
-document.body.appendChild(renderer.domElement);
 const mouse = new THREE.Vector2();
 const raycaster = new THREE.Raycaster();
 let hoveredDrawer = null;
@@ -236,11 +219,15 @@ let isTouchDevice = false;
 let touchStart = { x: 0, y: 0 };
 let lastTouchTime = 0;
 let touchMoved = false;
+let pinchDistance = 0; // Finger spread of an ongoing two-finger pinch
 const TOUCH_SENSITIVITY = 0.008;
 const TAP_THRESHOLD = 10; // pixels
 const DOUBLE_TAP_DELAY = 300; // ms
 let isMobileDevice = false;
 let isNavigationOpen = false;
+function getPinchDistance(touches) {
+  return Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY);
+}
 // Detect touch device
 function detectTouchDevice() {
   isTouchDevice = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
@@ -259,7 +246,7 @@ function detectTouchDevice() {
     // Add mobile UI indicators
     const mobileInfo = document.createElement('div');
     mobileInfo.id = 'mobile-info';
-    mobileInfo.innerHTML = '👆 Swipe to explore • Tap to select';
+    mobileInfo.textContent = t('mobile.hint');
     mobileInfo.style.cssText = `
       position: fixed; bottom: 20px; left: 50%; transform: translateX(-50%);
       background: rgba(0,0,0,0.7); color: white; padding: 8px 16px;
@@ -291,30 +278,6 @@ function detectTouchDevice() {
   return isTouchDevice;
 }
 detectTouchDevice();
-document.addEventListener('keydown', (event) => {
-  // Camera Editor Toggle (Ctrl + E)
-  if (event.ctrlKey && event.key.toLowerCase() === 'e') {
-    event.preventDefault();
-    cameraEditor.toggle();
-    return;
-  }
-  // Debug Light Manager (Ctrl + L)
-  if (event.ctrlKey && event.key.toLowerCase() === 'l') {
-    event.preventDefault();
-    ImportedLightManager.debugLights();
-    return;
-  }
-  // Quick position print (Ctrl + P) - only when editor is not active
-  if (event.ctrlKey && event.key.toLowerCase() === 'p' && !cameraEditor.isActive) {
-    event.preventDefault();
-    if (!isProduction) {
-      console.log('📍 Current Camera Position:');
-      console.log(`Position: { x: ${camera.position.x.toFixed(3)}, y: ${camera.position.y.toFixed(3)}, z: ${camera.position.z.toFixed(3)} }`);
-      console.log(`Looking at: { x: ${lookAtTarget.x.toFixed(3)}, y: ${lookAtTarget.y.toFixed(3)}, z: ${lookAtTarget.z.toFixed(3)} }`);
-    }
-    return;
-  }
-});
 function getTransitionVideo() {
   return document.getElementById('transitionVideo');
 }
@@ -328,11 +291,140 @@ let lookAtTarget = {
   y: 0.3, // Will be set to orbitCenter.y after cinematic or orbital center
   z: 0 // Will be set to orbitCenter.z after cinematic or orbital center
 };
-window.interactionsDisabled = interactionsDisabled; // Expose to window for access from portfolio.html
-window.getCurrentActiveHexType = () => currentActiveHexType;
-window.getHoveredDrawer = () => hoveredDrawer;
-window.getUnreadDrawers = () => unreadDrawers;
-window.getUnreadCountForTheme = getUnreadCountForTheme;
+// Orbit mode camera: drag to turn and tilt (with inertia once released), wheel or pinch to zoom,
+// and a slow auto-rotation after a while without input. currentCameraAngle stays the azimuth;
+// tilt and zoom persist across zone visits so returnToOverview lands back on the same orbit
+class OrbitController {
+  static MIN_DISTANCE = 5;
+  static MAX_DISTANCE = 14;
+  static MIN_ELEVATION = 0.25; // Radians above the horizontal through orbitCenter
+  static MAX_ELEVATION = 1.35;
+  static DAMPING = 4; // Per second, how fast a flick slows down
+  static ZOOM_SMOOTHING = 8; // Per second, how fast the distance catches up with the wheel
+  static IDLE_DELAY = 8000; // ms without input before auto-rotation starts
+  static AUTO_ROTATE_SPEED = 0.06; // Radians per second
+  constructor() {
+    const height = orbitHeight - orbitCenter.y;
+    this.distance = Math.hypot(orbitRadius, height);
+    this.elevation = Math.atan2(height, orbitRadius);
+    this.targetDistance = this.distance;
+    this.velocity = { azimuth: 0, elevation: 0 }; // Radians per second
+    this.dragging = false;
+    this.lastMove = 0;
+    this.lastFrame = performance.now();
+    this.lastInput = this.lastFrame;
+    this.autoRotate = !window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+    this.autoRotateBlend = 0; // Eases auto-rotation in rather than starting at full speed
+    // A direct visit starts in orbit from CONFIG.CAMERA.ORIGINAL_POSITION, keep that framing
+    if (appState.is('orbit')) this.syncFromCamera();
+    appState.on('change', ({ to }) => {
+      if (to !== 'orbit') this.halt();
+    });
+    appState.on('orbit', () => this.registerInput());
+  }
+  // Camera position on the orbit for the current tilt and zoom
+  positionFor(azimuth = currentCameraAngle) {
+    const horizontal = this.distance * Math.cos(this.elevation);
+    return {
+      x: orbitCenter.x + horizontal * Math.cos(azimuth),
+      y: orbitCenter.y + this.distance * Math.sin(this.elevation),
+      z: orbitCenter.z + horizontal * Math.sin(azimuth)
+    };
+  }
+  // Takes tilt and zoom from wherever an animation left the camera
+  syncFromCamera() {
+    const dx = camera.position.x - orbitCenter.x;
+    const dy = camera.position.y - orbitCenter.y;
+    const dz = camera.position.z - orbitCenter.z;
+    const { clamp } = THREE.MathUtils;
+    this.distance = clamp(Math.hypot(dx, dy, dz), OrbitController.MIN_DISTANCE, OrbitController.MAX_DISTANCE);
+    this.elevation = clamp(Math.atan2(dy, Math.hypot(dx, dz)), OrbitController.MIN_ELEVATION, OrbitController.MAX_ELEVATION);
+    this.targetDistance = this.distance;
+    this.halt();
+  }
+  beginDrag() {
+    this.dragging = true;
+    this.velocity.azimuth = 0;
+    this.velocity.elevation = 0;
+    this.lastMove = performance.now();
+    this.registerInput();
+  }
+  rotate(deltaAzimuth, deltaElevation) {
+    const now = performance.now();
+    const elapsed = Math.max((now - this.lastMove) / 1000, 1 / 120);
+    this.lastMove = now;
+    currentCameraAngle += deltaAzimuth;
+    this.elevation = THREE.MathUtils.clamp(this.elevation + deltaElevation, OrbitController.MIN_ELEVATION, OrbitController.MAX_ELEVATION);
+    // Averaged so one jittery event doesn't decide how hard the release flicks
+    this.velocity.azimuth = (this.velocity.azimuth + deltaAzimuth / elapsed) / 2;
+    this.velocity.elevation = (this.velocity.elevation + deltaElevation / elapsed) / 2;
+    this.registerInput();
+    this.apply();
+  }
+  endDrag() {
+    this.dragging = false;
+    // Holding still before letting go means no flick
+    if (performance.now() - this.lastMove > 80) {
+      this.velocity.azimuth = 0;
+      this.velocity.elevation = 0;
+    }
+  }
+  zoom(factor) {
+    this.targetDistance = THREE.MathUtils.clamp(this.targetDistance * factor, OrbitController.MIN_DISTANCE, OrbitController.MAX_DISTANCE);
+    this.registerInput();
+  }
+  halt() {
+    this.dragging = false;
+    this.velocity.azimuth = 0;
+    this.velocity.elevation = 0;
+    this.targetDistance = this.distance;
+  }
+  registerInput() {
+    this.lastInput = performance.now();
+    this.autoRotateBlend = 0;
+  }
+  // Called every frame; only moves the camera when something is in motion, and never
+  // fights the gsap flights into and out of zone focus
+  update(now) {
+    const delta = Math.min((now - this.lastFrame) / 1000, 0.1);
+    this.lastFrame = now;
+    if (!appState.allowsOrbit() || gsap.isTweening(camera.position) || gsap.isTweening(lookAtTarget)) {
+      this.lastInput = now; // Idle time only counts while the visitor could have orbited
+      return;
+    }
+    let moved = false;
+    if (!this.dragging) {
+      if (this.velocity.azimuth || this.velocity.elevation) {
+        currentCameraAngle += this.velocity.azimuth * delta;
+        this.elevation = THREE.MathUtils.clamp(this.elevation + this.velocity.elevation * delta, OrbitController.MIN_ELEVATION, OrbitController.MAX_ELEVATION);
+        const decay = Math.exp(-OrbitController.DAMPING * delta);
+        this.velocity.azimuth = Math.abs(this.velocity.azimuth * decay) > 1e-3 ? this.velocity.azimuth * decay : 0;
+        this.velocity.elevation = Math.abs(this.velocity.elevation * decay) > 1e-3 ? this.velocity.elevation * decay : 0;
+        moved = true;
+      }
+      if (this.autoRotate && now - this.lastInput > OrbitController.IDLE_DELAY) {
+        this.autoRotateBlend = Math.min(1, this.autoRotateBlend + delta / 2);
+        currentCameraAngle += OrbitController.AUTO_ROTATE_SPEED * this.autoRotateBlend * delta;
+        moved = true;
+      }
+    }
+    if (Math.abs(this.targetDistance - this.distance) > 1e-3) {
+      this.distance += (this.targetDistance - this.distance) * (1 - Math.exp(-OrbitController.ZOOM_SMOOTHING * delta));
+      moved = true;
+    }
+    if (moved) this.apply();
+  }
+  apply() {
+    const position = this.positionFor();
+    camera.position.set(position.x, position.y, position.z);
+    // Always look at the center of the island, and keep lookAtTarget in step for the next flight
+    camera.lookAt(orbitCenter.x, orbitCenter.y, orbitCenter.z);
+    lookAtTarget.x = orbitCenter.x;
+    lookAtTarget.y = orbitCenter.y;
+    lookAtTarget.z = orbitCenter.z;
+  }
+}
+const orbitController = new OrbitController();
 class ErrorHandler {
   static logError(error, context = '') {
     console.error(`[Portfolio Error${context ? ` - ${context}` : ''}]:`, error);
@@ -345,7 +437,7 @@ class ErrorHandler {
     }
     // Show user-friendly error message if needed
     if (context.includes('Critical')) {
-      this.showUserError('Erreur critique lors du chargement. Veuillez actualiser la page.', true);
+      this.showUserError(t('errors.critical'), true);
     }
   }
   static showUserError(message, persistent = false) {
@@ -387,12 +479,43 @@ class ErrorHandler {
       }, 5000);
     }
   }
+  // Full-page replacement for the loading overlay when the portfolio cannot start at all
+  static showStartupFailure() {
+    const overlay = document.getElementById('loadingOverlay');
+    if (overlay) {
+      overlay.classList.add('hidden');
+      overlay.style.display = 'none';
+    }
+    const screen = document.createElement('div');
+    screen.id = 'startupFailure';
+    screen.setAttribute('role', 'alert');
+    screen.style.cssText = `
+      position: fixed; top: 0; left: 0; width: 100vw; height: 100vh; z-index: 1500;
+      background: #10202b; color: #fff; font-family: 'Segoe UI', sans-serif;
+      display: flex; flex-direction: column; align-items: center; justify-content: center;
+      gap: 16px; padding: 24px; box-sizing: border-box; text-align: center;
+    `;
+    screen.innerHTML = `
+      <h1 style="margin: 0; font-size: 1.6rem;">${t('errors.startupTitle')}</h1>
+      <p style="margin: 0; opacity: 0.8; max-width: 420px;">${t('errors.startupText')}</p>
+    `;
+    const retry = document.createElement('button');
+    retry.type = 'button';
+    retry.textContent = t('errors.reload');
+    retry.style.cssText = `
+      padding: 10px 24px; background: #ffd4a3; color: #14141e; border: none; border-radius: 50px;
+      font: inherit; font-weight: bold; cursor: pointer;
+    `;
+    retry.addEventListener('click', () => window.location.reload());
+    screen.appendChild(retry);
+    document.body.appendChild(screen);
+  }
   static handleAsyncError(promise, context = '') {
     return promise.catch(error => {
       this.logError(error, context);
       // Show user error for critical failures
       if (context.includes('Critical') || context.includes('Environment') || context.includes('WebGL')) {
-        this.showUserError(`Erreur: ${context}. Certaines fonctionnalités peuvent être limitées.`, true);
+        this.showUserError(t('errors.degraded', { context }), true);
       }
       return null; // Return null instead of throwing to allow graceful degradation
     });
@@ -417,7 +540,7 @@ class ErrorHandler {
       return true;
     } catch (error) {
       this.logError(error, 'WebGL Support Check');
-      this.showUserError('Your browser does not support WebGL. Some features may not work properly.', true);
+      this.showUserError(t('errors.noWebGL'), true);
       return false;
     }
   }
@@ -447,11 +570,22 @@ class PerformanceMonitor {
     this.lastTime = performance.now();
     this.fps = 0;
     this.enabled = false; // Only enable in development
+    this.listeners = [];
+  }
+  // Called with each one-second FPS sample
+  onSample(listener) {
+    this.listeners.push(listener);
   }
   update() {
     if (!this.enabled) return;
     this.frameCount++;
     const currentTime = performance.now();
+    // A long gap means the tab was hidden, not that frames were slow
+    if (currentTime - this.lastTime > 2000) {
+      this.frameCount = 0;
+      this.lastTime = currentTime;
+      return;
+    }
     if (currentTime >= this.lastTime + 1000) {
       this.fps = Math.round((this.frameCount * 1000) / (currentTime - this.lastTime));
       this.frameCount = 0;
@@ -459,6 +593,7 @@ class PerformanceMonitor {
       if (this.fps < 30) {
         console.warn(`Low FPS detected: ${this.fps}`);
       }
+      this.listeners.forEach(listener => listener(this.fps));
     }
   }
   getFPS() {
@@ -562,7 +697,7 @@ class AssetValidator {
       console.warn('Missing assets detected:', missing);
       if (!isProduction) {
         ErrorHandler.showUserError(
-          `⚠️ ${missing.length} assets manquants détectés. Vérifiez la console pour plus de détails.`,
+          t('errors.missingAssets', { count: missing.length }),
           true
         );
       }
@@ -575,3972 +710,6755 @@ class AssetValidator {
 if (!isProduction) {
   AssetValidator.validateAllAssets();
 }
-let virtualModalClosed = false; // Track if user has manually closed the virtual modal
-let virtualModalOpened = false; // Track if the virtual modal was ever opened
-let steeringWheelClicked = false; // Track if user actually clicked on the steering wheel
-let desckClicked = false; // Track if user actually clicked on the desck
-let trashModalClosed = false; // Track if user has manually closed the trash modal
-let trashModalOpened = false; // Track if the trash modal was ever opened
-let trashTruckClicked = false; // Track if user actually clicked on the trash truck
-let convoyeurModalClosed = false; // Track if user has manually closed the convoyeur modal
-let convoyeurModalOpened = false; // Track if the convoyeur modal was ever opened
-let convoyeurClicked = false; // Track if user actually clicked on the convoyeur
-let sensorSenseiModalClosed = false; // Track if user has manually closed the sensorSensei modal
-let sensorSenseiModalOpened = false; // Track if the sensorSensei modal was ever opened
-let medicalModalClosed = false; // Track if user has manually closed the medical modal
-let medicalModalOpened = false; // Track if the medical modal was ever opened
-let forviaCarModalClosed = false; // Track if user has manually closed the forviaCAR modal
-let forviaCarModalOpened = false; // Track if the forviaCAR modal was ever opened
-let desckModalClosed = false; // Track if user has manually closed the desck modal
-let desckModalOpened = false; // Track if the desck modal was ever opened
-let pcModalClosed = false; // Track if user has manually closed the pc modal
-let pcModalOpened = false; // Track if the pc modal was ever opened
-const drawerModels = ['drawer1', 'drawer2', 'drawer3', 'drawer4', 'steering', 'pc', 'forge', 'mail-box', 'trashTruck', 'convoyeur', 'sensorSensei', 'medical', 'forviaCAR', 'desck'];
-const drawers = [];
-const interactiveObjects = []; // Separate array for collision detection optimization
-const drawerOriginalPositions = new Map();
-const unreadDrawers = new Set([
-  'drawer1', 'drawer2', 'drawer3', 'drawer4',
-  'steering', 'forge', 'mail-box', 'trashTruck', 'convoyeur', 'sensorSensei', 'medical', 'forviaCAR',
-  'pc', 'desck', // Added missing home objects
-  // Individual skillFlowers for Skills theme badges
-  'skillFlower1', 'skillFlower2', 'skillFlower3', 'skillFlower4', 'skillFlower5',
-  'skillFlower6', 'skillFlower7', 'skillFlower8', 'skillFlower9'
-]);
-function addToDrawers(object, isInteractive = true) {
-  if (!drawers.includes(object)) {
-    drawers.push(object);
-    if (isInteractive) {
-      interactiveObjects.push(object);
-    }
-  }
-}
-function optimizeDrawersArray() {
-  // Remove duplicates and organize for better performance
-  const uniqueDrawers = [...new Set(drawers)];
-  drawers.length = 0;
-  drawers.push(...uniqueDrawers);
-  console.log(`Optimized drawers array: ${drawers.length} unique objects`);
-}
-const skillFlowers = []; // Array to store the 9 skillFlowers
-const languageFlowers = []; // Array to store the 9 language flowers
-// FIXED flower configuration based on actual user testing
-// Mapping based on grid positions: (-1,1), (0,1), (1,1), (-1,0), (0,0), (1,0), (-1,-1), (0,-1), (1,-1)
-const languageFlowerData = [
-  {
-    name: 'unity',
-    model: 'unityFlower.glb',
-    displayName: 'Unity Engine',
-    category: 'Game Development',
-    gridPosition: 'position-0'
-  },
-  {
-    name: 'unreal',
-    model: 'UnrealFlower.glb',
-    displayName: 'Unreal Engine',
-    category: 'Game Development',
-    gridPosition: 'position-1'
-  },
-  {
-    name: 'cpp',
-    model: 'c++Flower.glb',
-    displayName: 'C++',
-    category: 'Programming Language',
-    gridPosition: 'position-2'
-  },
-  {
-    name: 'csharp',
-    model: 'CFlower.glb',
-    displayName: 'C#',
-    category: 'Programming Language',
-    gridPosition: 'position-3'
-  },
-  {
-    name: 'python',
-    model: 'pythonFlower.glb',
-    displayName: 'Python',
-    category: 'Programming Language',
-    gridPosition: 'position-4'
-  },
-  {
-    name: 'java',
-    model: 'javaFlower.glb',
-    displayName: 'Java',
-    category: 'Programming Language',
-    gridPosition: 'position-5'
-  },
-  {
-    name: 'git',
-    model: 'gitFlower.glb',
-    displayName: 'Git',
-    category: 'Version Control',
-    gridPosition: 'position-6'
-  },
-  {
-    name: 'arduino',
-    model: 'arduinoFlower.glb',
-    displayName: 'Arduino',
-    category: 'Hardware Development',
-    gridPosition: 'position-7'
-  },
-  {
-    name: 'meta',
-    model: 'MetaFlower.glb',
-    displayName: 'Meta Quest SDK',
-    category: 'VR/AR Development',
-    gridPosition: 'position-8'
-  }
-];
-const activeLanguageFlowers = new Set(); // Track which language flowers are currently visible
-const languageFlowerRotations = new Map(); // Track rotation animations
-const stayUpSkillFlowers = new Set(); // Track which skill flowers should stay up permanently
-const stayUpLanguageFlowers = new Set(); // Track which language flowers should stay up permanently
-function initializeFreshState() {
-  // Clear all persistent states to ensure clean startup on each page load
-  activeLanguageFlowers.clear();
-  languageFlowerRotations.clear();
-  stayUpSkillFlowers.clear();
-  stayUpLanguageFlowers.clear();
-  // Reset hover tracking
-  currentHoveredSkillFlowerIndex = null;
-  hoveredDrawer = null;
-  // Kill any existing GSAP animations to prevent conflicts
-  if (typeof gsap !== 'undefined') {
-    gsap.killTweensOf("*"); // Kill all existing animations
-  }
-  if (!isProduction) console.log('Portfolio state initialized fresh for this session');
-}
-// Initialize fresh state immediately
-initializeFreshState();
-// Helper function to get language flower info by grid index
-function getLanguageFlowerInfo(gridIndex) {
-  if (gridIndex >= 0 && gridIndex < languageFlowerData.length) {
-    return languageFlowerData[gridIndex];
-  }
-  return null;
-}
-// Helper function to get language flower info by name
-function getLanguageFlowerByName(name) {
-  return languageFlowerData.find(flower => flower.name === name);
-}
-const animatedDrawers = ['drawer1', 'drawer2', 'drawer3', 'drawer4', 'skillFlower1', 'skillFlower2', 'skillFlower3', 'skillFlower4', 'skillFlower5', 'skillFlower6', 'skillFlower7', 'skillFlower8', 'skillFlower9']; // Drawers that animate on hover
-const clickAnimatedDrawers = ['desck', 'steering', 'trashTruck', 'convoyeur', 'sensorSensei', 'medical', 'forviaCAR', 'pc']; // Drawers that animate camera on click
-const drawerInfoFiles = {
-  drawer1: "project1.html",
-  drawer2: "project2.html",
-  drawer3: "project3.html",
-  drawer4: "project4.html"
-};
-const drawerThemes = {
-  'drawer1': 'home',
-  'drawer2': 'home',
-  'drawer3': 'home',
-  'drawer4': 'home',
-  'steering': 'garage',
-  'pc': 'home',
-  'forge': 'forge',
-  'mail-box': 'contact',
-  'trashTruck': 'home',
-  'convoyeur': 'home',
-  'sensorSensei': 'projects',
-  'medical': 'garage',
-  'forviaCAR': 'garage',
-  'desck': 'home',
-  'skillFlower': 'skills' // All skillFlowers belong to Skills theme
-};
-const hexNames = {
-  'home': 'Home',
-  'skills': 'Skills',
-  'projects': 'Eco Projects',
-  'contact': 'Contact Zone',
-  'bridge': 'Navigation Bridge',
-  'champ1': 'Flourishing Fields',
-  'garage': 'Technology Garage',
-  'forest1': 'Mystic Forest',
-  'forest2': 'Enchanted Forest',
-  'forest3': 'Ancient Forest',
-  'marais': 'Tranquil Marsh',
-  'marais2': 'Deep Marsh',
-  'desert1': 'Golden Desert',
-  'desert2': 'Sacred Dunes',
-  'plain1': 'Verdant Plains',
-  'forge2': 'Industrial Experience'
-};
-const objectsByHex = {
-  'home': ['drawer1', 'drawer2', 'drawer3', 'drawer4', 'pc', 'trashTruck', 'convoyeur', 'desck'],
-  'skills': [], // SkillFlowers are dynamic based on theme
-  'projects': ['sensorSensei'],
-  'contact': ['mail-box'],
-  'bridge': [],
-  'champ1': [],
-  'garage': ['steering', 'medical', 'forviaCAR'],
-  'forest1': [],
-  'forest2': [],
-  'forest3': [],
-  'marais': [],
-  'marais2': [],
-  'desert1': [],
-  'desert2': [],
-  'plain1': [],
-  'forge2': ['forge']
-};
-const portfolioExperiences = [
-  // Main objects
-  'drawer1', 'drawer2', 'drawer3', 'drawer4', 'pc', 'trashTruck', 'convoyeur', 'desck',
-  'sensorSensei', 'mail-box', 'steering', 'medical', 'forviaCAR', 'forge',
-  // Skill flowers (all 9 skill flowers)
-  'skillFlower1', 'skillFlower2', 'skillFlower3', 'skillFlower4', 'skillFlower5',
-  'skillFlower6', 'skillFlower7', 'skillFlower8', 'skillFlower9'
-];
-// Global portfolio state
-let portfolioVisitedExperiences = new Set();
-// Camera target positions for click-animated drawers
-const drawerCameraTargets = {
-  desck: {
-    x: -0.05, y: 0.05, z: -0.15,
-    lookAt: { x: -0.25, y: -0.04, z: -0.35 }
-  },
-  steering: {
-    x: -1.738, y: 0.018, z: 0.160,
-    lookAt: { x: -2.256, y: -0.070, z: 1.011 }
-  },
-  trashTruck: {
-    x: 0, y: 0, z: 0,
-    lookAt: { x: 0, y: 0, z: 0 }
-  },
-  convoyeur: {
-    x: 0, y: 0, z: 0,
-    lookAt: { x: 0, y: 0, z: 0 }
-  },
-  sensorSensei: {
-    x: 0, y: 0, z: 0,
-    lookAt: { x: 0, y: 0, z: 0 }
-  },
-  medical: {
-    x: -1.738, y: 0.018, z: 0.160,
-    lookAt: { x: -2.256, y: -0.070, z: 1.011 }
-  },
-  forviaCAR: {
-    x: -1.738, y: 0.018, z: 0.160,
-    lookAt: { x: -2.256, y: -0.070, z: 1.011 }
-  },
-  pc: {
-    x: 0, y: 0, z: 0,
-    lookAt: { x: 0, y: 0, z: 0 }
+class ObjectRegistry {
+  // modal: open the object's modal, focus: fly the camera to its cameraTarget,
+  // focusThenModal: fly then open, discover: only mark the object as discovered
+  static CLICK_BEHAVIORS = ['modal', 'focus', 'focusThenModal', 'discover'];
+  constructor() {
+    this.entries = new Map();
   }
-};
-function setupLighting() {
-  // Main directional light (golden hour sun) - warm golden tones
-  const directionalLight = new THREE.DirectionalLight(0xffb347, 3.8); // Slightly reduced intensity
-  directionalLight.position.set(15, 20, 10); // Lower angle for golden hour
-  directionalLight.castShadow = true;
-  // Improved shadow settings
-  directionalLight.shadow.mapSize.width = 2048;
-  directionalLight.shadow.mapSize.height = 2048;
-  directionalLight.shadow.camera.near = 0.5;
-  directionalLight.shadow.camera.far = 100;
-  directionalLight.shadow.camera.left = -20;
-  directionalLight.shadow.camera.right = 20;
-  directionalLight.shadow.camera.top = 20;
-  directionalLight.shadow.camera.bottom = -20;
-  directionalLight.shadow.bias = -0.0001;
-  directionalLight.shadow.normalBias = 0.02;
-  scene.add(directionalLight);
-  // Ambient light with golden hour warmth
-  const ambientLight = new THREE.AmbientLight(0xffd4a3, 0.8); // Warm golden ambient
-  scene.add(ambientLight);
-  // Key fill light - golden rim lighting
-  const keyLight = new THREE.PointLight(0xffa500, 3.0, 60); // Orange golden light
-  keyLight.position.set(10, 18, 12);
-  keyLight.castShadow = true;
-  keyLight.shadow.mapSize.width = 1024;
-  keyLight.shadow.mapSize.height = 1024;
-  keyLight.shadow.camera.near = 0.1;
-  keyLight.shadow.camera.far = 60;
-  keyLight.shadow.bias = -0.0001;
-  scene.add(keyLight);
-  // Secondary warm light for depth
-  const secondaryLight = new THREE.PointLight(0xff8c42, 2.5, 45);
-  secondaryLight.position.set(-8, 15, 8);
-  scene.add(secondaryLight);
-  // Hemisphere light for natural golden hour atmosphere
-  const hemiLight = new THREE.HemisphereLight(0xffd4a3, 0xd2691e, 0.7); // Golden sky to warm ground
-  hemiLight.position.set(0, 50, 0);
-  scene.add(hemiLight);
-  // Warm back light for atmospheric glow
-  const backLight = new THREE.PointLight(0xffc649, 2.0, 35);
-  backLight.position.set(-12, 8, -15);
-  scene.add(backLight);
-  // Subtle accent light for underwater areas
-  const accentLight = new THREE.PointLight(0x4da6ff, 1.2, 25); // Cooler blue for contrast
-  accentLight.position.set(0, -1, 0);
-  scene.add(accentLight);
-}
-setupLighting();
-scene.fog = new THREE.Fog(CONFIG.SCENE.FOG_COLOR, CONFIG.SCENE.FOG_NEAR, CONFIG.SCENE.FOG_FAR);
-const hexMap = [
-  { q: 0, r: 0, type: 'home', cameraPos: { x: 0.5, y: 0.08, z: 0} },
-  { q: 1, r: 0, type: 'skills', cameraPos: { x: 2.45, y: 0.5, z: 0.5 } },
-  { q: 0, r: 1, type: 'projects', cameraPos: { x: 1.2, y: 1.0, z: 2.2 } },
-  { q: 2, r: 2, type: 'contact', cameraPos: { x: 5.2, y: 0.8, z: 4.5 } },
-  { q: 1, r: 2, type: 'bridge', cameraPos: { x: -1.5, y: 0.5, z: 0.4 } },
-  { q: -2, r: 0, type: 'plain1' },
-  { q: 0, r: 2, type: 'plain1' },
-  { q: -2, r: -1, type: 'plain1' },
-  { q: 0, r: -1, type: 'champ1', cameraPos: { x: -0.7, y: 0.7, z: -0.9 } },
-  { q: -1, r: 0, type: 'garage', cameraPos: { x: -1.4, y: 0.15, z: 0.1 } },
-  { q: 1, r: 1, type: 'forest1', cameraPos: { x: 1.8, y: 0.65, z: 0 }},
-  { q: 3, r: -1, type: 'forest2', cameraPos: { x: 5, y: 0.3, z: -0.1}},
-  { q: 2, r: 0, type: 'forest3', cameraPos: { x: 1.8, y: 0.65, z: 0 } },
-  { q: 1, r: -1, type: 'forge2', cameraPos: { x: 1.26, y: 0.3, z: -0.82 }},
-  { q: 2, r: -1, type: 'forest1', cameraPos: { x: 1.8, y: 0.65, z: 0 } },
-  { q: 2, r: -2, type: 'forest2', cameraPos: { x: 2, y: 0.25, z: -2}},
-  { q: 1, r: -2, type: 'marais2', cameraPos: { x: -1, y: 0.75, z: -1.4 } },
-  { q: 0, r: -2, type: 'marais', cameraPos: { x: -1, y: 0.75, z: -1.4 } },
-  { q: -1, r: -2, type: 'marais2', cameraPos: { x: -1, y: 0.75, z: -1.4 } },
-  { q: -1, r: -1, type: 'marais', cameraPos: { x: -1, y: 0.75, z: -1.4 } },
-  { q: -2, r: 2, type: 'desert1', cameraPos: { x: -2.6, y: 1, z: 4.7} },
-  { q: -3, r: 2, type: 'desert2', cameraPos: { x: -2.6, y: 1, z: 4.7} },
-  { q: -3, r: 1, type: 'desert1', cameraPos: { x: -2.6, y: 1, z: 4.7} },
-  { q: -2, r: 1, type: 'desert2', cameraPos: { x: -2.6, y: 1, z: 4.7} },
-];
-const loader = new GLTFLoader();
-const hexObjects = [];
-// Load hex objects with error handling
-// Hex file mapping for renamed types
-const hexFileMapping = {
-  'skills': 'cv' // skills theme uses the cv hex model
-};
-
-let loadedHexCount = 0;
-const totalHexCount = hexMap.length;
-// Register hex assets for loading tracking
-hexMap.forEach(() => incrementTotalAssets());
-hexMap.forEach(({ q, r, type }) => {
-  const { x, z } = hexToWorld(q, r);
-  const hexFileName = hexFileMapping[type] || type; // Use mapping if available
-  ErrorHandler.handleAsyncError(
-    new Promise((resolve, reject) => {
-      loader.load(
-        `./public/models/Hex-${hexFileName}.glb`,
-        (gltf) => {
-          try {
-            processGLBMaterials(gltf, `Hex-${hexFileName}.glb`);
-            const hex = gltf.scene;
-            hex.position.set(x, 0, z);
-            hex.scale.set(1, 1, 1);
-            hex.userData = { type, q, r };
-            scene.add(hex);
-            hexObjects.push(hex);
-            loadedHexCount++;
-            markAssetLoaded(); // Mark this asset as loaded
-            if (loadedHexCount === totalHexCount) {
-              if (!isProduction) console.log('All hex objects loaded successfully');
-            }
-            resolve(hex);
-          } catch (error) {
-            reject(error);
-          }
-        },
-        (progress) => {
-          // Loading progress
-          const percent = (progress.loaded / progress.total) * 100;
-          console.log(`Loading ${type}: ${percent.toFixed(1)}%`);
-        },
-        (error) => {
-          console.error(`Failed to load Hex-${hexFileName}.glb:`, error);
-          // Create fallback hex geometry
-          const fallbackGeometry = new THREE.CylinderGeometry(0.8, 0.8, 0.1, 6);
-          const fallbackMaterial = new THREE.MeshStandardMaterial({
-            color: type === 'home' ? 0x4a9eff :
-                   type === 'skills' ? 0x9c27b0 :
-                   type === 'projects' ? 0xff9800 :
-                   type === 'contact' ? 0x4caf50 :
-                   type.includes('forge') ? 0xff5722 : 0x607d8b
-          });
-          const fallbackHex = new THREE.Mesh(fallbackGeometry, fallbackMaterial);
-          fallbackHex.position.set(x, 0, z);
-          fallbackHex.userData = { type, q, r, fallback: true };
-          fallbackHex.castShadow = true;
-          fallbackHex.receiveShadow = true;
-          scene.add(fallbackHex);
-          hexObjects.push(fallbackHex);
-          loadedHexCount++;
-          markAssetLoaded(); // Still mark as loaded even with fallback
-          console.warn(`Using fallback geometry for ${type} hex`);
-          reject(error);
-        }
-      );
-    }),
-    `Critical - Hex loading - ${type}`
-  );
-});
-function createOcean() {
-  try {
-    const geometry = new THREE.PlaneGeometry(100, 100, 50, 50);
-    geometry.rotateX(-Math.PI / 2);
-    const vertData = [];
-    const v3 = new THREE.Vector3();
-    for (let i = 0; i < geometry.attributes.position.count; i++) {
-      v3.fromBufferAttribute(geometry.attributes.position, i);
-      const distanceFromCenter = Math.sqrt(v3.x * v3.x + v3.z * v3.z);
-      const waveHeight = Math.sin(distanceFromCenter * 0.2 + Math.PI / 4) * 0.5;
-      v3.y += waveHeight;
-      vertData.push({
-        initH: v3.y,
-        amplitude: THREE.MathUtils.randFloatSpread(0.5),
-        phase: THREE.MathUtils.randFloat(0, Math.PI),
-      });
-      geometry.attributes.position.setXYZ(i, v3.x, v3.y, v3.z);
-    }
-    geometry.attributes.position.needsUpdate = true;
-    // Create ocean texture
-    const canvas = document.createElement('canvas');
-    canvas.width = 1;
-    canvas.height = 256;
-    const ctx = canvas.getContext('2d');
-    const gradient = ctx.createLinearGradient(0, 0, 0, canvas.height);
-    gradient.addColorStop(0, '#1a82f7');
-    gradient.addColorStop(0.7, '#1e3a8a');
-    gradient.addColorStop(1, '#1f2937');
-    ctx.fillStyle = gradient;
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
-    const texture = new THREE.CanvasTexture(canvas);
-    texture.wrapS = THREE.ClampToEdgeWrapping;
-    texture.wrapT = THREE.ClampToEdgeWrapping;
-    // Improved ocean material with better lighting response
-    const material = new THREE.MeshStandardMaterial({
-      map: texture,
-      transparent: true,
-      opacity: 0.9,
-      roughness: 0.1,
-      metalness: 0.0,
-      emissive: new THREE.Color(0x000000), // Ensure emissive is always a Color
-      normalScale: new THREE.Vector2(1, 1) // Ensure normalScale is always a Vector2
+  register(definition) {
+    this.entries.set(definition.id, {
+      click: null,
+      modal: null,
+      discoverOn: 'hover', // 'click' keeps the object unread until it is actually opened
+      hoverAnimation: false,
+      ...definition
     });
-    // Temporarily disable environment mapping to avoid uniform issues
-    /*
-    // Safely apply environment map if available
-    try {
-      if (scene.environment && scene.environment.isTexture) {
-        // Additional validation for environment texture
-        if (scene.environment.image && (scene.environment.image.width > 0 || scene.environment.image.length > 0)) {
-          material.envMap = scene.environment;
-          material.envMapIntensity = 0.8;
-        } else {
-          console.warn('Ocean: Environment texture appears invalid, not applying envMap');
-        }
-      }
-    } catch (envError) {
-      console.warn('Environment map assignment failed for ocean:', envError);
-    }
-    */
-    const mesh = new THREE.Mesh(geometry, material);
-    mesh.position.y = -1;
-    mesh.receiveShadow = true;
-    scene.add(mesh);
-    return { geometry, vertData };
-  } catch (error) {
-    ErrorHandler.logError(error, 'Ocean creation');
-    // Return minimal ocean if creation fails
-    const geometry = new THREE.PlaneGeometry(10, 10);
-    return { geometry, vertData: [] };
+  }
+  get(id) {
+    return this.entries.get(id);
+  }
+  has(id) {
+    return this.entries.has(id);
+  }
+  filter(predicate) {
+    return [...this.entries.values()].filter(predicate);
   }
 }
-const { geometry: oceanGeometry, vertData: oceanVertData } = createOcean();
-function updateDisplayText(text) {
-  // Update page title and potentially other UI elements
-  document.title = `Portfolio - ${text}`;
-}
-function hexToWorld(q, r, size = 1) {
-  const x = size * Math.sqrt(3) * (q + r / 2);
-  const z = size * 1.5 * r;
-  return { x, z };
+// Offline support. The build version in build-manifest.json names the service worker's caches,
+// so a new deploy installs a fresh worker and drops the previous build's caches
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+  fetch('./build-manifest.json', { cache: 'no-store' })
+    .then(response => response.json())
+    .then(({ version }) => navigator.serviceWorker.register(`./sw.js?build=${encodeURIComponent(version)}`))
+    .catch(error => ErrorHandler.logError(error, 'Service worker registration'));
+  // Contact messages queued while offline are sent once the connection returns
+  window.addEventListener('online', () => {
+    navigator.serviceWorker.controller?.postMessage({ action: 'flushContactQueue' });
+  });
+  navigator.serviceWorker.addEventListener('message', (event) => {
+    if (event.data?.action !== 'contactQueueFlushed') return;
+    const message = t('contact.offlineSent', { count: event.data.sent });
+    const notice = document.createElement('div');
+    notice.setAttribute('role', 'status');
+    notice.textContent = `✓ ${message}`;
+    notice.style.cssText = `
+      position: fixed; top: 20px; right: 20px; z-index: 10000;
+      background: #4caf50; color: white; padding: 15px; border-radius: 8px;
+      font-family: Arial, sans-serif; max-width: 300px;
+      box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+    `;
+    document.body.appendChild(notice);
+    setTimeout(() => notice.remove(), 5000);
+  });
 }
-function getUnreadCountForTheme(themeId) {
-  let count = 0;
-  unreadDrawers.forEach(drawer => {
-    let drawerTheme = drawerThemes[drawer];
-    // Handle skillFlowers - they all belong to Skills theme
-    if (drawer.startsWith('skillFlower')) {
-      drawerTheme = 'skills';
+// Registered before anything can fail to start, so the 2D map and the error screen also work offline
+registerServiceWorker();
+// Everything from here on needs the world manifest, which startPortfolio loads first; it returns
+// early (error screen, 2D map) rather than throwing when the island cannot be shown
+async function startPortfolio() {
+  class ModalManager {
+    // frame: dark full-size iframe modal, card: white card used by the desk project,
+    // skill: generated from a skill flower's data rather than a page
+    static STYLES = ['frame', 'card', 'skill'];
+    static SKILL_LEVELS = ['beginner', 'intermediate', 'proficient', 'advanced', 'expert']; // skillCard.levels keys
+    constructor(registry) {
+      this.registry = registry;
+      this.dismissed = new Set(); // oncePerVisit objects closed since the last zone change
+      this.closeListeners = [];
     }
-    if (drawerTheme === themeId) {
-      count++;
+    onClose(listener) {
+      this.closeListeners.push(listener);
     }
-  });
-  return count;
-}
-function updateThemeUnreadBadges() {
-  const themes = ['home', 'garage', 'forge', 'contact', 'projects', 'skills'];
-  themes.forEach(themeId => {
-    const count = getUnreadCountForTheme(themeId);
-    const badge = document.getElementById(`unread-badge-${themeId}`);
-    if (badge) {
-      if (count > 0) {
-        badge.textContent = count;
-        badge.style.opacity = '1';
-      } else {
-        badge.style.opacity = '0';
+    handleClosed(objectId) {
+      this.dismissed.add(objectId);
+      // Frame modals report closing just before they are removed from the DOM
+      const anyOpen = this.registry.filter(entry => entry.modal).some(entry => entry.id !== objectId && this.isOpen(entry.id));
+      if (!anyOpen && appState.is('modalOpen')) appState.resume();
+      this.closeListeners.forEach(listener => listener(objectId));
+    }
+    getModalId(objectId) {
+      return this.registry.get(objectId)?.modal?.id || null;
+    }
+    isOpen(objectId) {
+      const modalId = this.getModalId(objectId);
+      return !!(modalId && document.getElementById(modalId));
+    }
+    open(objectId) {
+      const entry = this.registry.get(objectId);
+      if (!entry || !entry.modal) {
+        ErrorHandler.logError(new Error(`No modal declared for "${objectId}"`), 'Modal dispatch');
+        return null;
       }
+      if (this.isOpen(objectId)) return null; // Already open
+      if (entry.modal.oncePerVisit && this.dismissed.has(objectId)) return null;
+      const onClose = () => this.handleClosed(objectId);
+      const creators = { card: this.createCardModal, skill: this.createSkillModal, frame: this.createFrameModal };
+      const modal = creators[entry.modal.style].call(this, entry, onClose);
+      document.body.appendChild(modal);
+      if (appState.can('modalOpen')) appState.transition('modalOpen', { objectId });
+      return modal;
     }
-  });
-}
-function isDrawerClickableAtCurrentLocation(drawerType) {
-  // If we're in orbital mode (no specific hex), only allow 'home' theme drawers
-  if (currentActiveHexType === null) {
-    console.log(`Drawer ${drawerType}: currentActiveHexType is null, allowing only home theme`);
-    return drawerThemes[drawerType] === 'home';
-  }
-  // Get the theme of the current active hex
-  const currentTheme = getCurrentHexTheme(currentActiveHexType);
-  // Get the theme required for this drawer
-  let drawerTheme = drawerThemes[drawerType];
-  // Handle skillFlowers - they all belong to Skills theme
-  if (drawerType.startsWith('skillFlower')) {
-    drawerTheme = 'skills';
-  }
-  if (!isProduction) {
-    console.log(`Drawer ${drawerType}: currentActiveHexType="${currentActiveHexType}", currentTheme="${currentTheme}", drawerTheme="${drawerTheme}"`);
-    // Special debug for skillFlowers
-    if (drawerType.startsWith('skillFlower')) {
-      console.log(`SkillFlower debug: ${drawerType} - currentActiveHexType="${currentActiveHexType}", currentTheme="${currentTheme}", drawerTheme="${drawerTheme}", match: ${currentTheme === drawerTheme}`);
+    close(objectId) {
+      const modalId = this.getModalId(objectId);
+      const modal = modalId && document.getElementById(modalId);
+      if (!modal) return;
+      modal.remove();
+      this.handleClosed(objectId);
     }
-  }
-  // Allow interaction if themes match
-  return currentTheme === drawerTheme;
-}
-function getCurrentHexTheme(hexType) {
-  // Define which hex types belong to which themes
-  const hexThemes = {
-    'home': 'home',
-    'skills': 'skills',
-    'projects': 'projects',
-    'contact': 'contact',
-    'bridge': 'home',
-    'champ1': 'home',
-    'garage': 'garage',
-    'forest1': 'home',
-    'forest2': 'home',
-    'forest3': 'home',
-    'marais': 'home',
-    'marais2': 'home',
-    'desert1': 'home',
-    'desert2': 'home',
-    'plain1': 'home',
-    'forge2': 'forge'
-  };
-  return hexThemes[hexType] || 'home'; // Default to 'home' theme
-}
-function positionDrawerLabel(mouseX, mouseY) {
-  // Initial position
-  drawerLabel.style.left = `${mouseX + 60}px`;
-  drawerLabel.style.top = `${mouseY - 180}px`;
-  // Adjust if out of viewport
-  requestAnimationFrame(() => {
-    const rect = drawerLabel.getBoundingClientRect();
-    let left = rect.left, top = rect.top;
-    let needUpdate = false;
-    if (rect.right > window.innerWidth) {
-      left = Math.max(window.innerWidth - rect.width - 8, 8);
-      needUpdate = true;
-    }
-    if (rect.left < 0) {
-      left = 8;
-      needUpdate = true;
-    }
-    if (rect.bottom > window.innerHeight) {
-      top = Math.max(window.innerHeight - rect.height - 8, 8);
-      needUpdate = true;
-    }
-    if (rect.top < 0) {
-      top = 8;
-      needUpdate = true;
-    }
-    if (needUpdate) {
-      drawerLabel.style.left = `${left}px`;
-      drawerLabel.style.top = `${top}px`;
+    closeAll() {
+      this.registry.filter(entry => entry.modal).forEach(entry => this.close(entry.id));
     }
-  });
-}
-const drawerLabel = document.createElement("div");
-drawerLabel.id = "drawerLabel";
-drawerLabel.style.position = "fixed";
-drawerLabel.style.display = "none";
-drawerLabel.style.background = "rgba(0,0,0,0.7)"; // transparent black
-drawerLabel.style.color = "#fff";
-drawerLabel.style.padding = "16px 24px";
-drawerLabel.style.borderRadius = "12px";
-drawerLabel.style.fontWeight = "normal";
-drawerLabel.style.fontSize = "1rem";
-drawerLabel.style.boxShadow = "0 2px 16px rgba(0,0,0,0.18)";
-drawerLabel.style.pointerEvents = "none";
-drawerLabel.style.zIndex = "100";
-drawerLabel.style.maxWidth = "340px";
-drawerLabel.style.lineHeight = "1.5";
-drawerLabel.style.border = "1px solid #eee";
-drawerLabel.style.transition = "opacity 0.2s";
-document.body.appendChild(drawerLabel);
-function getHexDisplayName(hexType) {
-  return hexNames[hexType] || 'Zone Inconnue';
-}
-function getObjectsForHex(hexType) {
-  let objects = [...(objectsByHex[hexType] || [])];
-  // Add skill flowers if on Skills hex
-  if (getCurrentHexTheme(hexType) === 'skills') {
-    // Add all 9 skill flowers directly
-    const allSkillFlowers = [
-      'skillFlower1', 'skillFlower2', 'skillFlower3', 'skillFlower4', 'skillFlower5',
-      'skillFlower6', 'skillFlower7', 'skillFlower8', 'skillFlower9'
-    ];
-    objects = objects.concat(allSkillFlowers);
-  }
-  return objects;
-}
-function getVisitedObjectsForHex(hexType) {
-  const objects = getObjectsForHex(hexType);
-  return objects.filter(objType => {
-    // Check if this object type has been visited
-    if (objType.startsWith('skillFlower')) {
-      return !unreadDrawers.has(objType);
+    resetVisit() {
+      this.dismissed.clear();
     }
-    return !unreadDrawers.has(objType);
-  });
-}
-function getHexesWithUnexploredObjects() {
-  const hexesWithObjects = [];
-  // Check all hexes that have objects
-  Object.keys(objectsByHex).forEach(hexType => {
-    const totalObjects = getObjectsForHex(hexType);
-    const visitedObjects = getVisitedObjectsForHex(hexType);
-    // If there are unvisited objects in this hex, count it
-    if (totalObjects.length > 0 && visitedObjects.length < totalObjects.length) {
-      hexesWithObjects.push(hexType);
+    createFrameModal(entry, onClose) {
+      const { modal, content } = createModalBase(entry.modal.id, onClose);
+      const iframe = document.createElement('iframe');
+      iframe.src = entry.page;
+      iframe.style.cssText = `
+        width: 100%;
+        height: 100%;
+        border: none;
+        background: #fff;
+      `;
+      iframe.onerror = () => {
+        content.innerHTML = `<div style="color: white; padding: 20px; text-align: center;">${entry.modal.errorMessage || t('modal.loadError')}</div>`;
+      };
+      content.appendChild(iframe);
+      return modal;
     }
-  });
-  return hexesWithObjects;
-}
-function getTotalHexesWithObjects() {
-  // Count all hexes that have at least one object
-  let count = 0;
-  Object.keys(objectsByHex).forEach(hexType => {
-    const totalObjects = getObjectsForHex(hexType);
-    if (totalObjects.length > 0) {
-      count++;
+    createCardModal(entry, onClose) {
+      const modal = document.createElement('div');
+      modal.id = entry.modal.id;
+      modal.className = 'modal';
+      modal.style.cssText = `
+        position: fixed; top: 0; left: 0; width: 100%; height: 100%;
+        background: rgba(0,0,0,0.8); z-index: 10000; display: flex;
+        align-items: center; justify-content: center; padding: 20px;
+      `;
+      const content = document.createElement('div');
+      content.style.cssText = `
+        background: white; border-radius: 12px; width: 90%; max-width: 800px;
+        height: 80%; overflow: hidden; position: relative;
+      `;
+      const closeBtn = document.createElement('button');
+      closeBtn.innerHTML = '✕';
+      closeBtn.setAttribute('aria-label', t('modal.close'));
+      closeBtn.style.cssText = `
+        position: absolute; top: 15px; right: 20px; background: none;
+        border: none; font-size: 24px; cursor: pointer; z-index: 1;
+        width: 35px; height: 35px; border-radius: 50%;
+        display: flex; align-items: center; justify-content: center;
+        background: rgba(0,0,0,0.1); transition: background 0.2s;
+      `;
+      closeBtn.onmouseover = () => closeBtn.style.background = 'rgba(0,0,0,0.2)';
+      closeBtn.onmouseout = () => closeBtn.style.background = 'rgba(0,0,0,0.1)';
+      closeBtn.onclick = () => {
+        onClose();
+        modal.remove();
+      };
+      const iframe = document.createElement('iframe');
+      iframe.src = entry.page;
+      iframe.style.cssText = 'width: 100%; height: 100%; border: none;';
+      iframe.onerror = () => {
+        // Fallback content if page doesn't exist
+        iframe.style.display = 'none';
+        const fallback = document.createElement('div');
+        fallback.style.cssText = 'padding: 40px; text-align: center;';
+        fallback.innerHTML = `<p>${entry.modal.errorMessage || t('modal.comingSoon')}</p>`;
+        content.appendChild(fallback);
+      };
+      modal.appendChild(content);
+      content.appendChild(closeBtn);
+      content.appendChild(iframe);
+      return modal;
     }
-  });
-  return count;
-}
-function updateHexInfo(hexType = null) {
-  const hexInfoElement = document.getElementById('hexInfo');
-  const hexTitleElement = document.getElementById('hexTitle');
-  const objectsRemainingElement = document.getElementById('objectsRemaining');
-  const objectsTotalElement = document.getElementById('objectsTotal');
-  const objectsCountElement = document.getElementById('hexObjectsCount');
-  const objectsTextElement = document.getElementById('objectsText');
-  if (!hexInfoElement || !hexTitleElement || !objectsRemainingElement || !objectsTotalElement || !objectsCountElement) {
-    return;
-  }
-  // Check if we're in global view (no specific hex clicked) or specific hex view
-  if (hexType === null || currentActiveHexType === null) {
-    // Global portfolio view - show portfolio title and hex exploration counter
-    const portfolioTitle = 'Portfolio Thomas Menu';
-    const hexesWithUnexplored = getHexesWithUnexploredObjects();
-    const totalHexesWithObjects = getTotalHexesWithObjects();
-    const exploredHexes = totalHexesWithObjects - hexesWithUnexplored.length;
-    hexTitleElement.textContent = portfolioTitle;
-    objectsRemainingElement.textContent = exploredHexes;
-    objectsTotalElement.textContent = totalHexesWithObjects;
-    // Update icon and text for global view
-    const objectsIcon = objectsCountElement.querySelector('.objects-icon');
-    if (objectsIcon) objectsIcon.textContent = '🗺️';
-    if (objectsTextElement) objectsTextElement.textContent = 'areas explored';
-    console.log(`Global Portfolio View: ${exploredHexes}/${totalHexesWithObjects} areas explored (${hexesWithUnexplored.length} areas remaining)`);
-  } else {
-    // Specific hex view - show hex name and hex-specific objects
-    const currentHex = hexType || currentActiveHexType;
-    const hexDisplayName = getHexDisplayName(currentHex);
-    const totalObjects = getObjectsForHex(currentHex);
-    const visitedObjects = getVisitedObjectsForHex(currentHex);
-    hexTitleElement.textContent = hexDisplayName;
-    objectsRemainingElement.textContent = visitedObjects.length;
-    objectsTotalElement.textContent = totalObjects.length;
-    // Update icon and text for hex view
-    const objectsIcon = objectsCountElement.querySelector('.objects-icon');
-    if (objectsIcon) objectsIcon.textContent = '🔍';
-    if (objectsTextElement) objectsTextElement.textContent = 'objects discovered';
-    console.log(`Hex Info Updated: ${hexDisplayName} - ${visitedObjects.length}/${totalObjects.length} objects discovered`);
-  }
-  // Add updating animation
-  hexInfoElement.classList.add('updating');
-  setTimeout(() => {
-    hexInfoElement.classList.remove('updating');
-  }, 300);
-}
-function initHexInfo() {
-  // Initialize with global portfolio view (no specific hex)
-  updateHexInfo(null);
-  // Make functions available globally for debugging
-  window.updateHexInfo = updateHexInfo;
-  window.getObjectsForHex = getObjectsForHex;
-  window.getVisitedObjectsForHex = getVisitedObjectsForHex;
-  window.getHexesWithUnexploredObjects = getHexesWithUnexploredObjects;
-  window.getTotalHexesWithObjects = getTotalHexesWithObjects;
-  window.markObjectAsDiscovered = markObjectAsDiscovered;
-  if (!isProduction) {
-    console.log('Portfolio Info System initialized');
-  }
-}
-// Helper function to update hex info when an object is discovered
-function onObjectDiscovered(objectType) {
-  // Update the appropriate display based on current context
-  if (currentActiveHexType) {
-    // We're in a specific hex view - update hex info
-    const hexObjects = getObjectsForHex(currentActiveHexType);
-    if (hexObjects.includes(objectType) || objectType.startsWith('skillFlower')) {
-      updateHexInfo(currentActiveHexType);
+    createSkillModal(entry, onClose) {
+      const { modal, content } = createModalBase(entry.modal.id, onClose);
+      const { skill } = entry;
+      content.style.width = 'min(92vw, 460px)';
+      content.style.height = 'auto';
+      // Values still pending confirmation (see WorldManifest.SKILL_PENDING) stay off the card
+      const level = skill.proficiency && t(`skillCard.levels.${ModalManager.SKILL_LEVELS[skill.proficiency - 1]}`);
+      const card = document.createElement('div');
+      card.style.cssText = "padding: 28px; color: #fff; font-family: 'Segoe UI', sans-serif;";
+      card.innerHTML = `
+        <div style="font-size: 0.75rem; text-transform: uppercase; letter-spacing: 1px; opacity: 0.7;">${skill.category}</div>
+        <h2 style="margin: 4px 0 12px;">${skill.displayName}</h2>
+        <div style="display: flex; flex-wrap: wrap; gap: 18px; margin-bottom: 12px;">
+          ${level ? `<span aria-label="${t('skillCard.levelLabel', { level, proficiency: skill.proficiency })}">
+            <span style="color: #ffc107; letter-spacing: 2px;" aria-hidden="true">${'●'.repeat(skill.proficiency)}${'○'.repeat(5 - skill.proficiency)}</span>
+            <span style="opacity: 0.8;" aria-hidden="true">${level}</span>
+          </span>` : ''}
+          ${skill.years !== undefined ? `<span>${t('skillCard.years', { count: skill.years })}</span>` : ''}
+        </div>
+        ${skill.description ? `<p style="margin: 0 0 16px; opacity: 0.9;">${skill.description}</p>` : ''}
+        <div style="font-weight: bold; margin-bottom: 8px;">${t('skillCard.usedIn')}</div>
+      `;
+      const projects = document.createElement('div');
+      projects.style.cssText = 'display: flex; flex-direction: column; gap: 6px;';
+      skill.projects.forEach(objectId => {
+        const project = this.registry.get(objectId);
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = `${project.label} · ${getHexDisplayName(project.hex)}`;
+        button.style.cssText = `
+          text-align: left; padding: 10px 12px; background: rgba(255,255,255,0.08); color: #fff;
+          border: 1px solid rgba(255,255,255,0.2); border-radius: 8px; cursor: pointer; font: inherit;
+        `;
+        button.addEventListener('click', (event) => {
+          event.stopPropagation();
+          this.close(entry.id);
+          // The 2D map has no camera to fly, it opens the project straight away
+          if (appState.is('fallback')) FallbackMap.openObject(objectId);
+          else hashRouter.go({ kind: 'object', id: objectId });
+        });
+        projects.appendChild(button);
+      });
+      if (!skill.projects.length) projects.innerHTML = `<div style="opacity: 0.7;">${t('skillCard.notOnIsland')}</div>`;
+      card.appendChild(projects);
+      // The 2D map has no island to draw the links on
+      if (skill.projects.length && !appState.is('fallback')) {
+        const showMe = document.createElement('button');
+        showMe.type = 'button';
+        showMe.textContent = t('skillCard.showMe');
+        showMe.style.cssText = `
+          margin-top: 14px; width: 100%; padding: 10px 12px; background: #ffc107; color: #1a1a1a;
+          border: none; border-radius: 8px; cursor: pointer; font: inherit; font-weight: bold;
+        `;
+        showMe.addEventListener('click', (event) => {
+          event.stopPropagation();
+          this.close(entry.id);
+          skillLinks.showSkill(skillFlowerIds.indexOf(entry.id));
+        });
+        card.appendChild(showMe);
+      }
+      content.appendChild(card);
+      return modal;
     }
-  } else {
-    // We're in global view - update global info
-    updateHexInfo(null);
-  }
-}
-// Wrapper function for marking objects as discovered
-function markObjectAsDiscovered(objectType) {
-  if (unreadDrawers.has(objectType)) {
-    unreadDrawers.delete(objectType);
-    updateThemeUnreadBadges();
-    onObjectDiscovered(objectType);
-    updatePortfolioExperience(objectType);
-  }
-}
-function updatePortfolioExperience(discoveredObject = null) {
-  if (discoveredObject) {
-    portfolioVisitedExperiences.add(discoveredObject);
-    console.log(`Portfolio Experience: ${portfolioVisitedExperiences.size}/${portfolioExperiences.length} experiences discovered`);
-  }
-}
-function initPortfolioExperience() {
-  // Load visited experiences from localStorage
-  const savedExperiences = localStorage.getItem('portfolioVisitedExperiences');
-  if (savedExperiences) {
-    try {
-      const experiencesArray = JSON.parse(savedExperiences);
-      portfolioVisitedExperiences = new Set(experiencesArray);
-      console.log(`Loaded ${portfolioVisitedExperiences.size} previously discovered experiences`);
-    } catch (e) {
-      console.warn('Failed to load portfolio experiences:', e);
-      portfolioVisitedExperiences = new Set();
-    }
-  }
-  // Save to localStorage whenever the set changes
-  const originalAdd = portfolioVisitedExperiences.add.bind(portfolioVisitedExperiences);
-  portfolioVisitedExperiences.add = function(value) {
-    const result = originalAdd(value);
-    localStorage.setItem('portfolioVisitedExperiences', JSON.stringify([...portfolioVisitedExperiences]));
-    return result;
-  };
-  // Make functions available globally for debugging
-  window.updatePortfolioExperience = updatePortfolioExperience;
-  window.portfolioVisitedExperiences = portfolioVisitedExperiences;
-  if (!isProduction) {
-    console.log('Portfolio Experience System initialized');
   }
-}
-window.addEventListener('mousemove', (event) => {
-  // Skip interactions during cinematic mode
-  if (cinematicMode) return;
-  // Skip 3D interactions if loading overlay is visible
-  const loadingOverlay = document.getElementById('loadingOverlay');
-  if (loadingOverlay && !loadingOverlay.classList.contains('hidden')) {
-    return; // Don't process 3D canvas hover if loading overlay is visible
-  }
-  // Check if mouse is over the navigation sidebar
-  const navSidebar = document.getElementById('zoneNavSidebar');
-  if (navSidebar && navSidebar.contains(event.target)) {
-    // Hide drawer label and reset hover states when over nav
-    drawerLabel.style.display = "none";
-    if (hoveredDrawer && drawerOriginalPositions.has(hoveredDrawer) && animatedDrawers.includes(hoveredDrawer.userData.type)) {
-      const orig = drawerOriginalPositions.get(hoveredDrawer);
-      // Check if it's a skillFlower
-      if (hoveredDrawer.userData.type.startsWith('skillFlower')) {
-        // Only animate back down if this skillFlower is not marked to stay up
-        if (hoveredDrawer.userData.gridIndex === undefined || !stayUpSkillFlowers.has(hoveredDrawer.userData.gridIndex)) {
-          gsap.to(hoveredDrawer.position, {
-            x: orig.x,
-            y: orig.y, // Return to original Y position
-            z: orig.z,
-            duration: 0.3,
-            ease: 'power2.out',
-          });
-        }
-      } else {
-        gsap.to(hoveredDrawer.position, {
-          x: orig.x,
-          z: orig.z,
-          duration: 0.3,
-          ease: 'power2.out',
-        });
+  class WorldManifest {
+    static url = './public/data/world.json';
+    static DRAFT_KEY = 'portfolioWorldDraft'; // Layout saved by the layout editor, previewed in dev only
+    static usingDraft = false;
+    // How a guided tour stop shows its object's modal: not at all, opened for the dwell time,
+    // or opened until the visitor closes it
+    static TOUR_MODAL_MODES = ['none', 'preview', 'open'];
+    // Skill facts the portfolio owner has yet to confirm: a pending proficiency or years is left out
+    // and hidden, pending projects lists only the links confirmed so far
+    static SKILL_PENDING = ['proficiency', 'years', 'projects'];
+    // Fetch and validate the world manifest - every island table is derived from it
+    static async load(url = this.url) {
+      const draft = isProduction ? null : this.loadDraft();
+      if (draft) return this.localize(draft);
+      let data;
+      try {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        data = await response.json();
+      } catch (error) {
+        ErrorHandler.logError(error, `World manifest loading - ${url}`);
+        throw error;
       }
-      hoveredDrawer = null;
-    }
-    return; // Don't process 3D canvas hover if over nav
-  }
-  const canvasBounds = renderer.domElement.getBoundingClientRect();
-  mouse.x = ((event.clientX - canvasBounds.left) / canvasBounds.width) * 2 - 1;
-  mouse.y = -((event.clientY - canvasBounds.top) / canvasBounds.height) * 2 + 1;
-  raycaster.setFromCamera(mouse, camera);
-  const intersects = raycaster.intersectObjects([...hexObjects, ...drawers], true); // Include both hexObjects and drawers
-  let foundDrawer = null;
-  if (intersects.length > 0) {
-    let object = intersects[0].object;
-    while (object.parent && !hexObjects.includes(object) && !drawers.includes(object)) object = object.parent;
-    if (object.userData.type) {
-      updateDisplayText(object.userData.type);
-      // Drawer hover logic
-      if (drawers.includes(object)) {
-        // Make desck completely non-interactive
-        if (object.userData.type === 'desck') {
-          drawerLabel.style.display = "none";
-          return; // Don't process hover for desck
-        }
-        // Check if this drawer is interactive at current location/theme
-        const isClickable = isDrawerClickableAtCurrentLocation(object.userData.type);
-        // Only show hover effects and labels for clickable drawers
-        if (!isClickable) {
-          // Reset any existing hover state and don't show label
-          if (hoveredDrawer && drawerOriginalPositions.has(hoveredDrawer) && animatedDrawers.includes(hoveredDrawer.userData.type)) {
-            const orig = drawerOriginalPositions.get(hoveredDrawer);
-            gsap.to(hoveredDrawer.position, {
-              x: orig.x,
-              z: orig.z,
-              duration: CONFIG.ANIMATION.DRAWER_HOVER_DURATION,
-              ease: CONFIG.ANIMATION.HOVER_EASE,
-            });
+      const errors = this.validate(data);
+      if (errors.length > 0) {
+        const error = new Error(`Invalid world manifest: ${errors.join('; ')}`);
+        ErrorHandler.logError(error, 'World manifest validation');
+        throw error;
+      }
+      if (!isProduction) {
+        console.log(`World manifest v${data.version} loaded successfully: ${data.hexes.length} hexes, ${data.objects.length} objects`);
+      }
+      return this.localize(data);
+    }
+    static loadDraft() {
+      let draft;
+      try {
+        draft = JSON.parse(localStorage.getItem(this.DRAFT_KEY));
+      } catch (error) {
+        ErrorHandler.logError(error, 'World manifest - draft');
+        return null;
+      }
+      if (!draft) return null;
+      const errors = this.validate(draft);
+      if (errors.length > 0) {
+        console.warn(`Ignoring invalid world draft: ${errors.join('; ')}`);
+        return null;
+      }
+      this.usingDraft = true;
+      console.warn('World manifest loaded from the layout editor draft - discard it from the layout editor to go back to world.json');
+      return draft;
+    }
+    static saveDraft(data) {
+      localStorage.setItem(this.DRAFT_KEY, JSON.stringify(data));
+    }
+    static discardDraft() {
+      localStorage.removeItem(this.DRAFT_KEY);
+    }
+    // Overlays the visitor's language from the catalog's "world" section (see i18n.js): zone names,
+    // navigation labels, object labels, tooltips and pages, skills, achievements and tour captions.
+    // Arrays of records are keyed by id (name for skills), arrays of strings by index. Only strings
+    // replace strings, and each original is kept so the layout editor still exports world.json as
+    // written (see delocalize)
+    static patches = [];
+    static localize(data, overlay = i18n.world) {
+      const apply = (target, patch, path) => {
+        Object.entries(patch).forEach(([key, value]) => {
+          const index = !Array.isArray(target) ? key
+            : /^\d+$/.test(key) && typeof target[key] === 'string' ? Number(key)
+            : target.findIndex(item => item?.id === key || item?.name === key);
+          const current = target[index];
+          if (typeof value === 'string' && typeof current === 'string') {
+            this.patches.push({ path: [...path, index], original: current });
+            target[index] = value;
+          } else if (value && typeof value === 'object' && current && typeof current === 'object') {
+            apply(current, value, [...path, index]);
+          } else if (!isProduction) {
+            console.warn(`[i18n] ${i18n.language} world overlay: nothing to translate at ${[...path, key].join('.')}`);
+          }
+        });
+      };
+      apply(data, overlay, []);
+      return data;
+    }
+    static delocalize(data) {
+      const copy = structuredClone(data);
+      this.patches.forEach(({ path, original }) => {
+        const parent = path.slice(0, -1).reduce((node, key) => node?.[key], copy);
+        if (parent) parent[path[path.length - 1]] = original;
+      });
+      return copy;
+    }
+    // Returns a list of human readable problems, empty when the manifest is usable
+    static validate(data) {
+      const errors = [];
+      if (!data || typeof data !== 'object') return ['manifest is not an object'];
+      ['themes', 'hexes', 'objects'].forEach(key => {
+        if (!Array.isArray(data[key])) errors.push(`"${key}" must be an array`);
+      });
+      if (!data.hexTypes || typeof data.hexTypes !== 'object') errors.push('"hexTypes" must be an object');
+      if (errors.length > 0) return errors;
+      const isVector = (v) => v && ['x', 'y', 'z'].every(axis => typeof v[axis] === 'number');
+      const themeIds = new Set();
+      data.themes.forEach(theme => {
+        if (themeIds.has(theme.id)) errors.push(`duplicate theme "${theme.id}"`);
+        themeIds.add(theme.id);
+        if (theme.nav && !data.hexTypes[theme.nav.hex]) errors.push(`theme "${theme.id}" navigates to unknown hex type "${theme.nav.hex}"`);
+      });
+      Object.entries(data.hexTypes).forEach(([type, hexType]) => {
+        if (!themeIds.has(hexType.theme)) errors.push(`hex type "${type}" uses unknown theme "${hexType.theme}"`);
+        if (typeof hexType.model !== 'string') errors.push(`hex type "${type}" has no model`);
+      });
+      const coordinates = new Set();
+      data.hexes.forEach(hex => {
+        const key = `${hex.q},${hex.r}`;
+        if (!Number.isInteger(hex.q) || !Number.isInteger(hex.r)) errors.push(`hex "${hex.type}" has non-integer coordinates`);
+        if (coordinates.has(key)) errors.push(`two hexes share coordinates (${key})`);
+        coordinates.add(key);
+        if (!data.hexTypes[hex.type]) errors.push(`hex (${key}) uses unknown type "${hex.type}"`);
+        if (hex.cameraPos && !isVector(hex.cameraPos)) errors.push(`hex (${key}) has an invalid cameraPos`);
+        if (hex.rotation !== undefined && (typeof hex.rotation !== 'number' || hex.rotation % 60 !== 0)) {
+          errors.push(`hex (${key}) rotation must be a multiple of 60 degrees`);
+        }
+      });
+      const objectIds = new Set();
+      data.objects.forEach(object => {
+        if (objectIds.has(object.id)) errors.push(`duplicate object "${object.id}"`);
+        objectIds.add(object.id);
+        if (!data.hexTypes[object.hex]) errors.push(`object "${object.id}" is placed on unknown hex type "${object.hex}"`);
+        else if (!data.hexes.some(hex => hex.type === object.hex)) errors.push(`object "${object.id}" is placed on hex type "${object.hex}" which is not on the map`);
+        if (object.cameraTarget && (!isVector(object.cameraTarget) || !isVector(object.cameraTarget.lookAt))) {
+          errors.push(`object "${object.id}" has an invalid cameraTarget`);
+        }
+        if (object.position && !isVector(object.position)) errors.push(`object "${object.id}" has an invalid position`);
+        if (object.rotation !== undefined && typeof object.rotation !== 'number') errors.push(`object "${object.id}" rotation must be a number of degrees`);
+        if (typeof object.label !== 'string' || !object.label.trim()) {
+          errors.push(`object "${object.id}" needs a label`);
+        }
+        if (object.click && !ObjectRegistry.CLICK_BEHAVIORS.includes(object.click)) {
+          errors.push(`object "${object.id}" has unknown click behavior "${object.click}"`);
+        }
+        if ((object.click === 'focus' || object.click === 'focusThenModal') && !object.cameraTarget) {
+          errors.push(`object "${object.id}" focuses the camera but has no cameraTarget`);
+        }
+        if ((object.click === 'modal' || object.click === 'focusThenModal') && !object.modal) {
+          errors.push(`object "${object.id}" opens a modal but declares none`);
+        }
+        if (object.tooltip) {
+          const { text, tags, thumbnail } = object.tooltip;
+          if (text !== undefined && typeof text !== 'string') errors.push(`object "${object.id}" tooltip text must be a string`);
+          if (tags !== undefined && !(Array.isArray(tags) && tags.every(tag => typeof tag === 'string'))) errors.push(`object "${object.id}" tooltip tags must be a list of strings`);
+          if (thumbnail !== undefined && (typeof thumbnail !== 'string' || thumbnail.startsWith('/') || thumbnail.includes('..'))) {
+            errors.push(`object "${object.id}" tooltip thumbnail must be a path inside public/images`);
+          }
+        }
+        if (object.modal) {
+          if (typeof object.modal.id !== 'string' || !object.modal.id.endsWith('Modal')) errors.push(`object "${object.id}" modal id must end with "Modal"`);
+          if (!ModalManager.STYLES.includes(object.modal.style)) errors.push(`object "${object.id}" has unknown modal style "${object.modal.style}"`);
+          if (object.modal.style === 'skill') errors.push(`object "${object.id}" uses the skill modal, which only skill flowers have`);
+          if (typeof object.page !== 'string') errors.push(`object "${object.id}" has a modal but no page`);
+        }
+      });
+      if (data.skillFlowers) {
+        if (!data.hexTypes[data.skillFlowers.hex]) errors.push(`skill flowers are placed on unknown hex type "${data.skillFlowers.hex}"`);
+        if (!Array.isArray(data.skillFlowers.skills)) errors.push('"skillFlowers.skills" must be an array');
+        const skillNames = new Set();
+        (data.skillFlowers.skills || []).forEach((skill, index) => {
+          const label = `skill ${skill.name || index + 1}`;
+          if (skillNames.has(skill.name)) errors.push(`duplicate skill "${skill.name}"`);
+          skillNames.add(skill.name);
+          ['name', 'model', 'displayName', 'category'].forEach(key => {
+            if (typeof skill[key] !== 'string' || !skill[key].trim()) errors.push(`${label} needs a ${key}`);
+          });
+          const pending = skill.pending || [];
+          if (!Array.isArray(pending) || !pending.every(key => WorldManifest.SKILL_PENDING.includes(key))) {
+            errors.push(`${label} pending must list some of ${WorldManifest.SKILL_PENDING.join(', ')}`);
+          }
+          // A pending proficiency or years is left out rather than guessed
+          if (pending.includes('proficiency')) {
+            if (skill.proficiency !== undefined) errors.push(`${label} proficiency is pending and must be left out`);
+          } else if (!Number.isInteger(skill.proficiency) || skill.proficiency < 1 || skill.proficiency > 5) errors.push(`${label} proficiency must be an integer from 1 to 5`);
+          if (pending.includes('years')) {
+            if (skill.years !== undefined) errors.push(`${label} years is pending and must be left out`);
+          } else if (typeof skill.years !== 'number' || skill.years < 0) errors.push(`${label} years must be a positive number`);
+          if (!Array.isArray(skill.projects)) errors.push(`${label} projects must be a list of object ids`);
+          else if (!skill.projects.every(id => objectIds.has(id))) errors.push(`${label} links unknown projects`);
+        });
+      }
+      const achievementIds = new Set();
+      (data.achievements || []).forEach(achievement => {
+        if (achievementIds.has(achievement.id)) errors.push(`duplicate achievement id "${achievement.id}"`);
+        achievementIds.add(achievement.id);
+        const rule = achievement.rule || {};
+        if (rule.hex && !data.hexTypes[rule.hex]) errors.push(`achievement "${achievement.id}" targets unknown hex type "${rule.hex}"`);
+        if (rule.objects && !rule.objects.every(id => objectIds.has(id))) errors.push(`achievement "${achievement.id}" lists unknown objects`);
+        if (!rule.hex && !rule.objects && !rule.all) errors.push(`achievement "${achievement.id}" needs a hex, objects or all rule`);
+      });
+      if (data.tour) {
+        if (!Array.isArray(data.tour.stops)) errors.push('"tour.stops" must be an array');
+        const stopIds = new Set();
+        (data.tour.stops || []).forEach((stop, index) => {
+          const label = `tour stop ${index + 1}`;
+          if (typeof stop.id !== 'string' || !stop.id) errors.push(`${label} needs an id`);
+          else if (stopIds.has(stop.id)) errors.push(`duplicate tour stop id "${stop.id}"`);
+          stopIds.add(stop.id);
+          const targets = ['zone', 'object', 'overview'].filter(key => stop[key] !== undefined);
+          if (targets.length !== 1) errors.push(`${label} needs exactly one of zone, object or overview`);
+          if (stop.zone !== undefined && !data.hexes.some(hex => hex.type === stop.zone)) errors.push(`${label} goes to hex type "${stop.zone}" which is not on the map`);
+          const object = stop.object !== undefined && data.objects.find(candidate => candidate.id === stop.object);
+          if (stop.object !== undefined && !object) errors.push(`${label} shows unknown object "${stop.object}"`);
+          if (stop.pose !== undefined && typeof stop.pose !== 'string') errors.push(`${label} pose must be a camera preset name`);
+          if (stop.caption !== undefined && typeof stop.caption !== 'string') errors.push(`${label} caption must be a string`);
+          if (!stop.caption && !object) errors.push(`${label} needs a caption`);
+          if (stop.dwell !== undefined && !(typeof stop.dwell === 'number' && stop.dwell > 0)) errors.push(`${label} dwell must be a positive number of seconds`);
+          if (stop.modal !== undefined) {
+            if (!WorldManifest.TOUR_MODAL_MODES.includes(stop.modal)) errors.push(`${label} has unknown modal mode "${stop.modal}"`);
+            else if (stop.modal !== 'none' && !object?.modal) errors.push(`${label} opens a modal but its object declares none`);
+          }
+        });
+      }
+      return errors;
+    }
+  }
+  // Named camera poses and keyframed tours, authored in the camera editor and saved either to
+  // public/data/camera-presets.json or to this browser's localStorage, which overrides the file.
+  // Pose names: "zone:<hexType>", "hex:<q>,<r>" for a single tile, "object:<objectId>";
+  // a tour named "intro" replaces the built-in entrance
+  class CameraPresets {
+    static url = './public/data/camera-presets.json';
+    static STORAGE_KEY = 'portfolioCameraPresets';
+    static VERSION = 1;
+    static EASES = ['none', 'power1.inOut', 'power2.inOut', 'power2.out', 'power3.inOut', 'sine.inOut', 'expo.inOut'];
+    constructor(shipped, saved = null) {
+      this.poses = { ...shipped.poses, ...saved?.poses };
+      this.tours = { ...shipped.tours, ...saved?.tours };
+      this.hasSaved = Boolean(saved);
+    }
+    static createEmpty() {
+      return { version: CameraPresets.VERSION, poses: {}, tours: {} };
+    }
+    static async load(url = this.url) {
+      let shipped = CameraPresets.createEmpty();
+      try {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        shipped = this.checked(await response.json(), url) || shipped;
+      } catch (error) {
+        // Presets are optional, the manifest's cameraPos and cameraTarget still apply without them
+        ErrorHandler.logError(error, `Camera presets loading - ${url}`);
+      }
+      let saved = null;
+      try {
+        saved = this.checked(JSON.parse(localStorage.getItem(this.STORAGE_KEY)), 'localStorage', shipped.poses);
+      } catch (error) {
+        ErrorHandler.logError(error, 'Camera presets - saved');
+      }
+      if (!isProduction) {
+        console.log(`Camera presets loaded: ${Object.keys(shipped.poses).length} poses, ${Object.keys(shipped.tours).length} tours${saved ? ' (with saved overrides)' : ''}`);
+      }
+      return new CameraPresets(shipped, saved);
+    }
+    static checked(data, source, knownPoses = {}) {
+      if (!data) return null;
+      const errors = this.validate(data, knownPoses);
+      if (errors.length > 0) {
+        console.warn(`Ignoring camera presets from ${source}: ${errors.join('; ')}`);
+        return null;
+      }
+      return data;
+    }
+    // Returns a list of human readable problems, empty when the presets are usable
+    static validate(data, knownPoses = {}) {
+      const errors = [];
+      if (!data || typeof data !== 'object') return ['presets are not an object'];
+      const isVector = (v) => v && ['x', 'y', 'z'].every(axis => typeof v[axis] === 'number');
+      const isPose = (pose) => pose && isVector(pose.position) && isVector(pose.lookAt);
+      const poses = data.poses || {};
+      Object.entries(poses).forEach(([name, pose]) => {
+        if (!isPose(pose)) errors.push(`pose "${name}" needs a position and a lookAt`);
+      });
+      Object.entries(data.tours || {}).forEach(([name, tour]) => {
+        if (!Array.isArray(tour.keyframes) || tour.keyframes.length === 0) {
+          errors.push(`tour "${name}" has no keyframes`);
+          return;
+        }
+        tour.keyframes.forEach((keyframe, index) => {
+          if (keyframe.pose !== undefined) {
+            if (!poses[keyframe.pose] && !knownPoses[keyframe.pose]) errors.push(`tour "${name}" keyframe ${index + 1} uses unknown pose "${keyframe.pose}"`);
+          } else if (!isPose(keyframe)) {
+            errors.push(`tour "${name}" keyframe ${index + 1} needs a pose or a position and a lookAt`);
+          }
+          if (typeof keyframe.duration !== 'number' || keyframe.duration < 0) errors.push(`tour "${name}" keyframe ${index + 1} needs a duration in seconds`);
+          if (keyframe.ease !== undefined && !CameraPresets.EASES.includes(keyframe.ease)) errors.push(`tour "${name}" keyframe ${index + 1} has unknown ease "${keyframe.ease}"`);
+        });
+      });
+      return errors;
+    }
+    getPose(name) {
+      return this.poses[name] || null;
+    }
+    // Tile-specific pose first, then the one shared by every tile of the type
+    zonePose(hexType, q, r) {
+      return this.getPose(`hex:${q},${r}`) || this.getPose(`zone:${hexType}`);
+    }
+    objectPose(objectId) {
+      return this.getPose(`object:${objectId}`);
+    }
+    keyframePose(keyframe) {
+      return keyframe.pose !== undefined ? this.poses[keyframe.pose] : keyframe;
+    }
+    hasTour(name) {
+      return Boolean(this.tours[name]);
+    }
+    setPose(name, pose) {
+      this.poses[name] = pose;
+    }
+    deletePose(name) {
+      delete this.poses[name];
+    }
+    setTour(name, keyframes) {
+      this.tours[name] = { keyframes };
+    }
+    deleteTour(name) {
+      delete this.tours[name];
+    }
+    toJSON() {
+      return { version: CameraPresets.VERSION, poses: this.poses, tours: this.tours };
+    }
+    save() {
+      localStorage.setItem(CameraPresets.STORAGE_KEY, JSON.stringify(this.toJSON()));
+      this.hasSaved = true;
+    }
+    clearSaved() {
+      localStorage.removeItem(CameraPresets.STORAGE_KEY);
+      this.hasSaved = false;
+    }
+    playTour(name, options = {}) {
+      return this.playKeyframes(this.tours[name].keyframes, options);
+    }
+    // Flies the camera through keyframes; a zero duration jumps straight to the pose
+    playKeyframes(keyframes, { onComplete = null } = {}) {
+      const timeline = gsap.timeline({
+        onUpdate: () => camera.lookAt(lookAtTarget.x, lookAtTarget.y, lookAtTarget.z),
+        onComplete
+      });
+      keyframes.forEach(keyframe => {
+        const { position, lookAt } = this.keyframePose(keyframe);
+        const tween = { duration: keyframe.duration, ease: keyframe.ease || 'power2.inOut' };
+        timeline.to(camera.position, { ...tween, x: position.x, y: position.y, z: position.z });
+        timeline.to(lookAtTarget, { ...tween, x: lookAt.x, y: lookAt.y, z: lookAt.z }, '<');
+        if (keyframe.hold) timeline.to({}, { duration: keyframe.hold });
+      });
+      return timeline;
+    }
+  }
+  // Discovered objects and visited hexes, persisted across visits with timestamps
+  class ProgressStore {
+    static STORAGE_KEY = 'portfolioProgress';
+    static LEGACY_KEY = 'portfolioVisitedExperiences'; // Id list written by older versions
+    static VERSION = 2;
+    constructor(objectIds) {
+      this.objectIds = new Set(objectIds);
+      this.listeners = [];
+      this.data = this.load();
+    }
+    static createEmpty() {
+      return { version: ProgressStore.VERSION, objects: {}, hexes: {}, achievements: {}, updatedAt: null };
+    }
+    load() {
+      let data = ProgressStore.createEmpty();
+      try {
+        const saved = JSON.parse(localStorage.getItem(ProgressStore.STORAGE_KEY));
+        if (saved) data = this.migrate(saved);
+      } catch (error) {
+        ErrorHandler.logError(error, 'Progress store - load');
+      }
+      // Fold in the older experience list, its entries have no timestamp
+      try {
+        const legacy = JSON.parse(localStorage.getItem(ProgressStore.LEGACY_KEY));
+        if (Array.isArray(legacy)) {
+          legacy.forEach(id => {
+            if (!data.objects[id]) data.objects[id] = { discoveredAt: null };
+          });
+          localStorage.removeItem(ProgressStore.LEGACY_KEY);
+        }
+      } catch (error) {
+        ErrorHandler.logError(error, 'Progress store - legacy import');
+      }
+      // Objects removed from the manifest no longer count; new ones simply start unread
+      Object.keys(data.objects).forEach(id => {
+        if (!this.objectIds.has(id)) delete data.objects[id];
+      });
+      return data;
+    }
+    // Upgrade older saved schemas; unknown versions start over rather than guess
+    migrate(saved) {
+      // v2 added unlocked achievements
+      if (saved.version === 1) saved = { ...saved, version: 2, achievements: {} };
+      if (saved.version === ProgressStore.VERSION) {
+        return { ...ProgressStore.createEmpty(), ...saved };
+      }
+      if (!isProduction) console.warn(`Progress store: dropping unsupported schema version ${saved.version}`);
+      return ProgressStore.createEmpty();
+    }
+    save() {
+      this.data.updatedAt = new Date().toISOString();
+      try {
+        localStorage.setItem(ProgressStore.STORAGE_KEY, JSON.stringify(this.data));
+      } catch (error) {
+        ErrorHandler.logError(error, 'Progress store - save');
+      }
+    }
+    subscribe(listener) {
+      this.listeners.push(listener);
+    }
+    notify(change) {
+      this.listeners.forEach(listener => listener(change));
+    }
+    isDiscovered(objectId) {
+      return !!this.data.objects[objectId];
+    }
+    getDiscoveredIds() {
+      return Object.keys(this.data.objects);
+    }
+    getVisitedHexes() {
+      return Object.keys(this.data.hexes);
+    }
+    markDiscovered(objectId) {
+      if (!this.objectIds.has(objectId) || this.isDiscovered(objectId)) return false;
+      this.data.objects[objectId] = { discoveredAt: new Date().toISOString() };
+      this.save();
+      this.notify({ type: 'object', id: objectId });
+      return true;
+    }
+    markHexVisited(hexType) {
+      const now = new Date().toISOString();
+      const entry = this.data.hexes[hexType];
+      this.data.hexes[hexType] = { firstVisitedAt: entry?.firstVisitedAt || now, lastVisitedAt: now };
+      this.save();
+      if (!entry) this.notify({ type: 'hex', id: hexType });
+    }
+    hasAchievement(achievementId) {
+      return !!this.data.achievements[achievementId];
+    }
+    unlockAchievement(achievementId) {
+      this.data.achievements[achievementId] = { unlockedAt: new Date().toISOString() };
+      this.save();
+    }
+    reset() {
+      this.data = ProgressStore.createEmpty();
+      this.save();
+      this.notify({ type: 'reset' });
+    }
+  }
+  const world = await WorldManifest.load().catch(() => null);
+  // Without its manifest the island has nothing to show: say so instead of leaving the loading screen up
+  if (!world) {
+    ErrorHandler.showStartupFailure();
+    return;
+  }
+  const cameraPresets = await CameraPresets.load();
+  // Wait on the intro tour's first pose rather than the built-in entrance start
+  if (shouldUseCinematicStart && cameraPresets.hasTour('intro')) {
+    const { position, lookAt } = cameraPresets.keyframePose(cameraPresets.tours.intro.keyframes[0]);
+    camera.position.set(position.x, position.y, position.z);
+    camera.lookAt(lookAt.x, lookAt.y, lookAt.z);
+  }
+  const worldObjects = new Map(world.objects.map(object => [object.id, object]));
+  const skillFlowerIds = Array.from({ length: world.skillFlowers?.skills.length || 0 }, (_, index) => `skillFlower${index + 1}`);
+  // Hex type -> theme id
+  const hexThemes = Object.fromEntries(Object.entries(world.hexTypes).map(([type, hexType]) => [type, hexType.theme]));
+  const drawerModels = world.objects.map(object => object.id);
+  const drawers = [];
+  const drawerOriginalPositions = new Map();
+  // Picking only tests what was registered as interactive, on its own raycast layer: hex tiles answer
+  // through an invisible prism, objects through their own meshes, and scenery never enters the test.
+  // Each target keeps its bounds in its own local space, so a ray is first checked against that box
+  // (still valid while gsap moves the object) and only the boxes it crosses get a triangle test
+  const PICK_LAYER = 1;
+  raycaster.layers.set(PICK_LAYER);
+  class ScenePicker {
+    constructor() {
+      this.targets = [];
+      this.stats = { targets: 0, candidates: 0, meshTests: 0 };
+      this.inverseMatrix = new THREE.Matrix4();
+      this.localRay = new THREE.Ray();
+      this.entryPoint = new THREE.Vector3();
+    }
+    // collider defaults to the root's own meshes; pass a proxy mesh (already parented) to replace them.
+    // Ground targets only answer when no other target is under the pointer: a tile prism encloses
+    // the objects standing on the tile and would otherwise always be hit first. Whether the terrain
+    // hides an object is checked against the tile's own meshes instead (see isOccluded)
+    register(root, collider = root, { ground = false } = {}) {
+      if (this.targets.some(target => target.root === root)) return;
+      collider.traverse(child => {
+        if (!child.isMesh) return;
+        // Invisible proxies live on the pick layer alone, visible meshes stay on the render layer too
+        if (child.material && child.material.visible === false) child.layers.set(PICK_LAYER);
+        else child.layers.enable(PICK_LAYER);
+      });
+      this.targets.push({ root, collider, ground, localBounds: this.computeLocalBounds(root, collider) });
+      this.stats.targets = this.targets.length;
+    }
+    unregister(root) {
+      this.targets = this.targets.filter(target => target.root !== root);
+      this.stats.targets = this.targets.length;
+    }
+    computeLocalBounds(root, collider) {
+      root.updateWorldMatrix(true, true);
+      const toRoot = new THREE.Matrix4().copy(root.matrixWorld).invert();
+      const childToRoot = new THREE.Matrix4();
+      const meshBounds = new THREE.Box3();
+      const bounds = new THREE.Box3();
+      collider.traverse(child => {
+        if (!child.isMesh) return;
+        if (!child.geometry.boundingBox) child.geometry.computeBoundingBox();
+        childToRoot.multiplyMatrices(toRoot, child.matrixWorld);
+        bounds.union(meshBounds.copy(child.geometry.boundingBox).applyMatrix4(childToRoot));
+      });
+      return bounds;
+    }
+    // Returns the registered root under the pointer and the precise hit, or null
+    pick(pointer, camera) {
+      raycaster.setFromCamera(pointer, camera);
+      const candidates = [];
+      this.targets.forEach(target => {
+        // Hidden roots (language flowers waiting underground) can't be picked
+        if (!target.root.visible || target.localBounds.isEmpty()) return;
+        this.inverseMatrix.copy(target.root.matrixWorld).invert();
+        this.localRay.copy(raycaster.ray).applyMatrix4(this.inverseMatrix);
+        if (!this.localRay.intersectBox(target.localBounds, this.entryPoint)) return;
+        // A camera inside the box (a low zone pose within a tile's prism) enters it right away,
+        // intersectBox would answer with the exit point
+        if (target.localBounds.containsPoint(this.localRay.origin)) {
+          candidates.push({ target, distance: 0 });
+          return;
+        }
+        // Compare entry distances in world space, the root may be scaled
+        this.entryPoint.applyMatrix4(target.root.matrixWorld);
+        candidates.push({ target, distance: this.entryPoint.distanceTo(raycaster.ray.origin) });
+      });
+      candidates.sort((a, b) => a.distance - b.distance);
+      this.stats.candidates = candidates.length;
+      this.stats.meshTests = 0;
+      const groundCandidates = candidates.filter(({ target }) => target.ground);
+      const objectHit = this.nearestHit(candidates.filter(({ target }) => !target.ground));
+      if (objectHit && !this.isOccluded(objectHit.hit.distance, groundCandidates)) return objectHit;
+      return this.nearestHit(groundCandidates);
+    }
+    // True when a tile's terrain crosses the ray before distance, e.g. a hill in front of a
+    // low zone pose. Only tiles whose box starts nearer are tested, against their visible meshes
+    isOccluded(distance, groundCandidates) {
+      const hits = [];
+      const instanceMesh = new THREE.Mesh();
+      for (const { target, distance: entry } of groundCandidates) {
+        if (entry >= distance) break;
+        this.stats.meshTests++;
+        hits.length = 0;
+        // Instanced tiles draw through meshes shared with every placement, test only this tile's instance
+        (target.root.userData.instances || []).forEach(({ mesh, index }) => {
+          instanceMesh.geometry = mesh.geometry;
+          instanceMesh.material = mesh.material;
+          mesh.getMatrixAt(index, instanceMesh.matrixWorld);
+          instanceMesh.matrixWorld.premultiply(mesh.matrixWorld);
+          instanceMesh.raycast(raycaster, hits);
+        });
+        target.root.traverse(child => {
+          if (!child.isMesh || child.isInstancedMesh || child.material?.visible === false) return;
+          if (child === target.collider && target.collider !== target.root) return;
+          child.raycast(raycaster, hits);
+        });
+        if (hits.some(hit => hit.distance < distance)) return true;
+      }
+      return false;
+    }
+    nearestHit(candidates) {
+      let best = null;
+      for (const { target, distance } of candidates) {
+        // Nothing further away can beat a hit that is closer than this box
+        if (best && distance > best.hit.distance) break;
+        this.stats.meshTests++;
+        const [hit] = raycaster.intersectObject(target.collider, true);
+        if (hit && (!best || hit.distance < best.hit.distance)) best = { object: target.root, hit };
+      }
+      return best;
+    }
+  }
+  const scenePicker = new ScenePicker();
+  const skillFlowers = []; // One skillFlower per skill, indexed like languageFlowerData
+  const languageFlowers = []; // Language flowers rising above them, same indexes
+  // One language flower per skill in world.json (skillFlowers.skills), in grid order: row by row
+  // from the top-left of the Skills hex, see generateSkillFlowersGrid
+  const languageFlowerData = (world.skillFlowers?.skills || []).map((skill, index) => ({
+    ...skill,
+    gridPosition: `position-${index}`
+  }));
+  const activeLanguageFlowers = new Set(); // Track which language flowers are currently visible
+  const languageFlowerRotations = new Map(); // Track rotation animations
+  const stayUpSkillFlowers = new Set(); // Track which skill flowers should stay up permanently
+  const stayUpLanguageFlowers = new Set(); // Track which language flowers should stay up permanently
+  function initializeFreshState() {
+    // Stop the language flower tweens tracked by the state reset below; the other animations
+    // (camera, UI, ocean) belong to their own owners and keep running
+    languageFlowerRotations.forEach(rotationAnim => rotationAnim.kill());
+    languageFlowers.forEach(languageFlower => gsap.killTweensOf([languageFlower.position, languageFlower.rotation]));
+    // Clear all persistent states to ensure clean startup on each page load
+    activeLanguageFlowers.clear();
+    languageFlowerRotations.clear();
+    stayUpSkillFlowers.clear();
+    stayUpLanguageFlowers.clear();
+    // Reset hover tracking
+    currentHoveredSkillFlowerIndex = null;
+    hoveredDrawer = null;
+    if (!isProduction) console.log('Portfolio state initialized fresh for this session');
+  }
+  // Initialize fresh state immediately
+  initializeFreshState();
+  // Helper function to get language flower info by grid index
+  function getLanguageFlowerInfo(gridIndex) {
+    if (gridIndex >= 0 && gridIndex < languageFlowerData.length) {
+      return languageFlowerData[gridIndex];
+    }
+    return null;
+  }
+  // Helper function to get language flower info by name
+  function getLanguageFlowerByName(name) {
+    return languageFlowerData.find(flower => flower.name === name);
+  }
+  const objectRegistry = new ObjectRegistry();
+  world.objects.forEach(object => objectRegistry.register(object));
+  skillFlowerIds.forEach((id, index) => {
+    const skill = languageFlowerData[index];
+    objectRegistry.register({
+      id,
+      label: skill.displayName,
+      tooltip: { text: skill.description, tags: skill.years === undefined ? [skill.category] : [skill.category, t('tooltip.years', { count: skill.years })] },
+      hex: world.skillFlowers.hex,
+      model: world.skillFlowers.model,
+      click: 'discover',
+      hoverAnimation: true,
+      // Opened from the language flower rising above it, see openSkillCard
+      modal: { id: `${skill.name}SkillModal`, style: 'skill' },
+      skill
+    });
+  });
+  const modalManager = new ModalManager(objectRegistry);
+  const animatedDrawers = objectRegistry.filter(entry => entry.hoverAnimation).map(entry => entry.id); // Drawers that animate on hover
+  // Tables below are derived from the world manifest (public/data/world.json)
+  const drawerThemes = Object.fromEntries([
+    ...world.objects.map(object => [object.id, hexThemes[object.hex]]),
+    ...skillFlowerIds.map(id => [id, hexThemes[world.skillFlowers.hex]])
+  ]);
+  const hexNames = Object.fromEntries(Object.entries(world.hexTypes).map(([type, hexType]) => [type, hexType.name]));
+  const objectsByHex = Object.fromEntries(Object.keys(world.hexTypes).map(type => [type, []]));
+  world.objects.forEach(object => objectsByHex[object.hex].push(object.id));
+  if (world.skillFlowers) objectsByHex[world.skillFlowers.hex].push(...skillFlowerIds);
+  const portfolioExperiences = [...world.objects.map(object => object.id), ...skillFlowerIds];
+  const progressStore = new ProgressStore(portfolioExperiences);
+  // Unread state is restored from the previous visits
+  const unreadDrawers = new Set(portfolioExperiences.filter(id => !progressStore.isDiscovered(id)));
+  window.getCurrentActiveHexType = () => currentActiveHexType;
+  window.getHoveredDrawer = () => hoveredDrawer;
+  window.getUnreadDrawers = () => unreadDrawers;
+  window.getUnreadCountForTheme = getUnreadCountForTheme;
+  // Global portfolio state
+  const portfolioVisitedExperiences = new Set(progressStore.getDiscoveredIds());
+  // Camera target positions for click-animated drawers
+  const drawerCameraTargets = Object.fromEntries(world.objects.filter(object => object.cameraTarget).map(object => [object.id, object.cameraTarget]));
+  function setupLighting() {
+    // Main directional light (golden hour sun) - warm golden tones
+    const directionalLight = new THREE.DirectionalLight(0xffb347, 3.8); // Slightly reduced intensity
+    directionalLight.position.set(15, 20, 10); // Lower angle for golden hour
+    directionalLight.castShadow = true;
+    // Improved shadow settings
+    directionalLight.shadow.mapSize.width = CONFIG.RENDERER.SHADOW_MAP_SIZE;
+    directionalLight.shadow.mapSize.height = CONFIG.RENDERER.SHADOW_MAP_SIZE;
+    directionalLight.shadow.camera.near = 0.5;
+    directionalLight.shadow.camera.far = 100;
+    directionalLight.shadow.camera.left = -20;
+    directionalLight.shadow.camera.right = 20;
+    directionalLight.shadow.camera.top = 20;
+    directionalLight.shadow.camera.bottom = -20;
+    directionalLight.shadow.bias = -0.0001;
+    directionalLight.shadow.normalBias = 0.02;
+    scene.add(directionalLight);
+    // Ambient light with golden hour warmth
+    const ambientLight = new THREE.AmbientLight(0xffd4a3, 0.8); // Warm golden ambient
+    scene.add(ambientLight);
+    // Key fill light - golden rim lighting
+    const keyLight = new THREE.PointLight(0xffa500, 3.0, 60); // Orange golden light
+    keyLight.position.set(10, 18, 12);
+    keyLight.castShadow = true;
+    keyLight.shadow.mapSize.width = 1024;
+    keyLight.shadow.mapSize.height = 1024;
+    keyLight.shadow.camera.near = 0.1;
+    keyLight.shadow.camera.far = 60;
+    keyLight.shadow.bias = -0.0001;
+    scene.add(keyLight);
+    // Secondary warm light for depth
+    const secondaryLight = new THREE.PointLight(0xff8c42, 2.5, 45);
+    secondaryLight.position.set(-8, 15, 8);
+    scene.add(secondaryLight);
+    // Hemisphere light for natural golden hour atmosphere
+    const hemiLight = new THREE.HemisphereLight(0xffd4a3, 0xd2691e, 0.7); // Golden sky to warm ground
+    hemiLight.position.set(0, 50, 0);
+    scene.add(hemiLight);
+    // Warm back light for atmospheric glow
+    const backLight = new THREE.PointLight(0xffc649, 2.0, 35);
+    backLight.position.set(-12, 8, -15);
+    scene.add(backLight);
+    // Subtle accent light for underwater areas
+    const accentLight = new THREE.PointLight(0x4da6ff, 1.2, 25); // Cooler blue for contrast
+    accentLight.position.set(0, -1, 0);
+    scene.add(accentLight);
+    // Lights whose shadows the quality manager scales
+    return { directionalLight, keyLight };
+  }
+  const sceneLights = setupLighting();
+  scene.fog = new THREE.Fog(CONFIG.SCENE.FOG_COLOR, CONFIG.SCENE.FOG_NEAR, CONFIG.SCENE.FOG_FAR);
+  const hexMap = world.hexes.map(hex => ({ ...hex }));
+  // 2D replacement for the scene when WebGL is missing or too many models fail to load:
+  // an SVG hex map drawn from hexMap, whose zones open the same sidepages and modals
+  class FallbackMap {
+    static HEX_SIZE = 40; // SVG units per world unit
+    static failedModels = [];
+    static active = false;
+    static reportModelFailure(context) {
+      this.failedModels.push(context);
+      if (this.failedModels.length >= CONFIG.FALLBACK.MAX_FAILED_MODELS) {
+        this.activate(`${this.failedModels.length} models failed to load`);
+      }
+    }
+    static activate(reason) {
+      if (this.active) return;
+      this.active = true;
+      ErrorHandler.logError(new Error(reason), 'Fallback - switching to 2D map');
+      appState.transition('fallback', { reason });
+      // The loading overlay waits for this flag before letting the visitor in
+      sessionStorage.setItem('portfolioAssetsLoaded', 'true');
+      document.body.appendChild(this.build());
+    }
+    static build() {
+      const container = document.createElement('div');
+      container.id = 'fallbackMap';
+      container.style.cssText = `
+        position: fixed; top: 0; left: 0; width: 100vw; height: 100vh; z-index: 1500;
+        background: #10202b; color: #fff; font-family: 'Segoe UI', sans-serif;
+        display: flex; flex-wrap: wrap; align-items: center; justify-content: center;
+        gap: 24px; padding: 24px; box-sizing: border-box; overflow: auto;
+      `;
+      const header = document.createElement('div');
+      header.style.cssText = 'width: 100%; text-align: center;';
+      header.innerHTML = `
+        <h1 style="margin: 0 0 8px; font-size: 1.6rem;">${t('fallback.title')}</h1>
+        <p style="margin: 0; opacity: 0.8;">${t('fallback.intro')}</p>
+      `;
+      header.appendChild(createLanguageSwitch());
+      const panel = document.createElement('div');
+      panel.id = 'fallbackZonePanel';
+      panel.setAttribute('aria-live', 'polite');
+      panel.style.cssText = 'width: min(90vw, 320px); min-height: 120px;';
+      panel.innerHTML = `<p style="opacity: 0.8;">${t('fallback.selectZone')}</p>`;
+      container.appendChild(header);
+      container.appendChild(this.buildSvg());
+      container.appendChild(panel);
+      return container;
+    }
+    static buildSvg() {
+      const ns = 'http://www.w3.org/2000/svg';
+      const size = this.HEX_SIZE;
+      const centers = hexMap.map(hex => {
+        const { x, z } = hexToWorld(hex.q, hex.r);
+        return { hex, x: x * size, y: z * size };
+      });
+      const minX = Math.min(...centers.map(c => c.x)) - size;
+      const maxX = Math.max(...centers.map(c => c.x)) + size;
+      const minY = Math.min(...centers.map(c => c.y)) - size;
+      const maxY = Math.max(...centers.map(c => c.y)) + size;
+      const svg = document.createElementNS(ns, 'svg');
+      svg.setAttribute('viewBox', `${minX} ${minY} ${maxX - minX} ${maxY - minY}`);
+      svg.setAttribute('role', 'group');
+      svg.setAttribute('aria-label', t('fallback.mapLabel'));
+      svg.style.cssText = 'width: min(90vw, 640px); height: auto;';
+      centers.forEach(({ hex, x, y }) => {
+        const objectCount = getObjectsForHex(hex.type).length;
+        const group = document.createElementNS(ns, 'g');
+        group.setAttribute('role', 'button');
+        group.setAttribute('tabindex', '0');
+        group.setAttribute('aria-label', t('fallback.zoneLabel', { zone: getHexDisplayName(hex.type), count: objectCount }));
+        group.style.cursor = 'pointer';
+        // Pointy-top corners, matching the axial layout of hexToWorld
+        const points = Array.from({ length: 6 }, (_, i) => {
+          const angle = Math.PI / 180 * (60 * i - 30);
+          return `${x + Math.cos(angle) * size * 0.95},${y + Math.sin(angle) * size * 0.95}`;
+        }).join(' ');
+        const polygon = document.createElementNS(ns, 'polygon');
+        polygon.setAttribute('points', points);
+        polygon.setAttribute('fill', world.hexTypes[hex.type].color || '#607d8b');
+        polygon.setAttribute('stroke', '#10202b');
+        polygon.setAttribute('stroke-width', '2');
+        group.appendChild(polygon);
+        const title = document.createElementNS(ns, 'title');
+        title.textContent = getHexDisplayName(hex.type);
+        group.appendChild(title);
+        if (objectCount > 0) {
+          const label = document.createElementNS(ns, 'text');
+          label.setAttribute('x', x);
+          label.setAttribute('y', y + 5);
+          label.setAttribute('text-anchor', 'middle');
+          label.setAttribute('fill', '#fff');
+          label.setAttribute('font-size', '14');
+          label.setAttribute('pointer-events', 'none');
+          label.textContent = objectCount;
+          group.appendChild(label);
+        }
+        group.addEventListener('click', () => this.showZone(hex.type));
+        group.addEventListener('keydown', (event) => {
+          if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            this.showZone(hex.type);
+          }
+        });
+        svg.appendChild(group);
+      });
+      return svg;
+    }
+    static showZone(hexType) {
+      const panel = document.getElementById('fallbackZonePanel');
+      panel.innerHTML = '';
+      const title = document.createElement('h2');
+      title.textContent = getHexDisplayName(hexType);
+      title.style.cssText = 'margin: 0 0 12px; font-size: 1.2rem;';
+      panel.appendChild(title);
+      const objectIds = getObjectsForHex(hexType);
+      if (!objectIds.length) {
+        panel.insertAdjacentHTML('beforeend', `<p style="opacity: 0.8;">${t('fallback.emptyZone')}</p>`);
+        return;
+      }
+      objectIds.forEach(objectId => {
+        const entry = objectRegistry.get(objectId);
+        // Modals (pages or skill cards) and info fragments both open in 2D
+        const opens = Boolean(entry.modal || entry.info);
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = entry.label;
+        button.disabled = !opens;
+        button.title = opens ? '' : t('fallback.only3d');
+        button.style.cssText = `
+          display: block; width: 100%; margin: 6px 0; padding: 10px 12px; text-align: left;
+          background: rgba(255,255,255,0.08); color: #fff; border: 1px solid rgba(255,255,255,0.2);
+          border-radius: 8px; cursor: ${opens ? 'pointer' : 'default'}; opacity: ${opens ? 1 : 0.5};
+        `;
+        button.addEventListener('click', () => this.openObject(objectId));
+        panel.appendChild(button);
+      });
+    }
+    static openObject(objectId) {
+      const entry = objectRegistry.get(objectId);
+      if (entry.modal) {
+        modalManager.open(objectId);
+        return;
+      }
+      // Hover-only info cards (drawers) get a plain modal in 2D
+      const modalId = `${objectId}InfoModal`;
+      if (!entry.info || document.getElementById(modalId)) return;
+      const { modal, content } = createModalBase(modalId);
+      const iframe = document.createElement('iframe');
+      iframe.src = entry.info;
+      iframe.style.cssText = 'width: 100%; height: 100%; border: none; background: #fff;';
+      content.appendChild(iframe);
+      document.body.appendChild(modal);
+    }
+  }
+  // Wraps GLB loads so repeated failures can switch the page to the 2D map
+  function trackModelLoad(promise, context) {
+    return ErrorHandler.handleAsyncError(promise, context).then(result => {
+      if (result === null) FallbackMap.reportModelFailure(context);
+      return result;
+    });
+  }
+  // Without WebGL the scene cannot start: hand over to the 2D map, the rest of startPortfolio
+  // builds the 3D island
+  if (!webGLSupported) {
+    FallbackMap.activate('WebGL not supported');
+    return;
+  }
+  let totalAssetsToLoad = 0;
+  let assetsLoaded = 0;
+  let allAssetsLoaded = false;
+  function incrementTotalAssets() {
+    totalAssetsToLoad++;
+  }
+  function markAssetLoaded() {
+    assetsLoaded++;
+    if (!isProduction) {
+      console.log(`Asset loaded: ${assetsLoaded}/${totalAssetsToLoad}`);
+    }
+    if (assetsLoaded === totalAssetsToLoad && !allAssetsLoaded) {
+      allAssetsLoaded = true;
+      if (!isProduction) console.log('All assets loaded successfully');
+      // Signal to loading page that portfolio assets are ready
+      sessionStorage.setItem('portfolioAssetsLoaded', 'true');
+      onAllAssetsLoaded();
+    }
+  }
+  function startCinematicEntrance() {
+    if (!isProduction) {
+      console.log('=== STARTING UNDERWATER EMERGENCE CINEMATIC ===');
+    }
+    // Enter cinematic mode and disable cursor interactions
+    appState.transition('cinematic');
+    document.body.style.cursor = 'wait';
+    // An intro tour saved from the camera editor replaces the emergence below
+    if (cameraPresets.hasTour('intro')) {
+      cameraPresets.playTour('intro', { onComplete: finishCinematicEntrance });
+      return true;
+    }
+    // Underwater emergence parameters
+    const centerX = 0;
+    const centerZ = 0;
+    const finalRadius = 7.5; // Final orbital distance
+    const finalHeight = 6; // Final camera height
+    const emergenceDuration = 4; // 4 seconds for underwater emergence
+    // Final position in front of the island (90°)
+    const finalAngle = Math.PI / 2;
+    const finalX = centerX + finalRadius * Math.cos(finalAngle);
+    const finalZ = centerZ + finalRadius * Math.sin(finalAngle);
+    // Starting position: further back and at sea level
+    const startDistance = 12; // Start further away
+    const startX = centerX + startDistance * Math.cos(finalAngle);
+    const startY = 0; // Start at sea level
+    const startZ = centerZ + startDistance * Math.sin(finalAngle);
+    // Look at center of the island (better visual experience)
+    const lookAtCenter = { x: centerX, y: 0.3, z: centerZ };
+    // Set initial position
+    camera.position.set(startX, startY, startZ);
+    camera.lookAt(lookAtCenter.x, lookAtCenter.y, lookAtCenter.z);
+    // Create underwater emergence animation
+    gsap.to(camera.position, {
+      x: finalX,
+      y: finalHeight,
+      z: finalZ,
+      duration: emergenceDuration,
+      ease: "power2.out", // Slow start, fast finish (like surfacing)
+      onUpdate: function() {
+        // Always look at the center during emergence
+        camera.lookAt(lookAtCenter.x, lookAtCenter.y, lookAtCenter.z);
+      },
+      onComplete: () => {
+        // Animation complete - now look at center and enable controls
+        camera.lookAt(lookAtCenter.x, lookAtCenter.y, lookAtCenter.z);
+        // Sync lookAtTarget with the actual camera look-at direction
+        lookAtTarget.x = lookAtCenter.x;
+        lookAtTarget.y = lookAtCenter.y;
+        lookAtTarget.z = lookAtCenter.z;
+        finishCinematicEntrance();
+      }
+    });
+    return true; // Animation started
+  }
+  // Hands the camera to the visitor once the entrance (built-in or intro tour) ends
+  function finishCinematicEntrance() {
+    if (!isProduction) console.log('Cinematic entrance complete - controls enabled');
+    appState.transition('orbit');
+    document.body.style.cursor = 'default';
+    // Update orbital camera angle to current position
+    updateCameraAngleFromPosition();
+    // Land on the zone or object named in the URL, if any
+    hashRouter.restore();
+  }
+  function onAllAssetsLoaded() {
+    // Signal that portfolio assets are loaded
+    sessionStorage.setItem('portfolioAssetsLoaded', 'true');
+    if (!isProduction) console.log('Assets loaded, waiting for overlay to be manually dismissed...');
+    // Set global flag for guide system
+    window.allAssetsLoaded = true;
+    // Ensure fresh state after all assets are loaded
+    initializeFreshState();
+    // Initialize badges once all assets are loaded
+    updateThemeUnreadBadges();
+    // Initialize hex info display
+    initHexInfo();
+    // Initialize portfolio experience system
+    initPortfolioExperience();
+    // Wait for loading overlay to be hidden before starting cinematic animation
+    function checkAndStartCinematic() {
+      const overlayHidden = sessionStorage.getItem('loadingOverlayHidden');
+      const overlayElement = document.getElementById('loadingOverlay');
+      const videoTransitionComplete = sessionStorage.getItem('videoTransitionComplete');
+      // Double check - ensure overlay is actually hidden
+      const isOverlayActuallyHidden = overlayHidden === 'true' &&
+        (!overlayElement || overlayElement.classList.contains('hidden'));
+      // Start animation when overlay is hidden, regardless of video state
+      if (isOverlayActuallyHidden) {
+        if (!isProduction) console.log('Overlay confirmed hidden, starting cinematic animation immediately...');
+        // Clean up the video transition flag
+        if (videoTransitionComplete) {
+          sessionStorage.removeItem('videoTransitionComplete');
+        }
+        // Wait for a modal opened from the loading screen to be closed first
+        if (appState.is('modalOpen')) {
+          setTimeout(checkAndStartCinematic, 50);
+          return;
+        }
+        // Minimal delay to ensure everything is ready
+        setTimeout(() => {
+          startCinematicEntrance();
+        }, 50); // Very short delay for immediate response
+      } else {
+        // Check again in 50ms for faster response
+        setTimeout(checkAndStartCinematic, 50);
+      }
+    }
+    // Start checking for overlay hidden signal
+    checkAndStartCinematic();
+  }
+  // Rendering quality tiers, picked from sustained FPS in auto mode or forced from the settings panel.
+  // Antialiasing is a context attribute, so a tier change only affects it on the next visit
+  class QualityManager {
+    static STORAGE_KEY = 'portfolioQuality';
+    static MODES = ['auto', 'low', 'medium', 'high'];
+    static ORDER = ['low', 'medium', 'high'];
+    static TIERS = {
+      low: { shadowMapSize: 512, maxPixelRatio: 1, pointLightShadows: false, ocean: 'low', antialias: false },
+      medium: { shadowMapSize: 1024, maxPixelRatio: 1.5, pointLightShadows: false, ocean: 'medium', antialias: true },
+      high: { shadowMapSize: CONFIG.RENDERER.SHADOW_MAP_SIZE, maxPixelRatio: 2, pointLightShadows: true, ocean: 'high', antialias: true }
+    };
+    // Last mode and tier chosen on this device; first visits start high on desktop, medium on touch devices
+    static loadSettings() {
+      const fallback = { mode: 'auto', tier: isMobileDevice ? 'medium' : 'high' };
+      try {
+        const saved = JSON.parse(localStorage.getItem(QualityManager.STORAGE_KEY));
+        if (saved && QualityManager.MODES.includes(saved.mode) && QualityManager.TIERS[saved.tier]) return saved;
+      } catch (error) {
+        ErrorHandler.logError(error, 'Quality settings - load');
+      }
+      return fallback;
+    }
+    constructor(renderer, lights, monitor) {
+      this.renderer = renderer;
+      this.lights = lights;
+      const { mode, tier } = QualityManager.loadSettings();
+      this.mode = mode;
+      this.tier = tier;
+      this.lowSeconds = 0;
+      this.highSeconds = 0;
+      this.upgradeSeconds = CONFIG.QUALITY.UPGRADE_SECONDS;
+      this.listeners = [];
+      this.apply(this.tier);
+      monitor.onSample(fps => this.handleSample(fps));
+    }
+    onChange(listener) {
+      this.listeners.push(listener);
+    }
+    save() {
+      try {
+        localStorage.setItem(QualityManager.STORAGE_KEY, JSON.stringify({ mode: this.mode, tier: this.tier }));
+      } catch (error) {
+        ErrorHandler.logError(error, 'Quality settings - save');
+      }
+    }
+    apply(tierName) {
+      const tier = QualityManager.TIERS[tierName];
+      this.tier = tierName;
+      this.renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, tier.maxPixelRatio));
+      const { shadow } = this.lights.directionalLight;
+      if (shadow.mapSize.width !== tier.shadowMapSize) {
+        shadow.mapSize.set(tier.shadowMapSize, tier.shadowMapSize);
+        // Drop the old render target so three.js allocates one at the new size
+        shadow.map?.dispose();
+        shadow.map = null;
+      }
+      this.lights.keyLight.castShadow = tier.pointLightShadows;
+      setOceanQuality(tier.ocean);
+      this.save();
+      if (!isProduction) console.log(`Quality tier: ${tierName} (${this.mode})`);
+      this.listeners.forEach(listener => listener({ mode: this.mode, tier: tierName }));
+    }
+    setMode(mode) {
+      if (!QualityManager.MODES.includes(mode)) {
+        console.warn(`Unknown quality mode "${mode}"`);
+        return;
+      }
+      this.mode = mode;
+      this.lowSeconds = 0;
+      this.highSeconds = 0;
+      this.apply(mode === 'auto' ? this.tier : mode);
+    }
+    step(direction) {
+      const index = QualityManager.ORDER.indexOf(this.tier) + direction;
+      if (index < 0 || index >= QualityManager.ORDER.length) return;
+      this.lowSeconds = 0;
+      this.highSeconds = 0;
+      this.apply(QualityManager.ORDER[index]);
+    }
+    handleSample(fps) {
+      // Loading stalls and the entrance cinematic say nothing about steady-state rendering
+      if (this.mode !== 'auto' || !appState.is('orbit', 'zoneFocus', 'objectFocus', 'modalOpen')) return;
+      this.lowSeconds = fps < CONFIG.QUALITY.LOW_FPS ? this.lowSeconds + 1 : 0;
+      this.highSeconds = fps >= CONFIG.QUALITY.HIGH_FPS ? this.highSeconds + 1 : 0;
+      if (this.lowSeconds >= CONFIG.QUALITY.DOWNGRADE_SECONDS) {
+        // Wait longer before the next step up so a tier that cannot hold its frame rate is not retried every few seconds
+        this.upgradeSeconds = Math.min(this.upgradeSeconds * 2, CONFIG.QUALITY.MAX_UPGRADE_SECONDS);
+        this.step(-1);
+      } else if (this.highSeconds >= this.upgradeSeconds) {
+        this.step(1);
+      }
+    }
+    createSettingsPanel() {
+      const button = document.createElement('button');
+      button.id = 'qualitySettingsButton';
+      button.type = 'button';
+      button.textContent = '⚙️';
+      button.title = t('quality.title');
+      button.setAttribute('aria-label', t('quality.settings'));
+      button.setAttribute('aria-expanded', 'false');
+      button.style.cssText = `
+        position: fixed;
+        bottom: 20px;
+        right: 20px;
+        z-index: 1000;
+        width: 44px;
+        height: 44px;
+        border-radius: 22px;
+        border: 1px solid rgba(255, 255, 255, 0.2);
+        background: rgba(0, 0, 0, 0.7);
+        backdrop-filter: blur(10px);
+        color: #fff;
+        font-size: 20px;
+        cursor: pointer;
+        box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+      `;
+      const panel = document.createElement('div');
+      panel.id = 'qualitySettingsPanel';
+      panel.style.cssText = `
+        position: fixed;
+        bottom: 72px;
+        right: 20px;
+        z-index: 1000;
+        display: none;
+        min-width: 200px;
+        padding: 14px 18px;
+        border-radius: 15px;
+        border: 1px solid rgba(255, 255, 255, 0.2);
+        background: rgba(0, 0, 0, 0.7);
+        backdrop-filter: blur(10px);
+        color: #fff;
+        font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+        font-size: 14px;
+        box-shadow: 0 8px 32px rgba(0, 0, 0, 0.3);
+      `;
+      const labels = Object.fromEntries(QualityManager.MODES.map(mode => [mode, t(`quality.modes.${mode}`)]));
+      panel.innerHTML = `
+        <fieldset style="border: none; margin: 0; padding: 0;">
+          <legend style="font-weight: bold; margin-bottom: 8px; color: #ffd4a3;">${t('quality.title')}</legend>
+          ${QualityManager.MODES.map(mode => `
+            <label style="display: block; padding: 4px 0; cursor: pointer;">
+              <input type="radio" name="qualityMode" value="${mode}"> ${labels[mode]}
+            </label>`).join('')}
+        </fieldset>
+        <div id="qualityStatus" style="margin-top: 8px; font-size: 12px; opacity: 0.75;"></div>
+      `;
+      const status = panel.querySelector('#qualityStatus');
+      const refresh = () => {
+        panel.querySelectorAll('input[name="qualityMode"]').forEach(input => {
+          input.checked = input.value === this.mode;
+        });
+        const fps = performanceMonitor.getFPS();
+        let text = `${t('quality.current', { tier: labels[this.tier] })}${fps ? ` · ${fps} FPS` : ''}`;
+        if (QualityManager.TIERS[this.tier].antialias !== this.renderer.getContextAttributes()?.antialias) {
+          text += `<br>${t('quality.antialiasNextVisit')}`;
+        }
+        status.innerHTML = text;
+      };
+      panel.addEventListener('change', (event) => {
+        if (event.target.name === 'qualityMode') this.setMode(event.target.value);
+      });
+      button.addEventListener('click', (event) => {
+        event.stopPropagation();
+        const open = panel.style.display === 'none';
+        panel.style.display = open ? 'block' : 'none';
+        button.setAttribute('aria-expanded', String(open));
+        if (open) refresh();
+      });
+      this.onChange(refresh);
+      performanceMonitor.onSample(() => {
+        if (panel.style.display !== 'none') refresh();
+      });
+      // Keep clicks and touches on the panel away from the 3D scene
+      [button, panel].forEach(element => {
+        ['click', 'mousedown', 'touchstart', 'touchmove', 'touchend'].forEach(type => {
+          element.addEventListener(type, (event) => event.stopPropagation());
+        });
+      });
+      document.body.appendChild(button);
+      document.body.appendChild(panel);
+    }
+  }
+  const qualitySettings = QualityManager.loadSettings();
+  const renderer = new THREE.WebGLRenderer({ antialias: QualityManager.TIERS[qualitySettings.tier].antialias, alpha: true });
+  renderer.setSize(window.innerWidth, window.innerHeight);
+  renderer.shadowMap.enabled = true;
+  renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+  renderer.toneMapping = THREE.ACESFilmicToneMapping;
+  renderer.toneMappingExposure = CONFIG.RENDERER.TONE_MAPPING_EXPOSURE;
+  renderer.outputColorSpace = THREE.SRGBColorSpace;
+  renderer.useLegacyLights = false; // Modern lighting
+  document.body.appendChild(renderer.domElement);
+  // Fetches GLB models in priority order with a few requests in flight: the island shell first
+  // (it gates the entrance), then zone contents in the background. A zone the camera heads to jumps
+  // the queue, pre-empting other zones' in-flight loads, which are aborted and re-queued.
+  // Bytes are counted as they arrive, failed downloads are retried with backoff, and once everything
+  // has settled the assets that had to be substituted or skipped are reported
+  class AssetStreamer {
+    static DEFAULT_SIZE = 500 * 1024; // Assumed size of a model until one response tells us better
+    constructor(gltfLoader, maxConcurrent) {
+      this.loader = gltfLoader;
+      this.maxConcurrent = maxConcurrent;
+      this.queue = [];
+      this.active = new Map(); // job -> AbortController
+      this.shellJobs = [];
+      this.zones = new Map(); // hex type -> { loaded, total }
+      this.focusedZone = null;
+      this.sequence = 0;
+      this.retrying = 0;
+      this.cancelled = false;
+      this.failures = [];
+      this.reported = false;
+      this.listeners = [];
+      this.progressListeners = [];
+    }
+    // Same callbacks as GLTFLoader.load; `shell` loads go first, `zone` groups loads for progress and focus,
+    // `label` names the asset in progress and reports, `fallback` says what replaces it if it never loads
+    load(url, { shell = false, zone = null, label = url, fallback = null } = {}, onLoad, onError) {
+      const job = { url, shell, zone, label, fallback, onLoad, onError, sequence: this.sequence++, attempts: 0, loaded: 0, total: 0, settled: false };
+      if (shell) this.shellJobs.push(job);
+      if (zone) {
+        const progress = this.zones.get(zone) || { loaded: 0, total: 0 };
+        progress.total++;
+        this.zones.set(zone, progress);
+        this.notify(zone);
+      }
+      this.queue.push(job);
+      this.pump();
+    }
+    priority(job) {
+      if (job.shell) return 0;
+      return job.zone === this.focusedZone ? 1 : 2;
+    }
+    pump() {
+      this.queue.sort((a, b) => this.priority(a) - this.priority(b) || a.sequence - b.sequence);
+      while (this.active.size < this.maxConcurrent && this.queue.length > 0) {
+        this.start(this.queue.shift());
+      }
+    }
+    start(job) {
+      const controller = new AbortController();
+      this.active.set(job, controller);
+      job.loaded = 0;
+      fetch(job.url, { signal: controller.signal })
+        .then(response => {
+          if (!response.ok) {
+            const error = new Error(`HTTP ${response.status} for ${job.url}`);
+            error.status = response.status;
+            throw error;
+          }
+          job.total = Number(response.headers.get('content-length')) || 0;
+          return response.body ? this.readBody(job, response.body.getReader()) : response.arrayBuffer();
+        })
+        .then(buffer => new Promise((resolve, reject) => {
+          this.loader.parse(buffer, THREE.LoaderUtils.extractUrlBase(job.url), resolve, reject);
+        }))
+        .then(
+          gltf => {
+            // Pre-empted while parsing: the re-queued attempt will deliver it
+            if (this.active.get(job) !== controller) return;
+            this.settle(job);
+            job.onLoad(gltf);
+          },
+          error => {
+            if (error.name === 'AbortError' || this.active.get(job) !== controller) return;
+            this.active.delete(job);
+            if (this.retry(job, error)) return;
+            this.settle(job, error);
+            job.onError(error);
+          }
+        );
+    }
+    async readBody(job, reader) {
+      const chunks = [];
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        job.loaded += value.byteLength;
+        // Compressed responses announce fewer bytes than the decoded body holds
+        job.total = Math.max(job.total, job.loaded);
+        this.notifyProgress();
+      }
+      return new Blob(chunks).arrayBuffer();
+    }
+    // Try again later unless the file is missing or the retries are used up
+    retry(job, error) {
+      const clientError = error.status >= 400 && error.status < 500;
+      if (clientError || job.attempts >= CONFIG.STREAMING.MAX_RETRIES) return false;
+      const delay = CONFIG.STREAMING.RETRY_DELAY * 2 ** job.attempts;
+      job.attempts++;
+      job.loaded = 0;
+      console.warn(`Loading ${job.label} failed (${error.message}), retrying in ${delay}ms`);
+      this.retrying++;
+      setTimeout(() => {
+        this.retrying--;
+        if (this.cancelled) return;
+        this.queue.push(job);
+        this.pump();
+      }, delay);
+      this.pump();
+      return true;
+    }
+    settle(job, error = null) {
+      this.active.delete(job);
+      job.settled = true;
+      if (error) this.recordFailure(job.label, job.fallback, error);
+      if (job.zone) {
+        this.zones.get(job.zone).loaded++;
+        this.notify(job.zone);
+      }
+      this.notifyProgress();
+      this.pump();
+      if (!this.reported && this.queue.length === 0 && this.active.size === 0 && this.retrying === 0) {
+        this.reported = true;
+        this.reportSummary();
+      }
+    }
+    // Also used for assets loaded outside the streamer, such as the environment texture
+    recordFailure(label, fallback, error) {
+      this.failures.push({ label, fallback, error: error?.message || String(error) });
+      if (this.reported) console.warn(`Asset could not be loaded after the summary: ${label}`);
+    }
+    getFailures() {
+      return [...this.failures];
+    }
+    reportSummary() {
+      if (this.failures.length === 0) {
+        console.log('All streamed assets loaded successfully');
+        return;
+      }
+      const lines = this.failures.map(({ label, fallback, error }) => `- ${label}: ${fallback ? `replaced by ${fallback}` : 'not shown'} (${error})`);
+      console.warn(`${this.failures.length} asset(s) could not be loaded:\n${lines.join('\n')}`);
+    }
+    // Byte totals across the island shell; sizes not known yet are estimated from the known ones
+    getShellProgress() {
+      const known = this.shellJobs.filter(job => job.total > 0);
+      const averageSize = known.length > 0
+        ? known.reduce((sum, job) => sum + job.total, 0) / known.length
+        : AssetStreamer.DEFAULT_SIZE;
+      let loaded = 0;
+      let total = 0;
+      this.shellJobs.forEach(job => {
+        const size = job.total || averageSize;
+        total += size;
+        loaded += job.settled ? size : Math.min(job.loaded, size);
+      });
+      const current = [...this.active.keys()].find(job => job.shell) || [...this.active.keys()][0];
+      return { loaded, total, fraction: total > 0 ? loaded / total : 0, label: current?.label || null };
+    }
+    onProgress(listener) {
+      this.progressListeners.push(listener);
+    }
+    notifyProgress() {
+      const progress = this.getShellProgress();
+      this.progressListeners.forEach(listener => listener(progress));
+    }
+    focusZone(zone) {
+      this.focusedZone = zone;
+      const waiting = this.queue.filter(job => job.zone === zone).length;
+      const freeSlots = this.maxConcurrent - this.active.size;
+      if (waiting === 0 || freeSlots >= waiting) {
+        this.pump();
+        return;
+      }
+      [...this.active.keys()]
+        .filter(job => !job.shell && job.zone !== zone)
+        .slice(0, waiting - freeSlots)
+        .forEach(job => {
+          this.active.get(job).abort();
+          this.active.delete(job);
+          this.queue.push(job);
+        });
+      this.pump();
+    }
+    // Drop everything still pending, e.g. once the 2D map has replaced the scene
+    cancelAll() {
+      this.cancelled = true;
+      this.queue = [];
+      this.active.forEach(controller => controller.abort());
+      this.active.clear();
+    }
+    isZoneLoading(zone) {
+      const progress = this.zones.get(zone);
+      return !!progress && progress.loaded < progress.total;
+    }
+    getZoneProgress(zone) {
+      return this.zones.get(zone) || { loaded: 0, total: 0 };
+    }
+    onZoneProgress(listener) {
+      this.listeners.push(listener);
+    }
+    notify(zone) {
+      const progress = this.getZoneProgress(zone);
+      this.listeners.forEach(listener => listener(zone, progress));
+    }
+  }
+  const loader = new GLTFLoader();
+  const assetStreamer = new AssetStreamer(loader, CONFIG.STREAMING.MAX_CONCURRENT);
+  // Heading to a zone moves its contents to the front of the queue
+  appState.on('zoneFocus', ({ context }) => assetStreamer.focusZone(context.hex));
+  appState.on('fallback', () => assetStreamer.cancelAll());
+  // The loading overlay bar follows the bytes received for the island shell
+  function formatMegabytes(bytes) {
+    return (bytes / (1024 * 1024)).toFixed(1);
+  }
+  assetStreamer.onProgress(({ loaded, total, fraction, label }) => {
+    const loadingFill = document.getElementById('loadingFill');
+    const loadingDetail = document.getElementById('loadingDetail');
+    if (loadingFill) loadingFill.style.width = `${Math.round(fraction * 100)}%`;
+    if (!loadingDetail) return;
+    if (fraction < 1) {
+      loadingDetail.textContent = `${label ? `${label} · ` : ''}${formatMegabytes(loaded)} / ${formatMegabytes(total)} MB`;
+      return;
+    }
+    const substituted = assetStreamer.getFailures().length;
+    loadingDetail.textContent = substituted > 0
+      ? t('loading.substituted', { count: substituted })
+      : '';
+  });
+  const hexObjects = [];
+  // Load hex objects with error handling
+  // Hex type -> GLB file name
+  const hexFileMapping = Object.fromEntries(Object.entries(world.hexTypes).map(([type, hexType]) => [type, hexType.model]));
+  // Each hex type is downloaded once, whatever its number of placements
+  const hexPlacementsByType = hexMap.reduce((groups, hex) => {
+    if (!groups[hex.type]) groups[hex.type] = [];
+    groups[hex.type].push(hex);
+    return groups;
+  }, {});
+  // Hex meshes actually drawn against what one scene per placement would cost, for the dev overlay
+  const hexRenderStats = { tiles: hexMap.length, meshes: 0, meshesWithoutInstancing: 0 };
+  const HEX_INSTANCE_BASE_COLOR = new THREE.Color(0xffffff);
+  const hexPickMaterial = new THREE.MeshBasicMaterial({ visible: false });
+  let loadedHexCount = 0;
+  const totalHexCount = hexMap.length;
+  // Invisible hex prism spanning the height of a tile model, used as its pick collider
+  function createHexPickGeometry(template) {
+    template.updateMatrixWorld(true);
+    const bounds = new THREE.Box3().setFromObject(template);
+    const pickGeometry = new THREE.CylinderGeometry(1, 1, bounds.max.y - bounds.min.y, 6);
+    pickGeometry.translate(0, (bounds.max.y + bounds.min.y) / 2, 0);
+    return pickGeometry;
+  }
+  // Invisible box around an object's meshes, in its own space so it follows hover lifts and rotations,
+  // used as its pick collider instead of the full GLB
+  const objectPickMaterial = new THREE.MeshBasicMaterial({ visible: false });
+  function createObjectPickBox(object) {
+    const bounds = scenePicker.computeLocalBounds(object, object);
+    const pickBox = new THREE.Mesh(
+      new THREE.BoxGeometry(...bounds.getSize(new THREE.Vector3()).toArray()),
+      objectPickMaterial
+    );
+    bounds.getCenter(pickBox.position);
+    object.add(pickBox);
+    return pickBox;
+  }
+  function placeHexTile(hex, { q, r, type, rotation = 0 }) {
+    const pickPrism = new THREE.Mesh(createHexPickGeometry(hex), hexPickMaterial);
+    const { x, z } = hexToWorld(q, r);
+    hex.position.set(x, 0, z);
+    hex.rotation.y = THREE.MathUtils.degToRad(rotation);
+    hex.scale.set(1, 1, 1);
+    hex.userData = { type, q, r };
+    hex.add(pickPrism);
+    scene.add(hex);
+    hexObjects.push(hex);
+    scenePicker.register(hex, pickPrism, { ground: true });
+    let meshCount = 0;
+    hex.traverse(child => {
+      if (child.isMesh && child !== pickPrism) meshCount++;
+    });
+    hexRenderStats.meshes += meshCount;
+    hexRenderStats.meshesWithoutInstancing += meshCount;
+    return hex;
+  }
+  // Hex tiles are static, so a type placed several times is drawn as one InstancedMesh per sub-mesh.
+  // Each placement still gets its own entry in hexObjects: an empty group at the tile position holding
+  // an invisible hex prism for picking, the tile's imported lights, and the instances to tint on highlight
+  function createInstancedHexTiles(template, placements, sourceName) {
+    const pickGeometry = createHexPickGeometry(template);
+    const instancedMeshes = [];
+    const lights = [];
+    template.traverse(child => {
+      if (child.isLight) lights.push(child);
+      if (!child.isMesh) return;
+      const instanced = new THREE.InstancedMesh(child.geometry, child.material, placements.length);
+      instanced.castShadow = child.castShadow;
+      instanced.receiveShadow = child.receiveShadow;
+      // three r150 bounds an InstancedMesh by its source geometry alone, which would cull visible tiles
+      instanced.frustumCulled = false;
+      // Sub-mesh transform relative to the tile, each instance adds its tile's transform on top
+      instanced.userData.tileLocalMatrix = child.matrixWorld.clone();
+      placements.forEach((_, index) => instanced.setColorAt(index, HEX_INSTANCE_BASE_COLOR));
+      scene.add(instanced);
+      instancedMeshes.push(instanced);
+    });
+    hexRenderStats.meshes += instancedMeshes.length;
+    hexRenderStats.meshesWithoutInstancing += instancedMeshes.length * placements.length;
+    return placements.map(({ q, r, type, rotation = 0 }, index) => {
+      const { x, z } = hexToWorld(q, r);
+      const tile = new THREE.Group();
+      tile.position.set(x, 0, z);
+      tile.rotation.y = THREE.MathUtils.degToRad(rotation);
+      tile.userData = { type, q, r, instances: instancedMeshes.map(mesh => ({ mesh, index })) };
+      const pickPrism = new THREE.Mesh(pickGeometry, hexPickMaterial);
+      tile.add(pickPrism);
+      lights.forEach(light => {
+        const copy = light.clone();
+        light.matrixWorld.decompose(copy.position, copy.quaternion, copy.scale);
+        tile.add(copy);
+        ImportedLightManager.registerLight(copy, sourceName);
+      });
+      scene.add(tile);
+      hexObjects.push(tile);
+      scenePicker.register(tile, pickPrism, { ground: true });
+      syncInstancedHexTile(tile);
+      return tile;
+    });
+  }
+  // Copies an instanced tile's transform to its instances, after placement or a move in the layout editor
+  function syncInstancedHexTile(tile) {
+    const instanceMatrix = new THREE.Matrix4();
+    tile.updateMatrix();
+    tile.userData.instances.forEach(({ mesh, index }) => {
+      mesh.setMatrixAt(index, instanceMatrix.multiplyMatrices(tile.matrix, mesh.userData.tileLocalMatrix));
+      mesh.instanceMatrix.needsUpdate = true;
+    });
+  }
+  // Register hex assets for loading tracking
+  Object.keys(hexPlacementsByType).forEach(() => incrementTotalAssets());
+  Object.entries(hexPlacementsByType).forEach(([type, placements]) => {
+    const hexFileName = hexFileMapping[type];
+    trackModelLoad(
+      new Promise((resolve, reject) => {
+        assetStreamer.load(
+          `./public/models/${hexFileName}`,
+          { shell: true, label: world.hexTypes[type].name, fallback: 'fallback hex geometry' },
+          (gltf) => {
+            try {
+              processGLBMaterials(gltf, hexFileName);
+              const tiles = placements.length > 1
+                ? createInstancedHexTiles(gltf.scene, placements, hexFileName)
+                : [placeHexTile(gltf.scene, placements[0])];
+              loadedHexCount += placements.length;
+              markAssetLoaded(); // Mark this asset as loaded
+              if (loadedHexCount === totalHexCount) {
+                if (!isProduction) console.log('All hex objects loaded successfully');
+              }
+              resolve(tiles);
+            } catch (error) {
+              reject(error);
+            }
+          },
+          (error) => {
+            console.error(`Failed to load ${hexFileName}:`, error);
+            // Create fallback hex geometry
+            placements.forEach(({ q, r }) => {
+              const { x, z } = hexToWorld(q, r);
+              const fallbackGeometry = new THREE.CylinderGeometry(0.8, 0.8, 0.1, 6);
+              const fallbackMaterial = new THREE.MeshStandardMaterial({
+                color: world.hexTypes[type].color || 0x607d8b
+              });
+              const fallbackHex = new THREE.Mesh(fallbackGeometry, fallbackMaterial);
+              fallbackHex.position.set(x, 0, z);
+              fallbackHex.userData = { type, q, r, fallback: true };
+              fallbackHex.castShadow = true;
+              fallbackHex.receiveShadow = true;
+              scene.add(fallbackHex);
+              hexObjects.push(fallbackHex);
+              scenePicker.register(fallbackHex, fallbackHex, { ground: true });
+            });
+            loadedHexCount += placements.length;
+            markAssetLoaded(); // Still mark as loaded even with fallback
+            console.warn(`Using fallback geometry for ${type} hex`);
+            reject(error);
+          }
+        );
+      }),
+      `Critical - Hex loading - ${type}`
+    );
+  });
+  // Development readout of what the renderer draws each frame, toggled with toggleDevOverlay()
+  class DevOverlay {
+    constructor() {
+      this.element = document.createElement('div');
+      this.element.id = 'devOverlay';
+      this.element.style.cssText = `
+        position: fixed;
+        top: 20px;
+        right: 20px;
+        z-index: 1000;
+        padding: 8px 12px;
+        border-radius: 8px;
+        background: rgba(0, 0, 0, 0.7);
+        color: #9effa0;
+        font: 12px/1.5 monospace;
+        pointer-events: none;
+        white-space: pre;
+      `;
+      // Hidden until asked for: its corner is shared with the notices and the editor panels
+      this.element.style.display = 'none';
+      document.body.appendChild(this.element);
+    }
+    update(fps) {
+      if (this.element.style.display === 'none') return;
+      // Totals of the last rendered frame, shadow passes included
+      const { calls, triangles } = renderer.info.render;
+      this.element.textContent = [
+        `FPS         ${fps}`,
+        `Draw calls  ${calls}`,
+        `Triangles   ${triangles.toLocaleString()}`,
+        `Hex meshes  ${hexRenderStats.meshes} for ${hexRenderStats.tiles} tiles (${hexRenderStats.meshesWithoutInstancing} without instancing)`,
+        `Picking     ${scenePicker.stats.meshTests} mesh tests / ${scenePicker.stats.candidates} boxes / ${scenePicker.stats.targets} targets`
+      ].join('\n');
+    }
+    toggle() {
+      this.element.style.display = this.element.style.display === 'none' ? 'block' : 'none';
+      this.update(performanceMonitor.getFPS());
+    }
+  }
+  const devOverlay = new DevOverlay();
+  performanceMonitor.onSample(fps => devOverlay.update(fps));
+  window.toggleDevOverlay = () => devOverlay.toggle();
+  // Ocean waves run in the vertex shader: each vertex carries its base height (initH), a random
+  // amplitude and a phase, and the lit material only receives the elapsed time every frame
+  const oceanUniforms = {
+    uTime: { value: 0 },
+    uGridStep: { value: 1 },
+    uHexCenters: { value: hexMap.map(({ q, r }) => { const { x, z } = hexToWorld(q, r); return new THREE.Vector2(x, z); }) },
+    uFoamWidth: { value: CONFIG.OCEAN.FOAM_WIDTH }
+  };
+  function createOceanGeometry(segments) {
+    const geometry = new THREE.PlaneGeometry(CONFIG.OCEAN.SIZE, CONFIG.OCEAN.SIZE, segments, segments);
+    geometry.rotateX(-Math.PI / 2);
+    const count = geometry.attributes.position.count;
+    const wave = new Float32Array(count * 3);
+    const v3 = new THREE.Vector3();
+    for (let i = 0; i < count; i++) {
+      v3.fromBufferAttribute(geometry.attributes.position, i);
+      const distanceFromCenter = Math.sqrt(v3.x * v3.x + v3.z * v3.z);
+      const waveHeight = Math.sin(distanceFromCenter * 0.2 + Math.PI / 4) * 0.5;
+      wave[i * 3] = v3.y + waveHeight; // initH
+      wave[i * 3 + 1] = THREE.MathUtils.randFloatSpread(0.5); // amplitude
+      wave[i * 3 + 2] = THREE.MathUtils.randFloat(0, Math.PI); // phase
+      geometry.attributes.position.setY(i, v3.y + waveHeight);
+    }
+    // Normals are derived in the shader from the next vertex along +x and +z, so each vertex
+    // also carries its neighbours' wave data (edge vertices reuse their own)
+    const row = segments + 1;
+    const waveX = new Float32Array(count * 3);
+    const waveZ = new Float32Array(count * 3);
+    for (let i = 0; i < count; i++) {
+      const nextX = (i % row) < segments ? i + 1 : i;
+      const nextZ = i + row < count ? i + row : i;
+      for (let k = 0; k < 3; k++) {
+        waveX[i * 3 + k] = wave[nextX * 3 + k];
+        waveZ[i * 3 + k] = wave[nextZ * 3 + k];
+      }
+    }
+    geometry.setAttribute('wave', new THREE.BufferAttribute(wave, 3));
+    geometry.setAttribute('waveX', new THREE.BufferAttribute(waveX, 3));
+    geometry.setAttribute('waveZ', new THREE.BufferAttribute(waveZ, 3));
+    // Leave headroom for the largest wave so the plane is never culled mid-swell
+    geometry.computeBoundingSphere();
+    geometry.boundingSphere.radius += 0.5;
+    oceanUniforms.uGridStep.value = CONFIG.OCEAN.SIZE / segments;
+    return geometry;
+  }
+  function applyOceanShader(material) {
+    material.onBeforeCompile = (shader) => {
+      Object.assign(shader.uniforms, oceanUniforms);
+      shader.vertexShader = shader.vertexShader
+        .replace('#include <common>', `#include <common>
+          attribute vec3 wave;
+          attribute vec3 waveX;
+          attribute vec3 waveZ;
+          uniform float uTime;
+          uniform float uGridStep;
+          varying vec2 vOceanWorld;
+          float oceanHeight(vec3 w) {
+            return w.x + sin(uTime + w.z) * w.y;
+          }`)
+        .replace('#include <beginnormal_vertex>', `
+          float oceanH = oceanHeight(wave);
+          vec3 objectNormal = normalize(vec3(
+            oceanH - oceanHeight(waveX),
+            uGridStep,
+            oceanH - oceanHeight(waveZ)
+          ));`)
+        .replace('#include <begin_vertex>', `
+          vec3 transformed = vec3(position.x, oceanH, position.z);
+          vOceanWorld = (modelMatrix * vec4(transformed, 1.0)).xz;`);
+      shader.fragmentShader = shader.fragmentShader
+        .replace('#include <common>', `#include <common>
+          #define HEX_COUNT ${oceanUniforms.uHexCenters.value.length}
+          uniform vec2 uHexCenters[HEX_COUNT];
+          uniform float uFoamWidth;
+          uniform float uTime;
+          varying vec2 vOceanWorld;
+          // Distance to the edge of a pointy-top hex of circumradius 1, negative inside
+          float hexDistance(vec2 p) {
+            p = abs(p);
+            return max(p.x, dot(p, vec2(0.5, 0.8660254))) - 0.8660254;
+          }`)
+        .replace('#include <map_fragment>', `#include <map_fragment>
+          float shoreDistance = 1e5;
+          for (int i = 0; i < HEX_COUNT; i++) {
+            shoreDistance = min(shoreDistance, hexDistance(vOceanWorld - uHexCenters[i]));
+          }
+          float foam = smoothstep(uFoamWidth, 0.0, shoreDistance);
+          foam *= 0.65 + 0.35 * sin(shoreDistance * 25.0 - uTime * 2.0);
+          diffuseColor.rgb = mix(diffuseColor.rgb, vec3(1.0), clamp(foam, 0.0, 1.0));
+          diffuseColor.a = max(diffuseColor.a, foam);`);
+    };
+  }
+  // Built straight at the saved quality tier's density, so QualityManager has nothing to rebuild on startup
+  function createOcean(quality = QualityManager.TIERS[qualitySettings.tier].ocean) {
+    try {
+      const geometry = createOceanGeometry(CONFIG.OCEAN.SEGMENTS[quality]);
+      // Create ocean texture
+      const canvas = document.createElement('canvas');
+      canvas.width = 1;
+      canvas.height = 256;
+      const ctx = canvas.getContext('2d');
+      const gradient = ctx.createLinearGradient(0, 0, 0, canvas.height);
+      gradient.addColorStop(0, '#1a82f7');
+      gradient.addColorStop(0.7, '#1e3a8a');
+      gradient.addColorStop(1, '#1f2937');
+      ctx.fillStyle = gradient;
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      const texture = new THREE.CanvasTexture(canvas);
+      texture.wrapS = THREE.ClampToEdgeWrapping;
+      texture.wrapT = THREE.ClampToEdgeWrapping;
+      // Improved ocean material with better lighting response
+      const material = new THREE.MeshStandardMaterial({
+        map: texture,
+        transparent: true,
+        opacity: 0.9,
+        roughness: 0.1,
+        metalness: 0.0,
+        emissive: new THREE.Color(0x000000), // Ensure emissive is always a Color
+        normalScale: new THREE.Vector2(1, 1) // Ensure normalScale is always a Vector2
+      });
+      applyOceanShader(material);
+      // Temporarily disable environment mapping to avoid uniform issues
+      /*
+      // Safely apply environment map if available
+      try {
+        if (scene.environment && scene.environment.isTexture) {
+          // Additional validation for environment texture
+          if (scene.environment.image && (scene.environment.image.width > 0 || scene.environment.image.length > 0)) {
+            material.envMap = scene.environment;
+            material.envMapIntensity = 0.8;
+          } else {
+            console.warn('Ocean: Environment texture appears invalid, not applying envMap');
+          }
+        }
+      } catch (envError) {
+        console.warn('Environment map assignment failed for ocean:', envError);
+      }
+      */
+      const mesh = new THREE.Mesh(geometry, material);
+      mesh.position.y = -1;
+      mesh.receiveShadow = true;
+      mesh.userData.quality = quality;
+      scene.add(mesh);
+      return mesh;
+    } catch (error) {
+      ErrorHandler.logError(error, 'Ocean creation');
+      return null;
+    }
+  }
+  const ocean = createOcean();
+  // Grid density preset ('low', 'medium', 'high'). QualityManager applies the tier's density and
+  // saves the tier, so a manual call lasts until the next tier change
+  function setOceanQuality(quality) {
+    if (!CONFIG.OCEAN.SEGMENTS[quality]) {
+      console.warn(`Unknown ocean quality "${quality}"`);
+      return;
+    }
+    if (!ocean || ocean.userData.quality === quality) return;
+    ocean.geometry.dispose();
+    ocean.geometry = createOceanGeometry(CONFIG.OCEAN.SEGMENTS[quality]);
+    ocean.userData.quality = quality;
+  }
+  window.setOceanQuality = setOceanQuality;
+  const qualityManager = new QualityManager(renderer, sceneLights, performanceMonitor);
+  qualityManager.createSettingsPanel();
+  window.qualityManager = qualityManager;
+  function updateDisplayText(text) {
+    // Update page title and potentially other UI elements
+    document.title = `Portfolio - ${text}`;
+  }
+  function hexToWorld(q, r, size = 1) {
+    const x = size * Math.sqrt(3) * (q + r / 2);
+    const z = size * 1.5 * r;
+    return { x, z };
+  }
+  // Axial cell containing a world point, rounded through cube coordinates
+  function worldToHex(x, z, size = 1) {
+    const fq = (Math.sqrt(3) / 3 * x - z / 3) / size;
+    const fr = (2 / 3 * z) / size;
+    const fs = -fq - fr;
+    let q = Math.round(fq);
+    let r = Math.round(fr);
+    const s = Math.round(fs);
+    const dq = Math.abs(q - fq);
+    const dr = Math.abs(r - fr);
+    if (dq > dr && dq > Math.abs(s - fs)) q = -r - s;
+    else if (dr > Math.abs(s - fs)) r = -q - s;
+    return { q, r };
+  }
+  function getUnreadCountForTheme(themeId) {
+    let count = 0;
+    unreadDrawers.forEach(drawer => {
+      let drawerTheme = drawerThemes[drawer];
+      // Handle skillFlowers - they all belong to Skills theme
+      if (drawer.startsWith('skillFlower')) {
+        drawerTheme = 'skills';
+      }
+      if (drawerTheme === themeId) {
+        count++;
+      }
+    });
+    return count;
+  }
+  function updateThemeUnreadBadges() {
+    world.themes.forEach(({ id: themeId }) => {
+      const count = getUnreadCountForTheme(themeId);
+      const badge = document.getElementById(`unread-badge-${themeId}`);
+      if (badge) {
+        if (count > 0) {
+          badge.textContent = count;
+          badge.style.opacity = '1';
+        } else {
+          badge.style.opacity = '0';
+        }
+      }
+    });
+    // Keep the screen-reader mirror's discovered state in step with the badges
+    accessibleMirror.updateStates();
+  }
+  function isDrawerClickableAtCurrentLocation(drawerType) {
+    // If we're in orbital mode (no specific hex), only allow 'home' theme drawers
+    if (currentActiveHexType === null) {
+      console.log(`Drawer ${drawerType}: currentActiveHexType is null, allowing only home theme`);
+      return drawerThemes[drawerType] === 'home';
+    }
+    // Get the theme of the current active hex
+    const currentTheme = getCurrentHexTheme(currentActiveHexType);
+    // Get the theme required for this drawer
+    let drawerTheme = drawerThemes[drawerType];
+    // Handle skillFlowers - they all belong to Skills theme
+    if (drawerType.startsWith('skillFlower')) {
+      drawerTheme = 'skills';
+    }
+    if (!isProduction) {
+      console.log(`Drawer ${drawerType}: currentActiveHexType="${currentActiveHexType}", currentTheme="${currentTheme}", drawerTheme="${drawerTheme}"`);
+      // Special debug for skillFlowers
+      if (drawerType.startsWith('skillFlower')) {
+        console.log(`SkillFlower debug: ${drawerType} - currentActiveHexType="${currentActiveHexType}", currentTheme="${currentTheme}", drawerTheme="${drawerTheme}", match: ${currentTheme === drawerTheme}`);
+      }
+    }
+    // Allow interaction if themes match
+    return currentTheme === drawerTheme;
+  }
+  function getCurrentHexTheme(hexType) {
+    return hexThemes[hexType] || 'home'; // Default to 'home' theme
+  }
+  function positionDrawerLabel(mouseX, mouseY) {
+    // Initial position
+    drawerLabel.style.left = `${mouseX + 60}px`;
+    drawerLabel.style.top = `${mouseY - 180}px`;
+    // Adjust if out of viewport
+    requestAnimationFrame(() => {
+      const rect = drawerLabel.getBoundingClientRect();
+      let left = rect.left, top = rect.top;
+      let needUpdate = false;
+      if (rect.right > window.innerWidth) {
+        left = Math.max(window.innerWidth - rect.width - 8, 8);
+        needUpdate = true;
+      }
+      if (rect.left < 0) {
+        left = 8;
+        needUpdate = true;
+      }
+      if (rect.bottom > window.innerHeight) {
+        top = Math.max(window.innerHeight - rect.height - 8, 8);
+        needUpdate = true;
+      }
+      if (rect.top < 0) {
+        top = 8;
+        needUpdate = true;
+      }
+      if (needUpdate) {
+        drawerLabel.style.left = `${left}px`;
+        drawerLabel.style.top = `${top}px`;
+      }
+    });
+  }
+  const drawerLabel = document.createElement("div");
+  drawerLabel.id = "drawerLabel";
+  drawerLabel.style.position = "fixed";
+  drawerLabel.style.display = "none";
+  drawerLabel.style.background = "rgba(0,0,0,0.7)"; // transparent black
+  drawerLabel.style.color = "#fff";
+  drawerLabel.style.padding = "16px 24px";
+  drawerLabel.style.borderRadius = "12px";
+  drawerLabel.style.fontWeight = "normal";
+  drawerLabel.style.fontSize = "1rem";
+  drawerLabel.style.boxShadow = "0 2px 16px rgba(0,0,0,0.18)";
+  drawerLabel.style.pointerEvents = "none";
+  drawerLabel.style.zIndex = "100";
+  drawerLabel.style.maxWidth = "340px";
+  drawerLabel.style.lineHeight = "1.5";
+  drawerLabel.style.border = "1px solid #eee";
+  drawerLabel.style.transition = "opacity 0.2s";
+  document.body.appendChild(drawerLabel);
+  // Hover cards. What a card says is data: the object's "tooltip" in world.json (text, tags and a
+  // thumbnail under public/images) and, for the home drawers, the "info" fragment fetched once and
+  // cached. Moving on to another object aborts the fetch the previous card was waiting for
+  class TooltipService {
+    static IMAGE_ROOT = './public/images/';
+    static HINTS = { modal: 'open', focusThenModal: 'open', focus: 'focus' }; // tooltip.hints keys by click behavior
+    constructor(registry, label) {
+      this.registry = registry;
+      this.label = label;
+      this.fragments = new Map(); // info url -> html
+      this.objectId = null; // Object the card currently describes
+      this.request = null; // AbortController of the fragment fetch in flight
+    }
+    show(objectId, mouseX, mouseY) {
+      // Mouse moves over the same object only follow the pointer
+      if (objectId === this.objectId && this.label.style.display !== 'none') {
+        positionDrawerLabel(mouseX, mouseY);
+        return;
+      }
+      this.cancel();
+      this.objectId = objectId;
+      const entry = this.registry.get(objectId);
+      if (!entry) return;
+      // Unread is captured before hovering marks the object as discovered
+      const unread = unreadDrawers.has(objectId);
+      if (entry.info && !this.fragments.has(entry.info)) {
+        this.render(entry, { unread, body: `<div style="opacity: 0.7;">${t('tooltip.loading')}</div>` });
+        this.fetchFragment(entry, unread);
+      } else {
+        this.render(entry, { unread, body: this.fragments.get(entry.info) });
+      }
+      positionDrawerLabel(mouseX, mouseY);
+      if (unread && entry.discoverOn !== 'click') markObjectAsDiscovered(objectId);
+    }
+    hide() {
+      this.cancel();
+      this.objectId = null;
+      this.label.style.display = 'none';
+    }
+    cancel() {
+      this.request?.abort();
+      this.request = null;
+    }
+    fetchFragment(entry, unread) {
+      const request = new AbortController();
+      this.request = request;
+      fetch(entry.info, { signal: request.signal })
+        .then(res => {
+          if (!res.ok) throw new Error(`HTTP ${res.status}`);
+          return res.text();
+        })
+        .then(html => {
+          this.fragments.set(entry.info, html);
+          if (this.objectId === entry.id) this.render(entry, { unread, body: html });
+        })
+        .catch(error => {
+          if (error.name === 'AbortError') return;
+          console.warn('Failed to load drawer info:', error);
+          if (this.objectId === entry.id) this.render(entry, { unread, body: `<div>${t('tooltip.unavailable')}</div>` });
+        })
+        .finally(() => {
+          if (this.request === request) this.request = null;
+        });
+    }
+    render(entry, { unread, body }) {
+      const tooltip = entry.tooltip || {};
+      const thumbnail = tooltip.thumbnail
+        ? `<img src="${TooltipService.IMAGE_ROOT}${tooltip.thumbnail}" alt="" style="display: block; width: 100%; height: 120px; object-fit: cover; border-radius: 8px; margin-bottom: 10px;">`
+        : '';
+      const tags = (tooltip.tags || [])
+        .map(tag => `<span style="background: rgba(255,255,255,0.15); padding: 2px 8px; border-radius: 10px; font-size: 0.75rem;">${tag}</span>`)
+        .join('');
+      const hintKey = entry.skill ? 'skill' : TooltipService.HINTS[entry.click];
+      const hint = hintKey && t(`tooltip.hints.${hintKey}`);
+      this.label.innerHTML = `
+        ${thumbnail}
+        <div style="display: flex; align-items: center; justify-content: space-between; gap: 10px;">
+          <strong>${entry.label}</strong>
+          ${unread ? `<span style="background: #ff4444; padding: 2px 8px; border-radius: 6px; font-size: 0.7rem; font-weight: bold;">${t('tooltip.unread')}</span>` : ''}
+        </div>
+        ${tags ? `<div style="display: flex; flex-wrap: wrap; gap: 4px; margin-top: 6px;">${tags}</div>` : ''}
+        ${tooltip.text ? `<div style="margin-top: 8px; font-size: 0.9rem;">${tooltip.text}</div>` : ''}
+        ${body ? `<div style="margin-top: 8px;">${body}</div>` : ''}
+        ${hint ? `<div style="margin-top: 10px; font-size: 0.75rem; opacity: 0.7;">${hint}</div>` : ''}
+      `;
+      this.label.style.display = 'block';
+      this.label.style.border = unread ? '2px solid #ff4444' : '1px solid #eee';
+      this.label.style.opacity = '1';
+    }
+  }
+  const tooltipService = new TooltipService(objectRegistry, drawerLabel);
+  function getHexDisplayName(hexType) {
+    return hexNames[hexType] || t('hexInfo.unknownZone');
+  }
+  function getObjectsForHex(hexType) {
+    // Skill flowers are listed on their hex by the world manifest
+    return [...(objectsByHex[hexType] || [])];
+  }
+  function getVisitedObjectsForHex(hexType) {
+    const objects = getObjectsForHex(hexType);
+    return objects.filter(objType => {
+      // Check if this object type has been visited
+      if (objType.startsWith('skillFlower')) {
+        return !unreadDrawers.has(objType);
+      }
+      return !unreadDrawers.has(objType);
+    });
+  }
+  function getHexesWithUnexploredObjects() {
+    const hexesWithObjects = [];
+    // Check all hexes that have objects
+    Object.keys(objectsByHex).forEach(hexType => {
+      const totalObjects = getObjectsForHex(hexType);
+      const visitedObjects = getVisitedObjectsForHex(hexType);
+      // If there are unvisited objects in this hex, count it
+      if (totalObjects.length > 0 && visitedObjects.length < totalObjects.length) {
+        hexesWithObjects.push(hexType);
+      }
+    });
+    return hexesWithObjects;
+  }
+  function getTotalHexesWithObjects() {
+    // Count all hexes that have at least one object
+    let count = 0;
+    Object.keys(objectsByHex).forEach(hexType => {
+      const totalObjects = getObjectsForHex(hexType);
+      if (totalObjects.length > 0) {
+        count++;
+      }
+    });
+    return count;
+  }
+  function updateHexInfo(hexType = null) {
+    const hexInfoElement = document.getElementById('hexInfo');
+    const hexTitleElement = document.getElementById('hexTitle');
+    const objectsRemainingElement = document.getElementById('objectsRemaining');
+    const objectsTotalElement = document.getElementById('objectsTotal');
+    const objectsCountElement = document.getElementById('hexObjectsCount');
+    const objectsTextElement = document.getElementById('objectsText');
+    if (!hexInfoElement || !hexTitleElement || !objectsRemainingElement || !objectsTotalElement || !objectsCountElement) {
+      return;
+    }
+    // Check if we're in global view (no specific hex clicked) or specific hex view
+    if (hexType === null || currentActiveHexType === null) {
+      // Global portfolio view - show portfolio title and hex exploration counter
+      const portfolioTitle = t('hexInfo.title');
+      const hexesWithUnexplored = getHexesWithUnexploredObjects();
+      const totalHexesWithObjects = getTotalHexesWithObjects();
+      const exploredHexes = totalHexesWithObjects - hexesWithUnexplored.length;
+      hexTitleElement.textContent = portfolioTitle;
+      objectsRemainingElement.textContent = exploredHexes;
+      objectsTotalElement.textContent = totalHexesWithObjects;
+      // Update icon and text for global view
+      const objectsIcon = objectsCountElement.querySelector('.objects-icon');
+      if (objectsIcon) objectsIcon.textContent = '🗺️';
+      if (objectsTextElement) objectsTextElement.textContent = t('hexInfo.areasExplored', { count: totalHexesWithObjects });
+      console.log(`Global Portfolio View: ${exploredHexes}/${totalHexesWithObjects} areas explored (${hexesWithUnexplored.length} areas remaining)`);
+    } else {
+      // Specific hex view - show hex name and hex-specific objects
+      const currentHex = hexType || currentActiveHexType;
+      const hexDisplayName = getHexDisplayName(currentHex);
+      const totalObjects = getObjectsForHex(currentHex);
+      const visitedObjects = getVisitedObjectsForHex(currentHex);
+      hexTitleElement.textContent = hexDisplayName;
+      objectsRemainingElement.textContent = visitedObjects.length;
+      objectsTotalElement.textContent = totalObjects.length;
+      // Update icon and text for hex view
+      const objectsIcon = objectsCountElement.querySelector('.objects-icon');
+      if (objectsIcon) objectsIcon.textContent = '🔍';
+      if (objectsTextElement) objectsTextElement.textContent = t('hexInfo.objectsDiscovered', { count: totalObjects.length });
+      console.log(`Hex Info Updated: ${hexDisplayName} - ${visitedObjects.length}/${totalObjects.length} objects discovered`);
+    }
+    updateZoneLoadingInfo();
+    // Add updating animation
+    hexInfoElement.classList.add('updating');
+    setTimeout(() => {
+      hexInfoElement.classList.remove('updating');
+    }, 300);
+  }
+  // Placeholder line under the counter while the current zone's models are still streaming in
+  function updateZoneLoadingInfo() {
+    const objectsCountElement = document.getElementById('hexObjectsCount');
+    if (!objectsCountElement) return;
+    let loadingElement = document.getElementById('hexZoneLoading');
+    if (!loadingElement) {
+      loadingElement = document.createElement('div');
+      loadingElement.id = 'hexZoneLoading';
+      loadingElement.style.cssText = 'margin-top: 6px; font-size: 0.85rem; opacity: 0.8;';
+      objectsCountElement.after(loadingElement);
+    }
+    const zone = currentActiveHexType;
+    if (zone && assetStreamer.isZoneLoading(zone)) {
+      const { loaded, total } = assetStreamer.getZoneProgress(zone);
+      loadingElement.textContent = `⏳ ${t('hexInfo.zoneLoading')} ${loaded}/${total}`;
+      loadingElement.style.display = 'block';
+    } else {
+      loadingElement.style.display = 'none';
+    }
+  }
+  function initHexInfo() {
+    // Initialize with global portfolio view (no specific hex)
+    updateHexInfo(null);
+    createProgressResetButton();
+    // Make functions available globally for debugging
+    window.updateHexInfo = updateHexInfo;
+    window.getObjectsForHex = getObjectsForHex;
+    window.getVisitedObjectsForHex = getVisitedObjectsForHex;
+    window.getHexesWithUnexploredObjects = getHexesWithUnexploredObjects;
+    window.getTotalHexesWithObjects = getTotalHexesWithObjects;
+    window.markObjectAsDiscovered = markObjectAsDiscovered;
+    if (!isProduction) {
+      console.log('Portfolio Info System initialized');
+    }
+  }
+  // Helper function to update hex info when an object is discovered
+  function onObjectDiscovered(objectType) {
+    // Update the appropriate display based on current context
+    if (currentActiveHexType) {
+      // We're in a specific hex view - update hex info
+      const hexObjects = getObjectsForHex(currentActiveHexType);
+      if (hexObjects.includes(objectType) || objectType.startsWith('skillFlower')) {
+        updateHexInfo(currentActiveHexType);
+      }
+    } else {
+      // We're in global view - update global info
+      updateHexInfo(null);
+    }
+  }
+  // Wrapper function for marking objects as discovered
+  function markObjectAsDiscovered(objectType) {
+    if (unreadDrawers.has(objectType)) {
+      unreadDrawers.delete(objectType);
+      updateThemeUnreadBadges();
+      onObjectDiscovered(objectType);
+      updatePortfolioExperience(objectType);
+    }
+  }
+  function updatePortfolioExperience(discoveredObject = null) {
+    if (discoveredObject) {
+      portfolioVisitedExperiences.add(discoveredObject);
+      progressStore.markDiscovered(discoveredObject);
+      console.log(`Portfolio Experience: ${portfolioVisitedExperiences.size}/${portfolioExperiences.length} experiences discovered`);
+    }
+  }
+  function initPortfolioExperience() {
+    // Discovered experiences were already restored from the progress store
+    console.log(`Loaded ${portfolioVisitedExperiences.size} previously discovered experiences`);
+    // Make functions available globally for debugging
+    window.updatePortfolioExperience = updatePortfolioExperience;
+    window.portfolioVisitedExperiences = portfolioVisitedExperiences;
+    window.resetPortfolioProgress = resetPortfolioProgress;
+    if (!isProduction) {
+      console.log('Portfolio Experience System initialized');
+    }
+  }
+  // Forget every discovery and visited hex, as on a first visit
+  function resetPortfolioProgress() {
+    progressStore.reset();
+    portfolioVisitedExperiences.clear();
+    portfolioExperiences.forEach(id => unreadDrawers.add(id));
+    updateThemeUnreadBadges();
+    updateHexInfo(currentActiveHexType);
+  }
+  function createProgressResetButton() {
+    const hexInfoElement = document.getElementById('hexInfo');
+    if (!hexInfoElement || document.getElementById('progressResetButton')) return;
+    const button = document.createElement('button');
+    button.id = 'progressResetButton';
+    button.type = 'button';
+    button.textContent = '↺';
+    button.title = t('progress.reset');
+    button.setAttribute('aria-label', t('progress.resetLabel'));
+    button.style.cssText = `
+      position: absolute; top: 6px; right: 8px; background: none; border: none;
+      color: rgba(255,255,255,0.5); font-size: 14px; cursor: pointer; padding: 2px 4px;
+    `;
+    button.onmouseover = () => button.style.color = '#fff';
+    button.onmouseout = () => button.style.color = 'rgba(255,255,255,0.5)';
+    button.addEventListener('click', (event) => {
+      event.stopPropagation();
+      if (confirm(t('progress.resetConfirm'))) {
+        resetPortfolioProgress();
+      }
+    });
+    hexInfoElement.appendChild(button);
+  }
+  // Hover picking runs at most once per frame, on the latest pointer position
+  let pendingHoverEvent = null;
+  window.addEventListener('mousemove', (event) => {
+    if (!pendingHoverEvent) {
+      requestAnimationFrame(() => {
+        const latestEvent = pendingHoverEvent;
+        pendingHoverEvent = null;
+        handleHover(latestEvent);
+      });
+    }
+    pendingHoverEvent = event;
+  });
+  function handleHover(event) {
+    // Skip hover while loading, during the cinematic or in the camera editor
+    if (!appState.allowsHover()) return;
+    // Check if mouse is over the navigation sidebar
+    const navSidebar = document.getElementById('zoneNavSidebar');
+    if (navSidebar && navSidebar.contains(event.target)) {
+      // Hide drawer label and reset hover states when over nav
+      tooltipService.hide();
+      if (hoveredDrawer && drawerOriginalPositions.has(hoveredDrawer) && animatedDrawers.includes(hoveredDrawer.userData.type)) {
+        const orig = drawerOriginalPositions.get(hoveredDrawer);
+        // Check if it's a skillFlower
+        if (hoveredDrawer.userData.type.startsWith('skillFlower')) {
+          // Only animate back down if this skillFlower is not marked to stay up
+          if (hoveredDrawer.userData.gridIndex === undefined || !stayUpSkillFlowers.has(hoveredDrawer.userData.gridIndex)) {
+            gsap.to(hoveredDrawer.position, {
+              x: orig.x,
+              y: orig.y, // Return to original Y position
+              z: orig.z,
+              duration: 0.3,
+              ease: 'power2.out',
+            });
+          }
+        } else {
+          gsap.to(hoveredDrawer.position, {
+            x: orig.x,
+            z: orig.z,
+            duration: 0.3,
+            ease: 'power2.out',
+          });
+        }
+        hoveredDrawer = null;
+      }
+      return; // Don't process 3D canvas hover if over nav
+    }
+    const canvasBounds = renderer.domElement.getBoundingClientRect();
+    mouse.x = ((event.clientX - canvasBounds.left) / canvasBounds.width) * 2 - 1;
+    mouse.y = -((event.clientY - canvasBounds.top) / canvasBounds.height) * 2 + 1;
+    const picked = scenePicker.pick(mouse, camera);
+    let foundDrawer = null;
+    if (picked) {
+      const object = picked.object;
+      if (object.userData.type) {
+        updateDisplayText(object.userData.type);
+        // Drawer hover logic
+        if (drawers.includes(object)) {
+          // Make desck completely non-interactive
+          if (object.userData.type === 'desck') {
+            tooltipService.hide();
+            return; // Don't process hover for desck
+          }
+          // Check if this drawer is interactive at current location/theme
+          const isClickable = isDrawerClickableAtCurrentLocation(object.userData.type);
+          // Only show hover effects and labels for clickable drawers
+          if (!isClickable) {
+            // Reset any existing hover state and don't show label
+            if (hoveredDrawer && drawerOriginalPositions.has(hoveredDrawer) && animatedDrawers.includes(hoveredDrawer.userData.type)) {
+              const orig = drawerOriginalPositions.get(hoveredDrawer);
+              gsap.to(hoveredDrawer.position, {
+                x: orig.x,
+                z: orig.z,
+                duration: CONFIG.ANIMATION.DRAWER_HOVER_DURATION,
+                ease: CONFIG.ANIMATION.HOVER_EASE,
+              });
+              hoveredDrawer = null;
+            }
+            tooltipService.hide();
+            return; // Don't process hover for non-clickable drawers
+          }
+          foundDrawer = object;
+          // FIXED: For skillFlowers, treat collision box and target drawer as the same object
+          let normalizedDrawer = foundDrawer;
+          let gridIndex = foundDrawer.userData.gridIndex;
+          if (foundDrawer.userData.type && foundDrawer.userData.type.startsWith('skillFlower') && foundDrawer.userData.targetDrawer) {
+            // If this is a collision box, use the target drawer for comparison and get gridIndex from either
+            normalizedDrawer = foundDrawer.userData.targetDrawer;
+            // Use gridIndex from collision box (foundDrawer) as it should be the same as target drawer
+            gridIndex = foundDrawer.userData.gridIndex;
+          }
+          
+          if (animatedDrawers.includes(object.userData.type)) {
+            // FIXED: Compare using normalized drawer to avoid flickering between collision box and mesh
+            if (hoveredDrawer !== normalizedDrawer) {
+              // Animate previous hovered drawer back
+              if (hoveredDrawer && drawerOriginalPositions.has(hoveredDrawer.userData.targetDrawer || hoveredDrawer)) {
+                const targetDrawer = hoveredDrawer.userData.targetDrawer || hoveredDrawer;
+                const orig = drawerOriginalPositions.get(targetDrawer);
+                // Check if previous drawer was a skillFlower
+                if (hoveredDrawer.userData.type.startsWith('skillFlower')) {
+                  // Only animate back down if this skillFlower is not marked to stay up
+                  if (hoveredDrawer.userData.gridIndex === undefined || !stayUpSkillFlowers.has(hoveredDrawer.userData.gridIndex)) {
+                    gsap.to(targetDrawer.position, {
+                      x: orig.x,
+                      y: orig.y, // Return to original Y position
+                      z: orig.z,
+                      duration: CONFIG.ANIMATION.DRAWER_HOVER_DURATION,
+                      ease: CONFIG.ANIMATION.HOVER_EASE,
+                    });
+                  }
+                  // Hide language flower when stopping hover on any skillFlower
+                  if (hoveredDrawer.userData.type.startsWith('skillFlower') && hoveredDrawer.userData.gridIndex !== undefined) {
+                    hideLanguageFlower(hoveredDrawer.userData.gridIndex);
+                    currentHoveredSkillFlowerIndex = null; // Reset tracking
+                  }
+                } else {
+                  gsap.to(hoveredDrawer.position, {
+                    x: orig.x,
+                    z: orig.z,
+                    duration: CONFIG.ANIMATION.DRAWER_HOVER_DURATION,
+                    ease: CONFIG.ANIMATION.HOVER_EASE,
+                  });
+                }
+              }
+              // Animate new hovered drawer
+              if (foundDrawer.userData.type.startsWith('skillFlower')) {
+                // Handle collision boxes by animating the target drawer
+                const targetDrawer = foundDrawer.userData.targetDrawer || foundDrawer;
+                const orig = drawerOriginalPositions.get(targetDrawer);
+                if (orig) {
+                  // Mark this skillFlower to stay up permanently
+                  if (gridIndex !== undefined) {
+                    stayUpSkillFlowers.add(gridIndex);
+                    // Only animate up if it's not already in the up position
+                    // Check if the flower is not already elevated (y position higher than original)
+                    if (targetDrawer.position.y <= orig.y + 0.05) { // Small tolerance for floating point precision
+                      gsap.to(targetDrawer.position, {
+                        x: orig.x,
+                        y: orig.y + 0.15, // Move up by 0.15 units
+                        z: orig.z,
+                        duration: CONFIG.ANIMATION.DRAWER_HOVER_DURATION,
+                        ease: CONFIG.ANIMATION.HOVER_EASE,
+                      });
+                    }
+                  } else {
+                    // Fallback if gridIndex is undefined
+                    gsap.to(targetDrawer.position, {
+                      x: orig.x,
+                      y: orig.y + 0.15, // Move up by 0.15 units
+                      z: orig.z,
+                      duration: CONFIG.ANIMATION.DRAWER_HOVER_DURATION,
+                      ease: CONFIG.ANIMATION.HOVER_EASE,
+                    });
+                  }
+                }
+                // FIXED: Show corresponding language flower using grid index from any skillFlower component
+                if (gridIndex !== undefined) {
+                  // Only trigger language flower if we're hovering a different skillFlower
+                  if (currentHoveredSkillFlowerIndex !== gridIndex) {
+                    const skillFlowerInfo = getLanguageFlowerInfo(gridIndex);
+                    console.log(`SkillFlower hover detected - Grid Index: ${gridIndex}, Type: ${foundDrawer.userData.type}, Expected: ${skillFlowerInfo?.displayName}`);
+                    showLanguageFlower(gridIndex);
+                    currentHoveredSkillFlowerIndex = gridIndex;
+                  }
+                }
+              } else {
+                // For regular drawers, use the old movement
+                gsap.to(foundDrawer.position, {
+                  x: 0.029,
+                  z: -0.0374,
+                  duration: CONFIG.ANIMATION.DRAWER_HOVER_DURATION,
+                  ease: CONFIG.ANIMATION.HOVER_EASE,
+                });
+              }
+              hoveredDrawer = normalizedDrawer; // Store the normalized drawer (target drawer for collision boxes)
+            }
+          } else {
+            // For non-animated drawers, just update hoveredDrawer reference (no animation)
+            if (
+              hoveredDrawer &&
+              hoveredDrawer !== normalizedDrawer &&
+              drawerOriginalPositions.has(hoveredDrawer) &&
+              animatedDrawers.includes(hoveredDrawer.userData.type)
+            ) {
+              const orig = drawerOriginalPositions.get(hoveredDrawer);
+              // Check if previous drawer was a skillFlower
+              if (hoveredDrawer.userData.type.startsWith('skillFlower')) {
+                // Only animate back down if this skillFlower is not marked to stay up
+                if (hoveredDrawer.userData.gridIndex === undefined || !stayUpSkillFlowers.has(hoveredDrawer.userData.gridIndex)) {
+                  gsap.to(hoveredDrawer.position, {
+                    x: orig.x,
+                    y: orig.y, // Return to original Y position
+                    z: orig.z,
+                    duration: 0.3,
+                    ease: 'power2.out',
+                  });
+                }
+              } else {
+                gsap.to(hoveredDrawer.position, {
+                  x: orig.x,
+                  z: orig.z,
+                  duration: 0.3,
+                  ease: 'power2.out',
+                });
+              }
+            }
+            hoveredDrawer = normalizedDrawer; // Store the normalized drawer
+          }
+          // Show label for clickable drawers only
+          tooltipService.show(object.userData.type, event.clientX, event.clientY);
+        } else {
+          // Not hovering a drawer, animate previous hovered drawer back
+          if (
+            hoveredDrawer &&
+            drawerOriginalPositions.has(hoveredDrawer.userData.targetDrawer || hoveredDrawer) &&
+            animatedDrawers.includes(hoveredDrawer.userData.type)
+          ) {
+            const targetDrawer = hoveredDrawer.userData.targetDrawer || hoveredDrawer;
+            const orig = drawerOriginalPositions.get(targetDrawer);
+            // Check if it's a skillFlower
+            if (hoveredDrawer.userData.type.startsWith('skillFlower')) {
+              // Only animate back down if this skillFlower is not marked to stay up
+              if (hoveredDrawer.userData.gridIndex === undefined || !stayUpSkillFlowers.has(hoveredDrawer.userData.gridIndex)) {
+                gsap.to(targetDrawer.position, {
+                  x: orig.x,
+                  y: orig.y, // Return to original Y position
+                  z: orig.z,
+                  duration: 0.3,
+                  ease: 'power2.out',
+                });
+              }
+              // Hide language flower when stopping hover on any skillFlower
+              if (hoveredDrawer.userData.type.startsWith('skillFlower') && hoveredDrawer.userData.gridIndex !== undefined) {
+                hideLanguageFlower(hoveredDrawer.userData.gridIndex);
+                currentHoveredSkillFlowerIndex = null; // Reset tracking
+              }
+            } else {
+              gsap.to(targetDrawer.position, {
+                x: orig.x,
+                z: orig.z,
+                duration: 0.3,
+                ease: 'power2.out',
+              });
+            }
             hoveredDrawer = null;
+          } else if (hoveredDrawer && !animatedDrawers.includes(hoveredDrawer.userData.type)) {
+            hoveredDrawer = null;
+          }
+          tooltipService.hide();
+        }
+      }
+    } else {
+      updateDisplayText('Portfolio');
+      // Animate previous hovered drawer back (only if animated)
+      if (
+        hoveredDrawer &&
+        drawerOriginalPositions.has(hoveredDrawer) &&
+        animatedDrawers.includes(hoveredDrawer.userData.type)
+      ) {
+        const orig = drawerOriginalPositions.get(hoveredDrawer);
+        // Check if it's a skillFlower
+        if (hoveredDrawer.userData.type.startsWith('skillFlower')) {
+          // Only animate back down if this skillFlower is not marked to stay up
+          if (hoveredDrawer.userData.gridIndex === undefined || !stayUpSkillFlowers.has(hoveredDrawer.userData.gridIndex)) {
+            gsap.to(hoveredDrawer.position, {
+              x: orig.x,
+              y: orig.y, // Return to original Y position
+              z: orig.z,
+              duration: 0.3,
+              ease: 'power2.out',
+            });
+          }
+          // Hide language flower when stopping hover on any skillFlower
+          if (hoveredDrawer.userData.type.startsWith('skillFlower') && hoveredDrawer.userData.gridIndex !== undefined) {
+            hideLanguageFlower(hoveredDrawer.userData.gridIndex);
+            currentHoveredSkillFlowerIndex = null; // Reset tracking
+          }
+        } else {
+          gsap.to(hoveredDrawer.position, {
+            x: orig.x,
+            z: orig.z,
+            duration: 0.3,
+            ease: 'power2.out',
+          });
+        }
+        hoveredDrawer = null;
+      } else if (hoveredDrawer && !animatedDrawers.includes(hoveredDrawer.userData.type)) {
+        hoveredDrawer = null;
+      }
+      tooltipService.hide();
+    }
+  }
+  function validateSceneMaterials() {
+    let invalidMaterials = 0;
+    scene.traverse((child) => {
+      if (child.isMesh && child.material) {
+        const materials = Array.isArray(child.material) ? child.material : [child.material];
+        materials.forEach((material, index) => {
+          if (material) {
+            try {
+              // Check for common uniform issues
+              if (material.envMap && !material.envMap.isTexture) {
+                console.warn(`Invalid envMap on material ${index} of ${child.name || 'unnamed object'}`);
+                material.envMap = null;
+                invalidMaterials++;
+              }
+              // Ensure normal scale is a Vector2
+              if (material.normalScale && !(material.normalScale instanceof THREE.Vector2)) {
+                material.normalScale = new THREE.Vector2(1, 1);
+                invalidMaterials++;
+              }
+              // Ensure emissive is a Color
+              if (material.emissive && !(material.emissive instanceof THREE.Color)) {
+                material.emissive = new THREE.Color(0x000000);
+                invalidMaterials++;
+              }
+              // Check for invalid uniforms that might cause .value errors
+              if (material.uniforms) {
+                Object.keys(material.uniforms).forEach(uniformName => {
+                  const uniform = material.uniforms[uniformName];
+                  if (uniform && typeof uniform === 'object' && uniform.value === undefined) {
+                    console.warn(`Invalid uniform ${uniformName} on material ${index} of ${child.name || 'unnamed object'}`);
+                    // Don't delete, just ensure it has a valid value
+                    uniform.value = 0; // Safe default for most uniform types
+                    invalidMaterials++;
+                  }
+                });
+              }
+              // Ensure proper material flags
+              if (material.transparent === undefined) material.transparent = false;
+              if (material.alphaTest === undefined) material.alphaTest = 0;
+              if (material.side === undefined) material.side = THREE.FrontSide;
+            } catch (validationError) {
+              console.warn(`Material validation error on ${child.name || 'unnamed object'}:`, validationError);
+              invalidMaterials++;
+            }
+          }
+        });
+      }
+    });
+    if (invalidMaterials > 0) {
+      console.log(`Fixed ${invalidMaterials} invalid material properties`);
+    }
+  }
+  function isolateProblematicMaterials() {
+    let isolatedCount = 0;
+    const fallbackMaterial = new THREE.MeshBasicMaterial({ color: 0x808080, transparent: true, opacity: 0.5 });
+    scene.traverse((child) => {
+      if (child.isMesh && child.material) {
+        const materials = Array.isArray(child.material) ? child.material : [child.material];
+        materials.forEach((material, index) => {
+          if (material) {
+            try {
+              // Test if material has problematic uniforms
+              let hasProblematicUniforms = false;
+              if (material.uniforms) {
+                Object.keys(material.uniforms).forEach(uniformName => {
+                  const uniform = material.uniforms[uniformName];
+                  if (uniform && typeof uniform === 'object' && uniform.value === undefined) {
+                    hasProblematicUniforms = true;
+                  }
+                });
+              }
+              // If material has issues, temporarily replace it
+              if (hasProblematicUniforms) {
+                console.warn(`Isolating problematic material on ${child.name || 'unnamed object'}[${index}]`);
+                if (Array.isArray(child.material)) {
+                  child.material[index] = fallbackMaterial;
+                } else {
+                  child.material = fallbackMaterial;
+                }
+                isolatedCount++;
+                // Mark the object for material restoration later
+                child.userData.materialIsolated = true;
+              }
+            } catch (isolationError) {
+              console.warn(`Material isolation error on ${child.name || 'unnamed object'}:`, isolationError);
+              // As a last resort, use fallback material
+              if (Array.isArray(child.material)) {
+                child.material[index] = fallbackMaterial;
+              } else {
+                child.material = fallbackMaterial;
+              }
+              isolatedCount++;
+              child.userData.materialIsolated = true;
+            }
+          }
+        });
+      }
+    });
+    if (isolatedCount > 0) {
+      console.log(`Isolated ${isolatedCount} problematic materials with fallback materials`);
+    }
+  }
+  function processGLBMaterials(gltf, sourceName = 'unknown') {
+    gltf.scene.traverse((child) => {
+      if (child.isMesh) {
+        // Enable shadow casting and receiving
+        child.castShadow = true;
+        child.receiveShadow = true;
+        if (child.material) {
+          // Ensure proper material properties for PBR rendering
+          if (child.material.isMeshStandardMaterial || child.material.isMeshPhysicalMaterial) {
+            // Safely apply environment mapping
+            try {
+              if (scene.environment && scene.environment.isTexture) {
+                child.material.envMap = scene.environment;
+                child.material.envMapIntensity = 0.8;
+              }
+              // Improve material properties for better lighting response
+              if (child.material.metalness === undefined) child.material.metalness = 0.1;
+              if (child.material.roughness === undefined) child.material.roughness = 0.7;
+              // Enable proper normal mapping with better scale
+              if (child.material.normalMap) {
+                child.material.normalScale = child.material.normalScale || new THREE.Vector2(1.2, 1.2);
+              }
+              // Add subtle emission for better visibility in dark areas
+              if (!child.material.emissive) {
+                child.material.emissive = new THREE.Color(0x000000);
+              }
+              // Update material
+              child.material.needsUpdate = true;
+            } catch (materialError) {
+              console.warn(`Material processing error for ${sourceName}:`, materialError);
+            }
+          }
+          // Handle multiple materials (arrays)
+          if (Array.isArray(child.material)) {
+            child.material.forEach((mat, index) => {
+              if (mat && (mat.isMeshStandardMaterial || mat.isMeshPhysicalMaterial)) {
+                try {
+                  if (scene.environment && scene.environment.isTexture) {
+                    mat.envMap = scene.environment;
+                    mat.envMapIntensity = 0.8;
+                  }
+                  if (mat.metalness === undefined) mat.metalness = 0.1;
+                  if (mat.roughness === undefined) mat.roughness = 0.7;
+                  if (mat.normalMap) {
+                    mat.normalScale = mat.normalScale || new THREE.Vector2(1.2, 1.2);
+                  }
+                  if (!mat.emissive) {
+                    mat.emissive = new THREE.Color(0x000000);
+                  }
+                  mat.needsUpdate = true;
+                } catch (materialError) {
+                  console.warn(`Material array processing error for ${sourceName}[${index}]:`, materialError);
+                }
+              }
+            });
+          }
+        }
+      }
+      // Process cameras imported from GLB files
+      if (child.isCamera) {
+        console.log('Found embedded camera:', child.name || 'unnamed', 'in', sourceName);
+        // Register the camera for position editing
+        if (cameraEditor) {
+          cameraEditor.registerEmbeddedCamera(child, sourceName);
+        }
+      }
+      // Process lights imported from GLB files
+      if (child.isLight) {
+        console.log('Found imported light:', child.type, 'with intensity:', child.intensity);
+        // Register the light for management
+        ImportedLightManager.registerLight(child, sourceName);
+        // Handle SpotLight specifically
+        if (child.type === 'SpotLight') {
+          // Reduce intensity to prevent overwhelming brightness
+          const originalIntensity = child.intensity;
+          child.intensity = Math.min(originalIntensity * 0.3, 2.0); // Reduce to 30% of original, max 2.0
+          // Configure shadow settings for better quality and prevent light bleeding
+          child.castShadow = true;
+          child.shadow.mapSize.width = 1024;
+          child.shadow.mapSize.height = 1024;
+          child.shadow.camera.near = 0.1;
+          child.shadow.camera.far = Math.min(child.distance || 50, 30); // Limit shadow distance
+          child.shadow.bias = -0.0005; // Prevent shadow acne
+          child.shadow.normalBias = 0.02; // Prevent peter panning
+          // Limit the spotlight angle to prevent excessive spread
+          if (child.angle > Math.PI / 3) { // If angle > 60 degrees
+            child.angle = Math.PI / 4; // Limit to 45 degrees
+          }
+          // Set penumbra for softer light edges (prevents harsh cutoffs)
+          child.penumbra = Math.max(child.penumbra || 0, 0.2); // Min 20% penumbra
+          // Limit distance to prevent light bleeding through walls
+          if (child.distance === 0 || child.distance > 20) {
+            child.distance = 15; // Set reasonable max distance
+          }
+          // Add decay for more realistic falloff
+          child.decay = Math.max(child.decay || 1, 1.5); // Ensure some decay
+          console.log(`Adjusted SpotLight: intensity ${originalIntensity} -> ${child.intensity}, angle: ${(child.angle * 180 / Math.PI).toFixed(1)}°, distance: ${child.distance}`);
+        }
+        // Handle PointLight
+        else if (child.type === 'PointLight') {
+          const originalIntensity = child.intensity;
+          child.intensity = Math.min(originalIntensity * 0.4, 3.0); // Reduce intensity
+          // Configure shadows
+          child.castShadow = true;
+          child.shadow.mapSize.width = 512;
+          child.shadow.mapSize.height = 512;
+          child.shadow.camera.near = 0.1;
+          child.shadow.camera.far = Math.min(child.distance || 30, 20);
+          child.shadow.bias = -0.0005;
+          // Limit distance
+          if (child.distance === 0 || child.distance > 25) {
+            child.distance = 20;
           }
-          drawerLabel.style.display = "none";
-          return; // Don't process hover for non-clickable drawers
+          child.decay = Math.max(child.decay || 1, 1.2);
+          console.log(`Adjusted PointLight: intensity ${originalIntensity} -> ${child.intensity}, distance: ${child.distance}`);
+        }
+        // Handle DirectionalLight
+        else if (child.type === 'DirectionalLight') {
+          const originalIntensity = child.intensity;
+          child.intensity = Math.min(originalIntensity * 0.5, 2.0);
+          // Configure shadows with smaller area to prevent conflicts
+          child.castShadow = true;
+          child.shadow.mapSize.width = 1024;
+          child.shadow.mapSize.height = 1024;
+          child.shadow.camera.near = 0.5;
+          child.shadow.camera.far = 50;
+          child.shadow.camera.left = -10;
+          child.shadow.camera.right = 10;
+          child.shadow.camera.top = 10;
+          child.shadow.camera.bottom = -10;
+          child.shadow.bias = -0.0001;
+          child.shadow.normalBias = 0.02;
+          console.log(`Adjusted DirectionalLight: intensity ${originalIntensity} -> ${child.intensity}`);
+        }
+        // For any other light types, just reduce intensity
+        else if (child.intensity !== undefined) {
+          const originalIntensity = child.intensity;
+          child.intensity = Math.min(originalIntensity * 0.4, 2.0);
+          console.log(`Adjusted ${child.type}: intensity ${originalIntensity} -> ${child.intensity}`);
+        }
+      }
+    });
+  }
+  class ImportedLightManager {
+    static importedLights = new Set();
+    // Register an imported light for management
+    static registerLight(light, source = 'unknown') {
+      this.importedLights.add(light);
+      light.userData.source = source;
+      light.userData.originalIntensity = light.intensity;
+      console.log(`Registered imported ${light.type} from ${source}`);
+    }
+    // Adjust all imported lights intensity
+    static adjustAllLights(intensityMultiplier = 0.3) {
+      this.importedLights.forEach(light => {
+        if (light.userData.originalIntensity !== undefined) {
+          light.intensity = light.userData.originalIntensity * intensityMultiplier;
+        }
+      });
+      console.log(`Adjusted ${this.importedLights.size} imported lights by factor ${intensityMultiplier}`);
+    }
+    // Toggle all imported lights
+    static toggleAllLights(enabled = true) {
+      this.importedLights.forEach(light => {
+        light.visible = enabled;
+      });
+      console.log(`${enabled ? 'Enabled' : 'Disabled'} ${this.importedLights.size} imported lights`);
+    }
+    // Get all lights of a specific type
+    static getLightsByType(type) {
+      return Array.from(this.importedLights).filter(light => light.type === type);
+    }
+    // Remove a light from management
+    static unregisterLight(light) {
+      this.importedLights.delete(light);
+    }
+    // Debug: List all imported lights
+    static debugLights() {
+      console.log('=== Imported Lights Debug ===');
+      this.importedLights.forEach((light, index) => {
+        console.log(`${index + 1}. ${light.type} from ${light.userData.source || 'unknown'}`);
+        console.log(`   - Intensity: ${light.intensity} (original: ${light.userData.originalIntensity})`);
+        console.log(`   - Position: (${light.position.x.toFixed(2)}, ${light.position.y.toFixed(2)}, ${light.position.z.toFixed(2)})`);
+        if (light.type === 'SpotLight') {
+          console.log(`   - Angle: ${(light.angle * 180 / Math.PI).toFixed(1)}°, Distance: ${light.distance}`);
+        }
+        console.log(`   - Shadows: ${light.castShadow}, Visible: ${light.visible}`);
+      });
+      console.log('=============================');
+    }
+  }
+  // Make the light manager available globally for debugging
+  window.ImportedLightManager = ImportedLightManager;
+  class CameraPositionEditor {
+    constructor() {
+      this.isActive = false;
+      this.currentTarget = null;
+      this.embeddedCameras = new Map(); // Store cameras found in GLB files
+      this.tempMarkers = new Set(); // Store temporary position markers
+      this.tourDraft = []; // Keyframes recorded for the next saved tour
+      this.originalCameraPosition = null;
+      this.originalCameraTarget = null;
+    }
+    // Register a camera found in a GLB file
+    registerEmbeddedCamera(camera, sourceName) {
+      const key = `${sourceName}_${camera.name || 'camera'}`;
+      this.embeddedCameras.set(key, {
+        camera: camera,
+        source: sourceName,
+        position: camera.position.clone(),
+        target: camera.getWorldDirection(new THREE.Vector3()).multiplyScalar(-1).add(camera.position)
+      });
+      console.log(`Registered embedded camera: ${key} from ${sourceName}`);
+    }
+    // Toggle editor mode
+    toggle() {
+      // The editor only opens from a free camera, never over a modal or the cinematic
+      if (!this.isActive && !appState.can('editor')) return;
+      this.isActive = !this.isActive;
+      if (this.isActive) {
+        this.activate();
+      } else {
+        this.deactivate();
+      }
+    }
+    activate() {
+      console.log('🎥 Camera Position Editor ACTIVATED');
+      console.log('Controls:');
+      console.log('- Z: Move forward (camera direction)');
+      console.log('- S: Move backward');
+      console.log('- Q: Move left');
+      console.log('- D: Move right');
+      console.log('- A: Move up');
+      console.log('- E: Move down');
+      console.log('- Mouse: Look around (hold left button and drag)');
+      console.log('- Click objects: Set look-at target');
+      console.log('- P: Print current position');
+      console.log('- M: Place marker at current position');
+      console.log('- C: Clear all markers');
+      console.log('- L: Layout editor (move, rotate and retype hexes and objects)');
+      console.log('- ESC: Exit editor');
+      console.log('※ Works with both AZERTY and QWERTY layouts');
+      // Store original camera state
+      this.originalCameraPosition = camera.position.clone();
+      this.originalCameraTarget = lookAtTarget ? { ...lookAtTarget } : { x: 0, y: 0, z: 0 };
+      // Initialize camera rotation tracking
+      this.cameraRotation = {
+        x: camera.rotation.x,
+        y: camera.rotation.y
+      };
+      // Set proper rotation order for camera
+      camera.rotation.order = 'YXZ';
+      // Disable orbital controls and scene interactions
+      appState.transition('editor');
+      // Create editor UI
+      this.createEditorUI();
+      // Add event listeners
+      this.addEventListeners();
+      // Show embedded cameras if any
+      this.displayEmbeddedCameras();
+    }
+    deactivate() {
+      console.log('🎥 Camera Position Editor DEACTIVATED');
+      if (worldEditor.isActive) worldEditor.deactivate();
+      // Restore original camera state
+      if (this.originalCameraPosition) {
+        camera.position.copy(this.originalCameraPosition);
+      }
+      if (this.originalCameraTarget) {
+        camera.lookAt(this.originalCameraTarget.x, this.originalCameraTarget.y, this.originalCameraTarget.z);
+      }
+      // Reset camera rotation tracking
+      this.cameraRotation = null;
+      // Re-enable normal interactions
+      appState.resume();
+      // Remove editor UI
+      this.removeEditorUI();
+      // Remove event listeners
+      this.removeEventListeners();
+      // Clear temporary markers
+      this.clearMarkers();
+    }
+    createEditorUI() {
+      // Create editor panel
+      const panel = document.createElement('div');
+      panel.id = 'camera-editor-panel';
+      panel.style.cssText = `
+        position: fixed; top: 20px; left: 20px; z-index: 10000;
+        background: rgba(0,0,0,0.9); color: white; padding: 20px;
+        border-radius: 12px; font-family: monospace; font-size: 12px;
+        min-width: 300px; max-height: 80vh; overflow-y: auto;
+        border: 2px solid #00ff00; box-shadow: 0 0 20px rgba(0,255,0,0.3);
+      `;
+      panel.innerHTML = `
+        <div style="color: #00ff00; font-weight: bold; margin-bottom: 15px;">
+          🎥 CAMERA POSITION EDITOR
+        </div>
+        <div id="camera-position-display" style="margin-bottom: 15px; padding: 10px; background: rgba(0,255,0,0.1); border-radius: 6px;">
+          <div>Position: <span id="pos-display">0, 0, 0</span></div>
+          <div>Looking at: <span id="target-display">0, 0, 0</span></div>
+        </div>
+        <div style="margin-bottom: 15px;">
+          <button id="print-position" style="background: #333; color: white; border: 1px solid #666; padding: 5px 10px; margin: 2px; cursor: pointer; border-radius: 4px;">Print Position (P)</button>
+          <button id="place-marker" style="background: #333; color: white; border: 1px solid #666; padding: 5px 10px; margin: 2px; cursor: pointer; border-radius: 4px;">Place Marker (M)</button>
+          <button id="clear-markers" style="background: #333; color: white; border: 1px solid #666; padding: 5px 10px; margin: 2px; cursor: pointer; border-radius: 4px;">Clear Markers (C)</button>
+          <button id="export-positions" style="background: #0066cc; color: white; border: 1px solid #0088ff; padding: 5px 10px; margin: 2px; cursor: pointer; border-radius: 4px;">Export Code</button>
+          <button id="toggle-layout-editor" style="background: #333; color: white; border: 1px solid #666; padding: 5px 10px; margin: 2px; cursor: pointer; border-radius: 4px;">Layout Editor (L)</button>
+        </div>
+        <div id="embedded-cameras" style="margin-bottom: 15px;">
+          <div style="color: #ffaa00; font-weight: bold;">Embedded Cameras:</div>
+          <div id="embedded-cameras-list" style="margin-top: 5px;"></div>
+        </div>
+        <div id="markers-list" style="margin-bottom: 15px;">
+          <div style="color: #ff6600; font-weight: bold;">Placed Markers:</div>
+          <div id="markers-content" style="margin-top: 5px;"></div>
+        </div>
+        <div id="camera-presets" style="margin-bottom: 15px;">
+          <div style="color: #00ccff; font-weight: bold;">Camera Poses:</div>
+          <div id="presets-poses-list" style="margin-top: 5px;"></div>
+          <button id="save-pose" style="background: #333; color: white; border: 1px solid #666; padding: 5px 10px; margin: 2px; cursor: pointer; border-radius: 4px;">Save Pose (O)</button>
+          <div style="color: #00ccff; font-weight: bold; margin-top: 10px;">Camera Tours:</div>
+          <div id="presets-tours-list" style="margin-top: 5px;"></div>
+          <div style="margin: 5px 0;">Draft: <span id="tour-draft-count">0 keyframes</span></div>
+          <div style="margin: 5px 0;">
+            Duration <input id="keyframe-duration" type="number" min="0" step="0.5" value="2" style="width: 50px; background: #222; color: white; border: 1px solid #666;">s
+            Ease <select id="keyframe-ease" style="background: #222; color: white; border: 1px solid #666; font-family: monospace;">
+              ${CameraPresets.EASES.map(ease => `<option value="${ease}"${ease === 'power2.inOut' ? ' selected' : ''}>${ease}</option>`).join('')}
+            </select>
+          </div>
+          <button id="add-keyframe" style="background: #333; color: white; border: 1px solid #666; padding: 5px 10px; margin: 2px; cursor: pointer; border-radius: 4px;">Add Keyframe (K)</button>
+          <button id="preview-tour" style="background: #333; color: white; border: 1px solid #666; padding: 5px 10px; margin: 2px; cursor: pointer; border-radius: 4px;">Preview</button>
+          <button id="save-tour" style="background: #333; color: white; border: 1px solid #666; padding: 5px 10px; margin: 2px; cursor: pointer; border-radius: 4px;">Save Tour</button>
+          <button id="clear-tour" style="background: #333; color: white; border: 1px solid #666; padding: 5px 10px; margin: 2px; cursor: pointer; border-radius: 4px;">Clear</button>
+          <div style="margin-top: 10px;">
+            <button id="store-presets" style="background: #0066cc; color: white; border: 1px solid #0088ff; padding: 5px 10px; margin: 2px; cursor: pointer; border-radius: 4px;">Save to Browser</button>
+            <button id="download-presets" style="background: #333; color: white; border: 1px solid #666; padding: 5px 10px; margin: 2px; cursor: pointer; border-radius: 4px;">Download JSON</button>
+            <button id="reset-presets" style="background: #333; color: white; border: 1px solid #666; padding: 5px 10px; margin: 2px; cursor: pointer; border-radius: 4px;">Reset to File</button>
+          </div>
+        </div>
+        <div style="color: #888; font-size: 10px; line-height: 1.4;">
+          <strong>Controls:</strong><br>
+          Physical Keys (works with any layout):<br>
+          Top row left/right: Move forward/back<br>
+          Bottom row left/right: Move left/right<br>
+          Corner keys: Move up/down<br>
+          Mouse drag: Look around<br>
+          Click: Set target<br>
+          P/M/C/ESC: Print/Mark/Clear/Exit<br>
+          O/K: Save pose/Add tour keyframe<br>
+          L: Layout editor
+        </div>
+      `;
+      document.body.appendChild(panel);
+      // Add button event listeners
+      document.getElementById('print-position').onclick = () => this.printCurrentPosition();
+      document.getElementById('place-marker').onclick = () => this.placeMarker();
+      document.getElementById('clear-markers').onclick = () => this.clearMarkers();
+      document.getElementById('export-positions').onclick = () => this.exportPositions();
+      document.getElementById('toggle-layout-editor').onclick = () => worldEditor.toggle();
+      document.getElementById('save-pose').onclick = () => this.savePose();
+      document.getElementById('add-keyframe').onclick = () => this.addKeyframe();
+      document.getElementById('preview-tour').onclick = () => this.playKeyframes(this.tourDraft);
+      document.getElementById('save-tour').onclick = () => this.saveTour();
+      document.getElementById('clear-tour').onclick = () => this.clearTourDraft();
+      document.getElementById('store-presets').onclick = () => this.storePresets();
+      document.getElementById('download-presets').onclick = () => this.downloadPresets();
+      document.getElementById('reset-presets').onclick = () => this.resetPresets();
+      document.getElementById('camera-presets').addEventListener('click', (event) => this.handlePresetAction(event));
+      this.updatePresetsDisplay();
+      // Start position update loop
+      this.updatePositionDisplay();
+    }
+    removeEditorUI() {
+      const panel = document.getElementById('camera-editor-panel');
+      if (panel) panel.remove();
+    }
+    addEventListeners() {
+      this.keydownHandler = (event) => this.handleKeyDown(event);
+      this.mousemoveHandler = (event) => this.handleMouseMove(event);
+      this.clickHandler = (event) => this.handleClick(event);
+      document.addEventListener('keydown', this.keydownHandler);
+      document.addEventListener('mousemove', this.mousemoveHandler);
+      document.addEventListener('click', this.clickHandler);
+      // Disable right-click context menu during editing
+      document.addEventListener('contextmenu', this.preventContext = (e) => e.preventDefault());
+    }
+    removeEventListeners() {
+      if (this.keydownHandler) document.removeEventListener('keydown', this.keydownHandler);
+      if (this.mousemoveHandler) document.removeEventListener('mousemove', this.mousemoveHandler);
+      if (this.clickHandler) document.removeEventListener('click', this.clickHandler);
+      if (this.preventContext) document.removeEventListener('contextmenu', this.preventContext);
+    }
+    handleKeyDown(event) {
+      if (!this.isActive) return;
+      // Typing a duration or a name is not flying
+      if (event.target.closest?.('input, select, textarea')) return;
+      const moveSpeed = event.shiftKey ? 0.2 : 0.05; // Much smaller movement steps
+      const direction = new THREE.Vector3();
+      const key = event.key.toLowerCase(); // Use actual character typed
+      // Use character-based movement for universal AZERTY/QWERTY support
+      switch(key) {
+        case 'z': // Z = Forward (camera direction) - works on both layouts
+          camera.getWorldDirection(direction);
+          camera.position.add(direction.multiplyScalar(moveSpeed));
+          break;
+        case 's': // S = Backward (opposite camera direction)
+          camera.getWorldDirection(direction);
+          camera.position.add(direction.multiplyScalar(-moveSpeed));
+          break;
+        case 'q': // Q = Left (camera relative) - works on both layouts
+          camera.getWorldDirection(direction);
+          const leftVector = new THREE.Vector3().crossVectors(direction, camera.up).normalize();
+          camera.position.add(leftVector.multiplyScalar(-moveSpeed));
+          break;
+        case 'd': // D = Right (camera relative)
+          camera.getWorldDirection(direction);
+          const rightVector = new THREE.Vector3().crossVectors(direction, camera.up).normalize();
+          camera.position.add(rightVector.multiplyScalar(moveSpeed));
+          break;
+        case 'a': // A = Up (world space)
+          camera.position.y += moveSpeed;
+          break;
+        case 'e': // E = Down (world space)
+          camera.position.y -= moveSpeed;
+          break;
+        case 'p': // Print position
+          this.printCurrentPosition();
+          break;
+        case 'm': // Place marker
+          this.placeMarker();
+          break;
+        case 'c': // Clear markers
+          this.clearMarkers();
+          break;
+        case 'l': // Layout editor
+          worldEditor.toggle();
+          break;
+        case 'o': // Save camera pose
+          this.savePose();
+          break;
+        case 'k': // Add tour keyframe
+          this.addKeyframe();
+          break;
+        case 'escape': // Exit editor
+          this.toggle();
+          break;
+      }
+    }
+    handleMouseMove(event) {
+      if (!this.isActive || worldEditor.drag) return;
+      // Proper mouse look implementation
+      if (event.buttons === 1) { // Left mouse button held
+        const sensitivity = 0.002;
+        const deltaX = event.movementX * sensitivity;
+        const deltaY = event.movementY * sensitivity;
+        // Store current rotation values
+        if (!this.cameraRotation) {
+          this.cameraRotation = {
+            x: camera.rotation.x,
+            y: camera.rotation.y
+          };
+        }
+        // Update rotation values
+        this.cameraRotation.y -= deltaX; // Horizontal rotation (left/right)
+        this.cameraRotation.x -= deltaY; // Vertical rotation (up/down)
+        // Clamp vertical rotation to prevent flipping
+        this.cameraRotation.x = Math.max(-Math.PI/2 + 0.1, Math.min(Math.PI/2 - 0.1, this.cameraRotation.x));
+        // Apply rotation using Euler angles in the correct order
+        camera.rotation.order = 'YXZ'; // Yaw, Pitch, Roll order
+        camera.rotation.y = this.cameraRotation.y;
+        camera.rotation.x = this.cameraRotation.x;
+        camera.rotation.z = 0; // No roll
+      }
+    }
+    handleClick(event) {
+      // Clicks select and drag pieces while the layout editor is open
+      if (!this.isActive || worldEditor.isActive) return;
+      // Buttons of the editor panels are not look-at targets
+      if (event.target.closest?.('#camera-editor-panel, #layout-editor-panel')) return;
+      // Cast ray to find clicked object
+      const rect = renderer.domElement.getBoundingClientRect();
+      mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+      mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+      // Look-at targets need the rendered surface, not the coarse pick colliders
+      const surfaceRaycaster = new THREE.Raycaster();
+      surfaceRaycaster.setFromCamera(mouse, camera);
+      const [hit] = surfaceRaycaster.intersectObject(scene, true);
+      if (hit) {
+        const point = hit.point;
+        this.currentTarget = point.clone();
+        camera.lookAt(point);
+        console.log(`🎯 Set look-at target: (${point.x.toFixed(3)}, ${point.y.toFixed(3)}, ${point.z.toFixed(3)})`);
+      }
+    }
+    printCurrentPosition() {
+      const pos = camera.position;
+      // Calculate current look direction from camera rotation
+      const direction = new THREE.Vector3(0, 0, -1);
+      direction.applyQuaternion(camera.quaternion);
+      const lookAt = {
+        x: pos.x + direction.x,
+        y: pos.y + direction.y,
+        z: pos.z + direction.z
+      };
+      console.log('📍 CURRENT CAMERA POSITION:');
+      console.log(`Position: { x: ${pos.x.toFixed(3)}, y: ${pos.y.toFixed(3)}, z: ${pos.z.toFixed(3)} }`);
+      console.log(`LookAt: { x: ${lookAt.x.toFixed(3)}, y: ${lookAt.y.toFixed(3)}, z: ${lookAt.z.toFixed(3)} }`);
+      console.log('Code format:');
+      console.log(`cameraPos: { x: ${pos.x.toFixed(2)}, y: ${pos.y.toFixed(2)}, z: ${pos.z.toFixed(2)} },`);
+      console.log(`lookAt: { x: ${lookAt.x.toFixed(2)}, y: ${lookAt.y.toFixed(2)}, z: ${lookAt.z.toFixed(2)} }`);
+    }
+    placeMarker() {
+      const pos = camera.position.clone();
+      // Calculate current look direction from camera rotation
+      const direction = new THREE.Vector3(0, 0, -1);
+      direction.applyQuaternion(camera.quaternion);
+      const target = new THREE.Vector3(
+        pos.x + direction.x * 5, // Project 5 units forward
+        pos.y + direction.y * 5,
+        pos.z + direction.z * 5
+      );
+      // Create visual marker
+      const markerGeometry = new THREE.SphereGeometry(0.1, 8, 6);
+      const markerMaterial = new THREE.MeshBasicMaterial({ color: 0xff00ff });
+      const marker = new THREE.Mesh(markerGeometry, markerMaterial);
+      marker.position.copy(pos);
+      // Add line to show look direction
+      const lineGeometry = new THREE.BufferGeometry().setFromPoints([pos, target]);
+      const lineMaterial = new THREE.LineBasicMaterial({ color: 0xff00ff });
+      const line = new THREE.Line(lineGeometry, lineMaterial);
+      scene.add(line);
+      marker.userData.line = line;
+      marker.userData.position = pos.clone();
+      marker.userData.target = target.clone();
+      marker.userData.id = Date.now();
+      scene.add(marker);
+      this.tempMarkers.add(marker);
+      console.log(`📌 Placed marker ${this.tempMarkers.size} at position (${pos.x.toFixed(3)}, ${pos.y.toFixed(3)}, ${pos.z.toFixed(3)})`);
+      this.updateMarkersDisplay();
+    }
+    clearMarkers() {
+      this.tempMarkers.forEach(marker => {
+        scene.remove(marker);
+        if (marker.userData.line) {
+          scene.remove(marker.userData.line);
+        }
+      });
+      this.tempMarkers.clear();
+      console.log('🗑️ Cleared all markers');
+      this.updateMarkersDisplay();
+    }
+    updatePositionDisplay() {
+      if (!this.isActive) return;
+      const pos = camera.position;
+      // Calculate current look direction from camera rotation
+      const direction = new THREE.Vector3(0, 0, -1);
+      direction.applyQuaternion(camera.quaternion);
+      const lookAt = {
+        x: pos.x + direction.x,
+        y: pos.y + direction.y,
+        z: pos.z + direction.z
+      };
+      const posDisplay = document.getElementById('pos-display');
+      const targetDisplay = document.getElementById('target-display');
+      if (posDisplay) {
+        posDisplay.textContent = `${pos.x.toFixed(3)}, ${pos.y.toFixed(3)}, ${pos.z.toFixed(3)}`;
+      }
+      if (targetDisplay) {
+        targetDisplay.textContent = `${lookAt.x.toFixed(3)}, ${lookAt.y.toFixed(3)}, ${lookAt.z.toFixed(3)}`;
+      }
+      // Continue updating
+      requestAnimationFrame(() => this.updatePositionDisplay());
+    }
+    updateMarkersDisplay() {
+      const container = document.getElementById('markers-content');
+      if (!container) return;
+      if (this.tempMarkers.size === 0) {
+        container.innerHTML = '<div style="color: #666;">No markers placed</div>';
+        return;
+      }
+      let html = '';
+      let index = 1;
+      this.tempMarkers.forEach(marker => {
+        const pos = marker.userData.position;
+        const target = marker.userData.target;
+        html += `
+          <div style="margin: 5px 0; padding: 8px; background: rgba(255,0,255,0.1); border-radius: 4px; font-size: 10px;">
+            <strong>Marker ${index}:</strong><br>
+            Pos: (${pos.x.toFixed(2)}, ${pos.y.toFixed(2)}, ${pos.z.toFixed(2)})<br>
+            Target: (${target.x.toFixed(2)}, ${target.y.toFixed(2)}, ${target.z.toFixed(2)})
+          </div>
+        `;
+        index++;
+      });
+      container.innerHTML = html;
+    }
+    displayEmbeddedCameras() {
+      const container = document.getElementById('embedded-cameras-list');
+      if (!container) return;
+      if (this.embeddedCameras.size === 0) {
+        container.innerHTML = '<div style="color: #666;">No embedded cameras found</div>';
+        return;
+      }
+      let html = '';
+      this.embeddedCameras.forEach((camData, key) => {
+        const pos = camData.position;
+        const target = camData.target;
+        html += `
+          <div style="margin: 5px 0; padding: 8px; background: rgba(255,170,0,0.1); border-radius: 4px; font-size: 10px;">
+            <strong>${key}:</strong><br>
+            Pos: (${pos.x.toFixed(2)}, ${pos.y.toFixed(2)}, ${pos.z.toFixed(2)})<br>
+            Target: (${target.x.toFixed(2)}, ${target.y.toFixed(2)}, ${target.z.toFixed(2)})<br>
+            <button onclick="cameraEditor.jumpToEmbeddedCamera('${key}')" style="background: #666; color: white; border: none; padding: 2px 6px; margin-top: 4px; cursor: pointer; border-radius: 2px; font-size: 9px;">Jump to</button>
+          </div>
+        `;
+      });
+      container.innerHTML = html;
+    }
+    // Current view as a preset pose; the look-at point keeps the distance to the clicked target
+    currentPose() {
+      const direction = camera.getWorldDirection(new THREE.Vector3());
+      const distance = this.currentTarget ? camera.position.distanceTo(this.currentTarget) : 1;
+      const lookAt = camera.position.clone().addScaledVector(direction, distance);
+      const round = (vector) => ({ x: +vector.x.toFixed(3), y: +vector.y.toFixed(3), z: +vector.z.toFixed(3) });
+      return { position: round(camera.position), lookAt: round(lookAt) };
+    }
+    // Name the pose after what the editor was opened on
+    suggestPoseName() {
+      const context = appState.resumeTarget?.context || {};
+      if (context.objectId) return `object:${context.objectId}`;
+      if (context.hex) return `zone:${context.hex}`;
+      return 'overview';
+    }
+    syncRotation() {
+      this.cameraRotation = { x: camera.rotation.x, y: camera.rotation.y };
+    }
+    savePose() {
+      const name = prompt('Pose name (zone:<hexType>, hex:<q>,<r>, object:<objectId> or any name):', this.suggestPoseName());
+      if (!name || !name.trim()) return;
+      cameraPresets.setPose(name.trim(), this.currentPose());
+      console.log(`💾 Saved camera pose "${name.trim()}" - Save to Browser or Download JSON to keep it`);
+      this.updatePresetsDisplay();
+    }
+    jumpToPose(name) {
+      const pose = cameraPresets.getPose(name);
+      if (!pose) return;
+      camera.position.set(pose.position.x, pose.position.y, pose.position.z);
+      camera.lookAt(pose.lookAt.x, pose.lookAt.y, pose.lookAt.z);
+      this.currentTarget = new THREE.Vector3(pose.lookAt.x, pose.lookAt.y, pose.lookAt.z);
+      this.syncRotation();
+      console.log(`🎥 Jumped to camera pose: ${name}`);
+    }
+    deletePose(name) {
+      const usedBy = Object.entries(cameraPresets.tours).filter(([, tour]) => tour.keyframes.some(keyframe => keyframe.pose === name));
+      if (usedBy.length > 0) {
+        console.warn(`Pose "${name}" is used by tour(s) ${usedBy.map(([tourName]) => tourName).join(', ')} - delete them first`);
+        return;
+      }
+      cameraPresets.deletePose(name);
+      this.updatePresetsDisplay();
+    }
+    addKeyframe() {
+      const duration = parseFloat(document.getElementById('keyframe-duration')?.value);
+      const ease = document.getElementById('keyframe-ease')?.value || 'power2.inOut';
+      this.tourDraft.push({ ...this.currentPose(), duration: Number.isFinite(duration) && duration >= 0 ? duration : 2, ease });
+      console.log(`🎞️ Keyframe ${this.tourDraft.length} added to the tour draft`);
+      this.updatePresetsDisplay();
+    }
+    playKeyframes(keyframes) {
+      if (keyframes.length === 0) return;
+      cameraPresets.playKeyframes(keyframes, {
+        onComplete: () => {
+          this.currentTarget = new THREE.Vector3(lookAtTarget.x, lookAtTarget.y, lookAtTarget.z);
+          this.syncRotation();
         }
-        foundDrawer = object;
-        // FIXED: For skillFlowers, treat collision box and target drawer as the same object
-        let normalizedDrawer = foundDrawer;
-        let gridIndex = foundDrawer.userData.gridIndex;
-        if (foundDrawer.userData.type && foundDrawer.userData.type.startsWith('skillFlower') && foundDrawer.userData.targetDrawer) {
-          // If this is a collision box, use the target drawer for comparison and get gridIndex from either
-          normalizedDrawer = foundDrawer.userData.targetDrawer;
-          // Use gridIndex from collision box (foundDrawer) as it should be the same as target drawer
-          gridIndex = foundDrawer.userData.gridIndex;
+      });
+    }
+    saveTour() {
+      if (this.tourDraft.length === 0) return;
+      const name = prompt('Tour name ("intro" replaces the entrance):', cameraPresets.hasTour('intro') ? 'tour' : 'intro');
+      if (!name || !name.trim()) return;
+      cameraPresets.setTour(name.trim(), this.tourDraft);
+      this.tourDraft = [];
+      console.log(`💾 Saved camera tour "${name.trim()}" - Save to Browser or Download JSON to keep it`);
+      this.updatePresetsDisplay();
+    }
+    clearTourDraft() {
+      this.tourDraft = [];
+      this.updatePresetsDisplay();
+    }
+    storePresets() {
+      cameraPresets.save();
+      console.log('💾 Camera presets saved to this browser - they now override camera-presets.json here');
+      this.updatePresetsDisplay();
+    }
+    downloadPresets() {
+      const url = URL.createObjectURL(new Blob([`${JSON.stringify(cameraPresets.toJSON(), null, 2)}\n`], { type: 'application/json' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'camera-presets.json';
+      link.click();
+      URL.revokeObjectURL(url);
+      console.log('📄 camera-presets.json downloaded - replace public/data/camera-presets.json with it to publish');
+    }
+    resetPresets() {
+      if (!confirm('Drop the camera presets saved in this browser and reload from camera-presets.json?')) return;
+      cameraPresets.clearSaved();
+      window.location.reload();
+    }
+    updatePresetsDisplay() {
+      const posesList = document.getElementById('presets-poses-list');
+      const toursList = document.getElementById('presets-tours-list');
+      const draftCount = document.getElementById('tour-draft-count');
+      if (!posesList || !toursList) return;
+      const itemStyle = 'margin: 5px 0; padding: 8px; background: rgba(0,204,255,0.1); border-radius: 4px; font-size: 10px;';
+      const smallButton = (action, name, label) => `<button data-action="${action}" data-name="${name}" style="background: #666; color: white; border: none; padding: 2px 6px; margin: 4px 4px 0 0; cursor: pointer; border-radius: 2px; font-size: 9px;">${label}</button>`;
+      const poseNames = Object.keys(cameraPresets.poses);
+      posesList.innerHTML = poseNames.length === 0 ? '<div style="color: #666;">No poses saved</div>' : poseNames.map(name => {
+        const { position } = cameraPresets.poses[name];
+        return `<div style="${itemStyle}"><strong>${name}</strong> (${position.x.toFixed(2)}, ${position.y.toFixed(2)}, ${position.z.toFixed(2)})<br>${smallButton('jump-pose', name, 'Jump to')}${smallButton('delete-pose', name, 'Delete')}</div>`;
+      }).join('');
+      const tourNames = Object.keys(cameraPresets.tours);
+      toursList.innerHTML = tourNames.length === 0 ? '<div style="color: #666;">No tours saved</div>' : tourNames.map(name => {
+        const { keyframes } = cameraPresets.tours[name];
+        const duration = keyframes.reduce((total, keyframe) => total + keyframe.duration + (keyframe.hold || 0), 0);
+        return `<div style="${itemStyle}"><strong>${name}</strong> - ${keyframes.length} keyframes, ${duration.toFixed(1)}s<br>${smallButton('play-tour', name, 'Play')}${smallButton('delete-tour', name, 'Delete')}</div>`;
+      }).join('');
+      if (draftCount) draftCount.textContent = `${this.tourDraft.length} keyframe${this.tourDraft.length === 1 ? '' : 's'}${cameraPresets.hasSaved ? ' · browser overrides active' : ''}`;
+    }
+    handlePresetAction(event) {
+      const button = event.target.closest('button[data-action]');
+      if (!button) return;
+      const { action, name } = button.dataset;
+      if (action === 'jump-pose') this.jumpToPose(name);
+      else if (action === 'delete-pose') this.deletePose(name);
+      else if (action === 'play-tour') this.playKeyframes(cameraPresets.tours[name].keyframes);
+      else if (action === 'delete-tour') {
+        cameraPresets.deleteTour(name);
+        this.updatePresetsDisplay();
+      }
+    }
+    jumpToEmbeddedCamera(key) {
+      const camData = this.embeddedCameras.get(key);
+      if (!camData) return;
+      camera.position.copy(camData.position);
+      camera.lookAt(camData.target);
+      this.currentTarget = camData.target.clone();
+      console.log(`🎥 Jumped to embedded camera: ${key}`);
+    }
+    exportPositions() {
+      console.log('\n🎯 CAMERA POSITIONS EXPORT:');
+      console.log('='.repeat(50));
+      // Export embedded cameras
+      if (this.embeddedCameras.size > 0) {
+        console.log('\n// Embedded cameras found in GLB files:');
+        this.embeddedCameras.forEach((camData, key) => {
+          const pos = camData.position;
+          const target = camData.target;
+          console.log(`// ${key}:`);
+          console.log(`{ x: ${pos.x.toFixed(2)}, y: ${pos.y.toFixed(2)}, z: ${pos.z.toFixed(2)} }, // Position`);
+          console.log(`{ x: ${target.x.toFixed(2)}, y: ${target.y.toFixed(2)}, z: ${target.z.toFixed(2)} }, // LookAt`);
+          console.log('');
+        });
+      }
+      // Export placed markers
+      if (this.tempMarkers.size > 0) {
+        console.log('\n// Manually placed markers:');
+        let index = 1;
+        this.tempMarkers.forEach(marker => {
+          const pos = marker.userData.position;
+          const target = marker.userData.target;
+          console.log(`// Marker ${index}:`);
+          console.log(`cameraPos: { x: ${pos.x.toFixed(2)}, y: ${pos.y.toFixed(2)}, z: ${pos.z.toFixed(2)} },`);
+          console.log(`lookAt: { x: ${target.x.toFixed(2)}, y: ${target.y.toFixed(2)}, z: ${target.z.toFixed(2)} },`);
+          console.log('');
+          index++;
+        });
+      }
+      // Current position
+      const currentPos = camera.position;
+      const currentTarget = this.currentTarget || { x: 0, y: 0, z: 0 };
+      console.log('\n// Current camera position:');
+      console.log(`cameraPos: { x: ${currentPos.x.toFixed(2)}, y: ${currentPos.y.toFixed(2)}, z: ${currentPos.z.toFixed(2)} },`);
+      console.log(`lookAt: { x: ${currentTarget.x.toFixed(2)}, y: ${currentTarget.y.toFixed(2)}, z: ${currentTarget.z.toFixed(2)} },`);
+      console.log('\n// Poses and tours saved from the panel are used by the runtime as is (Save to Browser / Download JSON)');
+      console.log('='.repeat(50));
+    }
+  }
+  // Create global camera editor instance
+  const cameraEditor = new CameraPositionEditor();
+  window.cameraEditor = cameraEditor;
+  window.cameraUtils = {
+    // Quick access functions
+    startEditor: () => cameraEditor.toggle(),
+    printPosition: () => {
+      console.log('📍 Current Camera Position:');
+      console.log(`Position: { x: ${camera.position.x.toFixed(3)}, y: ${camera.position.y.toFixed(3)}, z: ${camera.position.z.toFixed(3)} }`);
+      console.log(`Looking at: { x: ${lookAtTarget.x.toFixed(3)}, y: ${lookAtTarget.y.toFixed(3)}, z: ${lookAtTarget.z.toFixed(3)} }`);
+    },
+    // Move camera to specific position
+    setPosition: (x, y, z, lookX = 0, lookY = 0, lookZ = 0) => {
+      camera.position.set(x, y, z);
+      camera.lookAt(lookX, lookY, lookZ);
+      lookAtTarget = { x: lookX, y: lookY, z: lookZ };
+      console.log(`📷 Camera moved to (${x}, ${y}, ${z}) looking at (${lookX}, ${lookY}, ${lookZ})`);
+    },
+    // Useful preset positions
+    presets: {
+      overview: () => window.cameraUtils.setPosition(0, 8, 12, 0, 0, 0),
+      topDown: () => window.cameraUtils.setPosition(0, 15, 0, 0, 0, 0),
+      closeUp: () => window.cameraUtils.setPosition(2, 2, 4, 0, 0, 0),
+      sideView: () => window.cameraUtils.setPosition(10, 4, 0, 0, 0, 0)
+    },
+    // Help function
+    help: () => {
+      console.log('\n🎥 CAMERA UTILITIES HELP:');
+      console.log('='.repeat(40));
+      console.log('cameraUtils.startEditor()     - Open camera position editor');
+      console.log('cameraUtils.printPosition()   - Print current camera position');
+      console.log('cameraUtils.setPosition(x,y,z,lx,ly,lz) - Set camera position and target');
+      console.log('cameraUtils.presets.overview() - Go to overview position');
+      console.log('cameraUtils.presets.topDown()  - Go to top-down view');
+      console.log('cameraUtils.presets.closeUp()  - Go to close-up view');
+      console.log('cameraUtils.presets.sideView() - Go to side view');
+      console.log('\n🎮 KEYBOARD SHORTCUTS:');
+      console.log('Ctrl + E  - Toggle camera editor');
+      console.log('Ctrl + L  - Debug lights');
+      console.log('Ctrl + P  - Quick position print');
+      console.log('='.repeat(40));
+    }
+  };
+  // Editor and debug shortcuts
+  document.addEventListener('keydown', (event) => {
+    // Camera Editor Toggle (Ctrl + E)
+    if (event.ctrlKey && event.key.toLowerCase() === 'e') {
+      event.preventDefault();
+      cameraEditor.toggle();
+      return;
+    }
+    // Debug Light Manager (Ctrl + L)
+    if (event.ctrlKey && event.key.toLowerCase() === 'l') {
+      event.preventDefault();
+      ImportedLightManager.debugLights();
+      return;
+    }
+    // Quick position print (Ctrl + P) - only when editor is not active
+    if (event.ctrlKey && event.key.toLowerCase() === 'p' && !cameraEditor.isActive) {
+      event.preventDefault();
+      if (!isProduction) {
+        console.log('📍 Current Camera Position:');
+        console.log(`Position: { x: ${camera.position.x.toFixed(3)}, y: ${camera.position.y.toFixed(3)}, z: ${camera.position.z.toFixed(3)} }`);
+        console.log(`Looking at: { x: ${lookAtTarget.x.toFixed(3)}, y: ${lookAtTarget.y.toFixed(3)}, z: ${lookAtTarget.z.toFixed(3)} }`);
+      }
+      return;
+    }
+  });
+  // Layout authoring opened from the camera editor (L): select hexes and objects, drag them across
+  // the island, rotate them and swap a hex's model type. Edits are written straight into hexMap and
+  // the world object entries, so exporting the layout is exporting the live manifest
+  class WorldLayoutEditor {
+    static HEX_ROTATION_STEP = 60;
+    static OBJECT_ROTATION_STEP = 15;
+    constructor() {
+      this.isActive = false;
+      this.selection = null; // { kind: 'hex' | 'object', root, entry }
+      this.drag = null;
+      this.snapObjects = false;
+      this.dragPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+      this.pointerRaycaster = new THREE.Raycaster();
+    }
+    static round(value) {
+      return Math.round(value * 1000) / 1000;
+    }
+    static toDegrees(radians) {
+      const degrees = Math.round(THREE.MathUtils.radToDeg(radians) * 100) / 100;
+      return ((degrees % 360) + 360) % 360;
+    }
+    toggle() {
+      // Layout tools live inside the camera editor, which owns the camera and the 'editor' state
+      if (!this.isActive && !cameraEditor.isActive) return;
+      if (this.isActive) {
+        this.deactivate();
+      } else {
+        this.activate();
+      }
+    }
+    activate() {
+      this.isActive = true;
+      this.createPanel();
+      this.pointerDownHandler = (event) => this.handlePointerDown(event);
+      this.pointerMoveHandler = (event) => this.handlePointerMove(event);
+      this.pointerUpHandler = () => this.handlePointerUp();
+      this.keydownHandler = (event) => this.handleKeyDown(event);
+      renderer.domElement.addEventListener('mousedown', this.pointerDownHandler);
+      document.addEventListener('mousemove', this.pointerMoveHandler);
+      document.addEventListener('mouseup', this.pointerUpHandler);
+      document.addEventListener('keydown', this.keydownHandler);
+      console.log('🧱 Layout editor ACTIVATED - click a hex or an object to select it');
+    }
+    deactivate() {
+      this.handlePointerUp();
+      this.select(null);
+      renderer.domElement.removeEventListener('mousedown', this.pointerDownHandler);
+      document.removeEventListener('mousemove', this.pointerMoveHandler);
+      document.removeEventListener('mouseup', this.pointerUpHandler);
+      document.removeEventListener('keydown', this.keydownHandler);
+      document.getElementById('layout-editor-panel')?.remove();
+      this.isActive = false;
+      console.log('🧱 Layout editor DEACTIVATED');
+    }
+    createPanel() {
+      const buttonStyle = 'background: #333; color: white; border: 1px solid #666; padding: 5px 10px; margin: 2px; cursor: pointer; border-radius: 4px;';
+      const panel = document.createElement('div');
+      panel.id = 'layout-editor-panel';
+      panel.style.cssText = `
+        position: fixed; top: 20px; right: 20px; z-index: 10000;
+        background: rgba(0,0,0,0.9); color: white; padding: 20px;
+        border-radius: 12px; font-family: monospace; font-size: 12px;
+        width: 300px; max-height: 80vh; overflow-y: auto;
+        border: 2px solid #ffaa00; box-shadow: 0 0 20px rgba(255,170,0,0.3);
+      `;
+      panel.innerHTML = `
+        <div style="color: #ffaa00; font-weight: bold; margin-bottom: 15px;">
+          🧱 LAYOUT EDITOR
+        </div>
+        <div id="layout-selection" style="margin-bottom: 10px; padding: 10px; background: rgba(255,170,0,0.1); border-radius: 6px; white-space: pre-line;">Nothing selected</div>
+        <label id="layout-hex-type-row" style="display: none; margin-bottom: 10px;">
+          Hex type
+          <select id="layout-hex-type" style="margin-left: 6px; background: #222; color: white; border: 1px solid #666; font-family: monospace;">
+            ${Object.entries(world.hexTypes).map(([type, hexType]) => `<option value="${type}">${type} - ${hexType.name}</option>`).join('')}
+          </select>
+        </label>
+        <div style="margin-bottom: 10px;">
+          <button id="layout-rotate" style="${buttonStyle}">Rotate (R)</button>
+          <button id="layout-snap" style="${buttonStyle}">Snap objects: off (G)</button>
+        </div>
+        <div style="margin-bottom: 10px;">
+          <button id="layout-export" style="${buttonStyle.replace('#333', '#0066cc')}">Export world.json</button>
+          <button id="layout-save-draft" style="${buttonStyle}">Save draft &amp; reload</button>
+          <button id="layout-discard-draft" style="${buttonStyle}">Discard draft</button>
+        </div>
+        <div id="layout-status" style="color: #ffaa00; min-height: 16px; margin-bottom: 10px; white-space: pre-line;">${WorldManifest.usingDraft ? 'Running on a saved draft' : ''}</div>
+        <div style="color: #888; font-size: 10px; line-height: 1.4;">
+          <strong>Controls:</strong><br>
+          Click: Select hex or object<br>
+          Drag: Move (hexes snap to the axial grid and carry their objects)<br>
+          R / Shift+R: Rotate (hex 60°, object 15°)<br>
+          G: Snap objects to hex centres<br>
+          L: Close layout editor<br>
+          Skill and language flowers are laid out from the skills hex on reload
+        </div>
+      `;
+      document.body.appendChild(panel);
+      document.getElementById('layout-hex-type').onchange = (event) => this.swapHexType(event.target.value);
+      document.getElementById('layout-rotate').onclick = () => this.rotateSelection(1);
+      document.getElementById('layout-snap').onclick = () => this.toggleSnap();
+      document.getElementById('layout-export').onclick = () => this.exportWorld();
+      document.getElementById('layout-save-draft').onclick = () => this.saveDraft();
+      document.getElementById('layout-discard-draft').onclick = () => this.discardDraft();
+    }
+    updatePanel() {
+      const selectionElement = document.getElementById('layout-selection');
+      const typeRow = document.getElementById('layout-hex-type-row');
+      if (!selectionElement) return;
+      const { kind, root, entry } = this.selection || {};
+      typeRow.style.display = kind === 'hex' ? 'block' : 'none';
+      if (kind === 'hex') {
+        document.getElementById('layout-hex-type').value = entry.type;
+        selectionElement.textContent = `Hex ${entry.type}\nAxial (${entry.q}, ${entry.r}) · ${entry.rotation || 0}°`;
+      } else if (kind === 'object') {
+        const { x, y, z } = root.position;
+        selectionElement.textContent = `${entry.label} [${entry.id}] on ${entry.hex}\n` +
+          `Position ${x.toFixed(3)}, ${y.toFixed(3)}, ${z.toFixed(3)} · ${WorldLayoutEditor.toDegrees(root.rotation.y)}°`;
+      } else {
+        selectionElement.textContent = 'Nothing selected';
+      }
+    }
+    setStatus(message) {
+      const status = document.getElementById('layout-status');
+      if (status) status.textContent = message;
+      console.log(`🧱 ${message}`);
+    }
+    resolveSelection(root) {
+      if (hexObjects.includes(root)) {
+        const entry = hexMap.find(hex => hex.q === root.userData.q && hex.r === root.userData.r);
+        if (entry) return { kind: 'hex', root, entry };
+      }
+      const entry = worldObjects.get(root.userData.type);
+      if (entry && drawers.includes(root)) return { kind: 'object', root, entry };
+      return null;
+    }
+    select(selection) {
+      if (this.selection) setEmissiveHighlight(this.selection.root, null);
+      this.selection = selection;
+      if (selection) setEmissiveHighlight(selection.root, 0xffaa00, 0.5);
+      this.updatePanel();
+    }
+    intersectDragPlane(event) {
+      const rect = renderer.domElement.getBoundingClientRect();
+      mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+      mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+      this.pointerRaycaster.setFromCamera(mouse, camera);
+      return this.pointerRaycaster.ray.intersectPlane(this.dragPlane, new THREE.Vector3());
+    }
+    boundsCenter(root) {
+      return new THREE.Box3().setFromObject(root).getCenter(new THREE.Vector3());
+    }
+    // World objects whose bounds are centred on the tile, they travel and turn with it
+    objectsOnTile(tile) {
+      return drawers
+        .filter(root => worldObjects.has(root.userData.type))
+        .filter(root => {
+          const center = this.boundsCenter(root);
+          return Math.hypot(center.x - tile.position.x, center.z - tile.position.z) < 0.9;
+        })
+        .map(root => ({ root, entry: worldObjects.get(root.userData.type) }));
+    }
+    handlePointerDown(event) {
+      if (event.button !== 0) return;
+      const rect = renderer.domElement.getBoundingClientRect();
+      mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+      mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+      const picked = scenePicker.pick(mouse, camera);
+      const selection = picked ? this.resolveSelection(picked.object) : null;
+      if (picked && !selection) this.setStatus(`${picked.object.userData.type} is generated at load and cannot be placed by hand`);
+      this.select(selection);
+      // Empty space keeps the camera editor's drag-to-look
+      if (!selection) return;
+      const { kind, root } = selection;
+      this.dragPlane.constant = -root.position.y;
+      const start = this.intersectDragPlane(event);
+      if (!start) return;
+      this.drag = {
+        start,
+        rootStart: root.position.clone(),
+        centerOffset: this.boundsCenter(root).sub(root.position),
+        carried: kind === 'hex' ? this.objectsOnTile(root) : [],
+        moved: false
+      };
+    }
+    handlePointerMove(event) {
+      if (!this.drag || !this.selection) return;
+      const point = this.intersectDragPlane(event);
+      if (!point) return;
+      const { kind, root, entry } = this.selection;
+      if (kind === 'hex') {
+        const { q, r } = worldToHex(point.x, point.z);
+        if (q === entry.q && r === entry.r) return;
+        if (hexMap.some(hex => hex.q === q && hex.r === r)) return; // Cells hold one tile
+        this.moveHex(q, r);
+      } else {
+        const target = point.sub(this.drag.start).add(this.drag.rootStart);
+        if (this.snapObjects) {
+          const { centerOffset } = this.drag;
+          const cell = worldToHex(target.x + centerOffset.x, target.z + centerOffset.z);
+          const { x, z } = hexToWorld(cell.q, cell.r);
+          target.x = x - centerOffset.x;
+          target.z = z - centerOffset.z;
         }
-        
-        if (animatedDrawers.includes(object.userData.type)) {
-          // FIXED: Compare using normalized drawer to avoid flickering between collision box and mesh
-          if (hoveredDrawer !== normalizedDrawer) {
-            // Animate previous hovered drawer back
-            if (hoveredDrawer && drawerOriginalPositions.has(hoveredDrawer.userData.targetDrawer || hoveredDrawer)) {
-              const targetDrawer = hoveredDrawer.userData.targetDrawer || hoveredDrawer;
-              const orig = drawerOriginalPositions.get(targetDrawer);
-              // Check if previous drawer was a skillFlower
-              if (hoveredDrawer.userData.type.startsWith('skillFlower')) {
-                // Only animate back down if this skillFlower is not marked to stay up
-                if (hoveredDrawer.userData.gridIndex === undefined || !stayUpSkillFlowers.has(hoveredDrawer.userData.gridIndex)) {
-                  gsap.to(targetDrawer.position, {
-                    x: orig.x,
-                    y: orig.y, // Return to original Y position
-                    z: orig.z,
-                    duration: CONFIG.ANIMATION.DRAWER_HOVER_DURATION,
-                    ease: CONFIG.ANIMATION.HOVER_EASE,
-                  });
-                }
-                // Hide language flower when stopping hover on any skillFlower
-                if (hoveredDrawer.userData.type.startsWith('skillFlower') && hoveredDrawer.userData.gridIndex !== undefined) {
-                  hideLanguageFlower(hoveredDrawer.userData.gridIndex);
-                  currentHoveredSkillFlowerIndex = null; // Reset tracking
-                }
-              } else {
-                gsap.to(hoveredDrawer.position, {
-                  x: orig.x,
-                  z: orig.z,
-                  duration: CONFIG.ANIMATION.DRAWER_HOVER_DURATION,
-                  ease: CONFIG.ANIMATION.HOVER_EASE,
-                });
-              }
-            }
-            // Animate new hovered drawer
-            if (foundDrawer.userData.type.startsWith('skillFlower')) {
-              // Handle collision boxes by animating the target drawer
-              const targetDrawer = foundDrawer.userData.targetDrawer || foundDrawer;
-              const orig = drawerOriginalPositions.get(targetDrawer);
-              if (orig) {
-                // Mark this skillFlower to stay up permanently
-                if (gridIndex !== undefined) {
-                  stayUpSkillFlowers.add(gridIndex);
-                  // Only animate up if it's not already in the up position
-                  // Check if the flower is not already elevated (y position higher than original)
-                  if (targetDrawer.position.y <= orig.y + 0.05) { // Small tolerance for floating point precision
-                    gsap.to(targetDrawer.position, {
-                      x: orig.x,
-                      y: orig.y + 0.15, // Move up by 0.15 units
-                      z: orig.z,
-                      duration: CONFIG.ANIMATION.DRAWER_HOVER_DURATION,
-                      ease: CONFIG.ANIMATION.HOVER_EASE,
+        root.position.x = target.x;
+        root.position.z = target.z;
+      }
+      this.drag.moved = true;
+      this.updatePanel();
+    }
+    handlePointerUp() {
+      if (!this.drag) return;
+      const { moved, rootStart } = this.drag;
+      this.drag = null;
+      if (!moved || this.selection?.kind !== 'object') return;
+      const { root, entry } = this.selection;
+      this.commitObject(root, entry, root.position.x - rootStart.x, root.position.z - rootStart.z);
+    }
+    handleKeyDown(event) {
+      if (event.target.closest?.('input, select, textarea')) return;
+      const key = event.key.toLowerCase();
+      if (key === 'r') {
+        this.rotateSelection(event.shiftKey ? -1 : 1);
+      } else if (key === 'g') {
+        this.toggleSnap();
+      }
+    }
+    toggleSnap() {
+      this.snapObjects = !this.snapObjects;
+      const button = document.getElementById('layout-snap');
+      if (button) button.textContent = `Snap objects: ${this.snapObjects ? 'on' : 'off'} (G)`;
+    }
+    moveHex(q, r) {
+      const { root, entry } = this.selection;
+      const from = hexToWorld(entry.q, entry.r);
+      const to = hexToWorld(q, r);
+      const dx = to.x - from.x;
+      const dz = to.z - from.z;
+      entry.q = q;
+      entry.r = r;
+      root.userData.q = q;
+      root.userData.r = r;
+      root.position.x = to.x;
+      root.position.z = to.z;
+      if (root.userData.instances) syncInstancedHexTile(root);
+      if (entry.cameraPos) entry.cameraPos = this.shiftVector(entry.cameraPos, dx, dz);
+      oceanUniforms.uHexCenters.value[hexMap.indexOf(entry)].set(to.x, to.z);
+      this.drag.carried.forEach(({ root: objectRoot, entry: objectEntry }) => {
+        objectRoot.position.x += dx;
+        objectRoot.position.z += dz;
+        this.commitObject(objectRoot, objectEntry, dx, dz);
+      });
+    }
+    rotateAround(root, center, angle) {
+      const offset = root.position.clone().sub(center).applyAxisAngle(this.dragPlane.normal, angle);
+      root.position.copy(center).add(offset);
+      root.rotation.y += angle;
+    }
+    rotateSelection(direction) {
+      if (!this.selection || this.drag) return;
+      const { kind, root, entry } = this.selection;
+      if (kind === 'hex') {
+        const angle = THREE.MathUtils.degToRad(direction * WorldLayoutEditor.HEX_ROTATION_STEP);
+        const carried = this.objectsOnTile(root);
+        root.rotation.y += angle;
+        const rotation = WorldLayoutEditor.toDegrees(root.rotation.y);
+        if (rotation === 0) delete entry.rotation;
+        else entry.rotation = rotation;
+        if (root.userData.instances) syncInstancedHexTile(root);
+        carried.forEach(({ root: objectRoot, entry: objectEntry }) => {
+          this.rotateAround(objectRoot, root.position, angle);
+          this.commitObject(objectRoot, objectEntry);
+        });
+      } else {
+        this.rotateAround(root, this.boundsCenter(root), THREE.MathUtils.degToRad(direction * WorldLayoutEditor.OBJECT_ROTATION_STEP));
+        this.commitObject(root, entry);
+      }
+      this.updatePanel();
+    }
+    shiftVector(vector, dx, dz) {
+      return { ...vector, x: WorldLayoutEditor.round(vector.x + dx), z: WorldLayoutEditor.round(vector.z + dz) };
+    }
+    // Writes an object's transform back to its world entry and rehomes it on the hex it now stands on
+    commitObject(root, entry, dx = 0, dz = 0) {
+      const { round } = WorldLayoutEditor;
+      entry.position = { x: round(root.position.x), y: round(root.position.y), z: round(root.position.z) };
+      const rotation = WorldLayoutEditor.toDegrees(root.rotation.y);
+      if (rotation === 0) delete entry.rotation;
+      else entry.rotation = rotation;
+      delete entry.placement; // The explicit position replaces it
+      if (entry.cameraTarget && (dx || dz)) {
+        entry.cameraTarget = { ...this.shiftVector(entry.cameraTarget, dx, dz), lookAt: this.shiftVector(entry.cameraTarget.lookAt, dx, dz) };
+      }
+      drawerOriginalPositions.set(root, root.position.clone());
+      const center = this.boundsCenter(root);
+      const { q, r } = worldToHex(center.x, center.z);
+      const hex = hexMap.find(candidate => candidate.q === q && candidate.r === r);
+      if (hex && hex.type !== entry.hex) {
+        entry.hex = hex.type;
+        this.setStatus(`${entry.id} now belongs to the ${hex.type} hex`);
+      }
+    }
+    removeHexTile(tile) {
+      scene.remove(tile);
+      hexObjects.splice(hexObjects.indexOf(tile), 1);
+      scenePicker.unregister(tile);
+      // Collapse this placement's instances, the other tiles of the type keep drawing through the same meshes
+      tile.userData.instances?.forEach(({ mesh, index }) => {
+        mesh.setMatrixAt(index, new THREE.Matrix4().makeScale(0, 0, 0));
+        mesh.instanceMatrix.needsUpdate = true;
+      });
+    }
+    swapHexType(type) {
+      if (this.selection?.kind !== 'hex' || this.selection.entry.type === type) return;
+      const { root, entry } = this.selection;
+      const hexType = world.hexTypes[type];
+      this.setStatus(`Loading ${hexType.name}...`);
+      assetStreamer.load(
+        `./public/models/${hexType.model}`,
+        { label: `${hexType.name} (layout editor)` },
+        (gltf) => {
+          processGLBMaterials(gltf, hexType.model);
+          if (this.selection?.root === root) this.select(null);
+          this.removeHexTile(root);
+          entry.type = type;
+          const tile = placeHexTile(gltf.scene, entry);
+          if (this.isActive) this.select(this.resolveSelection(tile));
+          this.setStatus(`(${entry.q}, ${entry.r}) is now ${type} - themes and navigation follow after a reload`);
+        },
+        (error) => this.setStatus(`Could not load ${hexType.model}: ${error.message}`)
+      );
+    }
+    buildManifest() {
+      // world holds the visitor's language, the export keeps world.json's own strings
+      return WorldManifest.delocalize({ ...world, hexes: hexMap.map(hex => ({ ...hex })), objects: world.objects });
+    }
+    // Returns the manifest when it would load, after reporting its problems otherwise
+    validatedManifest() {
+      const manifest = this.buildManifest();
+      const errors = WorldManifest.validate(manifest);
+      if (errors.length > 0) {
+        this.setStatus(`Layout not exported:\n${errors.join('\n')}`);
+        return null;
+      }
+      return manifest;
+    }
+    exportWorld() {
+      const manifest = this.validatedManifest();
+      if (!manifest) return;
+      const url = URL.createObjectURL(new Blob([`${JSON.stringify(manifest, null, 2)}\n`], { type: 'application/json' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'world.json';
+      link.click();
+      URL.revokeObjectURL(url);
+      this.setStatus('world.json exported - replace public/data/world.json with it to publish the layout');
+    }
+    saveDraft() {
+      const manifest = this.validatedManifest();
+      if (!manifest) return;
+      WorldManifest.saveDraft(manifest);
+      window.location.reload();
+    }
+    discardDraft() {
+      WorldManifest.discardDraft();
+      window.location.reload();
+    }
+  }
+  const worldEditor = new WorldLayoutEditor();
+  window.worldEditor = worldEditor;
+  // Show help on load (in development)
+  if (!isProduction) {
+    console.log('\n🎥 Camera positioning system loaded!');
+    console.log('Type "cameraUtils.help()" for available commands.');
+    console.log('Press Ctrl + E to start the camera editor, then L for the layout editor.');
+    console.log('Type "toggleDevOverlay()" to show or hide draw call and triangle counts.');
+  }
+  const textureLoader = new THREE.TextureLoader();
+  // Register environment texture for loading tracking
+  incrementTotalAssets();
+  // Try multiple environment texture formats
+  const envTexturePaths = [
+    './public/textures/env.jpg',
+    './public/textures/env.png',
+    './public/textures/env.hdr'
+  ];
+  let envTextureLoaded = false;
+  function loadEnvironmentTexture(paths, index = 0) {
+    if (index >= paths.length) {
+      // All texture formats failed, create fallback
+      console.warn('All environment textures failed, creating fallback');
+      assetStreamer.recordFailure('Environment texture', 'gradient environment', 'no format could be loaded');
+      const fallbackTexture = createFallbackEnvironment();
+      scene.background = fallbackTexture;
+      scene.environment = fallbackTexture;
+      markAssetLoaded();
+      return;
+    }
+    ErrorHandler.handleAsyncError(
+      new Promise((resolve, reject) => {
+        textureLoader.load(
+          paths[index],
+          (texture) => {
+            try {
+              if (envTextureLoaded) return; // Prevent double loading
+              envTextureLoaded = true;
+              texture.mapping = THREE.EquirectangularReflectionMapping;
+              texture.colorSpace = THREE.SRGBColorSpace;
+              // Set as both background and environment for reflections
+              scene.background = texture;
+              scene.environment = texture;
+              // Process existing materials to use the new environment
+              scene.traverse((child) => {
+                if (child.isMesh && child.material) {
+                  if (child.material.isMeshStandardMaterial || child.material.isMeshPhysicalMaterial) {
+                    child.material.envMap = texture;
+                    child.material.envMapIntensity = 0.8;
+                    child.material.needsUpdate = true;
+                  }
+                  if (Array.isArray(child.material)) {
+                    child.material.forEach(mat => {
+                      if (mat.isMeshStandardMaterial || mat.isMeshPhysicalMaterial) {
+                        mat.envMap = texture;
+                        mat.envMapIntensity = 0.8;
+                        mat.needsUpdate = true;
+                      }
                     });
                   }
-                } else {
-                  // Fallback if gridIndex is undefined
-                  gsap.to(targetDrawer.position, {
-                    x: orig.x,
-                    y: orig.y + 0.15, // Move up by 0.15 units
-                    z: orig.z,
-                    duration: CONFIG.ANIMATION.DRAWER_HOVER_DURATION,
-                    ease: CONFIG.ANIMATION.HOVER_EASE,
-                  });
-                }
-              }
-              // FIXED: Show corresponding language flower using grid index from any skillFlower component
-              if (gridIndex !== undefined) {
-                // Only trigger language flower if we're hovering a different skillFlower
-                if (currentHoveredSkillFlowerIndex !== gridIndex) {
-                  const skillFlowerInfo = getLanguageFlowerInfo(gridIndex);
-                  console.log(`SkillFlower hover detected - Grid Index: ${gridIndex}, Type: ${foundDrawer.userData.type}, Expected: ${skillFlowerInfo?.displayName}`);
-                  showLanguageFlower(gridIndex);
-                  currentHoveredSkillFlowerIndex = gridIndex;
                 }
-              }
-            } else {
-              // For regular drawers, use the old movement
-              gsap.to(foundDrawer.position, {
-                x: 0.029,
-                z: -0.0374,
-                duration: CONFIG.ANIMATION.DRAWER_HOVER_DURATION,
-                ease: CONFIG.ANIMATION.HOVER_EASE,
               });
+              console.log(`Environment texture loaded successfully: ${paths[index]}`);
+              markAssetLoaded();
+              resolve(texture);
+            } catch (error) {
+              reject(error);
             }
-            hoveredDrawer = normalizedDrawer; // Store the normalized drawer (target drawer for collision boxes)
+          },
+          undefined,
+          (error) => {
+            console.warn(`Failed to load ${paths[index]}, trying next format...`);
+            reject(error);
           }
-        } else {
-          // For non-animated drawers, just update hoveredDrawer reference (no animation)
-          if (
-            hoveredDrawer &&
-            hoveredDrawer !== normalizedDrawer &&
-            drawerOriginalPositions.has(hoveredDrawer) &&
-            animatedDrawers.includes(hoveredDrawer.userData.type)
-          ) {
-            const orig = drawerOriginalPositions.get(hoveredDrawer);
-            // Check if previous drawer was a skillFlower
-            if (hoveredDrawer.userData.type.startsWith('skillFlower')) {
-              // Only animate back down if this skillFlower is not marked to stay up
-              if (hoveredDrawer.userData.gridIndex === undefined || !stayUpSkillFlowers.has(hoveredDrawer.userData.gridIndex)) {
-                gsap.to(hoveredDrawer.position, {
-                  x: orig.x,
-                  y: orig.y, // Return to original Y position
-                  z: orig.z,
-                  duration: 0.3,
-                  ease: 'power2.out',
+        );
+      }),
+      `Environment texture loading - ${paths[index]}`
+    ).then((result) => {
+      if (!result && !envTextureLoaded) {
+        // Try next texture format
+        loadEnvironmentTexture(paths, index + 1);
+      }
+    });
+  }
+  function createFallbackEnvironment() {
+    // Create a simple gradient environment texture as fallback
+    const canvas = document.createElement('canvas');
+    canvas.width = 512;
+    canvas.height = 256;
+    const ctx = canvas.getContext('2d');
+    const gradient = ctx.createLinearGradient(0, 0, 0, canvas.height);
+    gradient.addColorStop(0, '#87CEEB'); // Sky blue
+    gradient.addColorStop(0.7, '#FFD4A3'); // Warm horizon
+    gradient.addColorStop(1, '#8B4513'); // Ground brown
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.mapping = THREE.EquirectangularReflectionMapping;
+    texture.colorSpace = THREE.SRGBColorSpace;
+    return texture;
+  }
+  // Start loading environment textures
+  loadEnvironmentTexture(envTexturePaths);
+  // Stem height for a 1-5 proficiency: 3 keeps the model's own height, as does a pending one
+  function getSkillFlowerHeight(proficiency = 3) {
+    return 0.7 + 0.1 * proficiency;
+  }
+  // The grid stays as square as possible and shrinks past 3x3 so it fits on the hex
+  function getSkillGridLayout(count) {
+    const columns = Math.ceil(Math.sqrt(count));
+    const rows = Math.ceil(count / columns);
+    return { columns, rows, fit: Math.min(1, 3 / Math.max(columns, rows)) };
+  }
+  function generateSkillFlowersGrid() {
+    const skillsHex = hexMap.find(hex => hex.type === world.skillFlowers.hex);
+    if (!skillsHex) {
+      console.error('Skills hex not found');
+      return;
+    }
+    const skillsWorldPos = hexToWorld(skillsHex.q, skillsHex.r);
+    const { columns, rows, fit } = getSkillGridLayout(languageFlowerData.length);
+    const gridSpacing = { x: 0.2 * fit, z: 0.27 * fit }; // Grid dimensions reduced by half
+    const collisionBoxYOffset = -0.1; // Configurable Y offset for collision boxes (negative = lower)
+    // Grid positions centered on the Skills hex, filled row by row from the top-left
+    // NOTE: The coordinate system is relative to the camera's viewing angle
+    // From the user's perspective when looking at the Skills hex:
+    // - Negative Z is "forward" (top row)
+    // - Positive Z is "backward" (bottom row)
+    // - Negative X is "left"
+    // - Positive X is "right"
+    const gridPositions = languageFlowerData.map((skill, index) => ({
+      x: (index % columns - (columns - 1) / 2) * gridSpacing.x,
+      z: (Math.floor(index / columns) - (rows - 1) / 2) * gridSpacing.z
+    }));
+    if (!isProduction) {
+      console.log('=== SkillFlower Grid Debug ===');
+      console.log('Skills hex world position:', skillsWorldPos);
+      console.log('Grid spacing:', gridSpacing);
+    }
+    // Load skillFlower model and create one instance per skill
+    gridPositions.forEach((gridPos, index) => {
+      // Calculate final world position
+      const finalWorldPos = {
+        x: skillsWorldPos.x + gridPos.x,
+        y: 0,
+        z: skillsWorldPos.z + gridPos.z
+      };
+      const expectedFlower = languageFlowerData[index];
+      console.log(`SkillFlower ${index}: Grid(${gridPos.x.toFixed(2)}, ${gridPos.z.toFixed(2)}) -> World(${finalWorldPos.x.toFixed(2)}, ${finalWorldPos.z.toFixed(2)}) -> ${expectedFlower?.displayName} (${expectedFlower?.name})`);
+      // Additional debug: Show which position this represents in user view
+      let viewPosition = 'unknown';
+      if (gridPos.z < 0) viewPosition = 'top';
+      else if (gridPos.z > 0) viewPosition = 'bottom';
+      else viewPosition = 'middle';
+      if (gridPos.x < 0) viewPosition += '-left';
+      else if (gridPos.x > 0) viewPosition += '-right';
+      else viewPosition += '-center';
+      console.log(`  -> Visual position: ${viewPosition} (should show ${expectedFlower?.displayName})`);
+      trackModelLoad(
+        new Promise((resolve, reject) => {
+          assetStreamer.load(
+            `./public/models/${world.skillFlowers.model}`, // Same model for every skill
+            { zone: skillsHex.type, label: t('loading.skillFlower', { index: index + 1 }) },
+            (gltf) => {
+              try {
+                processGLBMaterials(gltf, world.skillFlowers.model);
+                const skillFlower = gltf.scene;
+                // Taller stems for the skills used most
+                const height = getSkillFlowerHeight(expectedFlower.proficiency);
+                // Position at grid location relative to CV hex
+                skillFlower.position.set(
+                  finalWorldPos.x,
+                  finalWorldPos.y,
+                  finalWorldPos.z
+                );
+                skillFlower.scale.set(fit, height * fit, fit);
+                skillFlower.userData.type = `skillFlower${index + 1}`;
+                skillFlower.userData.gridIndex = index;
+                // Create collision box for enhanced mouse detection
+                const collisionGeometry = new THREE.BoxGeometry(0.05, 0.2, 0.05);
+                const collisionMaterial = new THREE.MeshBasicMaterial({
+                  visible: false,
+                  transparent: true,
+                  opacity: 0
                 });
+                const collisionBox = new THREE.Mesh(collisionGeometry, collisionMaterial);
+                collisionBox.scale.copy(skillFlower.scale);
+                collisionBox.position.copy(skillFlower.position);
+                collisionBox.position.y += collisionBoxYOffset * height * fit; // Apply configurable Y offset
+                collisionBox.userData.type = `skillFlower${index + 1}`;
+                collisionBox.userData.targetDrawer = skillFlower;
+                collisionBox.userData.gridIndex = index;
+                scene.add(skillFlower);
+                scene.add(collisionBox);
+                skillFlowers[index] = skillFlower; // Streamed loads finish in any order
+                drawers.push(collisionBox);
+                drawers.push(skillFlower); // FIXED: Add skillFlower mesh to drawers array too
+                scenePicker.register(collisionBox);
+                scenePicker.register(skillFlower, createObjectPickBox(skillFlower));
+                drawerOriginalPositions.set(skillFlower, skillFlower.position.clone());
+                console.log(`SkillFlower ${index + 1} loaded at world position:`, skillFlower.position, `-> Maps to: ${expectedFlower?.displayName}`);
+                resolve(skillFlower);
+              } catch (error) {
+                reject(error);
               }
-            } else {
-              gsap.to(hoveredDrawer.position, {
-                x: orig.x,
-                z: orig.z,
-                duration: 0.3,
-                ease: 'power2.out',
-              });
-            }
-          }
-          hoveredDrawer = normalizedDrawer; // Store the normalized drawer
-        }
-        // Show label for clickable drawers only
-        const infoFile = drawerInfoFiles[object.userData.type];
-        if (infoFile) {
-          fetch(infoFile)
-            .then(res => {
-              if (!res.ok) throw new Error(`HTTP ${res.status}`);
-              return res.text();
-            })
-            .then(html => {
-              // Add unread indicator if drawer is unread
-              const isUnread = unreadDrawers.has(object.userData.type);
-              const unreadIndicator = isUnread ?
-                `<div style="background: #ff4444; color: #fff; padding: 4px 8px; border-radius: 6px; font-size: 0.8rem; font-weight: bold; margin-bottom: 8px; text-align: center;">UNREAD</div>` : '';
-              drawerLabel.innerHTML = unreadIndicator + html;
-              drawerLabel.style.display = "block";
-              drawerLabel.style.border = isUnread ? "2px solid #ff4444" : "1px solid #eee";
-              drawerLabel.style.opacity = "1";
-              // Better positioning logic
-              positionDrawerLabel(event.clientX, event.clientY);
-              
-              if (isUnread && object.userData.type !== 'forge') {
-                unreadDrawers.delete(object.userData.type);
-                updateThemeUnreadBadges();
+            },
+            reject
+          );
+        }),
+        `SkillFlower ${index + 1} loading`
+      );
+    });
+  }
+  function loadLanguageFlowers() {
+    console.log('Loading language flowers with enhanced mapping...');
+    // Pre-initialize the array with the correct size to ensure proper indexing
+    languageFlowers.length = languageFlowerData.length;
+    languageFlowerData.forEach((flowerData, index) => {
+      trackModelLoad(
+        new Promise((resolve, reject) => {
+          assetStreamer.load(
+            `./public/models/${flowerData.model}`,
+            { zone: world.skillFlowers.hex, label: t('loading.languageFlower', { skill: flowerData.displayName }) },
+            (gltf) => {
+              try {
+                processGLBMaterials(gltf, flowerData.model);
+                const languageFlower = gltf.scene;
+                // FIXED: Start hidden below ground at origin (will be positioned correctly when shown)
+                languageFlower.position.set(0, -2, 0);
+                const { fit } = getSkillGridLayout(languageFlowerData.length);
+                languageFlower.scale.set(fit, fit, fit);
+                languageFlower.visible = false;
+                // Enhanced userData with complete flower information - reset for fresh state
+                languageFlower.userData = {
+                  type: flowerData.name,
+                  displayName: flowerData.displayName,
+                  category: flowerData.category,
+                  gridPosition: flowerData.gridPosition,
+                  gridIndex: index,
+                  languageFlower: true,
+                  isAnimating: false // Ensure fresh animation state
+                };
+                scene.add(languageFlower);
+                scenePicker.register(languageFlower, createObjectPickBox(languageFlower));
+                // FIXED: Place language flower at the correct array index instead of pushing
+                languageFlowers[index] = languageFlower;
+                console.log(`Language flower loaded - Index: ${index}, Name: ${flowerData.name}, Display: ${flowerData.displayName}, Position: ${flowerData.gridPosition}`);
+                resolve(languageFlower);
+              } catch (error) {
+                reject(error);
               }
-            })
-            .catch(error => {
-              console.warn('Failed to load drawer info:', error);
-              drawerLabel.innerHTML = '<div>Content unavailable</div>';
-              drawerLabel.style.display = "block";
-              drawerLabel.style.border = "1px solid #eee";
-              drawerLabel.style.opacity = "1";
-              positionDrawerLabel(event.clientX, event.clientY);
-            });
-        } else {
-          // Custom messages for specific drawers
-          let message = `<div>No info available.</div>`;
-          if (object.userData.type === 'forge') {
-            message = `<div>most significant conception experience</div>`;
-          } else if (object.userData.type === 'steering') {
-            message = `<div>most significant dev project</div>`;
-          } else if (object.userData.type === 'trashTruck') {
-            message = `<div>IoT + AR trash management project</div>`;
-          } else if (object.userData.type === 'convoyeur') {
-            message = `<div>Automated sorting system with NFC & WMS</div>`;
-          } else if (object.userData.type === 'sensorSensei') {
-            message = `<div>LoRa-powered environmental data relay</div>`;
-          } else if (object.userData.type === 'medical') {
-            message = `<div>VivaTech Medical App - 3D Eye-Tracking Telemedicine</div>`;
-          } else if (object.userData.type === 'forviaCAR') {
-            message = `<div>FORVIA Car Project - Interactive Car Interior CES 2023</div>`;
-          } else if (object.userData.type === 'pc') {
-            message = `<div>Desk Project - Interactive workspace and productivity tools</div>`;
-          } else if (object.userData.type === 'skillFlower1') {
-            message = `<div><strong>Unity Game Engine</strong><br/>3D game development and interactive experiences</div>`;
-          } else if (object.userData.type === 'skillFlower2') {
-            message = `<div><strong>Unreal Engine</strong><br/>Advanced real-time 3D creation and visualization</div>`;
-          } else if (object.userData.type === 'skillFlower3') {
-            message = `<div><strong>C++ Programming</strong><br/>High-performance system and game development</div>`;
-          } else if (object.userData.type === 'skillFlower4') {
-            message = `<div><strong>C# Development</strong><br/>Enterprise applications and Unity scripting</div>`;
-          } else if (object.userData.type === 'skillFlower5') {
-            message = `<div><strong>Python Programming</strong><br/>Data science, automation, and backend development</div>`;
-          } else if (object.userData.type === 'skillFlower6') {
-            message = `<div><strong>Java Development</strong><br/>Enterprise applications and cross-platform solutions</div>`;
-          } else if (object.userData.type === 'skillFlower7') {
-            message = `<div><strong>Git Version Control</strong><br/>Source code management and collaborative development</div>`;
-          } else if (object.userData.type === 'skillFlower8') {
-            message = `<div><strong>Arduino & IoT</strong><br/>Embedded systems and Internet of Things development</div>`;
-          } else if (object.userData.type === 'skillFlower9') {
-            message = `<div><strong>Meta & VR Development</strong><br/>Virtual reality and metaverse applications</div>`;
-          }
-          drawerLabel.innerHTML = message;
-          drawerLabel.style.display = "block";
-          drawerLabel.style.border = "1px solid #eee";
-          drawerLabel.style.opacity = "1";
-          positionDrawerLabel(event.clientX, event.clientY);
-          
-          if (unreadDrawers.has(object.userData.type) &&
-              object.userData.type !== 'forge') {
-            // For skillFlowers, use markObjectAsDiscovered instead of just deleting from unreadDrawers
-            if (object.userData.type.startsWith('skillFlower')) {
-              markObjectAsDiscovered(object.userData.type);
-            } else {
-              unreadDrawers.delete(object.userData.type);
-              updateThemeUnreadBadges();
-            }
-          }
+            },
+            reject
+          );
+        }),
+        `Language flower ${flowerData.displayName} (${flowerData.name}) loading`
+      );
+    });
+    // Log the complete mapping for verification
+    console.log('Language Flower Grid Mapping:');
+    languageFlowerData.forEach((flower, index) => {
+      console.log(`Grid ${index} (${flower.gridPosition}): ${flower.displayName} (${flower.name}) - ${flower.category}`);
+    });
+  }
+  function showLanguageFlower(gridIndex) {
+    const languageFlower = languageFlowers[gridIndex];
+    const skillFlower = skillFlowers[gridIndex];
+    const flowerInfo = getLanguageFlowerInfo(gridIndex);
+    // Enhanced checks to prevent duplicate animations
+    if (!languageFlower || !skillFlower) {
+      console.warn(`Cannot show language flower at index ${gridIndex}:`, {
+        hasLanguageFlower: !!languageFlower,
+        hasSkillFlower: !!skillFlower
+      });
+      return;
+    }
+    // If already active or currently animating, don't start another animation
+    if (activeLanguageFlowers.has(gridIndex)) {
+      console.log(`Language flower ${flowerInfo?.displayName} already active at grid ${gridIndex} - skipping duplicate show`);
+      return;
+    }
+    // Check if there's already a running animation on this language flower
+    if (languageFlower.userData && languageFlower.userData.isAnimating) {
+      console.log(`Language flower ${flowerInfo?.displayName} currently animating at grid ${gridIndex} - skipping duplicate show`);
+      return;
+    }
+    // Mark as active and animating immediately to prevent duplicates
+    activeLanguageFlowers.add(gridIndex);
+    stayUpLanguageFlowers.add(gridIndex); // Mark this language flower to stay up permanently
+    languageFlower.visible = true;
+    languageFlower.userData = languageFlower.userData || {};
+    languageFlower.userData.isAnimating = true;
+    // Kill any existing animations on this language flower to prevent conflicts
+    gsap.killTweensOf(languageFlower.position);
+    gsap.killTweensOf(languageFlower.rotation);
+    // Clear any existing rotation animation tracking
+    const existingRotation = languageFlowerRotations.get(gridIndex);
+    if (existingRotation) {
+      existingRotation.kill();
+      languageFlowerRotations.delete(gridIndex);
+    }
+    // Log what we're showing
+    console.log(`Showing language flower: ${flowerInfo?.displayName || 'Unknown'} (${flowerInfo?.name || 'unknown'}) at grid position ${gridIndex} (${flowerInfo?.gridPosition || 'unknown'})`);
+    // FIXED: Position directly above the corresponding skillFlower using exact coordinates
+    const targetX = skillFlower.position.x;
+    const targetY = skillFlower.position.y + 0.42 * skillFlower.scale.y; // Height above skillFlower, which grows with proficiency
+    const targetZ = skillFlower.position.z;
+    // Set the language flower to the exact X,Z position of the skillFlower, but below ground
+    languageFlower.position.set(targetX, targetY - 0.5, targetZ);
+    // Animate rising to the target position
+    gsap.to(languageFlower.position, {
+      y: targetY,
+      duration: 0.4,
+      ease: 'back.out(1.4)',
+      onComplete: () => {
+        // Clear the animating flag when animation completes
+        if (languageFlower.userData) {
+          languageFlower.userData.isAnimating = false;
         }
-      } else {
-        // Not hovering a drawer, animate previous hovered drawer back
-        if (
-          hoveredDrawer &&
-          drawerOriginalPositions.has(hoveredDrawer.userData.targetDrawer || hoveredDrawer) &&
-          animatedDrawers.includes(hoveredDrawer.userData.type)
-        ) {
-          const targetDrawer = hoveredDrawer.userData.targetDrawer || hoveredDrawer;
-          const orig = drawerOriginalPositions.get(targetDrawer);
-          // Check if it's a skillFlower
-          if (hoveredDrawer.userData.type.startsWith('skillFlower')) {
-            // Only animate back down if this skillFlower is not marked to stay up
-            if (hoveredDrawer.userData.gridIndex === undefined || !stayUpSkillFlowers.has(hoveredDrawer.userData.gridIndex)) {
-              gsap.to(targetDrawer.position, {
-                x: orig.x,
-                y: orig.y, // Return to original Y position
-                z: orig.z,
-                duration: 0.3,
-                ease: 'power2.out',
-              });
-            }
-            // Hide language flower when stopping hover on any skillFlower
-            if (hoveredDrawer.userData.type.startsWith('skillFlower') && hoveredDrawer.userData.gridIndex !== undefined) {
-              hideLanguageFlower(hoveredDrawer.userData.gridIndex);
-              currentHoveredSkillFlowerIndex = null; // Reset tracking
-            }
-          } else {
-            gsap.to(targetDrawer.position, {
-              x: orig.x,
-              z: orig.z,
-              duration: 0.3,
-              ease: 'power2.out',
-            });
-          }
-          hoveredDrawer = null;
-        } else if (hoveredDrawer && !animatedDrawers.includes(hoveredDrawer.userData.type)) {
-          hoveredDrawer = null;
+      }
+    });
+    // Start rotation animation
+    const rotationAnim = gsap.to(languageFlower.rotation, {
+      y: "+=6.283", // Full rotation (2π radians)
+      duration: 2,
+      ease: "none",
+      repeat: -1
+    });
+    languageFlowerRotations.set(gridIndex, rotationAnim);
+  }
+  function hideLanguageFlower(gridIndex) {
+    const languageFlower = languageFlowers[gridIndex];
+    const skillFlower = skillFlowers[gridIndex];
+    const flowerInfo = getLanguageFlowerInfo(gridIndex);
+    if (!languageFlower || !activeLanguageFlowers.has(gridIndex)) return;
+    // Don't hide if marked to stay up permanently
+    if (stayUpLanguageFlowers.has(gridIndex)) {
+      console.log(`Language flower ${flowerInfo?.displayName || 'Unknown'} at grid ${gridIndex} marked to stay up - not hiding`);
+      return;
+    }
+    console.log(`Hiding language flower: ${flowerInfo?.displayName || 'Unknown'} (${flowerInfo?.name || 'unknown'}) at grid position ${gridIndex}`);
+    // Clear animation state immediately to prevent conflicts
+    if (languageFlower.userData) {
+      languageFlower.userData.isAnimating = false;
+    }
+    // Kill any running animations immediately
+    gsap.killTweensOf(languageFlower.position);
+    gsap.killTweensOf(languageFlower.rotation);
+    activeLanguageFlowers.delete(gridIndex);
+    // Stop rotation
+    const rotationAnim = languageFlowerRotations.get(gridIndex);
+    if (rotationAnim) {
+      rotationAnim.kill();
+      languageFlowerRotations.delete(gridIndex);
+    }
+    // FIXED: Animate sinking down to below ground at the same X,Z coordinates
+    const targetX = skillFlower ? skillFlower.position.x : languageFlower.position.x;
+    const targetZ = skillFlower ? skillFlower.position.z : languageFlower.position.z;
+    gsap.to(languageFlower.position, {
+      y: languageFlower.position.y - 0.5,
+      duration: 0.3,
+      ease: 'power2.in',
+      onComplete: () => {
+        languageFlower.visible = false;
+        languageFlower.rotation.y = 0; // Reset rotation
+        // Clear any remaining animation flags
+        if (languageFlower.userData) {
+          languageFlower.userData.isAnimating = false;
         }
-        drawerLabel.style.display = "none";
+        // FIXED: Reset position to below ground at the correct X,Z coordinates for next show
+        languageFlower.position.set(targetX, -2, targetZ);
       }
+    });
+  }
+  // Initialize skill flowers and language flowers
+  generateSkillFlowersGrid();
+  loadLanguageFlowers();
+  function showUnityFlower() {
+    // Legacy function - Unity flower is now at index 0 (top-left position)
+    const unityFlower = getLanguageFlowerByName('unity');
+    if (unityFlower) {
+      const unityIndex = languageFlowerData.findIndex(flower => flower.name === 'unity');
+      console.log(`Legacy showUnityFlower called - showing Unity at index ${unityIndex}`);
+      showLanguageFlower(unityIndex);
+    } else {
+      console.warn('Unity flower not found in language flower data');
     }
-  } else {
-    updateDisplayText('Portfolio');
-    // Animate previous hovered drawer back (only if animated)
-    if (
-      hoveredDrawer &&
-      drawerOriginalPositions.has(hoveredDrawer) &&
-      animatedDrawers.includes(hoveredDrawer.userData.type)
-    ) {
-      const orig = drawerOriginalPositions.get(hoveredDrawer);
-      // Check if it's a skillFlower
-      if (hoveredDrawer.userData.type.startsWith('skillFlower')) {
-        // Only animate back down if this skillFlower is not marked to stay up
-        if (hoveredDrawer.userData.gridIndex === undefined || !stayUpSkillFlowers.has(hoveredDrawer.userData.gridIndex)) {
-          gsap.to(hoveredDrawer.position, {
-            x: orig.x,
-            y: orig.y, // Return to original Y position
-            z: orig.z,
-            duration: 0.3,
-            ease: 'power2.out',
-          });
+  }
+  function hideUnityFlower() {
+    // Legacy function - Unity flower is now at index 0 (top-left position)
+    const unityIndex = languageFlowerData.findIndex(flower => flower.name === 'unity');
+    if (unityIndex !== -1) {
+      console.log(`Legacy hideUnityFlower called - hiding Unity at index ${unityIndex}`);
+      hideLanguageFlower(unityIndex);
+    } else {
+      console.warn('Unity flower not found in language flower data');
+    }
+  }
+  const clock = new THREE.Clock();
+  let lastErrorTime = 0;
+  let errorCount = 0;
+  let lastMaterialValidation = 0;
+  const MAX_ERRORS_PER_SECOND = 5;
+  const MATERIAL_VALIDATION_INTERVAL = 10; // seconds
+  function animate() {
+    // The 2D map has replaced the scene for good
+    if (appState.is('fallback')) return;
+    requestAnimationFrame(animate);
+    try {
+      const time = clock.getElapsedTime();
+      // Validate materials periodically to prevent uniform errors
+      if (time - lastMaterialValidation > MATERIAL_VALIDATION_INTERVAL) {
+        validateSceneMaterials();
+        lastMaterialValidation = time;
+      }
+      // Ocean waves are computed on the GPU, only the clock moves here
+      oceanUniforms.uTime.value = time;
+      // Update language flowers positions to stay above their corresponding skillFlowers
+      activeLanguageFlowers.forEach(gridIndex => {
+        const languageFlower = languageFlowers[gridIndex];
+        const skillFlower = skillFlowers[gridIndex];
+        if (languageFlower && skillFlower && languageFlower.visible) {
+          // Keep language flower positioned above its skillFlower
+          languageFlower.position.x = skillFlower.position.x;
+          languageFlower.position.z = skillFlower.position.z;
+          // Y position is handled by animations, don't override here
         }
-        // Hide language flower when stopping hover on any skillFlower
-        if (hoveredDrawer.userData.type.startsWith('skillFlower') && hoveredDrawer.userData.gridIndex !== undefined) {
-          hideLanguageFlower(hoveredDrawer.userData.gridIndex);
-          currentHoveredSkillFlowerIndex = null; // Reset tracking
+      });
+      // Inertia, zoom easing and idle auto-rotation in orbit mode
+      orbitController.update(performance.now());
+      // Update performance monitor
+      performanceMonitor.update();
+      // Safe rendering with error handling
+      try {
+        renderer.render(scene, camera);
+      } catch (renderError) {
+        // Limit error reporting to prevent spam
+        const currentTime = performance.now();
+        if (currentTime - lastErrorTime > 1000) { // Only report once per second
+          ErrorHandler.logError(renderError, 'Rendering');
+          lastErrorTime = currentTime;
+          errorCount = 0;
+          // If it's a uniform/shader error, try to isolate and fix problematic materials
+          if (renderError.message && renderError.message.includes('value')) {
+            console.warn('Detected uniform value error, attempting material isolation...');
+            isolateProblematicMaterials();
+          }
+        } else {
+          errorCount++;
+          if (errorCount > MAX_ERRORS_PER_SECOND) {
+            // Too many errors, skip this frame
+            return;
+          }
         }
-      } else {
-        gsap.to(hoveredDrawer.position, {
-          x: orig.x,
-          z: orig.z,
-          duration: 0.3,
-          ease: 'power2.out',
-        });
       }
-      hoveredDrawer = null;
-    } else if (hoveredDrawer && !animatedDrawers.includes(hoveredDrawer.userData.type)) {
-      hoveredDrawer = null;
+    } catch (error) {
+      // Only log animation loop errors occasionally to prevent console spam
+      const currentTime = performance.now();
+      if (currentTime - lastErrorTime > 1000) { // Only report once per second
+        ErrorHandler.logError(error, 'Animation loop');
+        lastErrorTime = currentTime;
+        errorCount = 0;
+      }
     }
-    drawerLabel.style.display = "none";
   }
-});
-function validateSceneMaterials() {
-  let invalidMaterials = 0;
-  scene.traverse((child) => {
-    if (child.isMesh && child.material) {
-      const materials = Array.isArray(child.material) ? child.material : [child.material];
-      materials.forEach((material, index) => {
-        if (material) {
-          try {
-            // Check for common uniform issues
-            if (material.envMap && !material.envMap.isTexture) {
-              console.warn(`Invalid envMap on material ${index} of ${child.name || 'unnamed object'}`);
-              material.envMap = null;
-              invalidMaterials++;
-            }
-            // Ensure normal scale is a Vector2
-            if (material.normalScale && !(material.normalScale instanceof THREE.Vector2)) {
-              material.normalScale = new THREE.Vector2(1, 1);
-              invalidMaterials++;
-            }
-            // Ensure emissive is a Color
-            if (material.emissive && !(material.emissive instanceof THREE.Color)) {
-              material.emissive = new THREE.Color(0x000000);
-              invalidMaterials++;
-            }
-            // Check for invalid uniforms that might cause .value errors
-            if (material.uniforms) {
-              Object.keys(material.uniforms).forEach(uniformName => {
-                const uniform = material.uniforms[uniformName];
-                if (uniform && typeof uniform === 'object' && uniform.value === undefined) {
-                  console.warn(`Invalid uniform ${uniformName} on material ${index} of ${child.name || 'unnamed object'}`);
-                  // Don't delete, just ensure it has a valid value
-                  uniform.value = 0; // Safe default for most uniform types
-                  invalidMaterials++;
-                }
-              });
-            }
-            // Ensure proper material flags
-            if (material.transparent === undefined) material.transparent = false;
-            if (material.alphaTest === undefined) material.alphaTest = 0;
-            if (material.side === undefined) material.side = THREE.FrontSide;
-          } catch (validationError) {
-            console.warn(`Material validation error on ${child.name || 'unnamed object'}:`, validationError);
-            invalidMaterials++;
-          }
-        }
-      });
+  animate();
+  window.addEventListener('wheel', (event) => {
+    if (!appState.allowsPointer()) return;
+    if (appState.allowsOrbit()) {
+      // Panels such as the nav sidebar keep their own scrolling
+      if (event.target !== renderer.domElement) return;
+      // Zoom the orbit, also catches trackpad pinches (reported as ctrl+wheel) before the page zooms
+      event.preventDefault();
+      orbitController.zoom(Math.exp(event.deltaY * orbitWheelZoomSpeed));
+    } else if (event.deltaY > 0) { // Scroll down backs out of a zone
+      returnToOverview();
     }
-  });
-  if (invalidMaterials > 0) {
-    console.log(`Fixed ${invalidMaterials} invalid material properties`);
+  }, { passive: false });
+  // Back out of the current zone to the orbital overview
+  function returnToOverview() {
+    // Reset active nav state since we're going back to overview
+    currentActiveHexType = null;
+    updateNavActiveState(null);
+    updateHexInfo(null); // Update to global portfolio view
+    // Object modals may open again once we're back in overview
+    modalManager.resetVisit();
+    appState.transition('orbit');
+    hashRouter.push({ kind: 'overview' });
+    // Return to the orbit the visitor left, with their tilt and zoom
+    const orbitalPosition = orbitController.positionFor();
+    // Animate camera position
+    gsap.to(camera.position, {
+      x: orbitalPosition.x,
+      y: orbitalPosition.y,
+      z: orbitalPosition.z,
+      duration: CONFIG.ANIMATION.CAMERA_DURATION,
+      ease: CONFIG.ANIMATION.EASE,
+    });
+    // Smoothly animate look-at target to the center of the island (orbital mode)
+    gsap.to(lookAtTarget, {
+      x: orbitCenter.x,
+      y: orbitCenter.y,
+      z: orbitCenter.z,
+      duration: CONFIG.ANIMATION.CAMERA_DURATION,
+      ease: CONFIG.ANIMATION.EASE,
+      onUpdate: () => {
+        camera.lookAt(lookAtTarget.x, lookAtTarget.y, lookAtTarget.z);
+      },
+      onComplete: () => {
+        // Update orbital camera angle to match the current position
+        updateCameraAngleFromPosition();
+      }
+    });
   }
-}
-function isolateProblematicMaterials() {
-  let isolatedCount = 0;
-  const fallbackMaterial = new THREE.MeshBasicMaterial({ color: 0x808080, transparent: true, opacity: 0.5 });
-  scene.traverse((child) => {
-    if (child.isMesh && child.material) {
-      const materials = Array.isArray(child.material) ? child.material : [child.material];
-      materials.forEach((material, index) => {
-        if (material) {
-          try {
-            // Test if material has problematic uniforms
-            let hasProblematicUniforms = false;
-            if (material.uniforms) {
-              Object.keys(material.uniforms).forEach(uniformName => {
-                const uniform = material.uniforms[uniformName];
-                if (uniform && typeof uniform === 'object' && uniform.value === undefined) {
-                  hasProblematicUniforms = true;
-                }
-              });
-            }
-            // If material has issues, temporarily replace it
-            if (hasProblematicUniforms) {
-              console.warn(`Isolating problematic material on ${child.name || 'unnamed object'}[${index}]`);
-              if (Array.isArray(child.material)) {
-                child.material[index] = fallbackMaterial;
-              } else {
-                child.material = fallbackMaterial;
-              }
-              isolatedCount++;
-              // Mark the object for material restoration later
-              child.userData.materialIsolated = true;
-            }
-          } catch (isolationError) {
-            console.warn(`Material isolation error on ${child.name || 'unnamed object'}:`, isolationError);
-            // As a last resort, use fallback material
-            if (Array.isArray(child.material)) {
-              child.material[index] = fallbackMaterial;
-            } else {
-              child.material = fallbackMaterial;
-            }
-            isolatedCount++;
-            child.userData.materialIsolated = true;
-          }
-        }
-      });
-    }
+  window.addEventListener('click', (event) => {
+    handleInteraction(event.clientX, event.clientY, event.target);
   });
-  if (isolatedCount > 0) {
-    console.log(`Isolated ${isolatedCount} problematic materials with fallback materials`);
-  }
-}
-function processGLBMaterials(gltf, sourceName = 'unknown') {
-  gltf.scene.traverse((child) => {
-    if (child.isMesh) {
-      // Enable shadow casting and receiving
-      child.castShadow = true;
-      child.receiveShadow = true;
-      if (child.material) {
-        // Ensure proper material properties for PBR rendering
-        if (child.material.isMeshStandardMaterial || child.material.isMeshPhysicalMaterial) {
-          // Safely apply environment mapping
-          try {
-            if (scene.environment && scene.environment.isTexture) {
-              child.material.envMap = scene.environment;
-              child.material.envMapIntensity = 0.8;
-            }
-            // Improve material properties for better lighting response
-            if (child.material.metalness === undefined) child.material.metalness = 0.1;
-            if (child.material.roughness === undefined) child.material.roughness = 0.7;
-            // Enable proper normal mapping with better scale
-            if (child.material.normalMap) {
-              child.material.normalScale = child.material.normalScale || new THREE.Vector2(1.2, 1.2);
-            }
-            // Add subtle emission for better visibility in dark areas
-            if (!child.material.emissive) {
-              child.material.emissive = new THREE.Color(0x000000);
-            }
-            // Update material
-            child.material.needsUpdate = true;
-          } catch (materialError) {
-            console.warn(`Material processing error for ${sourceName}:`, materialError);
-          }
+  if (isTouchDevice) {
+    // Touch start
+    window.addEventListener('touchstart', (event) => {
+      if (!appState.allowsPointer() || isOrbiting) return;
+      // Check if touch is on UI elements - don't interfere
+      const navSidebar = document.getElementById('zoneNavSidebar');
+      const toggleButton = document.getElementById('mobile-nav-toggle');
+      const mobileNavOverlay = document.getElementById('mobile-nav-overlay');
+      // Allow navigation interactions
+      if ((navSidebar && navSidebar.contains(event.target)) ||
+          (toggleButton && toggleButton.contains(event.target)) ||
+          (mobileNavOverlay && mobileNavOverlay.contains(event.target))) {
+        return; // Let navigation handle its own touch events
+      }
+      const touch = event.touches[0];
+      touchStart.x = touch.clientX;
+      touchStart.y = touch.clientY;
+      touchMoved = false;
+      if (event.touches.length === 2) {
+        pinchDistance = getPinchDistance(event.touches);
+        touchMoved = true; // A pinch is never a tap
+      }
+      // Only prevent default for 3D canvas interactions
+      const canvasBounds = renderer.domElement.getBoundingClientRect();
+      const isOnCanvas = touch.clientX >= canvasBounds.left &&
+                        touch.clientX <= canvasBounds.right &&
+                        touch.clientY >= canvasBounds.top &&
+                        touch.clientY <= canvasBounds.bottom;
+      if (isOnCanvas) {
+        event.preventDefault();
+      }
+    }, { passive: false });
+    // Touch move for orbital camera controls
+    window.addEventListener('touchmove', (event) => {
+      if (!appState.allowsPointer()) return;
+      if (event.touches.length === 2) {
+        // Two fingers pinch the orbit closer or further
+        if (appState.allowsOrbit() && pinchDistance) {
+          const distance = getPinchDistance(event.touches);
+          orbitController.zoom(pinchDistance / distance);
+          pinchDistance = distance;
+          event.preventDefault();
         }
-        // Handle multiple materials (arrays)
-        if (Array.isArray(child.material)) {
-          child.material.forEach((mat, index) => {
-            if (mat && (mat.isMeshStandardMaterial || mat.isMeshPhysicalMaterial)) {
-              try {
-                if (scene.environment && scene.environment.isTexture) {
-                  mat.envMap = scene.environment;
-                  mat.envMapIntensity = 0.8;
-                }
-                if (mat.metalness === undefined) mat.metalness = 0.1;
-                if (mat.roughness === undefined) mat.roughness = 0.7;
-                if (mat.normalMap) {
-                  mat.normalScale = mat.normalScale || new THREE.Vector2(1.2, 1.2);
-                }
-                if (!mat.emissive) {
-                  mat.emissive = new THREE.Color(0x000000);
-                }
-                mat.needsUpdate = true;
-              } catch (materialError) {
-                console.warn(`Material array processing error for ${sourceName}[${index}]:`, materialError);
-              }
-            }
-          });
+        return;
+      }
+      if (event.touches.length !== 1) return;
+      // Check if touch is on UI elements - don't interfere
+      const navSidebar = document.getElementById('zoneNavSidebar');
+      const toggleButton = document.getElementById('mobile-nav-toggle');
+      const mobileNavOverlay = document.getElementById('mobile-nav-overlay');
+      // Allow navigation interactions
+      if ((navSidebar && navSidebar.contains(event.target)) ||
+          (toggleButton && toggleButton.contains(event.target)) ||
+          (mobileNavOverlay && mobileNavOverlay.contains(event.target))) {
+        return; // Let navigation handle its own touch events
+      }
+      const touch = event.touches[0];
+      const deltaX = touch.clientX - touchStart.x;
+      const deltaY = touch.clientY - touchStart.y;
+      // Check if movement is significant enough to be considered a drag
+      if (Math.abs(deltaX) > TAP_THRESHOLD || Math.abs(deltaY) > TAP_THRESHOLD) {
+        touchMoved = true;
+        // Orbital camera rotation and tilt
+        if (appState.allowsOrbit()) { // Only in orbital mode
+          if (!orbitController.dragging) orbitController.beginDrag();
+          orbitController.rotate(deltaX * TOUCH_SENSITIVITY, deltaY * TOUCH_SENSITIVITY);
+          touchStart.x = touch.clientX;
+          touchStart.y = touch.clientY;
         }
       }
-    }
-    // Process cameras imported from GLB files
-    if (child.isCamera) {
-      console.log('Found embedded camera:', child.name || 'unnamed', 'in', sourceName);
-      // Register the camera for position editing
-      if (cameraEditor) {
-        cameraEditor.registerEmbeddedCamera(child, sourceName);
-      }
-    }
-    // Process lights imported from GLB files
-    if (child.isLight) {
-      console.log('Found imported light:', child.type, 'with intensity:', child.intensity);
-      // Register the light for management
-      ImportedLightManager.registerLight(child, sourceName);
-      // Handle SpotLight specifically
-      if (child.type === 'SpotLight') {
-        // Reduce intensity to prevent overwhelming brightness
-        const originalIntensity = child.intensity;
-        child.intensity = Math.min(originalIntensity * 0.3, 2.0); // Reduce to 30% of original, max 2.0
-        // Configure shadow settings for better quality and prevent light bleeding
-        child.castShadow = true;
-        child.shadow.mapSize.width = 1024;
-        child.shadow.mapSize.height = 1024;
-        child.shadow.camera.near = 0.1;
-        child.shadow.camera.far = Math.min(child.distance || 50, 30); // Limit shadow distance
-        child.shadow.bias = -0.0005; // Prevent shadow acne
-        child.shadow.normalBias = 0.02; // Prevent peter panning
-        // Limit the spotlight angle to prevent excessive spread
-        if (child.angle > Math.PI / 3) { // If angle > 60 degrees
-          child.angle = Math.PI / 4; // Limit to 45 degrees
+      // Only prevent default for 3D canvas interactions
+      const canvasBounds = renderer.domElement.getBoundingClientRect();
+      const isOnCanvas = touch.clientX >= canvasBounds.left &&
+                        touch.clientX <= canvasBounds.right &&
+                        touch.clientY >= canvasBounds.top &&
+                        touch.clientY <= canvasBounds.bottom;
+      if (isOnCanvas) {
+        event.preventDefault();
+      }
+    }, { passive: false });
+    // Touch end - handle tap
+    window.addEventListener('touchend', (event) => {
+      // Let a flick carry on, and pick the drag up again from a finger left after a pinch
+      if (orbitController.dragging) orbitController.endDrag();
+      pinchDistance = 0;
+      if (event.touches.length === 1) {
+        touchStart.x = event.touches[0].clientX;
+        touchStart.y = event.touches[0].clientY;
+        return;
+      }
+      if (!isProduction) {
+        console.log('Touch end event triggered');
+        console.log('app state:', appState.state);
+        console.log('touchMoved:', touchMoved);
+        console.log('event.target:', event.target);
+      }
+      if (!appState.allowsPointer()) return;
+      // Check if touch is on UI elements - don't interfere
+      const navSidebar = document.getElementById('zoneNavSidebar');
+      const toggleButton = document.getElementById('mobile-nav-toggle');
+      const mobileNavOverlay = document.getElementById('mobile-nav-overlay');
+      // Allow loading overlay interactions
+      // Allow navigation interactions
+      if ((navSidebar && navSidebar.contains(event.target)) ||
+          (toggleButton && toggleButton.contains(event.target)) ||
+          (mobileNavOverlay && mobileNavOverlay.contains(event.target))) {
+        if (!isProduction) console.log('Touch on navigation - letting it handle the event');
+        return; // Let navigation handle its own touch events
+      }
+      // If no significant movement, treat as tap
+      if (!touchMoved) {
+        const touch = event.changedTouches[0];
+        const currentTime = Date.now();
+        if (!isProduction) {
+          console.log('Processing tap - no movement detected');
+          console.log('Touch coordinates:', touch.clientX, touch.clientY);
         }
-        // Set penumbra for softer light edges (prevents harsh cutoffs)
-        child.penumbra = Math.max(child.penumbra || 0, 0.2); // Min 20% penumbra
-        // Limit distance to prevent light bleeding through walls
-        if (child.distance === 0 || child.distance > 20) {
-          child.distance = 15; // Set reasonable max distance
+        // Only handle taps on the 3D canvas
+        const canvasBounds = renderer.domElement.getBoundingClientRect();
+        const isOnCanvas = touch.clientX >= canvasBounds.left &&
+                          touch.clientX <= canvasBounds.right &&
+                          touch.clientY >= canvasBounds.top &&
+                          touch.clientY <= canvasBounds.bottom;
+        if (!isProduction) {
+          console.log('Canvas bounds:', canvasBounds);
+          console.log('Is on canvas:', isOnCanvas);
         }
-        // Add decay for more realistic falloff
-        child.decay = Math.max(child.decay || 1, 1.5); // Ensure some decay
-        console.log(`Adjusted SpotLight: intensity ${originalIntensity} -> ${child.intensity}, angle: ${(child.angle * 180 / Math.PI).toFixed(1)}°, distance: ${child.distance}`);
-      }
-      // Handle PointLight
-      else if (child.type === 'PointLight') {
-        const originalIntensity = child.intensity;
-        child.intensity = Math.min(originalIntensity * 0.4, 3.0); // Reduce intensity
-        // Configure shadows
-        child.castShadow = true;
-        child.shadow.mapSize.width = 512;
-        child.shadow.mapSize.height = 512;
-        child.shadow.camera.near = 0.1;
-        child.shadow.camera.far = Math.min(child.distance || 30, 20);
-        child.shadow.bias = -0.0005;
-        // Limit distance
-        if (child.distance === 0 || child.distance > 25) {
-          child.distance = 20;
+        if (isOnCanvas) {
+          if (!isProduction) console.log('Calling handleInteraction for touch tap');
+          // Add visual feedback for mobile touches
+          const touchIndicator = document.createElement('div');
+          touchIndicator.style.cssText = `
+            position: fixed; top: ${touch.clientY - 10}px; left: ${touch.clientX - 10}px;
+            width: 20px; height: 20px; border-radius: 50%;
+            background: rgba(255, 0, 0, 0.7); pointer-events: none;
+            z-index: 10000; animation: ping 0.5s ease-out forwards;
+          `;
+          document.body.appendChild(touchIndicator);
+          setTimeout(() => touchIndicator.remove(), 500);
+          // Call handleInteraction with separate coordinates
+          handleInteraction(touch.clientX, touch.clientY);
+          lastTouchTime = currentTime;
         }
-        child.decay = Math.max(child.decay || 1, 1.2);
-        console.log(`Adjusted PointLight: intensity ${originalIntensity} -> ${child.intensity}, distance: ${child.distance}`);
-      }
-      // Handle DirectionalLight
-      else if (child.type === 'DirectionalLight') {
-        const originalIntensity = child.intensity;
-        child.intensity = Math.min(originalIntensity * 0.5, 2.0);
-        // Configure shadows with smaller area to prevent conflicts
-        child.castShadow = true;
-        child.shadow.mapSize.width = 1024;
-        child.shadow.mapSize.height = 1024;
-        child.shadow.camera.near = 0.5;
-        child.shadow.camera.far = 50;
-        child.shadow.camera.left = -10;
-        child.shadow.camera.right = 10;
-        child.shadow.camera.top = 10;
-        child.shadow.camera.bottom = -10;
-        child.shadow.bias = -0.0001;
-        child.shadow.normalBias = 0.02;
-        console.log(`Adjusted DirectionalLight: intensity ${originalIntensity} -> ${child.intensity}`);
-      }
-      // For any other light types, just reduce intensity
-      else if (child.intensity !== undefined) {
-        const originalIntensity = child.intensity;
-        child.intensity = Math.min(originalIntensity * 0.4, 2.0);
-        console.log(`Adjusted ${child.type}: intensity ${originalIntensity} -> ${child.intensity}`);
       }
-    }
-  });
-}
-class ImportedLightManager {
-  static importedLights = new Set();
-  // Register an imported light for management
-  static registerLight(light, source = 'unknown') {
-    this.importedLights.add(light);
-    light.userData.source = source;
-    light.userData.originalIntensity = light.intensity;
-    console.log(`Registered imported ${light.type} from ${source}`);
-  }
-  // Adjust all imported lights intensity
-  static adjustAllLights(intensityMultiplier = 0.3) {
-    this.importedLights.forEach(light => {
-      if (light.userData.originalIntensity !== undefined) {
-        light.intensity = light.userData.originalIntensity * intensityMultiplier;
+      touchMoved = false;
+      // Only prevent default for 3D canvas interactions
+      const touch = event.changedTouches[0];
+      const canvasBounds = renderer.domElement.getBoundingClientRect();
+      const isOnCanvas = touch.clientX >= canvasBounds.left &&
+                        touch.clientX <= canvasBounds.right &&
+                        touch.clientY >= canvasBounds.top &&
+                        touch.clientY <= canvasBounds.bottom;
+      if (isOnCanvas) {
+        event.preventDefault();
       }
-    });
-    console.log(`Adjusted ${this.importedLights.size} imported lights by factor ${intensityMultiplier}`);
+    }, { passive: false });
   }
-  // Toggle all imported lights
-  static toggleAllLights(enabled = true) {
-    this.importedLights.forEach(light => {
-      light.visible = enabled;
-    });
-    console.log(`${enabled ? 'Enabled' : 'Disabled'} ${this.importedLights.size} imported lights`);
-  }
-  // Get all lights of a specific type
-  static getLightsByType(type) {
-    return Array.from(this.importedLights).filter(light => light.type === type);
-  }
-  // Remove a light from management
-  static unregisterLight(light) {
-    this.importedLights.delete(light);
-  }
-  // Debug: List all imported lights
-  static debugLights() {
-    console.log('=== Imported Lights Debug ===');
-    this.importedLights.forEach((light, index) => {
-      console.log(`${index + 1}. ${light.type} from ${light.userData.source || 'unknown'}`);
-      console.log(`   - Intensity: ${light.intensity} (original: ${light.userData.originalIntensity})`);
-      console.log(`   - Position: (${light.position.x.toFixed(2)}, ${light.position.y.toFixed(2)}, ${light.position.z.toFixed(2)})`);
-      if (light.type === 'SpotLight') {
-        console.log(`   - Angle: ${(light.angle * 180 / Math.PI).toFixed(1)}°, Distance: ${light.distance}`);
-      }
-      console.log(`   - Shadows: ${light.castShadow}, Visible: ${light.visible}`);
-    });
-    console.log('=============================');
+  // Shared by mouse clicks and touch taps on the 3D scene
+  function handleInteraction(clientX, clientY, target = null) {
+    if (!isProduction) console.log('handleInteraction called at:', clientX, clientY);
+    // Only orbit/zone/object states take input, and nothing (e.g. the guide) may have locked it
+    if (!appState.allowsPointer()) {
+      if (!isProduction) console.log(`Interactions not allowed in state "${appState.state}" - stopping`);
+      return;
+    }
+    // A drag that ends over an object is not a click
+    if (isOrbiting) return;
+    // Check if click is on the navigation sidebar
+    const navSidebar = document.getElementById('zoneNavSidebar');
+    if (target && navSidebar && navSidebar.contains(target)) {
+      if (!isProduction) console.log('Event on navigation sidebar - stopping');
+      return; // Don't process 3D canvas clicks if clicking on nav
+    }
+    const canvasBounds = renderer.domElement.getBoundingClientRect();
+    mouse.x = ((clientX - canvasBounds.left) / canvasBounds.width) * 2 - 1;
+    mouse.y = -((clientY - canvasBounds.top) / canvasBounds.height) * 2 + 1;
+    if (!isProduction) console.log('Mouse coordinates calculated:', mouse.x, mouse.y);
+    const picked = scenePicker.pick(mouse, camera);
+    if (!isProduction) console.log('Picked:', picked ? picked.object.userData.type : 'nothing');
+    if (picked) {
+      const object = picked.object;
+      if (!isProduction) console.log('Found object:', object.userData.type);
+      // Animation caméra pour hexagones classiques
+      if (object.userData.q !== undefined && object.userData.r !== undefined) {
+        if (!isProduction) console.log('Hex object clicked:', object.userData.type);
+        focusHex(object);
+      } else if (object.userData.languageFlower) {
+        openSkillCard(object.userData.gridIndex);
+      } else if (object.userData.type && objectRegistry.has(object.userData.type)) {
+        activateObject(object.userData.type, object);
+      }
+    }
   }
-}
-// Make the light manager available globally for debugging
-window.ImportedLightManager = ImportedLightManager;
-class CameraPositionEditor {
-  constructor() {
-    this.isActive = false;
-    this.currentTarget = null;
-    this.embeddedCameras = new Map(); // Store cameras found in GLB files
-    this.tempMarkers = new Set(); // Store temporary position markers
-    this.originalCameraPosition = null;
-    this.originalCameraTarget = null;
-  }
-  // Register a camera found in a GLB file
-  registerEmbeddedCamera(camera, sourceName) {
-    const key = `${sourceName}_${camera.name || 'camera'}`;
-    this.embeddedCameras.set(key, {
-      camera: camera,
-      source: sourceName,
-      position: camera.position.clone(),
-      target: camera.getWorldDirection(new THREE.Vector3()).multiplyScalar(-1).add(camera.position)
-    });
-    console.log(`Registered embedded camera: ${key} from ${sourceName}`);
+  // Language flowers open the card of the skill flower they rise from
+  function openSkillCard(gridIndex) {
+    const objectId = skillFlowerIds[gridIndex];
+    if (!objectId || !isDrawerClickableAtCurrentLocation(objectId)) return;
+    markObjectAsDiscovered(objectId);
+    modalManager.open(objectId);
   }
-  // Toggle editor mode
-  toggle() {
-    this.isActive = !this.isActive;
-    if (this.isActive) {
-      this.activate();
-    } else {
-      this.deactivate();
-    }
-  }
-  activate() {
-    console.log('🎥 Camera Position Editor ACTIVATED');
-    console.log('Controls:');
-    console.log('- Z: Move forward (camera direction)');
-    console.log('- S: Move backward');
-    console.log('- Q: Move left');
-    console.log('- D: Move right');
-    console.log('- A: Move up');
-    console.log('- E: Move down');
-    console.log('- Mouse: Look around (hold left button and drag)');
-    console.log('- Click objects: Set look-at target');
-    console.log('- P: Print current position');
-    console.log('- M: Place marker at current position');
-    console.log('- C: Clear all markers');
-    console.log('- ESC: Exit editor');
-    console.log('※ Works with both AZERTY and QWERTY layouts');
-    // Store original camera state
-    this.originalCameraPosition = camera.position.clone();
-    this.originalCameraTarget = lookAtTarget ? { ...lookAtTarget } : { x: 0, y: 0, z: 0 };
-    // Initialize camera rotation tracking
-    this.cameraRotation = {
-      x: camera.rotation.x,
-      y: camera.rotation.y
-    };
-    // Set proper rotation order for camera
-    camera.rotation.order = 'YXZ';
-    // Disable cinematic mode and orbital controls
-    cinematicMode = true; // Prevent other interactions
-    // Create editor UI
-    this.createEditorUI();
-    // Add event listeners
-    this.addEventListeners();
-    // Show embedded cameras if any
-    this.displayEmbeddedCameras();
-  }
-  deactivate() {
-    console.log('🎥 Camera Position Editor DEACTIVATED');
-    // Restore original camera state
-    if (this.originalCameraPosition) {
-      camera.position.copy(this.originalCameraPosition);
-    }
-    if (this.originalCameraTarget) {
-      camera.lookAt(this.originalCameraTarget.x, this.originalCameraTarget.y, this.originalCameraTarget.z);
-    }
-    // Reset camera rotation tracking
-    this.cameraRotation = null;
-    // Re-enable normal interactions
-    cinematicMode = false;
-    // Remove editor UI
-    this.removeEditorUI();
-    // Remove event listeners
-    this.removeEventListeners();
-    // Clear temporary markers
-    this.clearMarkers();
-  }
-  createEditorUI() {
-    // Create editor panel
-    const panel = document.createElement('div');
-    panel.id = 'camera-editor-panel';
-    panel.style.cssText = `
-      position: fixed; top: 20px; left: 20px; z-index: 10000;
-      background: rgba(0,0,0,0.9); color: white; padding: 20px;
-      border-radius: 12px; font-family: monospace; font-size: 12px;
-      min-width: 300px; max-height: 80vh; overflow-y: auto;
-      border: 2px solid #00ff00; box-shadow: 0 0 20px rgba(0,255,0,0.3);
+  function createModalBase(id, onClose = null) {
+    const modal = document.createElement('div');
+    modal.id = id;
+    modal.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100vw;
+      height: 100vh;
+      background: rgba(0,0,0,0.65);
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      z-index: 9999;
     `;
-    panel.innerHTML = `
-      <div style="color: #00ff00; font-weight: bold; margin-bottom: 15px;">
-        🎥 CAMERA POSITION EDITOR
-      </div>
-      <div id="camera-position-display" style="margin-bottom: 15px; padding: 10px; background: rgba(0,255,0,0.1); border-radius: 6px;">
-        <div>Position: <span id="pos-display">0, 0, 0</span></div>
-        <div>Looking at: <span id="target-display">0, 0, 0</span></div>
-      </div>
-      <div style="margin-bottom: 15px;">
-        <button id="print-position" style="background: #333; color: white; border: 1px solid #666; padding: 5px 10px; margin: 2px; cursor: pointer; border-radius: 4px;">Print Position (P)</button>
-        <button id="place-marker" style="background: #333; color: white; border: 1px solid #666; padding: 5px 10px; margin: 2px; cursor: pointer; border-radius: 4px;">Place Marker (M)</button>
-        <button id="clear-markers" style="background: #333; color: white; border: 1px solid #666; padding: 5px 10px; margin: 2px; cursor: pointer; border-radius: 4px;">Clear Markers (C)</button>
-        <button id="export-positions" style="background: #0066cc; color: white; border: 1px solid #0088ff; padding: 5px 10px; margin: 2px; cursor: pointer; border-radius: 4px;">Export Code</button>
-      </div>
-      <div id="embedded-cameras" style="margin-bottom: 15px;">
-        <div style="color: #ffaa00; font-weight: bold;">Embedded Cameras:</div>
-        <div id="embedded-cameras-list" style="margin-top: 5px;"></div>
-      </div>
-      <div id="markers-list" style="margin-bottom: 15px;">
-        <div style="color: #ff6600; font-weight: bold;">Placed Markers:</div>
-        <div id="markers-content" style="margin-top: 5px;"></div>
-      </div>
-      <div style="color: #888; font-size: 10px; line-height: 1.4;">
-        <strong>Controls:</strong><br>
-        Physical Keys (works with any layout):<br>
-        Top row left/right: Move forward/back<br>
-        Bottom row left/right: Move left/right<br>
-        Corner keys: Move up/down<br>
-        Mouse drag: Look around<br>
-        Click: Set target<br>
-        P/M/C/ESC: Print/Mark/Clear/Exit
-      </div>
+    const content = document.createElement('div');
+    content.style.cssText = `
+      background: #222;
+      border-radius: 18px;
+      box-shadow: 0 8px 32px rgba(0,0,0,0.25);
+      overflow: hidden;
+      position: relative;
+      width: min(95vw, 1200px);
+      height: min(90vh, 800px);
+      display: flex;
+      flex-direction: column;
     `;
-    document.body.appendChild(panel);
-    // Add button event listeners
-    document.getElementById('print-position').onclick = () => this.printCurrentPosition();
-    document.getElementById('place-marker').onclick = () => this.placeMarker();
-    document.getElementById('clear-markers').onclick = () => this.clearMarkers();
-    document.getElementById('export-positions').onclick = () => this.exportPositions();
-    // Start position update loop
-    this.updatePositionDisplay();
-  }
-  removeEditorUI() {
-    const panel = document.getElementById('camera-editor-panel');
-    if (panel) panel.remove();
-  }
-  addEventListeners() {
-    this.keydownHandler = (event) => this.handleKeyDown(event);
-    this.mousemoveHandler = (event) => this.handleMouseMove(event);
-    this.clickHandler = (event) => this.handleClick(event);
-    document.addEventListener('keydown', this.keydownHandler);
-    document.addEventListener('mousemove', this.mousemoveHandler);
-    document.addEventListener('click', this.clickHandler);
-    // Disable right-click context menu during editing
-    document.addEventListener('contextmenu', this.preventContext = (e) => e.preventDefault());
-  }
-  removeEventListeners() {
-    if (this.keydownHandler) document.removeEventListener('keydown', this.keydownHandler);
-    if (this.mousemoveHandler) document.removeEventListener('mousemove', this.mousemoveHandler);
-    if (this.clickHandler) document.removeEventListener('click', this.clickHandler);
-    if (this.preventContext) document.removeEventListener('contextmenu', this.preventContext);
-  }
-  handleKeyDown(event) {
-    if (!this.isActive) return;
-    const moveSpeed = event.shiftKey ? 0.2 : 0.05; // Much smaller movement steps
-    const direction = new THREE.Vector3();
-    const key = event.key.toLowerCase(); // Use actual character typed
-    // Use character-based movement for universal AZERTY/QWERTY support
-    switch(key) {
-      case 'z': // Z = Forward (camera direction) - works on both layouts
-        camera.getWorldDirection(direction);
-        camera.position.add(direction.multiplyScalar(moveSpeed));
-        break;
-      case 's': // S = Backward (opposite camera direction)
-        camera.getWorldDirection(direction);
-        camera.position.add(direction.multiplyScalar(-moveSpeed));
-        break;
-      case 'q': // Q = Left (camera relative) - works on both layouts
-        camera.getWorldDirection(direction);
-        const leftVector = new THREE.Vector3().crossVectors(direction, camera.up).normalize();
-        camera.position.add(leftVector.multiplyScalar(-moveSpeed));
-        break;
-      case 'd': // D = Right (camera relative)
-        camera.getWorldDirection(direction);
-        const rightVector = new THREE.Vector3().crossVectors(direction, camera.up).normalize();
-        camera.position.add(rightVector.multiplyScalar(moveSpeed));
-        break;
-      case 'a': // A = Up (world space)
-        camera.position.y += moveSpeed;
-        break;
-      case 'e': // E = Down (world space)
-        camera.position.y -= moveSpeed;
-        break;
-      case 'p': // Print position
-        this.printCurrentPosition();
-        break;
-      case 'm': // Place marker
-        this.placeMarker();
-        break;
-      case 'c': // Clear markers
-        this.clearMarkers();
-        break;
-      case 'escape': // Exit editor
-        this.toggle();
-        break;
-    }
-  }
-  handleMouseMove(event) {
-    if (!this.isActive) return;
-    // Proper mouse look implementation
-    if (event.buttons === 1) { // Left mouse button held
-      const sensitivity = 0.002;
-      const deltaX = event.movementX * sensitivity;
-      const deltaY = event.movementY * sensitivity;
-      // Store current rotation values
-      if (!this.cameraRotation) {
-        this.cameraRotation = {
-          x: camera.rotation.x,
-          y: camera.rotation.y
-        };
-      }
-      // Update rotation values
-      this.cameraRotation.y -= deltaX; // Horizontal rotation (left/right)
-      this.cameraRotation.x -= deltaY; // Vertical rotation (up/down)
-      // Clamp vertical rotation to prevent flipping
-      this.cameraRotation.x = Math.max(-Math.PI/2 + 0.1, Math.min(Math.PI/2 - 0.1, this.cameraRotation.x));
-      // Apply rotation using Euler angles in the correct order
-      camera.rotation.order = 'YXZ'; // Yaw, Pitch, Roll order
-      camera.rotation.y = this.cameraRotation.y;
-      camera.rotation.x = this.cameraRotation.x;
-      camera.rotation.z = 0; // No roll
-    }
-  }
-  handleClick(event) {
-    if (!this.isActive) return;
-    // Cast ray to find clicked object
-    const rect = renderer.domElement.getBoundingClientRect();
-    mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
-    mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
-    raycaster.setFromCamera(mouse, camera);
-    const intersects = raycaster.intersectObjects([...hexObjects, ...drawers], true);
-    if (intersects.length > 0) {
-      const point = intersects[0].point;
-      this.currentTarget = point.clone();
-      camera.lookAt(point);
-      console.log(`🎯 Set look-at target: (${point.x.toFixed(3)}, ${point.y.toFixed(3)}, ${point.z.toFixed(3)})`);
-    }
-  }
-  printCurrentPosition() {
-    const pos = camera.position;
-    // Calculate current look direction from camera rotation
-    const direction = new THREE.Vector3(0, 0, -1);
-    direction.applyQuaternion(camera.quaternion);
-    const lookAt = {
-      x: pos.x + direction.x,
-      y: pos.y + direction.y,
-      z: pos.z + direction.z
+    const closeBtn = document.createElement('button');
+    closeBtn.textContent = '✕';
+    closeBtn.setAttribute('aria-label', t('modal.close'));
+    closeBtn.style.cssText = `
+      position: absolute;
+      top: 10px;
+      right: 16px;
+      background: rgba(0,0,0,0.5);
+      color: #fff;
+      border: none;
+      font-size: 1.5rem;
+      cursor: pointer;
+      z-index: 2;
+      border-radius: 4px;
+      width: 32px;
+      height: 32px;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+    `;
+    closeBtn.onclick = (event) => {
+      event.stopPropagation();
+      event.preventDefault();
+      if (onClose) onClose();
+      modal.remove();
     };
-    console.log('📍 CURRENT CAMERA POSITION:');
-    console.log(`Position: { x: ${pos.x.toFixed(3)}, y: ${pos.y.toFixed(3)}, z: ${pos.z.toFixed(3)} }`);
-    console.log(`LookAt: { x: ${lookAt.x.toFixed(3)}, y: ${lookAt.y.toFixed(3)}, z: ${lookAt.z.toFixed(3)} }`);
-    console.log('Code format:');
-    console.log(`cameraPos: { x: ${pos.x.toFixed(2)}, y: ${pos.y.toFixed(2)}, z: ${pos.z.toFixed(2)} },`);
-    console.log(`lookAt: { x: ${lookAt.x.toFixed(2)}, y: ${lookAt.y.toFixed(2)}, z: ${lookAt.z.toFixed(2)} }`);
-  }
-  placeMarker() {
-    const pos = camera.position.clone();
-    // Calculate current look direction from camera rotation
-    const direction = new THREE.Vector3(0, 0, -1);
-    direction.applyQuaternion(camera.quaternion);
-    const target = new THREE.Vector3(
-      pos.x + direction.x * 5, // Project 5 units forward
-      pos.y + direction.y * 5,
-      pos.z + direction.z * 5
-    );
-    // Create visual marker
-    const markerGeometry = new THREE.SphereGeometry(0.1, 8, 6);
-    const markerMaterial = new THREE.MeshBasicMaterial({ color: 0xff00ff });
-    const marker = new THREE.Mesh(markerGeometry, markerMaterial);
-    marker.position.copy(pos);
-    // Add line to show look direction
-    const lineGeometry = new THREE.BufferGeometry().setFromPoints([pos, target]);
-    const lineMaterial = new THREE.LineBasicMaterial({ color: 0xff00ff });
-    const line = new THREE.Line(lineGeometry, lineMaterial);
-    scene.add(line);
-    marker.userData.line = line;
-    marker.userData.position = pos.clone();
-    marker.userData.target = target.clone();
-    marker.userData.id = Date.now();
-    scene.add(marker);
-    this.tempMarkers.add(marker);
-    console.log(`📌 Placed marker ${this.tempMarkers.size} at position (${pos.x.toFixed(3)}, ${pos.y.toFixed(3)}, ${pos.z.toFixed(3)})`);
-    this.updateMarkersDisplay();
-  }
-  clearMarkers() {
-    this.tempMarkers.forEach(marker => {
-      scene.remove(marker);
-      if (marker.userData.line) {
-        scene.remove(marker.userData.line);
+    content.appendChild(closeBtn);
+    modal.appendChild(content);
+    // Prevent clicks on modal from propagating to 3D scene and close modal on overlay click
+    modal.addEventListener('click', (event) => {
+      event.stopPropagation();
+      event.preventDefault();
+      // Close modal if clicking on the overlay (not the content)
+      if (event.target === modal) {
+        if (onClose) onClose();
+        modal.remove();
       }
     });
-    this.tempMarkers.clear();
-    console.log('🗑️ Cleared all markers');
-    this.updateMarkersDisplay();
-  }
-  updatePositionDisplay() {
-    if (!this.isActive) return;
-    const pos = camera.position;
-    // Calculate current look direction from camera rotation
-    const direction = new THREE.Vector3(0, 0, -1);
-    direction.applyQuaternion(camera.quaternion);
-    const lookAt = {
-      x: pos.x + direction.x,
-      y: pos.y + direction.y,
-      z: pos.z + direction.z
-    };
-    const posDisplay = document.getElementById('pos-display');
-    const targetDisplay = document.getElementById('target-display');
-    if (posDisplay) {
-      posDisplay.textContent = `${pos.x.toFixed(3)}, ${pos.y.toFixed(3)}, ${pos.z.toFixed(3)}`;
-    }
-    if (targetDisplay) {
-      targetDisplay.textContent = `${lookAt.x.toFixed(3)}, ${lookAt.y.toFixed(3)}, ${lookAt.z.toFixed(3)}`;
-    }
-    // Continue updating
-    requestAnimationFrame(() => this.updatePositionDisplay());
-  }
-  updateMarkersDisplay() {
-    const container = document.getElementById('markers-content');
-    if (!container) return;
-    if (this.tempMarkers.size === 0) {
-      container.innerHTML = '<div style="color: #666;">No markers placed</div>';
-      return;
-    }
-    let html = '';
-    let index = 1;
-    this.tempMarkers.forEach(marker => {
-      const pos = marker.userData.position;
-      const target = marker.userData.target;
-      html += `
-        <div style="margin: 5px 0; padding: 8px; background: rgba(255,0,255,0.1); border-radius: 4px; font-size: 10px;">
-          <strong>Marker ${index}:</strong><br>
-          Pos: (${pos.x.toFixed(2)}, ${pos.y.toFixed(2)}, ${pos.z.toFixed(2)})<br>
-          Target: (${target.x.toFixed(2)}, ${target.y.toFixed(2)}, ${target.z.toFixed(2)})
-        </div>
-      `;
-      index++;
+    // Prevent clicks on content from closing modal and propagating
+    content.addEventListener('click', (event) => {
+      event.stopPropagation();
+      event.preventDefault();
     });
-    container.innerHTML = html;
+    return { modal, content };
   }
-  displayEmbeddedCameras() {
-    const container = document.getElementById('embedded-cameras-list');
-    if (!container) return;
-    if (this.embeddedCameras.size === 0) {
-      container.innerHTML = '<div style="color: #666;">No embedded cameras found</div>';
-      return;
+  // Listen for messages from iframe to close contact modal
+  window.addEventListener('message', (event) => {
+    if (event.data && event.data.action === 'closeContactModal') {
+      modalManager.close('mail-box');
     }
-    let html = '';
-    this.embeddedCameras.forEach((camData, key) => {
-      const pos = camData.position;
-      const target = camData.target;
-      html += `
-        <div style="margin: 5px 0; padding: 8px; background: rgba(255,170,0,0.1); border-radius: 4px; font-size: 10px;">
-          <strong>${key}:</strong><br>
-          Pos: (${pos.x.toFixed(2)}, ${pos.y.toFixed(2)}, ${pos.z.toFixed(2)})<br>
-          Target: (${target.x.toFixed(2)}, ${target.y.toFixed(2)}, ${target.z.toFixed(2)})<br>
-          <button onclick="cameraEditor.jumpToEmbeddedCamera('${key}')" style="background: #666; color: white; border: none; padding: 2px 6px; margin-top: 4px; cursor: pointer; border-radius: 2px; font-size: 9px;">Jump to</button>
-        </div>
-      `;
+  });
+  // Kept for portfolio.html, which reopens the contact form when returning from it
+  window.showContactModal = () => modalManager.open('mail-box');
+  // Shared by mouse clicks and touch taps on a hex tile
+  function focusHex(hexObject) {
+    currentActiveHexType = hexObject.userData.type; // Update active type on 3D click
+    updateHexInfo(currentActiveHexType); // Update hex info display
+    // Stop any ongoing orbital movement
+    isOrbiting = false;
+    document.body.style.cursor = 'default';
+    // Modals dismissed in the previous area may open again
+    modalManager.resetVisit();
+    appState.transition('zoneFocus', { hex: hexObject.userData.type });
+    const { type, q, r } = hexObject.userData;
+    const hexData = hexMap.find(hex => hex.q === q && hex.r === r);
+    // A saved camera preset wins over the manifest's cameraPos and the tile center
+    const pose = cameraPresets.zonePose(type, q, r);
+    const cameraPos = pose?.position || hexData?.cameraPos || { x: 0, y: 5, z: 10 };
+    const lookAt = pose?.lookAt || hexObject.position;
+    gsap.to(camera.position, {
+      x: cameraPos.x,
+      y: cameraPos.y,
+      z: cameraPos.z,
+      duration: CONFIG.ANIMATION.CAMERA_DURATION,
+      ease: CONFIG.ANIMATION.EASE,
     });
-    container.innerHTML = html;
-  }
-  jumpToEmbeddedCamera(key) {
-    const camData = this.embeddedCameras.get(key);
-    if (!camData) return;
-    camera.position.copy(camData.position);
-    camera.lookAt(camData.target);
-    this.currentTarget = camData.target.clone();
-    console.log(`🎥 Jumped to embedded camera: ${key}`);
-  }
-  exportPositions() {
-    console.log('\n🎯 CAMERA POSITIONS EXPORT:');
-    console.log('='.repeat(50));
-    // Export embedded cameras
-    if (this.embeddedCameras.size > 0) {
-      console.log('\n// Embedded cameras found in GLB files:');
-      this.embeddedCameras.forEach((camData, key) => {
-        const pos = camData.position;
-        const target = camData.target;
-        console.log(`// ${key}:`);
-        console.log(`{ x: ${pos.x.toFixed(2)}, y: ${pos.y.toFixed(2)}, z: ${pos.z.toFixed(2)} }, // Position`);
-        console.log(`{ x: ${target.x.toFixed(2)}, y: ${target.y.toFixed(2)}, z: ${target.z.toFixed(2)} }, // LookAt`);
-        console.log('');
-      });
-    }
-    // Export placed markers
-    if (this.tempMarkers.size > 0) {
-      console.log('\n// Manually placed markers:');
-      let index = 1;
-      this.tempMarkers.forEach(marker => {
-        const pos = marker.userData.position;
-        const target = marker.userData.target;
-        console.log(`// Marker ${index}:`);
-        console.log(`cameraPos: { x: ${pos.x.toFixed(2)}, y: ${pos.y.toFixed(2)}, z: ${pos.z.toFixed(2)} },`);
-        console.log(`lookAt: { x: ${target.x.toFixed(2)}, y: ${target.y.toFixed(2)}, z: ${target.z.toFixed(2)} },`);
-        console.log('');
-        index++;
-      });
-    }
-    // Current position
-    const currentPos = camera.position;
-    const currentTarget = this.currentTarget || { x: 0, y: 0, z: 0 };
-    console.log('\n// Current camera position:');
-    console.log(`cameraPos: { x: ${currentPos.x.toFixed(2)}, y: ${currentPos.y.toFixed(2)}, z: ${currentPos.z.toFixed(2)} },`);
-    console.log(`lookAt: { x: ${currentTarget.x.toFixed(2)}, y: ${currentTarget.y.toFixed(2)}, z: ${currentTarget.z.toFixed(2)} },`);
-    console.log('='.repeat(50));
-  }
-}
-// Create global camera editor instance
-const cameraEditor = new CameraPositionEditor();
-window.cameraEditor = cameraEditor;
-window.cameraUtils = {
-  // Quick access functions
-  startEditor: () => cameraEditor.toggle(),
-  printPosition: () => {
-    console.log('📍 Current Camera Position:');
-    console.log(`Position: { x: ${camera.position.x.toFixed(3)}, y: ${camera.position.y.toFixed(3)}, z: ${camera.position.z.toFixed(3)} }`);
-    console.log(`Looking at: { x: ${lookAtTarget.x.toFixed(3)}, y: ${lookAtTarget.y.toFixed(3)}, z: ${lookAtTarget.z.toFixed(3)} }`);
-  },
-  // Move camera to specific position
-  setPosition: (x, y, z, lookX = 0, lookY = 0, lookZ = 0) => {
-    camera.position.set(x, y, z);
-    camera.lookAt(lookX, lookY, lookZ);
-    lookAtTarget = { x: lookX, y: lookY, z: lookZ };
-    console.log(`📷 Camera moved to (${x}, ${y}, ${z}) looking at (${lookX}, ${lookY}, ${lookZ})`);
-  },
-  // Useful preset positions
-  presets: {
-    overview: () => window.cameraUtils.setPosition(0, 8, 12, 0, 0, 0),
-    topDown: () => window.cameraUtils.setPosition(0, 15, 0, 0, 0, 0),
-    closeUp: () => window.cameraUtils.setPosition(2, 2, 4, 0, 0, 0),
-    sideView: () => window.cameraUtils.setPosition(10, 4, 0, 0, 0, 0)
-  },
-  // Help function
-  help: () => {
-    console.log('\n🎥 CAMERA UTILITIES HELP:');
-    console.log('='.repeat(40));
-    console.log('cameraUtils.startEditor()     - Open camera position editor');
-    console.log('cameraUtils.printPosition()   - Print current camera position');
-    console.log('cameraUtils.setPosition(x,y,z,lx,ly,lz) - Set camera position and target');
-    console.log('cameraUtils.presets.overview() - Go to overview position');
-    console.log('cameraUtils.presets.topDown()  - Go to top-down view');
-    console.log('cameraUtils.presets.closeUp()  - Go to close-up view');
-    console.log('cameraUtils.presets.sideView() - Go to side view');
-    console.log('\n🎮 KEYBOARD SHORTCUTS:');
-    console.log('Ctrl + E  - Toggle camera editor');
-    console.log('Ctrl + L  - Debug lights');
-    console.log('Ctrl + P  - Quick position print');
-    console.log('='.repeat(40));
-  }
-};
-// Show help on load (in development)
-if (!isProduction) {
-  console.log('\n🎥 Camera positioning system loaded!');
-  console.log('Type "cameraUtils.help()" for available commands.');
-  console.log('Press Ctrl + E to start the camera editor.');
-}
-const textureLoader = new THREE.TextureLoader();
-// Register environment texture for loading tracking
-incrementTotalAssets();
-// Try multiple environment texture formats
-const envTexturePaths = [
-  './public/textures/env.jpg',
-  './public/textures/env.png',
-  './public/textures/env.hdr'
-];
-let envTextureLoaded = false;
-function loadEnvironmentTexture(paths, index = 0) {
-  if (index >= paths.length) {
-    // All texture formats failed, create fallback
-    console.warn('All environment textures failed, creating fallback');
-    const fallbackTexture = createFallbackEnvironment();
-    scene.background = fallbackTexture;
-    scene.environment = fallbackTexture;
-    markAssetLoaded();
-    return;
+    gsap.to(lookAtTarget, {
+      x: lookAt.x,
+      y: lookAt.y,
+      z: lookAt.z,
+      duration: CONFIG.ANIMATION.CAMERA_DURATION,
+      ease: CONFIG.ANIMATION.EASE,
+      onUpdate: () => {
+        camera.lookAt(lookAtTarget.x, lookAtTarget.y, lookAtTarget.z);
+      },
+    });
+    // Update active nav item when clicking on 3D objects
+    updateNavActiveState(hexObject.userData.type);
+    hashRouter.push({ kind: 'zone', id: hexObject.userData.type });
   }
-  ErrorHandler.handleAsyncError(
-    new Promise((resolve, reject) => {
-      textureLoader.load(
-        paths[index],
-        (texture) => {
-          try {
-            if (envTextureLoaded) return; // Prevent double loading
-            envTextureLoaded = true;
-            texture.mapping = THREE.EquirectangularReflectionMapping;
-            texture.colorSpace = THREE.SRGBColorSpace;
-            // Set as both background and environment for reflections
-            scene.background = texture;
-            scene.environment = texture;
-            // Process existing materials to use the new environment
-            scene.traverse((child) => {
-              if (child.isMesh && child.material) {
-                if (child.material.isMeshStandardMaterial || child.material.isMeshPhysicalMaterial) {
-                  child.material.envMap = texture;
-                  child.material.envMapIntensity = 0.8;
-                  child.material.needsUpdate = true;
-                }
-                if (Array.isArray(child.material)) {
-                  child.material.forEach(mat => {
-                    if (mat.isMeshStandardMaterial || mat.isMeshPhysicalMaterial) {
-                      mat.envMap = texture;
-                      mat.envMapIntensity = 0.8;
-                      mat.needsUpdate = true;
-                    }
-                  });
-                }
-              }
-            });
-            console.log(`Environment texture loaded successfully: ${paths[index]}`);
-            markAssetLoaded();
-            resolve(texture);
-          } catch (error) {
-            reject(error);
-          }
-        },
-        undefined,
-        (error) => {
-          console.warn(`Failed to load ${paths[index]}, trying next format...`);
-          reject(error);
-        }
-      );
-    }),
-    `Environment texture loading - ${paths[index]}`
-  ).then((result) => {
-    if (!result && !envTextureLoaded) {
-      // Try next texture format
-      loadEnvironmentTexture(paths, index + 1);
+  // Runs the click behavior declared for an object in the world manifest
+  function activateObject(objectId, object = null) {
+    const entry = objectRegistry.get(objectId);
+    if (!entry || !entry.click) return;
+    // Check if this object is clickable at the current location/theme
+    if (!isDrawerClickableAtCurrentLocation(objectId)) {
+      if (!isProduction) console.log(`Object ${objectId} not clickable at current location/theme`);
+      return; // Don't allow interaction if not at correct theme
     }
-  });
-}
-function createFallbackEnvironment() {
-  // Create a simple gradient environment texture as fallback
-  const canvas = document.createElement('canvas');
-  canvas.width = 512;
-  canvas.height = 256;
-  const ctx = canvas.getContext('2d');
-  const gradient = ctx.createLinearGradient(0, 0, 0, canvas.height);
-  gradient.addColorStop(0, '#87CEEB'); // Sky blue
-  gradient.addColorStop(0.7, '#FFD4A3'); // Warm horizon
-  gradient.addColorStop(1, '#8B4513'); // Ground brown
-  ctx.fillStyle = gradient;
-  ctx.fillRect(0, 0, canvas.width, canvas.height);
-  const texture = new THREE.CanvasTexture(canvas);
-  texture.mapping = THREE.EquirectangularReflectionMapping;
-  texture.colorSpace = THREE.SRGBColorSpace;
-  return texture;
-}
-// Start loading environment textures
-loadEnvironmentTexture(envTexturePaths);
-function generateSkillFlowersGrid() {
-  const skillsHex = hexMap.find(hex => hex.type === 'skills');
-  if (!skillsHex) {
-    console.error('Skills hex not found');
-    return;
+    markObjectAsDiscovered(objectId);
+    // Projects raise the flowers of the skills they were built with
+    if (!entry.skill && !appState.isLocked()) skillLinks.showProject(objectId);
+    if (entry.click !== 'discover') hashRouter.push({ kind: 'object', id: objectId });
+    if (entry.click === 'modal') {
+      modalManager.open(objectId);
+      return; // Don't animate camera for modal-only objects
+    }
+    if (entry.click !== 'focus' && entry.click !== 'focusThenModal') return;
+    appState.transition('objectFocus', { objectId });
+    const pose = cameraPresets.objectPose(objectId);
+    const camTarget = pose ? { ...pose.position, lookAt: pose.lookAt } : drawerCameraTargets[objectId];
+    gsap.to(camera.position, {
+      x: camTarget.x,
+      y: camTarget.y,
+      z: camTarget.z,
+      duration: CONFIG.ANIMATION.CAMERA_DURATION,
+      ease: CONFIG.ANIMATION.EASE,
+      onComplete: () => {
+        if (entry.click === 'focusThenModal') modalManager.open(objectId);
+      }
+    });
+    // Utilise camTarget.lookAt si défini, sinon fallback sur l'objet
+    const lookAt = camTarget.lookAt || object?.position;
+    gsap.to(lookAtTarget, {
+      x: lookAt.x,
+      y: lookAt.y,
+      z: lookAt.z,
+      duration: CONFIG.ANIMATION.CAMERA_DURATION,
+      ease: CONFIG.ANIMATION.EASE,
+      onUpdate: () => {
+        camera.lookAt(lookAtTarget.x, lookAtTarget.y, lookAtTarget.z);
+      },
+    });
   }
-  const skillsWorldPos = hexToWorld(skillsHex.q, skillsHex.r);
-  const gridSpacing = { x: 0.2, z: 0.27 }; // Grid dimensions reduced by half
-  const collisionBoxYOffset = -0.1; // Configurable Y offset for collision boxes (negative = lower)
-  // 3x3 grid positions (center at 0,0 relative to Skills hex)
-  // NOTE: The coordinate system is relative to the camera's viewing angle
-  // From the user's perspective when looking at the Skills hex:
-  // - Negative Z is "forward" (top row)
-  // - Positive Z is "backward" (bottom row)
-  // - Negative X is "left"
-  // - Positive X is "right"
-  const gridPositions = [
-    { x: -gridSpacing.x, z: -gridSpacing.z }, // Index 0: Top-left -> Unity
-    { x: 0, z: -gridSpacing.z },              // Index 1: Top-center -> Unreal
-    { x: gridSpacing.x, z: -gridSpacing.z },  // Index 2: Top-right -> C++
-    { x: -gridSpacing.x, z: 0 },              // Index 3: Middle-left -> C#
-    { x: 0, z: 0 },                           // Index 4: Middle-center -> Python
-    { x: gridSpacing.x, z: 0 },               // Index 5: Middle-right -> Java
-    { x: -gridSpacing.x, z: gridSpacing.z },  // Index 6: Bottom-left -> Git
-    { x: 0, z: gridSpacing.z },               // Index 7: Bottom-center -> Arduino
-    { x: gridSpacing.x, z: gridSpacing.z }    // Index 8: Bottom-right -> Meta
-  ];
-  if (!isProduction) {
-    console.log('=== SkillFlower Grid Debug ===');
-    console.log('Skills hex world position:', skillsWorldPos);
-    console.log('Grid spacing:', gridSpacing);
-  }
-  // Load skillFlower model and create 9 instances
-  gridPositions.forEach((gridPos, index) => {
-    const loader = new GLTFLoader();
-    incrementTotalAssets(); // Register for loading tracking
-    // Calculate final world position
-    const finalWorldPos = {
-      x: skillsWorldPos.x + gridPos.x,
-      y: 0,
-      z: skillsWorldPos.z + gridPos.z
-    };
-    const expectedFlower = languageFlowerData[index];
-    console.log(`SkillFlower ${index}: Grid(${gridPos.x.toFixed(2)}, ${gridPos.z.toFixed(2)}) -> World(${finalWorldPos.x.toFixed(2)}, ${finalWorldPos.z.toFixed(2)}) -> ${expectedFlower?.displayName} (${expectedFlower?.name})`);
-    // Additional debug: Show which position this represents in user view
-    let viewPosition = 'unknown';
-    if (gridPos.z < 0) viewPosition = 'top';
-    else if (gridPos.z > 0) viewPosition = 'bottom';
-    else viewPosition = 'middle';
-    if (gridPos.x < 0) viewPosition += '-left';
-    else if (gridPos.x > 0) viewPosition += '-right';
-    else viewPosition += '-center';
-    console.log(`  -> Visual position: ${viewPosition} (should show ${expectedFlower?.displayName})`);
-    ErrorHandler.handleAsyncError(
-      new Promise((resolve, reject) => {
-        loader.load(
-          `./public/models/skillFlower.glb`, // Use same skillFlower.glb model for all 9
-          (gltf) => {
-            try {
-              processGLBMaterials(gltf, 'skillFlower.glb');
-              const skillFlower = gltf.scene;
-              // Position at grid location relative to CV hex
-              skillFlower.position.set(
-                finalWorldPos.x,
-                finalWorldPos.y,
-                finalWorldPos.z
-              );
-              skillFlower.scale.set(1, 1, 1);
-              skillFlower.userData.type = `skillFlower${index + 1}`;
-              skillFlower.userData.gridIndex = index;
-              // Create collision box for enhanced mouse detection
-              const collisionGeometry = new THREE.BoxGeometry(0.05, 0.2, 0.05);
-              const collisionMaterial = new THREE.MeshBasicMaterial({
-                visible: false,
-                transparent: true,
-                opacity: 0
-              });
-              const collisionBox = new THREE.Mesh(collisionGeometry, collisionMaterial);
-              collisionBox.position.copy(skillFlower.position);
-              collisionBox.position.y += collisionBoxYOffset; // Apply configurable Y offset
-              collisionBox.userData.type = `skillFlower${index + 1}`;
-              collisionBox.userData.targetDrawer = skillFlower;
-              collisionBox.userData.gridIndex = index;
-              scene.add(skillFlower);
-              scene.add(collisionBox);
-              skillFlowers.push(skillFlower);
-              drawers.push(collisionBox);
-              drawers.push(skillFlower); // FIXED: Add skillFlower mesh to drawers array too
-              drawerOriginalPositions.set(skillFlower, skillFlower.position.clone());
-              console.log(`SkillFlower ${index + 1} loaded at world position:`, skillFlower.position, `-> Maps to: ${expectedFlower?.displayName}`);
-              markAssetLoaded();
-              resolve(skillFlower);
-            } catch (error) {
-              reject(error);
-            }
-          },
-          undefined,
-          reject
-        );
-      }),
-      `SkillFlower ${index + 1} loading`
-    );
-  });
-}
-function loadLanguageFlowers() {
-  console.log('Loading language flowers with enhanced mapping...');
-  // Pre-initialize the array with the correct size to ensure proper indexing
-  languageFlowers.length = languageFlowerData.length;
-  languageFlowerData.forEach((flowerData, index) => {
-    const loader = new GLTFLoader();
-    incrementTotalAssets(); // Register for loading tracking
-    ErrorHandler.handleAsyncError(
+  // Store original positions of drawers
+  // (drawerOriginalPositions already declared at top)
+  // (Functions already declared at top)
+  let loadedDrawerCount = 0;
+  const totalDrawerCount = drawerModels.length;
+  // Zone contents stream in behind the island shell and do not hold back the entrance
+  drawerModels.forEach((model) => {
+    const worldObject = worldObjects.get(model);
+    trackModelLoad(
       new Promise((resolve, reject) => {
-        loader.load(
-          `./public/models/${flowerData.model}`,
+        assetStreamer.load(
+          `./public/models/${worldObject.model}`,
+          { zone: worldObject.hex, label: worldObject.label },
           (gltf) => {
             try {
-              processGLBMaterials(gltf, flowerData.model);
-              const languageFlower = gltf.scene;
-              // FIXED: Start hidden below ground at origin (will be positioned correctly when shown)
-              languageFlower.position.set(0, -2, 0);
-              languageFlower.scale.set(1, 1, 1);
-              languageFlower.visible = false;
-              // Enhanced userData with complete flower information - reset for fresh state
-              languageFlower.userData = {
-                type: flowerData.name,
-                displayName: flowerData.displayName,
-                category: flowerData.category,
-                gridPosition: flowerData.gridPosition,
-                gridIndex: index,
-                isAnimating: false // Ensure fresh animation state
-              };
-              scene.add(languageFlower);
-              // FIXED: Place language flower at the correct array index instead of pushing
-              languageFlowers[index] = languageFlower;
-              console.log(`Language flower loaded - Index: ${index}, Name: ${flowerData.name}, Display: ${flowerData.displayName}, Position: ${flowerData.gridPosition}`);
-              markAssetLoaded();
-              resolve(languageFlower);
+              processGLBMaterials(gltf, worldObject.model);
+              const drawer = gltf.scene;
+              drawer.scale.set(1, 1, 1);
+              drawer.userData.type = model;
+              // Objects authored relative to their hex are moved to its center,
+              // the others are already exported in island coordinates
+              // An explicit position (written by the layout editor) wins over both
+              if (worldObject.position) {
+                drawer.position.set(worldObject.position.x, worldObject.position.y, worldObject.position.z);
+              } else if (worldObject.placement === 'hexCenter') {
+                const hexData = hexMap.find(hex => hex.type === worldObject.hex);
+                const { x, z } = hexToWorld(hexData.q, hexData.r);
+                drawer.position.set(x, 0, z);
+              }
+              drawer.rotation.y = THREE.MathUtils.degToRad(worldObject.rotation || 0);
+              scene.add(drawer);
+              drawers.push(drawer);
+              scenePicker.register(drawer, createObjectPickBox(drawer));
+              drawerOriginalPositions.set(drawer, drawer.position.clone());
+              loadedDrawerCount++;
+              if (loadedDrawerCount === totalDrawerCount) {
+                console.log('All drawer models loaded successfully');
+                // Initialize unread badges after all drawers are loaded
+                updateThemeUnreadBadges();
+              }
+              resolve(drawer);
             } catch (error) {
               reject(error);
             }
           },
-          undefined,
           reject
         );
       }),
-      `Language flower ${flowerData.displayName} (${flowerData.name}) loading`
+      `Drawer loading - ${model}`
     );
   });
-  // Log the complete mapping for verification
-  console.log('Language Flower Grid Mapping:');
-  languageFlowerData.forEach((flower, index) => {
-    console.log(`Grid ${index} (${flower.gridPosition}): ${flower.displayName} (${flower.name}) - ${flower.category}`);
-  });
-}
-function showLanguageFlower(gridIndex) {
-  const languageFlower = languageFlowers[gridIndex];
-  const skillFlower = skillFlowers[gridIndex];
-  const flowerInfo = getLanguageFlowerInfo(gridIndex);
-  // Enhanced checks to prevent duplicate animations
-  if (!languageFlower || !skillFlower) {
-    console.warn(`Cannot show language flower at index ${gridIndex}:`, {
-      hasLanguageFlower: !!languageFlower,
-      hasSkillFlower: !!skillFlower
-    });
-    return;
-  }
-  // If already active or currently animating, don't start another animation
-  if (activeLanguageFlowers.has(gridIndex)) {
-    console.log(`Language flower ${flowerInfo?.displayName} already active at grid ${gridIndex} - skipping duplicate show`);
-    return;
-  }
-  // Check if there's already a running animation on this language flower
-  if (languageFlower.userData && languageFlower.userData.isAnimating) {
-    console.log(`Language flower ${flowerInfo?.displayName} currently animating at grid ${gridIndex} - skipping duplicate show`);
-    return;
-  }
-  // Mark as active and animating immediately to prevent duplicates
-  activeLanguageFlowers.add(gridIndex);
-  stayUpLanguageFlowers.add(gridIndex); // Mark this language flower to stay up permanently
-  languageFlower.visible = true;
-  languageFlower.userData = languageFlower.userData || {};
-  languageFlower.userData.isAnimating = true;
-  // Kill any existing animations on this language flower to prevent conflicts
-  gsap.killTweensOf(languageFlower.position);
-  gsap.killTweensOf(languageFlower.rotation);
-  // Clear any existing rotation animation tracking
-  const existingRotation = languageFlowerRotations.get(gridIndex);
-  if (existingRotation) {
-    existingRotation.kill();
-    languageFlowerRotations.delete(gridIndex);
-  }
-  // Log what we're showing
-  console.log(`Showing language flower: ${flowerInfo?.displayName || 'Unknown'} (${flowerInfo?.name || 'unknown'}) at grid position ${gridIndex} (${flowerInfo?.gridPosition || 'unknown'})`);
-  // FIXED: Position directly above the corresponding skillFlower using exact coordinates
-  const targetX = skillFlower.position.x;
-  const targetY = skillFlower.position.y + 0.42; // Height above skillFlower
-  const targetZ = skillFlower.position.z;
-  // Set the language flower to the exact X,Z position of the skillFlower, but below ground
-  languageFlower.position.set(targetX, targetY - 0.5, targetZ);
-  // Animate rising to the target position
-  gsap.to(languageFlower.position, {
-    y: targetY,
-    duration: 0.4,
-    ease: 'back.out(1.4)',
-    onComplete: () => {
-      // Clear the animating flag when animation completes
-      if (languageFlower.userData) {
-        languageFlower.userData.isAnimating = false;
-      }
+  // This section has been replaced by the new language flowers system
+  const mainZones = world.themes
+    .filter(theme => theme.nav)
+    .map(theme => ({ type: theme.nav.hex, label: theme.nav.label, themeId: theme.id }));
+  function toggleMobileNavigation() {
+    const navSidebar = document.getElementById('zoneNavSidebar');
+    const overlay = document.getElementById('mobile-nav-overlay');
+    if (!navSidebar) return;
+    isNavigationOpen = !isNavigationOpen;
+    if (isNavigationOpen) {
+      // Open navigation
+      navSidebar.style.transform = 'translateX(0)';
+      if (overlay) overlay.style.display = 'block';
+    } else {
+      // Close navigation
+      navSidebar.style.transform = 'translateX(-100%)';
+      if (overlay) overlay.style.display = 'none';
     }
-  });
-  // Start rotation animation
-  const rotationAnim = gsap.to(languageFlower.rotation, {
-    y: "+=6.283", // Full rotation (2π radians)
-    duration: 2,
-    ease: "none",
-    repeat: -1
-  });
-  languageFlowerRotations.set(gridIndex, rotationAnim);
-}
-function hideLanguageFlower(gridIndex) {
-  const languageFlower = languageFlowers[gridIndex];
-  const skillFlower = skillFlowers[gridIndex];
-  const flowerInfo = getLanguageFlowerInfo(gridIndex);
-  if (!languageFlower || !activeLanguageFlowers.has(gridIndex)) return;
-  // Don't hide if marked to stay up permanently
-  if (stayUpLanguageFlowers.has(gridIndex)) {
-    console.log(`Language flower ${flowerInfo?.displayName || 'Unknown'} at grid ${gridIndex} marked to stay up - not hiding`);
-    return;
   }
-  console.log(`Hiding language flower: ${flowerInfo?.displayName || 'Unknown'} (${flowerInfo?.name || 'unknown'}) at grid position ${gridIndex}`);
-  // Clear animation state immediately to prevent conflicts
-  if (languageFlower.userData) {
-    languageFlower.userData.isAnimating = false;
-  }
-  // Kill any running animations immediately
-  gsap.killTweensOf(languageFlower.position);
-  gsap.killTweensOf(languageFlower.rotation);
-  activeLanguageFlowers.delete(gridIndex);
-  // Stop rotation
-  const rotationAnim = languageFlowerRotations.get(gridIndex);
-  if (rotationAnim) {
-    rotationAnim.kill();
-    languageFlowerRotations.delete(gridIndex);
-  }
-  // FIXED: Animate sinking down to below ground at the same X,Z coordinates
-  const targetX = skillFlower ? skillFlower.position.x : languageFlower.position.x;
-  const targetZ = skillFlower ? skillFlower.position.z : languageFlower.position.z;
-  gsap.to(languageFlower.position, {
-    y: languageFlower.position.y - 0.5,
-    duration: 0.3,
-    ease: 'power2.in',
-    onComplete: () => {
-      languageFlower.visible = false;
-      languageFlower.rotation.y = 0; // Reset rotation
-      // Clear any remaining animation flags
-      if (languageFlower.userData) {
-        languageFlower.userData.isAnimating = false;
-      }
-      // FIXED: Reset position to below ground at the correct X,Z coordinates for next show
-      languageFlower.position.set(targetX, -2, targetZ);
+  function createMobileNavToggle() {
+    if (!isMobileDevice) return;
+    const toggleButton = document.createElement('button');
+    toggleButton.id = 'mobile-nav-toggle';
+    toggleButton.innerHTML = '☰';
+    toggleButton.style.cssText = `
+      position: fixed;
+      top: 20px;
+      left: 20px;
+      z-index: 400;
+      background: rgba(20, 20, 30, 0.9);
+      color: white;
+      border: none;
+      width: 50px;
+      height: 50px;
+      border-radius: 25px;
+      font-size: 20px;
+      cursor: pointer;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+      transition: all 0.3s ease;
+      touch-action: manipulation;
+    `;
+    toggleButton.addEventListener('click', (e) => {
+      e.stopPropagation();
+      toggleMobileNavigation();
+    });
+    // Prevent 3D interactions
+    toggleButton.addEventListener('touchstart', (e) => e.stopPropagation());
+    toggleButton.addEventListener('touchmove', (e) => e.stopPropagation());
+    toggleButton.addEventListener('touchend', (e) => e.stopPropagation());
+    document.body.appendChild(toggleButton);
+    // Create overlay for mobile navigation
+    const overlay = document.createElement('div');
+    overlay.id = 'mobile-nav-overlay';
+    overlay.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100vw;
+      height: 100vh;
+      background: rgba(0, 0, 0, 0.5);
+      z-index: 299;
+      display: none;
+      touch-action: none;
+    `;
+    overlay.addEventListener('click', () => {
+      toggleMobileNavigation();
+    });
+    document.body.appendChild(overlay);
+    // Apply mobile-specific navigation styling if on mobile device
+    if (isMobileDevice) {
+      setTimeout(() => {
+        const navSidebar = document.getElementById('zoneNavSidebar');
+        if (navSidebar) {
+          // Mobile-specific navigation styling
+          navSidebar.style.transform = 'translateX(-100%)';
+          navSidebar.style.zIndex = '1000';
+          // Make navigation items touch-friendly on mobile
+          const navItems = navSidebar.querySelectorAll('div');
+          navItems.forEach(item => {
+            if (item.style.cursor === 'pointer') {
+              item.style.minHeight = '44px'; // Touch target minimum
+              item.style.display = 'flex';
+              item.style.alignItems = 'center';
+              item.style.padding = '12px 20px';
+              item.style.fontSize = '16px';
+              item.style.borderBottom = '1px solid rgba(255,255,255,0.1)';
+              // Enhanced touch feedback
+              item.addEventListener('touchstart', () => {
+                item.style.backgroundColor = 'rgba(255,255,255,0.1)';
+              });
+              item.addEventListener('touchend', () => {
+                setTimeout(() => {
+                  item.style.backgroundColor = 'transparent';
+                }, 150);
+              });
+            }
+          });
+        }
+      }, 100); // Small delay to ensure navigation is created
     }
-  });
-}
-// Initialize skill flowers and language flowers
-generateSkillFlowersGrid();
-loadLanguageFlowers();
-function showUnityFlower() {
-  // Legacy function - Unity flower is now at index 0 (top-left position)
-  const unityFlower = getLanguageFlowerByName('unity');
-  if (unityFlower) {
-    const unityIndex = languageFlowerData.findIndex(flower => flower.name === 'unity');
-    console.log(`Legacy showUnityFlower called - showing Unity at index ${unityIndex}`);
-    showLanguageFlower(unityIndex);
-  } else {
-    console.warn('Unity flower not found in language flower data');
   }
-}
-function hideUnityFlower() {
-  // Legacy function - Unity flower is now at index 0 (top-left position)
-  const unityIndex = languageFlowerData.findIndex(flower => flower.name === 'unity');
-  if (unityIndex !== -1) {
-    console.log(`Legacy hideUnityFlower called - hiding Unity at index ${unityIndex}`);
-    hideLanguageFlower(unityIndex);
+  // FR / EN switch. The choice is saved for the next visits and the page reloads in that language;
+  // portfolio.html and guide.js see languageSwitchReload and skip the loading overlay and the guide,
+  // and the URL hash then brings the visitor back to the zone or object they were on
+  function createLanguageSwitch() {
+    const group = document.createElement('div');
+    group.className = 'language-switch';
+    group.setAttribute('role', 'group');
+    group.setAttribute('aria-label', t('language.label'));
+    group.style.cssText = 'display: flex; gap: 6px; justify-content: center; padding-top: 18px;';
+    i18n.languages.forEach(language => {
+      const current = language === i18n.language;
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.lang = language;
+      button.textContent = language.toUpperCase();
+      button.title = t(`language.names.${language}`);
+      button.setAttribute('aria-pressed', String(current));
+      button.style.cssText = `
+        padding: 4px 12px; border-radius: 50px; border: 1px solid rgba(255,255,255,0.3); font: inherit;
+        font-size: 0.8rem; cursor: ${current ? 'default' : 'pointer'};
+        background: ${current ? '#ffd4a3' : 'transparent'}; color: ${current ? '#14141e' : '#fff'};
+      `;
+      button.addEventListener('click', (event) => {
+        event.stopPropagation();
+        if (!i18n.setLanguage(language)) return;
+        sessionStorage.setItem('languageSwitchReload', 'true');
+        window.location.reload();
+      });
+      group.appendChild(button);
+    });
+    return group;
+  }
+  // Define drawer-to-theme mapping (already declared at top)
+  const navSidebar = document.createElement('nav');
+  navSidebar.id = 'zoneNavSidebar';
+  // Base styles for navigation
+  const baseNavStyles = {
+    position: 'fixed',
+    top: '0',
+    left: '0',
+    height: '100vh',
+    background: 'rgba(20, 20, 30, 0.97)',
+    color: '#fff',
+    padding: '36px 0 24px 0',
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'center',
+    zIndex: '300',
+    boxShadow: '2px 0 24px rgba(0,0,0,0.18)',
+    fontSize: '1.1rem',
+    fontWeight: 'bold',
+    letterSpacing: '0.02em'
+  };
+  // Apply responsive styles
+  if (isMobileDevice) {
+    // Mobile styles
+    Object.assign(navSidebar.style, baseNavStyles);
+    navSidebar.style.width = '280px'; // Wider for mobile touch targets
+    navSidebar.style.transform = 'translateX(-100%)'; // Hidden by default
+    navSidebar.style.transition = 'transform 0.3s ease';
+    navSidebar.style.fontSize = '1.2rem'; // Larger text for mobile
+    navSidebar.style.padding = '60px 0 24px 0'; // More top padding for toggle button
   } else {
-    console.warn('Unity flower not found in language flower data');
+    // Desktop styles
+    Object.assign(navSidebar.style, baseNavStyles);
+    navSidebar.style.width = CONFIG.NAVIGATION.SIDEBAR_WIDTH + 'px';
   }
-}
-const clock = new THREE.Clock();
-let lastErrorTime = 0;
-let errorCount = 0;
-let lastMaterialValidation = 0;
-const MAX_ERRORS_PER_SECOND = 5;
-const MATERIAL_VALIDATION_INTERVAL = 10; // seconds
-function animate() {
-  requestAnimationFrame(animate);
-  try {
-    const time = clock.getElapsedTime();
-    // Validate materials periodically to prevent uniform errors
-    if (time - lastMaterialValidation > MATERIAL_VALIDATION_INTERVAL) {
-      validateSceneMaterials();
-      lastMaterialValidation = time;
-    }
-    // Animate ocean waves if ocean data is available
-    if (oceanVertData && oceanVertData.length > 0) {
-      try {
-        oceanVertData.forEach((vd, idx) => {
-          if (vd && typeof vd.initH === 'number' && typeof vd.phase === 'number' && typeof vd.amplitude === 'number') {
-            const y = vd.initH + Math.sin(time + vd.phase) * vd.amplitude;
-            oceanGeometry.attributes.position.setY(idx, y);
-          }
-        });
-        oceanGeometry.attributes.position.needsUpdate = true;
-        oceanGeometry.computeVertexNormals();
-      } catch (oceanError) {
-        // Only log ocean errors occasionally to avoid spam
-        if (time - lastErrorTime > 1) {
-          console.warn('Ocean animation error:', oceanError);
-          lastErrorTime = time;
-        }
-      }
-    }
-    // Update language flowers positions to stay above their corresponding skillFlowers
-    activeLanguageFlowers.forEach(gridIndex => {
-      const languageFlower = languageFlowers[gridIndex];
-      const skillFlower = skillFlowers[gridIndex];
-      if (languageFlower && skillFlower && languageFlower.visible) {
-        // Keep language flower positioned above its skillFlower
-        languageFlower.position.x = skillFlower.position.x;
-        languageFlower.position.z = skillFlower.position.z;
-        // Y position is handled by animations, don't override here
-      }
-    });
-    // Update performance monitor
-    performanceMonitor.update();
-    // Safe rendering with error handling
-    try {
-      renderer.render(scene, camera);
-    } catch (renderError) {
-      // Limit error reporting to prevent spam
-      const currentTime = performance.now();
-      if (currentTime - lastErrorTime > 1000) { // Only report once per second
-        ErrorHandler.logError(renderError, 'Rendering');
-        lastErrorTime = currentTime;
-        errorCount = 0;
-        // If it's a uniform/shader error, try to isolate and fix problematic materials
-        if (renderError.message && renderError.message.includes('value')) {
-          console.warn('Detected uniform value error, attempting material isolation...');
-          isolateProblematicMaterials();
-        }
-      } else {
-        errorCount++;
-        if (errorCount > MAX_ERRORS_PER_SECOND) {
-          // Too many errors, skip this frame
-          return;
-        }
-      }
-    }
-  } catch (error) {
-    // Only log animation loop errors occasionally to prevent console spam
-    const currentTime = performance.now();
-    if (currentTime - lastErrorTime > 1000) { // Only report once per second
-      ErrorHandler.logError(error, 'Animation loop');
-      lastErrorTime = currentTime;
-      errorCount = 0;
-    }
+  navSidebar.innerHTML = `<div style="font-size:1.3rem;margin-bottom:18px;font-weight:bold;">${t(isMobileDevice ? 'nav.titleMobile' : 'nav.title')}</div><ul id="zoneNavList" style="list-style:none;padding:0;margin:0;width:100%;"></ul>`;
+  // Pinned to the bottom of the sidebar, below the tour button added later
+  const navLanguageSwitch = createLanguageSwitch();
+  navLanguageSwitch.style.order = '1';
+  navLanguageSwitch.style.marginTop = 'auto';
+  navSidebar.appendChild(navLanguageSwitch);
+  document.body.appendChild(navSidebar);
+  // Prevent raycast from passing through the nav bar
+  navSidebar.addEventListener('pointerdown', e => e.stopPropagation());
+  navSidebar.addEventListener('pointermove', e => e.stopPropagation());
+  navSidebar.addEventListener('pointerup', e => e.stopPropagation());
+  navSidebar.style.pointerEvents = 'auto';
+  // Position 3D canvas responsively
+  renderer.domElement.style.position = 'absolute';
+  if (isMobileDevice) {
+    // Mobile: Full screen canvas, navigation slides over
+    renderer.domElement.style.left = '0';
+    renderer.domElement.style.top = '0';
+    renderer.domElement.style.width = '100vw';
+    renderer.domElement.style.height = '100vh';
+  } else {
+    // Desktop: Canvas offset by navigation width
+    renderer.domElement.style.left = CONFIG.NAVIGATION.SIDEBAR_WIDTH + 'px';
+    renderer.domElement.style.top = '0';
+    renderer.domElement.style.width = `calc(100vw - ${CONFIG.NAVIGATION.SIDEBAR_WIDTH}px)`;
+    renderer.domElement.style.height = '100vh';
   }
-}
-animate();
-window.addEventListener('wheel', (event) => {
-  // Skip interactions during cinematic mode
-  if (cinematicMode) return;
-  if (event.deltaY > 0) { // Detect scroll down
-    // Reset active nav state since we're going back to overview
-    currentActiveHexType = null;
-    updateNavActiveState(null);
-    updateHexInfo(null); // Update to global portfolio view
-    // Reset virtual modal state when going back to overview
-    virtualModalClosed = false;
-    virtualModalOpened = false;
-    steeringWheelClicked = false;
-    // Reset trash modal state when going back to overview
-    trashModalClosed = false;
-    trashModalOpened = false;
-    trashTruckClicked = false;
-    // Reset convoyeur modal state when going back to overview
-    convoyeurModalClosed = false;
-    convoyeurModalOpened = false;
-    convoyeurClicked = false;
-    // Reset sensorSensei modal state when going back to overview
-    sensorSenseiModalClosed = false;
-    sensorSenseiModalOpened = false;
-    // Reset medical modal state when going back to overview
-    medicalModalClosed = false;
-    medicalModalOpened = false;
-    // Reset forviaCAR modal state when going back to overview
-    forviaCarModalClosed = false;
-    forviaCarModalOpened = false;
-    // Reset desck modal state when going back to overview
-    desckModalClosed = false;
-    desckModalOpened = false;
-    // Return to orbital position instead of fixed original position
-    const orbitalPosition = {
-      x: orbitCenter.x + orbitRadius * Math.cos(currentCameraAngle),
-      y: orbitHeight,
-      z: orbitCenter.z + orbitRadius * Math.sin(currentCameraAngle)
-    };
-    // Animate camera position
+  // Create mobile navigation toggle after sidebar is created
+  createMobileNavToggle();
+  const navList = document.getElementById('zoneNavList');
+  // Function to navigate to a hex zone directly
+  function navigateToZone(zoneType, onArrive = null, posePreset = null) {
+    const hex = hexObjects.find(h => h.userData.type === zoneType);
+    if (!hex) return;
+    currentActiveHexType = zoneType;
+    appState.transition('zoneFocus', { hex: zoneType });
+    console.log(`Navigation started: currentActiveHexType set to "${currentActiveHexType}"`);
+    updateHexInfo(currentActiveHexType); // Update hex info display
+    // Find the hex data for camera position
+    const hexData = hexMap.find(h => h.type === zoneType);
+    const pose = posePreset || cameraPresets.zonePose(zoneType, hex.userData.q, hex.userData.r);
+    const cameraPos = pose?.position || hexData?.cameraPos || { x: 0, y: 5, z: 10 };
+    const lookAt = pose?.lookAt || hex.position;
+    // Animate camera to hex
     gsap.to(camera.position, {
-      x: orbitalPosition.x,
-      y: orbitalPosition.y,
-      z: orbitalPosition.z,
-      duration: CONFIG.ANIMATION.CAMERA_DURATION,
-      ease: CONFIG.ANIMATION.EASE,
+      x: cameraPos.x,
+      y: cameraPos.y,
+      z: cameraPos.z,
+      duration: 2,
+      ease: 'power3.inOut',
     });
-    // Smoothly animate look-at target to the center of the island (orbital mode)
     gsap.to(lookAtTarget, {
-      x: orbitCenter.x,
-      y: orbitCenter.y,
-      z: orbitCenter.z,
-      duration: CONFIG.ANIMATION.CAMERA_DURATION,
-      ease: CONFIG.ANIMATION.EASE,
+      x: lookAt.x,
+      y: lookAt.y,
+      z: lookAt.z,
+      duration: 2,
+      ease: 'power3.inOut',
       onUpdate: () => {
         camera.lookAt(lookAtTarget.x, lookAtTarget.y, lookAtTarget.z);
       },
       onComplete: () => {
-        // Update orbital camera angle to match the current position
-        updateCameraAngleFromPosition();
+        console.log(`Navigation completed: currentActiveHexType is "${currentActiveHexType}"`);
+        if (onArrive) onArrive();
       }
     });
+    // Update active nav item
+    updateNavActiveState(zoneType);
+    hashRouter.push({ kind: 'zone', id: zoneType });
   }
-});
-window.addEventListener('click', (event) => {
-  // FIRST: Check global interactions disabled flag
-  if (interactionsDisabled) {
-    event.preventDefault();
-    event.stopImmediatePropagation();
-    return false;
-  }
-  // SECOND: Skip 3D interactions if loading overlay is visible
-  const loadingOverlay = document.getElementById('loadingOverlay');
-  if (loadingOverlay && !loadingOverlay.classList.contains('hidden')) {
-    event.preventDefault();
-    event.stopImmediatePropagation();
-    return false;
-  }
-  // THIRD: Skip 3D interactions if any modal is open
-  const existingModals = document.querySelectorAll('[id$="Modal"]');
-  const visibleModals = Array.from(existingModals).filter(modal => {
-    const style = window.getComputedStyle(modal);
-    return style.display !== 'none' && style.visibility !== 'hidden';
-  });
-  if (visibleModals.length > 0) {
-    // Don't process 3D canvas clicks if any modal is open
-    return false;
-  }
-  // Skip interactions during cinematic mode or if currently orbiting
-  if (cinematicMode || isOrbiting) return;
-  // Check if click is on the navigation sidebar
-  const navSidebar = document.getElementById('zoneNavSidebar');
-  if (navSidebar && navSidebar.contains(event.target)) {
-    return; // Don't process 3D canvas clicks if clicking on nav
-  }
-  const canvasBounds = renderer.domElement.getBoundingClientRect();
-  mouse.x = ((event.clientX - canvasBounds.left) / canvasBounds.width) * 2 - 1;
-  mouse.y = -((event.clientY - canvasBounds.top) / canvasBounds.height) * 2 + 1;
-  raycaster.setFromCamera(mouse, camera);
-  const intersects = raycaster.intersectObjects([...hexObjects, ...drawers], true);
-  if (intersects.length > 0) {
-    let object = intersects[0].object;
-    while (object.parent && !hexObjects.includes(object) && !drawers.includes(object)) object = object.parent;
-    // Camera animation for classic hexagons
-    if (object.userData.q !== undefined && object.userData.r !== undefined) {
-      currentActiveHexType = object.userData.type; // Update active type on 3D click
-      updateHexInfo(currentActiveHexType); // Update hex info display
-      // Stop any ongoing orbital movement
-      isOrbiting = false;
-      document.body.style.cursor = 'default';
-      // Reset virtual modal state when navigating to different areas
-      virtualModalClosed = false;
-      virtualModalOpened = false;
-      steeringWheelClicked = false;
-      // Reset trash modal state when navigating to different areas
-      trashModalClosed = false;
-      trashModalOpened = false;
-      trashTruckClicked = false;
-      // Reset convoyeur modal state when navigating to different areas
-      convoyeurModalClosed = false;
-      convoyeurModalOpened = false;
-      convoyeurClicked = false;
-      // Reset sensorSensei modal state when navigating to different areas
-      sensorSenseiModalClosed = false;
-      sensorSenseiModalOpened = false;
-      // Reset medical modal state when navigating to different areas
-      medicalModalClosed = false;
-      medicalModalOpened = false;
-      // Reset forviaCAR modal state when navigating to different areas
-      forviaCarModalClosed = false;
-      forviaCarModalOpened = false;
-      // Reset desck modal state when navigating to different areas
-      desckModalClosed = false;
-        desckModalOpened = false;
-      const hexPosition = object.position;
-      const hexData = hexMap.find(hex => hex.q === object.userData.q && hex.r === object.userData.r);
-      const cameraPos = hexData?.cameraPos || { x: 0, y: 5, z: 10 };
-      // Store current camera position to ensure smooth transition
-      const currentPos = {
-        x: camera.position.x,
-        y: camera.position.y,
-        z: camera.position.z
-      };
-      gsap.to(camera.position, {
-        x: cameraPos.x,
-        y: cameraPos.y,
-        z: cameraPos.z,
-        duration: CONFIG.ANIMATION.CAMERA_DURATION,
-        ease: CONFIG.ANIMATION.EASE,
-      });
-      gsap.to(lookAtTarget, {
-        x: hexPosition.x,
-        y: hexPosition.y,
-        z: hexPosition.z,
-        duration: CONFIG.ANIMATION.CAMERA_DURATION,
-        ease: CONFIG.ANIMATION.EASE,
-        onUpdate: () => {
-          camera.lookAt(lookAtTarget.x, lookAtTarget.y, lookAtTarget.z);
-        },
+  // Hash routes: #/ (overview), #/zone/<hexType> and #/object/<objectId>
+  class HashRouter {
+    constructor() {
+      this.applying = false; // Set while replaying a route, so it isn't pushed again
+      window.addEventListener('popstate', () => {
+        // restore() picks the route up once the entrance ends
+        if (appState.is('loading', 'cinematic', 'editor')) return;
+        this.apply(this.parse(location.hash));
       });
-      // Update active nav item when clicking on 3D objects
-      updateNavActiveState(object.userData.type);
-    }
-    // Animation caméra pour objets spéciaux (ex: pc)
-    else if (object.userData.type && clickAnimatedDrawers.includes(object.userData.type)) {
-      // Check if this drawer is clickable at the current location/theme
-      if (!isDrawerClickableAtCurrentLocation(object.userData.type)) {
-        console.log(`Drawer ${object.userData.type} not clickable at current location/theme`);
-        return; // Don't allow interaction if not at correct theme
-      }
-      // Mark drawer as read when clicked (except forge)
-      if (unreadDrawers.has(object.userData.type) && object.userData.type !== 'forge') {
-        unreadDrawers.delete(object.userData.type);
-        updateThemeUnreadBadges();
-      }
-      // Handle objects that don't need camera movement (trashTruck, convoyeur, sensorSensei, medical, forviaCAR)
-      if (object.userData.type === 'trashTruck' || object.userData.type === 'convoyeur' || object.userData.type === 'sensorSensei' || object.userData.type === 'medical' || object.userData.type === 'forviaCAR' || object.userData.type === 'pc') {
-        if (object.userData.type === 'trashTruck' && !trashModalClosed) {
-          showTrashModal();
+      modalManager.onClose(objectId => this.handleModalClosed(objectId));
+    }
+    parse(hash) {
+      const [, kind, rawId] = hash.match(/^#\/(zone|object)\/([^/]+)$/) || [];
+      const id = rawId && decodeURIComponent(rawId);
+      if (kind === 'zone' && hexMap.some(hex => hex.type === id)) return { kind, id };
+      if (kind === 'object' && objectRegistry.has(id)) return { kind, id };
+      return { kind: 'overview' };
+    }
+    format(route) {
+      return route.kind === 'overview' ? '#/' : `#/${route.kind}/${encodeURIComponent(route.id)}`;
+    }
+    push(route) {
+      if (this.applying) return;
+      const hash = this.format(route);
+      if (this.format(this.parse(location.hash)) === hash) return;
+      history.pushState({ portfolioRoute: true }, '', hash);
+    }
+    // Navigate from code (e.g. the accessible mirror) as if the visitor had clicked
+    go(route) {
+      if (appState.is('loading', 'cinematic', 'editor')) return;
+      this.push(route);
+      this.apply(route);
+    }
+    // Called once the cinematic entrance hands control to the visitor
+    restore() {
+      // Marks the landing entry so closing a deep-linked modal never leaves the site
+      history.replaceState({ portfolioRoute: true, entry: true }, '');
+      const route = this.parse(location.hash);
+      if (route.kind !== 'overview') this.apply(route);
+    }
+    apply(route) {
+      this.applying = true;
+      try {
+        if (route.kind === 'object') {
+          if (modalManager.isOpen(route.id)) return;
+          modalManager.closeAll();
+          // A link is an explicit request, even for a modal dismissed earlier
+          modalManager.resetVisit();
+          const entry = objectRegistry.get(route.id);
+          if (currentActiveHexType === entry.hex) {
+            activateObject(route.id);
+          } else {
+            navigateToZone(entry.hex, () => activateObject(route.id));
+          }
+          return;
         }
-        if (object.userData.type === 'convoyeur' && !convoyeurModalClosed) {
-          showConvoyeurModal();
+        modalManager.closeAll();
+        if (route.kind === 'zone' && currentActiveHexType !== route.id) {
+          navigateToZone(route.id);
+        } else if (route.kind === 'overview' && currentActiveHexType !== null) {
+          returnToOverview();
         }
-        if (object.userData.type === 'sensorSensei' && !sensorSenseiModalClosed) {
-          showSensorSenseiModal();
+      } finally {
+        this.applying = false;
+      }
+    }
+    handleModalClosed(objectId) {
+      if (this.applying) return;
+      const route = this.parse(location.hash);
+      if (route.kind !== 'object' || route.id !== objectId) return;
+      // Closing a modal we pushed is the same as pressing Back
+      if (history.state?.portfolioRoute && !history.state.entry) {
+        history.back();
+      } else {
+        const zoneRoute = currentActiveHexType ? { kind: 'zone', id: currentActiveHexType } : { kind: 'overview' };
+        history.replaceState({ portfolioRoute: true, entry: true }, '', this.format(zoneRoute));
+      }
+    }
+  }
+  const hashRouter = new HashRouter();
+  // Offscreen, ARIA-structured copy of the island for assistive technology: one landmark
+  // per zone, one button per object, built from the same tables as getObjectsForHex
+  class AccessibleMirror {
+    constructor() {
+      this.objectButtons = new Map();
+      this.injectStyles();
+      this.root = this.build();
+      this.liveRegion = this.createLiveRegion();
+      document.body.appendChild(this.root);
+      document.body.appendChild(this.liveRegion);
+      appState.on('change', (change) => this.announceChange(change));
+    }
+    injectStyles() {
+      if (document.getElementById('a11y-mirror-styles')) return;
+      const style = document.createElement('style');
+      style.id = 'a11y-mirror-styles';
+      // Hidden offscreen, but shown as a panel while a keyboard user tabs through it
+      style.textContent = `
+        .a11y-hidden, .a11y-mirror:not(:focus-within) {
+          position: absolute; width: 1px; height: 1px; margin: -1px; padding: 0;
+          overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap; border: 0;
         }
-        if (object.userData.type === 'medical' && !medicalModalClosed) {
-          showMedicalModal();
+        .a11y-mirror:focus-within {
+          position: fixed; top: 16px; left: 16px; z-index: 10001; max-height: 80vh; overflow: auto;
+          background: rgba(20, 20, 20, 0.95); color: #fff; padding: 12px 16px; border-radius: 8px;
+          font-family: 'Segoe UI', sans-serif; font-size: 14px;
         }
-        if (object.userData.type === 'forviaCAR' && !forviaCarModalClosed) {
-          showForviaCarModal();
+        .a11y-mirror button { display: block; margin: 4px 0; background: none; color: inherit; border: 1px solid #555; border-radius: 4px; padding: 4px 8px; cursor: pointer; }
+        .a11y-mirror button:focus { outline: 2px solid #ffc107; }
+      `;
+      document.head.appendChild(style);
+    }
+    build() {
+      const root = document.createElement('div');
+      root.id = 'a11y-world';
+      root.className = 'a11y-mirror';
+      const heading = document.createElement('h2');
+      heading.textContent = t('a11y.heading');
+      root.appendChild(heading);
+      // One landmark per zone type on the map, in map order
+      [...new Set(hexMap.map(hex => hex.type))].forEach(hexType => {
+        const section = document.createElement('section');
+        section.setAttribute('aria-label', getHexDisplayName(hexType));
+        const title = document.createElement('h3');
+        title.textContent = getHexDisplayName(hexType);
+        section.appendChild(title);
+        const zoneButton = document.createElement('button');
+        zoneButton.type = 'button';
+        zoneButton.textContent = t('a11y.goTo', { zone: getHexDisplayName(hexType) });
+        zoneButton.addEventListener('click', () => hashRouter.go({ kind: 'zone', id: hexType }));
+        section.appendChild(zoneButton);
+        const objectIds = getObjectsForHex(hexType);
+        if (objectIds.length) {
+          const list = document.createElement('ul');
+          objectIds.forEach(objectId => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.addEventListener('click', () => hashRouter.go({ kind: 'object', id: objectId }));
+            item.appendChild(button);
+            list.appendChild(item);
+            this.objectButtons.set(objectId, button);
+          });
+          section.appendChild(list);
         }
-        if (object.userData.type === 'pc' && !desckModalClosed) {
-          showDesckModal();
+        root.appendChild(section);
+      });
+      this.objectButtons.forEach((button, objectId) => this.renderObjectButton(objectId, button));
+      return root;
+    }
+    renderObjectButton(objectId, button) {
+      const entry = objectRegistry.get(objectId);
+      const unread = unreadDrawers.has(objectId);
+      button.textContent = t(unread ? 'a11y.objectUnread' : 'a11y.objectDiscovered', { label: entry.label });
+      button.dataset.state = unread ? 'unread' : 'discovered';
+    }
+    // Called with the unread badges so discovered state never drifts from the scene
+    updateStates() {
+      this.objectButtons.forEach((button, objectId) => this.renderObjectButton(objectId, button));
+    }
+    createLiveRegion() {
+      const region = document.createElement('div');
+      region.id = 'a11y-announcer';
+      region.className = 'a11y-hidden';
+      region.setAttribute('role', 'status');
+      region.setAttribute('aria-live', 'polite');
+      return region;
+    }
+    announce(message) {
+      this.liveRegion.textContent = message;
+    }
+    announceChange({ from, to, context }) {
+      if (to === 'orbit' && from !== 'orbit') {
+        this.announce(t('a11y.overview'));
+      } else if (to === 'zoneFocus' && from !== 'modalOpen') {
+        this.announce(t('a11y.zone', { zone: getHexDisplayName(context.hex) }));
+      } else if (to === 'objectFocus') {
+        this.announce(t('a11y.lookingAt', { label: objectRegistry.get(context.objectId)?.label }));
+      } else if (to === 'modalOpen') {
+        this.announce(t('a11y.dialogOpened', { label: objectRegistry.get(context.objectId)?.label }));
+      } else if (from === 'modalOpen') {
+        this.announce(t('a11y.dialogClosed'));
+      }
+    }
+  }
+  const accessibleMirror = new AccessibleMirror();
+  // Visited hexes are recorded however the camera got there (click, nav, keyboard, link)
+  appState.on('zoneFocus', ({ context }) => progressStore.markHexVisited(context.hex));
+  // Trophies declared in the world manifest, unlocked from discovery progress
+  class AchievementManager {
+    constructor(definitions) {
+      this.definitions = definitions;
+      this.injectStyles();
+      this.shelf = this.createShelf();
+      // Progress carried over from older versions may already complete some, unlock those quietly
+      this.evaluate({ silent: true });
+      progressStore.subscribe(({ type }) => {
+        if (type === 'object') this.evaluate();
+        if (type === 'reset') this.renderShelf();
+      });
+    }
+    injectStyles() {
+      if (document.getElementById('achievement-animations')) return;
+      const style = document.createElement('style');
+      style.id = 'achievement-animations';
+      style.textContent = `
+        @keyframes achievementToastIn {
+          from { transform: translateY(-20px); opacity: 0; }
+          to { transform: translateY(0); opacity: 1; }
         }
-        return; // Don't animate camera for these objects
+      `;
+      document.head.appendChild(style);
+    }
+    isComplete(rule) {
+      if (rule.all) return portfolioExperiences.every(id => progressStore.isDiscovered(id));
+      const objectIds = rule.hex ? getObjectsForHex(rule.hex) : rule.objects;
+      return objectIds.length > 0 && objectIds.every(id => progressStore.isDiscovered(id));
+    }
+    evaluate({ silent = false } = {}) {
+      const unlocked = this.definitions.filter(achievement => !progressStore.hasAchievement(achievement.id) && this.isComplete(achievement.rule));
+      unlocked.forEach(achievement => progressStore.unlockAchievement(achievement.id));
+      // The shelf is rebuilt first so the celebration animates the trophies that stay on screen
+      this.renderShelf();
+      if (!silent) unlocked.forEach(achievement => this.celebrate(achievement));
+    }
+    celebrate(achievement) {
+      this.showToast(achievement);
+      accessibleMirror.announce(t('achievements.unlockedAnnounce', { title: achievement.title, description: achievement.description }));
+      // Let the trophy pop out of the #hexInfo display before it lands on the shelf
+      const trophy = this.shelf.querySelector(`[data-achievement="${achievement.id}"]`);
+      if (trophy) {
+        gsap.fromTo(trophy, { scale: 0, rotation: -30 }, { scale: 1, rotation: 0, duration: 0.8, ease: 'back.out(3)' });
+      }
+      if (achievement.rule.all) {
+        // Give the toast a moment before the summary covers the island
+        setTimeout(() => this.showSummary(), 1500);
       }
-      const camTarget = drawerCameraTargets[object.userData.type];
-      if (camTarget) {
-        // Set flag only if user clicked on steering wheel
-        if (object.userData.type === 'steering') {
-          steeringWheelClicked = true;
+    }
+    showToast(achievement) {
+      const toast = document.createElement('div');
+      toast.setAttribute('role', 'status');
+      toast.innerHTML = `
+        <div style="display: flex; align-items: center; gap: 12px;">
+          <span style="font-size: 1.8rem;">${achievement.icon}</span>
+          <div>
+            <div style="font-size: 0.75rem; text-transform: uppercase; letter-spacing: 1px; opacity: 0.8;">${t('achievements.unlocked')}</div>
+            <div style="font-weight: bold;">${achievement.title}</div>
+            <div style="font-size: 0.85rem;">${achievement.description}</div>
+          </div>
+        </div>
+      `;
+      toast.style.cssText = `
+        position: fixed; top: 130px; left: 50%; transform: translateX(-50%); z-index: 10000;
+        background: linear-gradient(135deg, #f7b733 0%, #fc4a1a 100%); color: white;
+        padding: 14px 20px; border-radius: 12px; font-family: 'Segoe UI', sans-serif;
+        box-shadow: 0 8px 24px rgba(0,0,0,0.35); animation: achievementToastIn 0.4s ease-out;
+      `;
+      document.body.appendChild(toast);
+      setTimeout(() => {
+        toast.style.transition = 'opacity 0.4s';
+        toast.style.opacity = '0';
+        setTimeout(() => toast.remove(), 400);
+      }, 4000);
+    }
+    createShelf() {
+      const shelf = document.createElement('div');
+      shelf.id = 'trophyShelf';
+      shelf.setAttribute('aria-label', t('achievements.shelf'));
+      shelf.style.cssText = 'display: flex; justify-content: center; gap: 6px; margin-top: 6px; font-size: 1.1rem; min-height: 1.2rem;';
+      document.getElementById('hexInfo')?.appendChild(shelf);
+      return shelf;
+    }
+    renderShelf() {
+      this.shelf.innerHTML = '';
+      this.definitions.forEach(achievement => {
+        const unlocked = progressStore.hasAchievement(achievement.id);
+        const trophy = document.createElement('span');
+        trophy.dataset.achievement = achievement.id;
+        trophy.textContent = achievement.icon;
+        trophy.title = unlocked ? `${achievement.title} – ${achievement.description}` : t('achievements.locked', { description: achievement.description });
+        trophy.style.cssText = `display: inline-block; filter: ${unlocked ? 'none' : 'grayscale(1)'}; opacity: ${unlocked ? 1 : 0.35};`;
+        if (achievement.rule.all && unlocked) {
+          // The island trophy reopens the summary
+          trophy.style.cursor = 'pointer';
+          trophy.addEventListener('click', () => this.showSummary());
+        }
+        this.shelf.appendChild(trophy);
+      });
+    }
+    showSummary() {
+      if (document.getElementById('summaryModal')) return;
+      const { modal, content } = createModalBase('summaryModal');
+      content.style.width = 'min(92vw, 520px)';
+      content.style.height = 'auto';
+      const unlocked = this.definitions.filter(achievement => progressStore.hasAchievement(achievement.id));
+      const body = document.createElement('div');
+      body.style.cssText = 'padding: 36px 32px 28px; color: #fff; font-family: \'Segoe UI\', sans-serif; text-align: center;';
+      body.innerHTML = `
+        <div style="font-size: 3rem;">🏝️</div>
+        <h2 style="margin: 8px 0; color: #ffd4a3;">${t('summary.title')}</h2>
+        <p style="opacity: 0.85;">${t('summary.text', { count: portfolioExperiences.length })}</p>
+        <ul style="list-style: none; padding: 0; margin: 16px 0; text-align: left;">
+          ${unlocked.map(achievement => `<li style="margin: 6px 0;">${achievement.icon} <strong>${achievement.title}</strong> – ${achievement.description}</li>`).join('')}
+        </ul>
+        <div style="display: flex; gap: 12px; justify-content: center; flex-wrap: wrap; margin-top: 20px;">
+          <a href="./public/Thomas_Menu_CV_2025.pdf" download style="background: #4a9eff; color: #fff; padding: 10px 20px; border-radius: 50px; text-decoration: none;">📄 ${t('summary.cv')}</a>
+          <button type="button" id="summaryContactButton" style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: #fff; border: none; padding: 10px 20px; border-radius: 50px; cursor: pointer; font-size: 1rem;">📧 ${t('summary.contact')}</button>
+        </div>
+      `;
+      content.appendChild(body);
+      document.body.appendChild(modal);
+      // createModalBase swallows clicks inside the content, so wire the actions directly
+      body.querySelector('a').addEventListener('click', (event) => {
+        const link = document.createElement('a');
+        link.href = event.currentTarget.href;
+        link.download = '';
+        link.click();
+      });
+      body.querySelector('#summaryContactButton').addEventListener('click', (event) => {
+        event.stopPropagation();
+        modal.remove();
+        modalManager.open('mail-box');
+      });
+    }
+  }
+  const achievementManager = new AchievementManager(world.achievements || []);
+  window.showPortfolioSummary = () => achievementManager.showSummary();
+  // Tints every emissive material under root; pass null to restore the original glow
+  function setEmissiveHighlight(root, color, intensity = 0.7) {
+    // Instanced tiles share their materials with every placement, so only this tile's instances are tinted
+    if (root.userData.instances) {
+      const tint = color === null ? HEX_INSTANCE_BASE_COLOR : new THREE.Color(color).lerp(HEX_INSTANCE_BASE_COLOR, 1 - intensity);
+      root.userData.instances.forEach(({ mesh, index }) => {
+        mesh.setColorAt(index, tint);
+        mesh.instanceColor.needsUpdate = true;
+      });
+    }
+    root.traverse(child => {
+      if (!child.isMesh || !child.material) return;
+      const materials = Array.isArray(child.material) ? child.material : [child.material];
+      materials.forEach(material => {
+        if (!material || !(material.emissive instanceof THREE.Color)) return;
+        if (!material.userData.baseEmissive) {
+          material.userData.baseEmissive = { color: material.emissive.clone(), intensity: material.emissiveIntensity };
         }
-        if (object.userData.type === 'desck') {
-          desckClicked = true;
+        if (color === null) {
+          material.emissive.copy(material.userData.baseEmissive.color);
+          material.emissiveIntensity = material.userData.baseEmissive.intensity;
+        } else {
+          material.emissive.setHex(color);
+          material.emissiveIntensity = intensity;
         }
-        gsap.to(camera.position, {
-          x: camTarget.x,
-          y: camTarget.y,
-          z: camTarget.z,
-          duration: CONFIG.ANIMATION.CAMERA_DURATION,
-          ease: CONFIG.ANIMATION.EASE,
-          onComplete: () => {
-            if (object.userData.type === 'steering' && steeringWheelClicked && !virtualModalClosed) {
-              showVirtualModal();
-              steeringWheelClicked = false; // Reset flag without showing modal
-            }
-            // desck animates camera but shows no modal - just reset the flag
-            if (object.userData.type === 'desck' && desckClicked) {
-              desckClicked = false; // Reset flag without showing modal
-            }
-          }
-        });
-        // Utilise camTarget.lookAt si défini, sinon fallback sur l'objet
-        const lookAt = camTarget.lookAt || object.position;
-        gsap.to(lookAtTarget, {
-          x: lookAt.x,
-          y: lookAt.y,
-          z: lookAt.z,
-          duration: CONFIG.ANIMATION.CAMERA_DURATION,
-          ease: CONFIG.ANIMATION.EASE,
-          onUpdate: () => {
-            camera.lookAt(lookAtTarget.x, lookAtTarget.y, lookAtTarget.z);
-          },
-        });
-      }
+      });
+    });
+  }
+  // Keyboard access to the island: arrows walk between neighbouring hexes, Tab cycles
+  // through the objects of the active zone, Enter clicks and Escape backs out
+  class KeyboardNavigator {
+    // Axial steps; up/down try both neighbours on that side of the row
+    static DIRECTIONS = {
+      ArrowRight: [[1, 0]],
+      ArrowLeft: [[-1, 0]],
+      ArrowUp: [[0, -1], [1, -1]],
+      ArrowDown: [[0, 1], [-1, 1]]
+    };
+    static FOCUS_COLOR = 0xffc107;
+    constructor() {
+      this.focusedHex = null; // { q, r } the arrows move from, several hexes share a type
+      this.focusedObjectId = null;
+      // Focusable so Tab can enter the scene; Tab only cycles objects while the canvas has focus
+      renderer.domElement.tabIndex = 0;
+      renderer.domElement.setAttribute('aria-label', t('keyboard.canvas'));
+      document.addEventListener('keydown', (event) => this.handleKeydown(event));
+      // Object focus belongs to a zone, drop it when the camera leaves (not when a modal closes)
+      const clearFocus = ({ from }) => {
+        if (from !== 'modalOpen') this.setFocusedObject(null);
+      };
+      appState.on('orbit', clearFocus);
+      appState.on('zoneFocus', clearFocus);
     }
-    // Affiche forge.html si on clique sur l'objet forge
-    else if (object.userData.type === 'forge') {
-      // Check if forge is clickable at the current location/theme
-      if (!isDrawerClickableAtCurrentLocation('forge')) {
-        if (!isProduction) console.log('Forge not clickable at current location/theme');
-        return; // Don't allow interaction if not at correct theme
+    announce(message) {
+      accessibleMirror.announce(message);
+    }
+    handleKeydown(event) {
+      if (event.ctrlKey || event.metaKey || event.altKey) return;
+      if (event.key === 'Escape' && appState.is('modalOpen')) {
+        modalManager.closeAll();
+        return;
       }
-      if (unreadDrawers.has('forge')) {
-        markObjectAsDiscovered('forge');
+      // Leave keys to page controls (nav, buttons, forms) that have focus
+      const active = document.activeElement;
+      if (active && active !== document.body && active !== renderer.domElement) return;
+      if (!appState.allowsPointer()) return;
+      if (KeyboardNavigator.DIRECTIONS[event.key]) {
+        event.preventDefault();
+        this.moveHex(event.key);
+      } else if (event.key === 'Tab' && currentActiveHexType && active === renderer.domElement) {
+        // Past the last (or before the first) object, Tab moves on to the page controls
+        if (this.cycleObject(event.shiftKey ? -1 : 1)) event.preventDefault();
+      } else if (event.key === 'Enter' && this.focusedObjectId) {
+        event.preventDefault();
+        activateObject(this.focusedObjectId, this.findObject(this.focusedObjectId));
+      } else if (event.key === 'Escape' && appState.is('zoneFocus', 'objectFocus')) {
+        event.preventDefault();
+        returnToOverview();
+        this.announce(t('keyboard.backToOverview'));
       }
-      showForgeModal();
     }
-    // Handle mail-box click for contact theme
-    else if (object.userData.type === 'mail-box') {
-      // Check if mail-box is clickable at the current location/theme
-      if (!isDrawerClickableAtCurrentLocation('mail-box')) {
-        if (!isProduction) console.log('Mail-box not clickable at current location/theme');
-        return; // Don't allow interaction if not at correct theme
-      }
-      if (unreadDrawers.has('mail-box')) {
-        unreadDrawers.delete('mail-box');
-        updateThemeUnreadBadges();
+    getOriginHex() {
+      if (!currentActiveHexType) return null;
+      const focusedData = this.focusedHex && hexMap.find(hex => hex.q === this.focusedHex.q && hex.r === this.focusedHex.r);
+      if (focusedData?.type === currentActiveHexType) return focusedData;
+      return hexMap.find(hex => hex.type === currentActiveHexType) || null;
+    }
+    moveHex(key) {
+      const origin = this.getOriginHex();
+      const findHex = (q, r) => hexObjects.find(hex => hex.userData.q === q && hex.userData.r === r);
+      // From the overview the first arrow press lands on the central hex
+      const target = origin
+        ? KeyboardNavigator.DIRECTIONS[key].map(([dq, dr]) => findHex(origin.q + dq, origin.r + dr)).find(Boolean)
+        : findHex(0, 0);
+      if (!target) {
+        this.announce(t('keyboard.noZone', { zone: getHexDisplayName(currentActiveHexType) }));
+        return;
       }
-      // Show contact modal instead of navigating to a new page
-      showContactModal();
+      this.focusedHex = { q: target.userData.q, r: target.userData.r };
+      focusHex(target);
+      const objects = getObjectsForHex(target.userData.type);
+      const remaining = objects.filter(id => unreadDrawers.has(id)).length;
+      this.announce(objects.length
+        ? t('keyboard.zoneObjects', { zone: getHexDisplayName(target.userData.type), count: objects.length, remaining })
+        : getHexDisplayName(target.userData.type));
+    }
+    findObject(objectId) {
+      // Skill flowers also register an invisible collision box under the same type
+      return drawers.find(drawer => drawer.userData.type === objectId && !drawer.userData.targetDrawer) || null;
     }
-    // Handle skillFlower clicks
-    else if (object.userData.type && object.userData.type.startsWith('skillFlower')) {
-      // Check if skillFlower is clickable at the current location/theme
-      if (!isDrawerClickableAtCurrentLocation(object.userData.type)) {
-        console.log(`SkillFlower ${object.userData.type} not clickable at current location/theme`);
-        return; // Don't allow interaction if not at correct theme
+    // Returns whether an object took the focus, false once Tab runs off either end of the zone
+    cycleObject(step) {
+      const ids = getObjectsForHex(currentActiveHexType).filter(id => this.findObject(id));
+      if (!ids.length) {
+        this.announce(t('keyboard.noObjects', { zone: getHexDisplayName(currentActiveHexType) }));
+        return false;
       }
-      // Mark skillFlower as discovered when clicked
-      if (unreadDrawers.has(object.userData.type)) {
-        markObjectAsDiscovered(object.userData.type);
+      const index = ids.indexOf(this.focusedObjectId);
+      const nextIndex = index === -1 ? (step > 0 ? 0 : ids.length - 1) : index + step;
+      if (nextIndex < 0 || nextIndex >= ids.length) {
+        this.setFocusedObject(null);
+        return false;
       }
+      this.setFocusedObject(ids[nextIndex]);
+      const entry = objectRegistry.get(this.focusedObjectId);
+      const status = t(unreadDrawers.has(entry.id) ? 'keyboard.unread' : 'keyboard.discovered');
+      const position = t('keyboard.objectPosition', { label: entry.label, status, index: nextIndex + 1, total: ids.length });
+      this.announce(entry.click ? `${position}. ${t('keyboard.pressEnter')}` : position);
+      return true;
+    }
+    setFocusedObject(objectId) {
+      const previous = this.focusedObjectId && this.findObject(this.focusedObjectId);
+      if (previous) setEmissiveHighlight(previous, null);
+      this.focusedObjectId = objectId;
+      const next = objectId && this.findObject(objectId);
+      if (next) setEmissiveHighlight(next, KeyboardNavigator.FOCUS_COLOR);
     }
   }
-});
-if (isTouchDevice) {
-  // Touch start
-  window.addEventListener('touchstart', (event) => {
-    if (cinematicMode || isOrbiting) return;
-    // Check if touch is on UI elements - don't interfere
-    const loadingOverlay = document.getElementById('loadingOverlay');
-    const navSidebar = document.getElementById('zoneNavSidebar');
-    const toggleButton = document.getElementById('mobile-nav-toggle');
-    const mobileNavOverlay = document.getElementById('mobile-nav-overlay');
-    // Allow loading overlay interactions
-    if (loadingOverlay && !loadingOverlay.classList.contains('hidden')) {
-      if (loadingOverlay.contains(event.target)) {
-        return; // Let loading overlay handle its own touch events
-      }
-    }
-    // Allow navigation interactions
-    if ((navSidebar && navSidebar.contains(event.target)) ||
-        (toggleButton && toggleButton.contains(event.target)) ||
-        (mobileNavOverlay && mobileNavOverlay.contains(event.target))) {
-      return; // Let navigation handle its own touch events
-    }
-    const touch = event.touches[0];
-    touchStart.x = touch.clientX;
-    touchStart.y = touch.clientY;
-    touchMoved = false;
-    // Only prevent default for 3D canvas interactions
-    const canvasBounds = renderer.domElement.getBoundingClientRect();
-    const isOnCanvas = touch.clientX >= canvasBounds.left &&
-                      touch.clientX <= canvasBounds.right &&
-                      touch.clientY >= canvasBounds.top &&
-                      touch.clientY <= canvasBounds.bottom;
-    if (isOnCanvas) {
-      event.preventDefault();
+  const keyboardNavigator = new KeyboardNavigator();
+  // "Take the tour": plays the stops declared in world.json (tour.stops) as a captioned sequence.
+  // Each stop flies the camera, may preview or open its object's modal, then waits its dwell time
+  // before moving on. Scene input stays locked while it plays; the tour bar drives it instead
+  class TourPlayer {
+    static DEFAULT_DWELL = 6; // Seconds
+    constructor(stops) {
+      this.defaultStops = stops; // world.json's tour, other features pass their own stops to start()
+      this.stops = stops;
+      this.onEnd = null;
+      this.active = false;
+      this.paused = false;
+      this.index = -1;
+      this.remaining = 0; // Dwell seconds left at the current stop
+      this.waiting = false; // Set while the camera flies or an opened modal waits for the visitor
+      this.openedModal = null; // Object whose modal the current stop opened
+      this.token = 0; // Bumped on every stop change so late arrivals from a skipped stop are ignored
+      this.lastFrame = 0;
+      this.bar = this.createBar();
+      if (stops.length) this.createStartButton();
+      modalManager.onClose(objectId => this.handleModalClosed(objectId));
+      // Capture phase: Escape must be seen before the keyboard navigator closes a modal with it
+      document.addEventListener('keydown', (event) => this.handleKeydown(event), true);
+      appState.on('editor', () => this.stop());
     }
-  }, { passive: false });
-  // Touch move for orbital camera controls
-  window.addEventListener('touchmove', (event) => {
-    if (cinematicMode || event.touches.length !== 1) return;
-    // Check if touch is on UI elements - don't interfere
-    const loadingOverlay = document.getElementById('loadingOverlay');
-    const navSidebar = document.getElementById('zoneNavSidebar');
-    const toggleButton = document.getElementById('mobile-nav-toggle');
-    const mobileNavOverlay = document.getElementById('mobile-nav-overlay');
-    // Allow loading overlay interactions
-    if (loadingOverlay && !loadingOverlay.classList.contains('hidden')) {
-      if (loadingOverlay.contains(event.target)) {
-        return; // Let loading overlay handle its own touch events
-      }
-    }
-    // Allow navigation interactions
-    if ((navSidebar && navSidebar.contains(event.target)) ||
-        (toggleButton && toggleButton.contains(event.target)) ||
-        (mobileNavOverlay && mobileNavOverlay.contains(event.target))) {
-      return; // Let navigation handle its own touch events
-    }
-    const touch = event.touches[0];
-    const deltaX = touch.clientX - touchStart.x;
-    const deltaY = touch.clientY - touchStart.y;
-    // Check if movement is significant enough to be considered a drag
-    if (Math.abs(deltaX) > TAP_THRESHOLD || Math.abs(deltaY) > TAP_THRESHOLD) {
-      touchMoved = true;
-      // Orbital camera rotation (only horizontal for simplicity on mobile)
-      if (currentActiveHexType === null) { // Only in orbital mode
-        currentCameraAngle += deltaX * TOUCH_SENSITIVITY;
-        const newCameraPos = {
-          x: orbitCenter.x + orbitRadius * Math.cos(currentCameraAngle),
-          y: orbitHeight,
-          z: orbitCenter.z + orbitRadius * Math.sin(currentCameraAngle)
-        };
-        camera.position.set(newCameraPos.x, newCameraPos.y, newCameraPos.z);
-        camera.lookAt(orbitCenter.x, orbitCenter.y, orbitCenter.z);
-        touchStart.x = touch.clientX;
-        touchStart.y = touch.clientY;
-      }
+    createStartButton() {
+      const button = document.createElement('button');
+      button.id = 'tourStartButton';
+      button.textContent = `▶ ${t('tour.start')}`;
+      button.style.cssText = `
+        margin-top: 18px; padding: 10px 18px; border: 1px solid rgba(255,255,255,0.25); border-radius: 50px;
+        background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white;
+        font: inherit; font-size: 0.95rem; cursor: pointer;
+      `;
+      button.addEventListener('click', () => this.start());
+      navSidebar.appendChild(button);
     }
-    // Only prevent default for 3D canvas interactions
-    const canvasBounds = renderer.domElement.getBoundingClientRect();
-    const isOnCanvas = touch.clientX >= canvasBounds.left &&
-                      touch.clientX <= canvasBounds.right &&
-                      touch.clientY >= canvasBounds.top &&
-                      touch.clientY <= canvasBounds.bottom;
-    if (isOnCanvas) {
-      event.preventDefault();
+    createBar() {
+      const bar = document.createElement('div');
+      bar.id = 'tourBar';
+      bar.setAttribute('role', 'region');
+      bar.setAttribute('aria-label', t('tour.label'));
+      bar.innerHTML = `
+        <div style="display: flex; justify-content: space-between; gap: 12px; font-size: 0.75rem; text-transform: uppercase; letter-spacing: 1px; opacity: 0.75;">
+          <span data-tour="title"></span><span data-tour="step"></span>
+        </div>
+        <div data-tour="caption" style="margin: 6px 0 10px; font-size: 1rem; line-height: 1.4;"></div>
+        <div style="height: 4px; background: rgba(255,255,255,0.15); border-radius: 2px; overflow: hidden;">
+          <div data-tour="progress" style="height: 100%; width: 0; background: #ffc107;"></div>
+        </div>
+        <div style="display: flex; justify-content: center; gap: 10px; margin-top: 10px;">
+          <button data-action="previous" aria-label="${t('tour.previous')}">⏮</button>
+          <button data-action="pause" aria-label="${t('tour.pause')}">⏸</button>
+          <button data-action="next" aria-label="${t('tour.next')}">⏭</button>
+          <button data-action="exit" aria-label="${t('tour.exit')}">✕</button>
+        </div>
+      `;
+      const left = isMobileDevice ? '50%' : `${CONFIG.NAVIGATION.SIDEBAR_WIDTH + (window.innerWidth - CONFIG.NAVIGATION.SIDEBAR_WIDTH) / 2}px`;
+      bar.style.cssText = `
+        position: fixed; left: ${left}; bottom: ${isMobileDevice ? 140 : 80}px; transform: translateX(-50%);
+        width: min(520px, 90vw); box-sizing: border-box; z-index: 1001; display: none;
+        background: rgba(20, 20, 30, 0.95); color: white; padding: 14px 18px; border-radius: 12px;
+        font-family: 'Segoe UI', sans-serif; box-shadow: 0 8px 24px rgba(0,0,0,0.35);
+      `;
+      bar.querySelectorAll('button').forEach(button => {
+        button.style.cssText = 'background: rgba(255,255,255,0.12); color: white; border: none; border-radius: 50%; width: 36px; height: 36px; cursor: pointer; font-size: 1rem;';
+      });
+      bar.addEventListener('click', (event) => {
+        event.stopPropagation(); // Keep the click away from the scene picker
+        const action = event.target.closest('[data-action]')?.dataset.action;
+        if (action === 'previous') this.goTo(Math.max(0, this.index - 1));
+        else if (action === 'next') this.goTo(this.index + 1);
+        else if (action === 'pause') this.togglePause();
+        else if (action === 'exit') this.stop();
+      });
+      bar.addEventListener('pointerdown', e => e.stopPropagation());
+      document.body.appendChild(bar);
+      return bar;
     }
-  }, { passive: false });
-  // Touch end - handle tap
-  window.addEventListener('touchend', (event) => {
-    if (!isProduction) {
-      console.log('Touch end event triggered');
-      console.log('cinematicMode:', cinematicMode);
-      console.log('touchMoved:', touchMoved);
-      console.log('event.target:', event.target);
-    }
-    if (cinematicMode) return;
-    // Check if touch is on UI elements - don't interfere
-    const loadingOverlay = document.getElementById('loadingOverlay');
-    const navSidebar = document.getElementById('zoneNavSidebar');
-    const toggleButton = document.getElementById('mobile-nav-toggle');
-    const mobileNavOverlay = document.getElementById('mobile-nav-overlay');
-    if (!isProduction) {
-      console.log('loadingOverlay exists:', !!loadingOverlay);
-      console.log('loadingOverlay hidden:', loadingOverlay ? loadingOverlay.classList.contains('hidden') : 'n/a');
+    start(stops = this.defaultStops, { onEnd = null } = {}) {
+      if (this.active || !stops.length) return false;
+      // Not over the entrance, an editor or a guide step that already holds the input
+      if (!appState.is('orbit', 'zoneFocus', 'objectFocus') || appState.isLocked()) return false;
+      // A fly-through of skill links keeps its arcs, any other tour starts from a clean island
+      if (stops === this.defaultStops) skillLinks.clear();
+      this.stops = stops;
+      this.onEnd = onEnd;
+      this.active = true;
+      this.paused = false;
+      appState.lock('tour');
+      this.bar.style.display = 'block';
+      this.lastFrame = performance.now();
+      requestAnimationFrame((now) => this.tick(now));
+      this.goTo(0);
+      return true;
     }
-    // Allow loading overlay interactions
-    if (loadingOverlay && !loadingOverlay.classList.contains('hidden')) {
-      if (loadingOverlay.contains(event.target)) {
-        if (!isProduction) console.log('Touch on loading overlay - letting it handle the event');
-        return; // Let loading overlay handle its own touch events
-      }
+    stop() {
+      if (!this.active) return;
+      this.active = false;
+      this.token++;
+      this.closeOpenedModal();
+      gsap.killTweensOf([camera.position, lookAtTarget]);
+      // Orbiting picks up from wherever the last stop left the camera
+      updateCameraAngleFromPosition();
+      appState.unlock('tour');
+      this.bar.style.display = 'none';
+      accessibleMirror.announce(t('tour.ended'));
+      const onEnd = this.onEnd;
+      this.onEnd = null;
+      if (onEnd) onEnd();
     }
-    // Allow navigation interactions
-    if ((navSidebar && navSidebar.contains(event.target)) ||
-        (toggleButton && toggleButton.contains(event.target)) ||
-        (mobileNavOverlay && mobileNavOverlay.contains(event.target))) {
-      if (!isProduction) console.log('Touch on navigation - letting it handle the event');
-      return; // Let navigation handle its own touch events
+    togglePause() {
+      this.paused = !this.paused;
+      const button = this.bar.querySelector('[data-action="pause"]');
+      button.textContent = this.paused ? '▶' : '⏸';
+      button.setAttribute('aria-label', t(this.paused ? 'tour.resume' : 'tour.pause'));
+      accessibleMirror.announce(t(this.paused ? 'tour.paused' : 'tour.resumed'));
     }
-    // If no significant movement, treat as tap
-    if (!touchMoved) {
-      const touch = event.changedTouches[0];
-      const currentTime = Date.now();
-      if (!isProduction) {
-        console.log('Processing tap - no movement detected');
-        console.log('Touch coordinates:', touch.clientX, touch.clientY);
-      }
-      // Only handle taps on the 3D canvas
-      const canvasBounds = renderer.domElement.getBoundingClientRect();
-      const isOnCanvas = touch.clientX >= canvasBounds.left &&
-                        touch.clientX <= canvasBounds.right &&
-                        touch.clientY >= canvasBounds.top &&
-                        touch.clientY <= canvasBounds.bottom;
-      if (!isProduction) {
-        console.log('Canvas bounds:', canvasBounds);
-        console.log('Is on canvas:', isOnCanvas);
+    goTo(index) {
+      if (!this.active) return;
+      if (index >= this.stops.length) {
+        this.stop();
+        return;
       }
-      if (isOnCanvas) {
-        if (!isProduction) console.log('Calling handleInteraction for touch tap');
-        // Add visual feedback for mobile touches
-        const touchIndicator = document.createElement('div');
-        touchIndicator.style.cssText = `
-          position: fixed; top: ${touch.clientY - 10}px; left: ${touch.clientX - 10}px;
-          width: 20px; height: 20px; border-radius: 50%;
-          background: rgba(255, 0, 0, 0.7); pointer-events: none;
-          z-index: 10000; animation: ping 0.5s ease-out forwards;
-        `;
-        document.body.appendChild(touchIndicator);
-        setTimeout(() => touchIndicator.remove(), 500);
-        // Call handleInteraction with separate coordinates
-        handleInteraction(touch.clientX, touch.clientY);
-        lastTouchTime = currentTime;
+      this.closeOpenedModal();
+      gsap.killTweensOf([camera.position, lookAtTarget]);
+      this.index = index;
+      const token = ++this.token;
+      const stop = this.stops[index];
+      this.remaining = stop.dwell ?? TourPlayer.DEFAULT_DWELL;
+      this.waiting = true;
+      const { title, caption } = this.describe(stop);
+      this.bar.querySelector('[data-tour="title"]').textContent = title;
+      this.bar.querySelector('[data-tour="step"]').textContent = `${index + 1} / ${this.stops.length}`;
+      this.bar.querySelector('[data-tour="caption"]').textContent = caption;
+      accessibleMirror.announce(t('tour.stop', { index: index + 1, total: this.stops.length, title, caption }));
+      const arrive = () => {
+        if (token === this.token) this.arrive(stop);
+      };
+      const pose = stop.pose ? cameraPresets.getPose(stop.pose) : null;
+      if (stop.pose && !pose) console.warn(`Tour stop ${index + 1} uses unknown camera preset "${stop.pose}"`);
+      if (stop.overview) {
+        returnToOverview();
+        gsap.delayedCall(CONFIG.ANIMATION.CAMERA_DURATION, arrive);
+      } else if (stop.zone) {
+        navigateToZone(stop.zone, arrive, pose);
+      } else {
+        this.showObject(stop.object, pose, arrive);
       }
     }
-    touchMoved = false;
-    // Only prevent default for 3D canvas interactions
-    const touch = event.changedTouches[0];
-    const canvasBounds = renderer.domElement.getBoundingClientRect();
-    const isOnCanvas = touch.clientX >= canvasBounds.left &&
-                      touch.clientX <= canvasBounds.right &&
-                      touch.clientY >= canvasBounds.top &&
-                      touch.clientY <= canvasBounds.bottom;
-    if (isOnCanvas) {
-      event.preventDefault();
+    describe(stop) {
+      if (stop.object) {
+        const { label } = objectRegistry.get(stop.object);
+        return { title: label, caption: stop.caption || label };
+      }
+      if (stop.zone) return { title: getHexDisplayName(stop.zone), caption: stop.caption };
+      return { title: t('tour.overview'), caption: stop.caption };
     }
-  }, { passive: false });
-}
-function handleInteraction(event) {
-  if (!isProduction) console.log('handleInteraction called with event:', event);
-  // FIRST: Check global interactions disabled flag
-  if (interactionsDisabled) {
-    if (!isProduction) console.log('Interactions disabled - stopping');
-    event.preventDefault();
-    event.stopImmediatePropagation();
-    return false;
-  }
-  // SECOND: Skip 3D interactions if loading overlay is visible
-  const loadingOverlay = document.getElementById('loadingOverlay');
-  if (loadingOverlay && !loadingOverlay.classList.contains('hidden')) {
-    if (!isProduction) console.log('Loading overlay is visible - stopping 3D interactions');
-    event.preventDefault();
-    event.stopImmediatePropagation();
-    return false;
-  }
-  // Skip interactions during cinematic mode or if currently orbiting
-  if (cinematicMode || isOrbiting) {
-    if (!isProduction) console.log('Cinematic mode or orbiting - stopping');
-    return;
-  }
-  // Check if click is on the navigation sidebar
-  const navSidebar = document.getElementById('zoneNavSidebar');
-  if (navSidebar && navSidebar.contains(event.target)) {
-    if (!isProduction) console.log('Event on navigation sidebar - stopping');
-    return; // Don't process 3D canvas clicks if clicking on nav
-  }
-  const canvasBounds = renderer.domElement.getBoundingClientRect();
-  mouse.x = ((event.clientX - canvasBounds.left) / canvasBounds.width) * 2 - 1;
-  mouse.y = -((event.clientY - canvasBounds.top) / canvasBounds.height) * 2 + 1;
-  if (!isProduction) console.log('Mouse coordinates calculated:', mouse.x, mouse.y);
-  raycaster.setFromCamera(mouse, camera);
-  const intersects = raycaster.intersectObjects([...hexObjects, ...drawers], true);
-  if (!isProduction) console.log('Raycaster intersects:', intersects.length);
-  if (intersects.length > 0) {
-    let object = intersects[0].object;
-    while (object.parent && !hexObjects.includes(object) && !drawers.includes(object)) object = object.parent;
-    if (!isProduction) console.log('Found object:', object.userData.type);
-    // Animation caméra pour hexagones classiques
-    if (object.userData.q !== undefined && object.userData.r !== undefined) {
-      if (!isProduction) console.log('Hex object clicked:', object.userData.type);
-      currentActiveHexType = object.userData.type; // Update active type on 3D click
-      updateHexInfo(currentActiveHexType); // Update hex info display
-      // Stop any ongoing orbital movement
-      isOrbiting = false;
-      document.body.style.cursor = 'default';
-      // Reset virtual modal state when navigating to different areas
-      virtualModalClosed = false;
-      virtualModalOpened = false;
-      steeringWheelClicked = false;
-      // Reset trash modal state when navigating to different areas
-      trashModalClosed = false;
-      trashModalOpened = false;
-      trashTruckClicked = false;
-      // Reset convoyeur modal state when navigating to different areas
-      convoyeurModalClosed = false;
-      convoyeurModalOpened = false;
-      convoyeurClicked = false;
-      // Reset sensorSensei modal state when navigating to different areas
-      sensorSenseiModalClosed = false;
-      sensorSenseiModalOpened = false;
-      // Reset medical modal state when navigating to different areas
-      medicalModalClosed = false;
-      medicalModalOpened = false;
-      // Reset forviaCAR modal state when navigating to different areas
-      forviaCarModalClosed = false;
-      forviaCarModalOpened = false;
-      // Reset desck modal state when navigating to different areas
-      desckModalClosed = false;
-        desckModalOpened = false;
-      const hexPosition = object.position;
-      const hexData = hexMap.find(hex => hex.q === object.userData.q && hex.r === object.userData.r);
-      const cameraPos = hexData?.cameraPos || { x: 0, y: 5, z: 10 };
-      // Store current camera position to ensure smooth transition
-      const currentPos = {
-        x: camera.position.x,
-        y: camera.position.y,
-        z: camera.position.z
-      };
+    showObject(objectId, pose, onArrive) {
+      const worldObject = worldObjects.get(objectId);
+      const objectPose = pose || cameraPresets.objectPose(objectId);
+      const camTarget = objectPose ? { ...objectPose.position, lookAt: objectPose.lookAt } : drawerCameraTargets[objectId];
+      if (!camTarget) {
+        // Nothing framed for this object, its zone's view will do
+        navigateToZone(worldObject.hex, onArrive);
+        return;
+      }
+      if (currentActiveHexType !== worldObject.hex) {
+        currentActiveHexType = worldObject.hex;
+        updateHexInfo(currentActiveHexType);
+        updateNavActiveState(currentActiveHexType);
+      }
+      appState.transition('objectFocus', { objectId });
+      hashRouter.push({ kind: 'object', id: objectId });
       gsap.to(camera.position, {
-        x: cameraPos.x,
-        y: cameraPos.y,
-        z: cameraPos.z,
+        x: camTarget.x,
+        y: camTarget.y,
+        z: camTarget.z,
         duration: CONFIG.ANIMATION.CAMERA_DURATION,
         ease: CONFIG.ANIMATION.EASE,
       });
       gsap.to(lookAtTarget, {
-        x: hexPosition.x,
-        y: hexPosition.y,
-        z: hexPosition.z,
+        x: camTarget.lookAt.x,
+        y: camTarget.lookAt.y,
+        z: camTarget.lookAt.z,
         duration: CONFIG.ANIMATION.CAMERA_DURATION,
         ease: CONFIG.ANIMATION.EASE,
         onUpdate: () => {
           camera.lookAt(lookAtTarget.x, lookAtTarget.y, lookAtTarget.z);
         },
+        onComplete: onArrive
       });
-      // Update active nav item when clicking on 3D objects
-      updateNavActiveState(object.userData.type);
-    }
-    // Animation caméra pour objets spéciaux (ex: pc)
-    else if (object.userData.type && clickAnimatedDrawers.includes(object.userData.type)) {
-      // Check if this drawer is clickable at the current location/theme
-      if (!isDrawerClickableAtCurrentLocation(object.userData.type)) {
-        console.log(`Drawer ${object.userData.type} not clickable at current location/theme`);
-        return; // Don't allow interaction if not at correct theme
-      }
-      // Mark drawer as read when clicked (except forge)
-      if (unreadDrawers.has(object.userData.type) && object.userData.type !== 'forge') {
-        unreadDrawers.delete(object.userData.type);
-        updateThemeUnreadBadges();
-      }
-      // Handle objects that don't need camera movement (trashTruck, convoyeur, sensorSensei, medical, forviaCAR)
-      if (object.userData.type === 'trashTruck' || object.userData.type === 'convoyeur' || object.userData.type === 'sensorSensei' || object.userData.type === 'medical' || object.userData.type === 'forviaCAR' || object.userData.type === 'pc') {
-        if (object.userData.type === 'trashTruck' && !trashModalClosed) {
-          showTrashModal();
-        }
-        if (object.userData.type === 'convoyeur' && !convoyeurModalClosed) {
-          showConvoyeurModal();
-        }
-        if (object.userData.type === 'sensorSensei' && !sensorSenseiModalClosed) {
-          showSensorSenseiModal();
-        }
-        if (object.userData.type === 'medical' && !medicalModalClosed) {
-          showMedicalModal();
-        }
-        if (object.userData.type === 'forviaCAR' && !forviaCarModalClosed) {
-          showForviaCarModal();
-        }
-        if (object.userData.type === 'pc' && !desckModalClosed) {
-          showDesckModal();
+    }
+    arrive(stop) {
+      this.waiting = false;
+      if (!stop.object) return;
+      markObjectAsDiscovered(stop.object);
+      const mode = stop.modal || 'none';
+      if (mode === 'none') return;
+      // The tour shows every modal, even the once-per-visit ones the visitor already closed
+      modalManager.resetVisit();
+      if (!modalManager.open(stop.object)) return;
+      this.openedModal = stop.object;
+      // 'open' hands over to the visitor, the dwell only starts once they close it
+      if (mode === 'open') this.waiting = true;
+    }
+    handleModalClosed(objectId) {
+      if (!this.active || objectId !== this.openedModal) return;
+      this.openedModal = null;
+      this.waiting = false;
+    }
+    closeOpenedModal() {
+      const objectId = this.openedModal;
+      this.openedModal = null;
+      if (objectId) modalManager.close(objectId);
+    }
+    tick(now) {
+      if (!this.active) return;
+      const delta = (now - this.lastFrame) / 1000;
+      this.lastFrame = now;
+      if (!this.paused && !this.waiting) {
+        this.remaining -= delta;
+        if (this.remaining <= 0) {
+          this.goTo(this.index + 1);
+          if (!this.active) return;
         }
-        return; // Don't animate camera for these objects
       }
-      const camTarget = drawerCameraTargets[object.userData.type];
-      if (camTarget) {
-        // Set flag only if user clicked on steering wheel
-        if (object.userData.type === 'steering') {
-          steeringWheelClicked = true;
-        }
-        if (object.userData.type === 'desck') {
-          desckClicked = true;
+      const dwell = this.stops[this.index].dwell ?? TourPlayer.DEFAULT_DWELL;
+      const progress = this.waiting ? 0 : 1 - Math.max(0, this.remaining) / dwell;
+      this.bar.querySelector('[data-tour="progress"]').style.width = `${progress * 100}%`;
+      requestAnimationFrame((time) => this.tick(time));
+    }
+    handleKeydown(event) {
+      if (!this.active || event.ctrlKey || event.metaKey || event.altKey) return;
+      if (event.target.closest?.('input, select, textarea')) return;
+      if (event.key === 'Escape') {
+        // A modal the visitor is reading closes first, the tour keeps going
+        if (appState.is('modalOpen')) return;
+        event.preventDefault();
+        this.stop();
+      } else if (event.key === ' ') {
+        event.preventDefault();
+        this.togglePause();
+      } else if (event.key === 'ArrowRight') {
+        event.preventDefault();
+        this.goTo(this.index + 1);
+      } else if (event.key === 'ArrowLeft') {
+        event.preventDefault();
+        this.goTo(Math.max(0, this.index - 1));
+      }
+    }
+  }
+  const tourPlayer = new TourPlayer(world.tour?.stops || []);
+  window.startPortfolioTour = () => tourPlayer.start();
+  // Ctrl+K (or "/") palette: fuzzy search over zone names, object labels, skills and the text of
+  // the pages objects open. Picking a result flies there and focuses or opens the item
+  class CommandPalette {
+    static MAX_RESULTS = 8;
+    constructor() {
+      this.items = this.buildItems();
+      this.results = [];
+      this.selected = 0;
+      this.pagesIndexed = null; // Promise of the one-off sidepage text fetch
+      this.root = this.createOverlay();
+      this.input = this.root.querySelector('input');
+      this.list = this.root.querySelector('ul');
+      document.addEventListener('keydown', (event) => this.handleShortcut(event));
+    }
+    buildItems() {
+      const zones = [...new Set(hexMap.map(hex => hex.type))].map(type => ({
+        kind: 'zone',
+        id: type,
+        title: getHexDisplayName(type),
+        subtitle: t('palette.zone'),
+        // Nav labels differ from zone names ("CV" for the Skills hex), let them match too
+        keywords: [type, ...world.themes.filter(theme => theme.nav?.hex === type).map(theme => theme.nav.label)]
+      }));
+      // The desk is scenery, it has no hover card either
+      const objects = objectRegistry.filter(entry => entry.id !== 'desck').map(entry => {
+        const skill = languageFlowerData[skillFlowerIds.indexOf(entry.id)];
+        return {
+          kind: 'object',
+          id: entry.id,
+          title: entry.label,
+          subtitle: skill ? t('palette.skill', { category: skill.category }) : getHexDisplayName(entry.hex),
+          keywords: [...(entry.tooltip?.tags || []), entry.tooltip?.text, skill?.name].filter(Boolean),
+          page: entry.modal ? entry.page : entry.info,
+          pageText: ''
+        };
+      });
+      return [...zones, ...objects];
+    }
+    // Sidepages are only fetched the first time the palette opens
+    indexPages() {
+      if (this.pagesIndexed) return this.pagesIndexed;
+      const parser = new DOMParser();
+      this.pagesIndexed = Promise.all(this.items.filter(item => item.page).map(item =>
+        fetch(item.page)
+          .then(res => (res.ok ? res.text() : ''))
+          .then(html => {
+            const page = parser.parseFromString(html, 'text/html');
+            page.querySelectorAll('script, style').forEach(node => node.remove());
+            item.pageText = (page.body?.textContent || '').replace(/\s+/g, ' ').trim();
+          })
+          .catch(error => ErrorHandler.logError(error, `Command palette - indexing ${item.page}`))
+      )).then(() => {
+        if (this.isOpen()) this.search(this.input.value);
+      });
+      return this.pagesIndexed;
+    }
+    // Higher is better, null when the query's letters don't all appear in order
+    static fuzzyScore(query, text) {
+      const haystack = text.toLowerCase();
+      const index = haystack.indexOf(query);
+      if (index !== -1) {
+        const wordStart = index === 0 || /\W/.test(haystack[index - 1]);
+        return 100 + (wordStart ? 50 : 0) - Math.min(index, 40);
+      }
+      let score = 0;
+      let position = -1;
+      for (const char of query) {
+        const next = haystack.indexOf(char, position + 1);
+        if (next === -1) return null;
+        // Consecutive letters score more than scattered ones
+        score += next === position + 1 ? 6 : 1;
+        position = next;
+      }
+      return score;
+    }
+    scoreItem(item, query) {
+      const { fuzzyScore } = CommandPalette;
+      let best = fuzzyScore(query, item.title);
+      let snippet = null;
+      item.keywords.forEach(keyword => {
+        const score = fuzzyScore(query, keyword);
+        if (score !== null && (best === null || score * 0.8 > best)) best = score * 0.8;
+      });
+      // Page text is long, only exact substrings count there
+      if (best === null && query.length >= 3 && item.pageText) {
+        const index = item.pageText.toLowerCase().indexOf(query);
+        if (index !== -1) {
+          best = 30;
+          const start = Math.max(0, index - 30);
+          snippet = `${start > 0 ? '…' : ''}${item.pageText.slice(start, index + query.length + 50)}…`;
         }
-        gsap.to(camera.position, {
-          x: camTarget.x,
-          y: camTarget.y,
-          z: camTarget.z,
-          duration: CONFIG.ANIMATION.CAMERA_DURATION,
-          ease: CONFIG.ANIMATION.EASE,
-          onComplete: () => {
-            if (object.userData.type === 'steering' && steeringWheelClicked && !virtualModalClosed) {
-              showVirtualModal();
-              steeringWheelClicked = false; // Reset flag without showing modal
-            }
-            // desck animates camera but shows no modal - just reset the flag
-            if (object.userData.type === 'desck' && desckClicked) {
-              desckClicked = false; // Reset flag without showing modal
-            }
-          }
-        });
-        // Utilise camTarget.lookAt si défini, sinon fallback sur l'objet
-        const lookAt = camTarget.lookAt || object.position;
-        gsap.to(lookAtTarget, {
-          x: lookAt.x,
-          y: lookAt.y,
-          z: lookAt.z,
-          duration: CONFIG.ANIMATION.CAMERA_DURATION,
-          ease: CONFIG.ANIMATION.EASE,
-          onUpdate: () => {
-            camera.lookAt(lookAtTarget.x, lookAtTarget.y, lookAtTarget.z);
-          },
-        });
       }
+      return best === null ? null : { item, score: best, snippet };
+    }
+    search(rawQuery) {
+      const query = rawQuery.trim().toLowerCase();
+      this.results = query
+        ? this.items.map(item => this.scoreItem(item, query)).filter(Boolean).sort((a, b) => b.score - a.score).slice(0, CommandPalette.MAX_RESULTS)
+        : this.items.filter(item => item.kind === 'zone' && world.themes.some(theme => theme.nav?.hex === item.id)).map(item => ({ item, score: 0, snippet: null }));
+      this.selected = 0;
+      this.render();
+    }
+    createOverlay() {
+      const root = document.createElement('div');
+      root.id = 'commandPalette';
+      root.style.cssText = `
+        position: fixed; inset: 0; z-index: 10001; display: none; justify-content: center; align-items: flex-start;
+        padding-top: 15vh; background: rgba(0,0,0,0.45); font-family: 'Segoe UI', sans-serif;
+      `;
+      root.innerHTML = `
+        <div role="dialog" aria-modal="true" aria-label="${t('palette.label')}" style="width: min(560px, 92vw); background: rgba(20, 20, 30, 0.97); color: white; border-radius: 12px; box-shadow: 0 12px 40px rgba(0,0,0,0.5); overflow: hidden;">
+          <input type="search" placeholder="${t('palette.placeholder')}" aria-label="${t('palette.search')}" aria-controls="commandPaletteResults" autocomplete="off"
+            style="width: 100%; box-sizing: border-box; padding: 16px 18px; border: none; border-bottom: 1px solid rgba(255,255,255,0.15); background: transparent; color: white; font-size: 1.05rem; outline: none;">
+          <ul id="commandPaletteResults" role="listbox" style="list-style: none; margin: 0; padding: 6px 0; max-height: 50vh; overflow-y: auto;"></ul>
+          <div style="padding: 8px 18px; font-size: 0.75rem; opacity: 0.6;">${t('palette.help')}</div>
+        </div>
+      `;
+      // Clicks stay in the palette; a click on the backdrop closes it
+      root.addEventListener('click', (event) => {
+        event.stopPropagation();
+        if (event.target === root) this.close();
+      });
+      root.addEventListener('pointerdown', e => e.stopPropagation());
+      root.querySelector('input').addEventListener('input', (event) => this.search(event.target.value));
+      root.querySelector('input').addEventListener('keydown', (event) => this.handleInputKey(event));
+      root.querySelector('ul').addEventListener('click', (event) => {
+        const option = event.target.closest('[data-index]');
+        if (option) this.choose(Number(option.dataset.index));
+      });
+      document.body.appendChild(root);
+      return root;
     }
-    // Affiche forge.html si on clique sur l'objet forge
-    else if (object.userData.type === 'forge') {
-      // Check if forge is clickable at the current location/theme
-      if (!isDrawerClickableAtCurrentLocation('forge')) {
-        if (!isProduction) console.log('Forge not clickable at current location/theme');
-        return; // Don't allow interaction if not at correct theme
+    render() {
+      this.list.innerHTML = '';
+      if (!this.results.length) {
+        this.list.innerHTML = `<li style="padding: 10px 18px; opacity: 0.7;">${t('palette.noMatch')}</li>`;
+        return;
       }
-      if (unreadDrawers.has('forge')) {
-        markObjectAsDiscovered('forge');
+      this.results.forEach(({ item, snippet }, index) => {
+        const option = document.createElement('li');
+        option.id = `commandPaletteOption${index}`;
+        option.dataset.index = index;
+        option.setAttribute('role', 'option');
+        option.setAttribute('aria-selected', String(index === this.selected));
+        option.style.cssText = `padding: 10px 18px; cursor: pointer; background: ${index === this.selected ? 'rgba(255,193,7,0.18)' : 'transparent'};`;
+        option.innerHTML = `
+          <div style="display: flex; justify-content: space-between; gap: 12px;">
+            <strong></strong><span style="font-size: 0.8rem; opacity: 0.65;"></span>
+          </div>
+          ${snippet ? '<div data-snippet style="font-size: 0.8rem; opacity: 0.7; margin-top: 2px;"></div>' : ''}
+        `;
+        // Page text is untrusted markup once parsed, keep everything as text
+        option.querySelector('strong').textContent = item.title;
+        option.querySelector('span').textContent = item.subtitle;
+        if (snippet) option.querySelector('[data-snippet]').textContent = snippet;
+        this.list.appendChild(option);
+      });
+      this.input.setAttribute('aria-activedescendant', `commandPaletteOption${this.selected}`);
+      this.list.children[this.selected]?.scrollIntoView({ block: 'nearest' });
+    }
+    isOpen() {
+      return this.root.style.display !== 'none';
+    }
+    open() {
+      // Also over an open modal, choosing a result closes it
+      if (this.isOpen() || appState.isLocked() || !appState.is('orbit', 'zoneFocus', 'objectFocus', 'modalOpen')) return false;
+      appState.lock('palette');
+      this.root.style.display = 'flex';
+      this.input.value = '';
+      this.search('');
+      this.input.focus();
+      this.indexPages();
+      return true;
+    }
+    close() {
+      if (!this.isOpen()) return;
+      this.root.style.display = 'none';
+      appState.unlock('palette');
+      this.input.blur();
+    }
+    handleShortcut(event) {
+      const isShortcut = (event.key === 'k' || event.key === 'K') && (event.ctrlKey || event.metaKey);
+      const isSlash = event.key === '/' && !event.ctrlKey && !event.metaKey && !event.altKey &&
+        !event.target.closest?.('input, select, textarea, [contenteditable="true"]');
+      if (!isShortcut && !isSlash) return;
+      if (this.isOpen()) {
+        event.preventDefault();
+        this.close();
+      } else if (this.open()) {
+        event.preventDefault(); // Keep the "/" out of the search field
       }
-      showForgeModal();
     }
-    // Handle mail-box click for contact theme
-    else if (object.userData.type === 'mail-box') {
-      // Check if mail-box is clickable at the current location/theme
-      if (!isDrawerClickableAtCurrentLocation('mail-box')) {
-        if (!isProduction) console.log('Mail-box not clickable at current location/theme');
-        return; // Don't allow interaction if not at correct theme
+    handleInputKey(event) {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        event.stopPropagation();
+        this.close();
+      } else if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+        event.preventDefault();
+        if (!this.results.length) return;
+        const step = event.key === 'ArrowDown' ? 1 : -1;
+        this.selected = (this.selected + step + this.results.length) % this.results.length;
+        this.render();
+      } else if (event.key === 'Enter') {
+        event.preventDefault();
+        this.choose(this.selected);
       }
-      if (unreadDrawers.has('mail-box')) {
-        unreadDrawers.delete('mail-box');
-        updateThemeUnreadBadges();
+    }
+    choose(index) {
+      const result = this.results[index];
+      if (!result) return;
+      this.close();
+      const { item } = result;
+      modalManager.closeAll();
+      if (item.kind === 'zone') {
+        hashRouter.go({ kind: 'zone', id: item.id });
+        accessibleMirror.announce(t('palette.flyingTo', { title: item.title }));
+        return;
       }
-      // Show contact modal instead of navigating to a new page
-      showContactModal();
+      const entry = objectRegistry.get(item.id);
+      const arrive = () => {
+        // Same highlight as Tab browsing, so Enter opens it from here
+        keyboardNavigator.setFocusedObject(item.id);
+        const gridIndex = skillFlowerIds.indexOf(item.id);
+        if (gridIndex !== -1) showLanguageFlower(gridIndex);
+        if (entry.click) {
+          modalManager.resetVisit(); // A search is an explicit request, like a link
+          activateObject(item.id, keyboardNavigator.findObject(item.id));
+        }
+      };
+      accessibleMirror.announce(t('palette.flyingTo', { title: item.title }));
+      if (currentActiveHexType === entry.hex) arrive();
+      else navigateToZone(entry.hex, arrive);
     }
   }
-}
-function createModalBase(id, onClose = null) {
-  const modal = document.createElement('div');
-  modal.id = id;
-  modal.style.cssText = `
-    position: fixed;
-    top: 0;
-    left: 0;
-    width: 100vw;
-    height: 100vh;
-    background: rgba(0,0,0,0.65);
-    display: flex;
-    align-items: center;
-    justify-content: center;
-    z-index: 9999;
-  `;
-  const content = document.createElement('div');
-  content.style.cssText = `
-    background: #222;
-    border-radius: 18px;
-    box-shadow: 0 8px 32px rgba(0,0,0,0.25);
-    overflow: hidden;
-    position: relative;
-    width: min(95vw, 1200px);
-    height: min(90vh, 800px);
-    display: flex;
-    flex-direction: column;
-  `;
-  const closeBtn = document.createElement('button');
-  closeBtn.textContent = '✕';
-  closeBtn.style.cssText = `
-    position: absolute;
-    top: 10px;
-    right: 16px;
-    background: rgba(0,0,0,0.5);
-    color: #fff;
-    border: none;
-    font-size: 1.5rem;
-    cursor: pointer;
-    z-index: 2;
-    border-radius: 4px;
-    width: 32px;
-    height: 32px;
-    display: flex;
-    align-items: center;
-    justify-content: center;
-  `;
-  closeBtn.onclick = (event) => {
-    event.stopPropagation();
-    event.preventDefault();
-    if (onClose) onClose();
-    modal.remove();
-  };
-  content.appendChild(closeBtn);
-  modal.appendChild(content);
-  // Prevent clicks on modal from propagating to 3D scene and close modal on overlay click
-  modal.addEventListener('click', (event) => {
-    event.stopPropagation();
-    event.preventDefault();
-    // Close modal if clicking on the overlay (not the content)
-    if (event.target === modal) {
-      if (onClose) onClose();
-      modal.remove();
+  const commandPalette = new CommandPalette();
+  // Skill ↔ project links: "Show me where" on a skill card pulses every project that used the skill,
+  // draws an arc to each from its flower and offers to fly through them with the tour player.
+  // Activating a project raises the language flowers of the skills it used, linked the same way
+  class SkillLinks {
+    static COLOR = 0xffc107;
+    static ARC_RADIUS = 0.015;
+    static ARC_GROW = 0.6; // Seconds for an arc to reach its end
+    constructor() {
+      this.arcs = [];
+      this.pulses = []; // { objectId, root, tween }
+      this.skill = null;
+      this.projects = []; // Linked objects of the skill shown, in fly-through order
+      this.material = new THREE.MeshBasicMaterial({ color: SkillLinks.COLOR, transparent: true, opacity: 0.85, depthWrite: false });
+      this.panel = this.createPanel();
+      appState.on('editor', () => this.clear());
     }
-  });
-  // Prevent clicks on content from closing modal and propagating
-  content.addEventListener('click', (event) => {
-    event.stopPropagation();
-    event.preventDefault();
-  });
-  return { modal, content };
-}
-function showForgeModal() {
-  let existingModal = document.getElementById('forgeModal');
-  if (existingModal) return; // Already open
-  const { modal, content } = createModalBase('forgeModal');
-  const iframe = document.createElement('iframe');
-  iframe.src = 'forge.html';
-  iframe.style.cssText = `
-    width: 100%;
-    height: 100%;
-    border: none;
-    background: #fff;
-  `;
-  iframe.onerror = () => {
-    content.innerHTML = '<div style="color: white; padding: 20px; text-align: center;">Error loading content</div>';
-  };
-  content.appendChild(iframe);
-  document.body.appendChild(modal);
-}
-function showContactModal() {
-  let existingModal = document.getElementById('contactModal');
-  if (existingModal) return; // Already open
-  const { modal, content } = createModalBase('contactModal');
-  const iframe = document.createElement('iframe');
-  iframe.src = 'sidepages/contact-production.html';
-  iframe.style.cssText = `
-    width: 100%;
-    height: 100%;
-    border: none;
-    background: #fff;
-  `;
-  iframe.onerror = () => {
-    content.innerHTML = '<div style="color: white; padding: 20px; text-align: center;">Error loading contact form</div>';
-  };
-  content.appendChild(iframe);
-  document.body.appendChild(modal);
-}
-
-// Listen for messages from iframe to close contact modal
-window.addEventListener('message', (event) => {
-  if (event.data && event.data.action === 'closeContactModal') {
-    const contactModal = document.getElementById('contactModal');
-    if (contactModal) {
-      contactModal.remove();
+    createPanel() {
+      const panel = document.createElement('div');
+      panel.id = 'skillLinksPanel';
+      panel.setAttribute('role', 'region');
+      panel.setAttribute('aria-label', t('skillLinks.label'));
+      panel.innerHTML = `
+        <div data-links="text" style="font-size: 0.95rem; line-height: 1.4;"></div>
+        <div style="display: flex; justify-content: center; gap: 10px; margin-top: 10px;">
+          <button data-action="fly">▶ ${t('skillLinks.fly')}</button>
+          <button data-action="clear">${t('skillLinks.clear')}</button>
+        </div>
+      `;
+      const left = isMobileDevice ? '50%' : `${CONFIG.NAVIGATION.SIDEBAR_WIDTH + (window.innerWidth - CONFIG.NAVIGATION.SIDEBAR_WIDTH) / 2}px`;
+      panel.style.cssText = `
+        position: fixed; left: ${left}; bottom: ${isMobileDevice ? 140 : 80}px; transform: translateX(-50%);
+        width: min(480px, 90vw); box-sizing: border-box; z-index: 1001; display: none; text-align: center;
+        background: rgba(20, 20, 30, 0.95); color: white; padding: 14px 18px; border-radius: 12px;
+        font-family: 'Segoe UI', sans-serif; box-shadow: 0 8px 24px rgba(0,0,0,0.35);
+      `;
+      panel.querySelectorAll('button').forEach(button => {
+        button.style.cssText = 'background: rgba(255,255,255,0.12); color: white; border: none; border-radius: 18px; padding: 8px 14px; cursor: pointer; font: inherit;';
+      });
+      panel.addEventListener('click', (event) => {
+        event.stopPropagation(); // Keep the click away from the scene picker
+        const action = event.target.closest('[data-action]')?.dataset.action;
+        if (action === 'fly') this.flyThrough();
+        else if (action === 'clear') this.clear();
+      });
+      panel.addEventListener('pointerdown', e => e.stopPropagation());
+      document.body.appendChild(panel);
+      return panel;
+    }
+    showPanel(text, canFly) {
+      this.panel.querySelector('[data-links="text"]').textContent = text;
+      this.panel.querySelector('[data-action="fly"]').style.display = canFly ? '' : 'none';
+      this.panel.style.display = 'block';
+    }
+    showSkill(gridIndex) {
+      const skill = languageFlowerData[gridIndex];
+      if (!skill || !skillFlowers[gridIndex]) return;
+      this.clear();
+      this.skill = skill;
+      this.projects = skill.projects.filter(objectId => keyboardNavigator.findObject(objectId));
+      // The arcs cross the whole island, the overview frames them all
+      if (!appState.is('orbit')) returnToOverview();
+      showLanguageFlower(gridIndex);
+      const from = this.flowerAnchor(gridIndex);
+      this.projects.forEach((objectId, index) => {
+        const root = keyboardNavigator.findObject(objectId);
+        this.pulse(objectId, root);
+        this.addArc(from, this.objectAnchor(root), index * 0.15);
+      });
+      const count = this.projects.length;
+      const text = count
+        ? t('skillLinks.usedIn', { skill: skill.displayName, count })
+        : t('skillLinks.notOnIsland', { skill: skill.displayName });
+      this.showPanel(text, count > 0);
+      accessibleMirror.announce(text);
+    }
+    showProject(objectId) {
+      const skills = [];
+      languageFlowerData.forEach((skill, gridIndex) => {
+        if (skill.projects.includes(objectId) && skillFlowers[gridIndex]) skills.push(gridIndex);
+      });
+      if (!skills.length) return;
+      this.clear();
+      const root = keyboardNavigator.findObject(objectId);
+      skills.forEach((gridIndex, index) => {
+        showLanguageFlower(gridIndex);
+        if (root) this.addArc(this.objectAnchor(root), this.flowerAnchor(gridIndex), index * 0.1);
+      });
+      const names = new Intl.ListFormat(i18n.language).format(skills.map(gridIndex => languageFlowerData[gridIndex].displayName));
+      const text = t('skillLinks.builtWith', { label: objectRegistry.get(objectId).label, skills: names });
+      this.showPanel(text, false);
+      accessibleMirror.announce(text);
+    }
+    // Where arcs meet a skill: the top of its language flower once risen
+    flowerAnchor(gridIndex) {
+      const skillFlower = skillFlowers[gridIndex];
+      const anchor = skillFlower.getWorldPosition(new THREE.Vector3());
+      anchor.y += 0.42 * skillFlower.scale.y;
+      return anchor;
+    }
+    // Where arcs meet a project: the middle of its top face
+    objectAnchor(root) {
+      const box = new THREE.Box3().setFromObject(root);
+      const anchor = box.getCenter(new THREE.Vector3());
+      anchor.y = box.max.y;
+      return anchor;
+    }
+    addArc(from, to, delay) {
+      const middle = from.clone().lerp(to, 0.5);
+      middle.y = Math.max(from.y, to.y) + 0.5 + from.distanceTo(to) * 0.35;
+      const curve = new THREE.QuadraticBezierCurve3(from, middle, to);
+      const geometry = new THREE.TubeGeometry(curve, 48, SkillLinks.ARC_RADIUS, 6, false);
+      const arc = new THREE.Mesh(geometry, this.material);
+      arc.renderOrder = 1;
+      // Tube indices run along the curve, so a growing draw range draws the arc from its start
+      const total = geometry.index.count;
+      const progress = { count: 0 };
+      geometry.setDrawRange(0, 0);
+      gsap.to(progress, {
+        count: total,
+        delay,
+        duration: window.matchMedia?.('(prefers-reduced-motion: reduce)').matches ? 0 : SkillLinks.ARC_GROW,
+        ease: 'power2.out',
+        onUpdate: () => geometry.setDrawRange(0, Math.floor(progress.count / 3) * 3)
+      });
+      arc.userData.progress = progress;
+      scene.add(arc);
+      this.arcs.push(arc);
+    }
+    pulse(objectId, root) {
+      const glow = { intensity: 0.2 };
+      const tween = gsap.to(glow, {
+        intensity: 0.9,
+        duration: 0.7,
+        ease: 'sine.inOut',
+        yoyo: true,
+        repeat: -1,
+        onUpdate: () => setEmissiveHighlight(root, SkillLinks.COLOR, glow.intensity)
+      });
+      this.pulses.push({ objectId, root, tween });
+    }
+    flyThrough() {
+      const stops = this.projects.map(objectId => ({
+        object: objectId,
+        caption: objectRegistry.get(objectId).tooltip?.text
+      }));
+      this.panel.style.display = 'none';
+      // The arcs and pulses stay while the camera visits each project, then go with the tour
+      if (!tourPlayer.start(stops, { onEnd: () => this.clear() })) this.panel.style.display = 'block';
+    }
+    clear() {
+      this.arcs.forEach(arc => {
+        gsap.killTweensOf(arc.userData.progress);
+        scene.remove(arc);
+        arc.geometry.dispose();
+      });
+      this.arcs = [];
+      this.pulses.forEach(({ objectId, root, tween }) => {
+        tween.kill();
+        // Keep the keyboard focus ring on an object the visitor tabbed to
+        setEmissiveHighlight(root, objectId === keyboardNavigator.focusedObjectId ? KeyboardNavigator.FOCUS_COLOR : null);
+      });
+      this.pulses = [];
+      this.skill = null;
+      this.projects = [];
+      this.panel.style.display = 'none';
     }
   }
-});
-
-function showVirtualModal() {
-  let existingModal = document.getElementById('virtualModal');
-  if (existingModal) return; // Already open
-  virtualModalOpened = true; // Mark that the modal was opened
-  const { modal, content } = createModalBase('virtualModal', () => {
-    virtualModalClosed = true; // Mark that user has closed the modal
-    // Camera stays in current position - no movement on modal close
-  });
-  const iframe = document.createElement('iframe');
-  iframe.src = 'virtual.html';
-  iframe.style.cssText = `
-    width: 100%;
-    height: 100%;
-    border: none;
-    background: #fff;
-  `;
-  iframe.onerror = () => {
-    content.innerHTML = '<div style="color: white; padding: 20px; text-align: center;">Error loading virtual content</div>';
-  };
-  content.appendChild(iframe);
-  document.body.appendChild(modal);
-}
-function showTrashModal() {
-  let existingModal = document.getElementById('trashModal');
-  if (existingModal) return; // Already open
-  trashModalOpened = true; // Mark that the modal was opened
-  const { modal, content } = createModalBase('trashModal', () => {
-    trashModalClosed = true; // Mark that user has closed the modal
-    // Camera stays in current position - no movement on modal close
-  });
-  const iframe = document.createElement('iframe');
-  iframe.src = 'sidepages/trashProject.html';
-  iframe.style.cssText = `
-    width: 100%;
-    height: 100%;
-    border: none;
-    background: #fff;
-  `;
-  iframe.onerror = () => {
-    content.innerHTML = '<div style="color: white; padding: 20px; text-align: center;">Error loading trash project content</div>';
-  };
-  content.appendChild(iframe);
-  document.body.appendChild(modal);
-}
-function showConvoyeurModal() {
-  let existingModal = document.getElementById('convoyeurModal');
-  if (existingModal) return; // Already open
-  convoyeurModalOpened = true; // Mark that the modal was opened
-  const { modal, content } = createModalBase('convoyeurModal', () => {
-    convoyeurModalClosed = true; // Mark that user has closed the modal
-    // Camera stays in current position - no movement on modal close
-  });
-  const iframe = document.createElement('iframe');
-  iframe.src = 'sidepages/convoyeur.html';
-  iframe.style.cssText = `
-    width: 100%;
-    height: 100%;
-    border: none;
-    background: #fff;
-  `;
-  iframe.onerror = () => {
-    content.innerHTML = '<div style="color: white; padding: 20px; text-align: center;">Error loading convoyeur project content</div>';
-  };
-  content.appendChild(iframe);
-  document.body.appendChild(modal);
-}
-function showSensorSenseiModal() {
-  let existingModal = document.getElementById('sensorSenseiModal');
-  if (existingModal) return; // Already open
-  sensorSenseiModalOpened = true; // Mark that the modal was opened
-  const { modal, content } = createModalBase('sensorSenseiModal', () => {
-    sensorSenseiModalClosed = true; // Mark that user has closed the modal
-    // Camera stays in current position - no movement on modal close
-  });
-  const iframe = document.createElement('iframe');
-  iframe.src = 'sidepages/sensorSensei.html';
-  iframe.style.cssText = `
-    width: 100%;
-    height: 100%;
-    border: none;
-    background: #fff;
-  `;
-  iframe.onerror = () => {
-    content.innerHTML = '<div style="color: white; padding: 20px; text-align: center;">Error loading sensor sensei project content</div>';
-  };
-  content.appendChild(iframe);
-  document.body.appendChild(modal);
-}
-function showMedicalModal() {
-  let existingModal = document.getElementById('medicalModal');
-  if (existingModal) return; // Already open
-  medicalModalOpened = true; // Mark that the modal was opened
-  const { modal, content } = createModalBase('medicalModal', () => {
-    medicalModalClosed = true; // Mark that user has closed the modal
-    // Camera stays in current position - no movement on modal close
-  });
-  const iframe = document.createElement('iframe');
-  iframe.src = 'sidepages/medicalApp.html';
-  iframe.style.cssText = `
-    width: 100%;
-    height: 100%;
-    border: none;
-    background: #fff;
-  `;
-  iframe.onerror = () => {
-    content.innerHTML = '<div style="color: white; padding: 20px; text-align: center;">Error loading medical app project content</div>';
-  };
-  content.appendChild(iframe);
-  document.body.appendChild(modal);
-}
-function showForviaCarModal() {
-  let existingModal = document.getElementById('forviaCarModal');
-  if (existingModal) return; // Already open
-  forviaCarModalOpened = true; // Mark that the modal was opened
-  const { modal, content } = createModalBase('forviaCarModal', () => {
-    forviaCarModalClosed = true; // Mark that user has closed the modal
-    // Camera stays in current position - no movement on modal close
-  });
-  const iframe = document.createElement('iframe');
-  iframe.src = 'sidepages/forviaCar.html';
-  iframe.style.cssText = `
-    width: 100%;
-    height: 100%;
-    border: none;
-    background: #fff;
-  `;
-  iframe.onerror = () => {
-    content.innerHTML = '<div style="color: white; padding: 20px; text-align: center;">Error loading FORVIA car project content</div>';
-  };
-  content.appendChild(iframe);
-  document.body.appendChild(modal);
-}
-function showDesckModal() {
-  let existingModal = document.getElementById('desckModal');
-  if (existingModal) return; // Already open
-  desckModalOpened = true; // Mark that the modal was opened
-  // Create modal element
-  const modal = document.createElement('div');
-  modal.id = 'desckModal';
-  modal.className = 'modal';
-  modal.style.cssText = `
-    position: fixed; top: 0; left: 0; width: 100%; height: 100%;
-    background: rgba(0,0,0,0.8); z-index: 10000; display: flex;
-    align-items: center; justify-content: center; padding: 20px;
-  `;
-  // Create content container
-  const content = document.createElement('div');
-  content.style.cssText = `
-    background: white; border-radius: 12px; width: 90%; max-width: 800px;
-    height: 80%; overflow: hidden; position: relative;
-  `;
-  // Add close button
-  const closeBtn = document.createElement('button');
-  closeBtn.innerHTML = '✕';
-  closeBtn.style.cssText = `
-    position: absolute; top: 15px; right: 20px; background: none;
-    border: none; font-size: 24px; cursor: pointer; z-index: 1;
-    width: 35px; height: 35px; border-radius: 50%;
-    display: flex; align-items: center; justify-content: center;
-    background: rgba(0,0,0,0.1); transition: background 0.2s;
-  `;
-  closeBtn.onmouseover = () => closeBtn.style.background = 'rgba(0,0,0,0.2)';
-  closeBtn.onmouseout = () => closeBtn.style.background = 'rgba(0,0,0,0.1)';
-  closeBtn.onclick = () => {
-    document.body.removeChild(modal);
-    desckModalClosed = true; // Mark as manually closed
-  };
-  // Add iframe for desck project content
-  const iframe = document.createElement('iframe');
-  iframe.src = 'sidepages/desck.html'; // You'll need to create this page
-  iframe.style.cssText = 'width: 100%; height: 100%; border: none;';
-  iframe.onerror = () => {
-    // Fallback content if page doesn't exist
-    iframe.style.display = 'none';
-    const fallback = document.createElement('div');
-    fallback.style.cssText = 'padding: 40px; text-align: center;';
-    fallback.innerHTML = `
-      <h2>Desck Project</h2>
-      <p>This project showcases desk-related work and implementations.</p>
-      <p>Content coming soon...</p>
-    `;
-    content.appendChild(fallback);
-  };
-  modal.appendChild(content);
-  content.appendChild(closeBtn);
-  content.appendChild(iframe);
-  document.body.appendChild(modal);
-}
-// Store original positions of drawers
-// (drawerOriginalPositions already declared at top)
-// (Functions already declared at top)
-let loadedDrawerCount = 0;
-const totalDrawerCount = drawerModels.length;
-// Register drawer assets for loading tracking
-drawerModels.forEach(() => incrementTotalAssets());
-drawerModels.forEach((model) => {
-  ErrorHandler.handleAsyncError(
-    new Promise((resolve, reject) => {
-      loader.load(
-        `./public/models/${model}.glb`,
-        (gltf) => {
-          try {
-            processGLBMaterials(gltf, `${model}.glb`);
-            const drawer = gltf.scene;
-            drawer.scale.set(1, 1, 1);
-            drawer.userData.type = model;
-            // Position mail-box at contact hex location
-            if (model === 'mail-box') {
-              // Get contact hex position (q: 2, r: 2)
-              const { x, z } = hexToWorld(2, 2);
-              drawer.position.set(x, 0, z);
-            }
-            // Position steering at garage hex location
-            if (model === 'steering') {
-              // Get garage hex position (q: -1, r: 0)
-              const { x, z } = hexToWorld(-1, 0);
-              drawer.position.set(x, 0, z);
-            }
-            // Position trash truck at default position (matches hex coordinate system)
-            if (model === 'trashTruck') {
-              // Use default position (0, 0, 0) as it's already aligned to hex coordinates
-              drawer.position.set(0, 0, 0);
-            }
-            // Position convoyeur at default position (matches hex coordinate system)
-            if (model === 'convoyeur') {
-              // Use default position (0, 0, 0) as it's already aligned to hex coordinates
-              drawer.position.set(0, 0, 0);
-            }
-            // Position sensorSensei at projects hex location
-            if (model === 'sensorSensei') {
-              // Get projects hex position (q: 0, r: 1)
-              const { x, z } = hexToWorld(0, 1);
-              drawer.position.set(x, 0, z);
-            }
-            // Position medical at garage hex location
-            if (model === 'medical') {
-              // Get garage hex position (q: -1, r: 0)
-              const { x, z } = hexToWorld(-1, 0);
-              drawer.position.set(x, 0, z); // Position at exact garage hex center (0,0,0 relative)
-            }
-            // Position forviaCAR at garage hex location
-            if (model === 'forviaCAR') {
-              // Get garage hex position (q: -1, r: 0)
-              const { x, z } = hexToWorld(-1, 0);
-              drawer.position.set(x, 0, z); // Position at exact garage hex center (0,0,0 relative)
-            }
-            scene.add(drawer);
-            drawers.push(drawer);
-            drawerOriginalPositions.set(drawer, drawer.position.clone());
-            loadedDrawerCount++;
-            markAssetLoaded(); // Mark this asset as loaded
-            if (loadedDrawerCount === totalDrawerCount) {
-              console.log('All drawer models loaded successfully');
-              // Initialize unread badges after all drawers are loaded
-              updateThemeUnreadBadges();
-            }
-            resolve(drawer);
-          } catch (error) {
-            reject(error);
+  const skillLinks = new SkillLinks();
+  // Function to update nav active state
+  function updateNavActiveState(activeType) {
+    try {
+      const navList = document.getElementById('zoneNavList');
+      if (!navList) {
+        console.log('Navigation element not found, skipping nav update');
+        return;
+      }
+      const navItems = navList.querySelectorAll('li');
+      navItems.forEach(item => {
+        // Find the zone that matches this nav item
+        if (typeof mainZones !== 'undefined') {
+          // Match on the zone type, the label text also holds the badge and loading placeholder
+          const zone = mainZones.find(z => z.type === item.dataset.zone);
+          if (zone && activeType && zone.type === activeType) {
+            item.style.background = '#0a5a3d';
+            item.style.color = '#fff';
+            item.style.fontWeight = 'bold';
+          } else {
+            item.style.background = 'none';
+            item.style.color = '#fff';
+            item.style.fontWeight = 'normal';
           }
-        },
-        undefined,
-        reject
-      );
-    }),
-    `Drawer loading - ${model}`
-  );
-});
-// This section has been replaced by the new language flowers system
-const mainZones = [
-  { type: 'home', label: 'Accueil', themeId: 'home' },
-  { type: 'garage', label: 'Garage', themeId: 'garage' },
-  { type: 'cv', label: 'CV', themeId: 'cv' },
-  { type: 'projects', label: 'Projets', themeId: 'projects' },
-  { type: 'contact', label: 'Contact', themeId: 'contact' },
-  { type: 'forge2', label: 'Conception', themeId: 'forge' },
-];
-function toggleMobileNavigation() {
-  const navSidebar = document.getElementById('zoneNavSidebar');
-  const overlay = document.getElementById('mobile-nav-overlay');
-  if (!navSidebar) return;
-  isNavigationOpen = !isNavigationOpen;
-  if (isNavigationOpen) {
-    // Open navigation
-    navSidebar.style.transform = 'translateX(0)';
-    if (overlay) overlay.style.display = 'block';
-  } else {
-    // Close navigation
-    navSidebar.style.transform = 'translateX(-100%)';
-    if (overlay) overlay.style.display = 'none';
+        }
+      });
+    } catch (error) {
+      console.log('Navigation update failed:', error.message);
+    }
   }
-}
-function createMobileNavToggle() {
-  if (!isMobileDevice) return;
-  const toggleButton = document.createElement('button');
-  toggleButton.id = 'mobile-nav-toggle';
-  toggleButton.innerHTML = '☰';
-  toggleButton.style.cssText = `
-    position: fixed;
-    top: 20px;
-    left: 20px;
-    z-index: 400;
-    background: rgba(20, 20, 30, 0.9);
-    color: white;
-    border: none;
-    width: 50px;
-    height: 50px;
-    border-radius: 25px;
-    font-size: 20px;
-    cursor: pointer;
-    display: flex;
-    align-items: center;
-    justify-content: center;
-    box-shadow: 0 4px 12px rgba(0,0,0,0.3);
-    transition: all 0.3s ease;
-    touch-action: manipulation;
-  `;
-  toggleButton.addEventListener('click', (e) => {
-    e.stopPropagation();
-    toggleMobileNavigation();
-  });
-  // Prevent 3D interactions
-  toggleButton.addEventListener('touchstart', (e) => e.stopPropagation());
-  toggleButton.addEventListener('touchmove', (e) => e.stopPropagation());
-  toggleButton.addEventListener('touchend', (e) => e.stopPropagation());
-  document.body.appendChild(toggleButton);
-  // Create overlay for mobile navigation
-  const overlay = document.createElement('div');
-  overlay.id = 'mobile-nav-overlay';
-  overlay.style.cssText = `
-    position: fixed;
-    top: 0;
-    left: 0;
-    width: 100vw;
-    height: 100vh;
-    background: rgba(0, 0, 0, 0.5);
-    z-index: 299;
-    display: none;
-    touch-action: none;
-  `;
-  overlay.addEventListener('click', () => {
-    toggleMobileNavigation();
-  });
-  document.body.appendChild(overlay);
-  // Apply mobile-specific navigation styling if on mobile device
-  if (isMobileDevice) {
-    setTimeout(() => {
-      const navSidebar = document.getElementById('zoneNavSidebar');
-      if (navSidebar) {
-        // Mobile-specific navigation styling
-        navSidebar.style.transform = 'translateX(-100%)';
-        navSidebar.style.zIndex = '1000';
-        // Make navigation items touch-friendly on mobile
-        const navItems = navSidebar.querySelectorAll('div');
-        navItems.forEach(item => {
-          if (item.style.cursor === 'pointer') {
-            item.style.minHeight = '44px'; // Touch target minimum
-            item.style.display = 'flex';
-            item.style.alignItems = 'center';
-            item.style.padding = '12px 20px';
-            item.style.fontSize = '16px';
-            item.style.borderBottom = '1px solid rgba(255,255,255,0.1)';
-            // Enhanced touch feedback
-            item.addEventListener('touchstart', () => {
-              item.style.backgroundColor = 'rgba(255,255,255,0.1)';
+  // Group zones by theme for better organization
+  if (typeof mainZones !== 'undefined') {
+    const groupedZones = Object.fromEntries(
+      world.themes.map(theme => [theme.id, mainZones.filter(zone => zone.themeId === theme.id)])
+    );
+    // Create navigation items grouped by theme
+    Object.entries(groupedZones).forEach(([themeId, zones]) => {
+      // Create zone items for this theme
+      zones.forEach(zone => {
+        const li = document.createElement('li');
+      li.style.cursor = 'pointer';
+      li.style.margin = '0 0 8px 0';
+      li.style.padding = '8px 24px';
+      li.style.borderRadius = '8px 24px 24px 8px';
+      li.style.transition = 'background 0.2s, color 0.2s';
+      li.style.fontSize = '1rem';
+      li.style.position = 'relative';
+      li.dataset.zone = zone.type;
+      // Add zone label
+      const labelSpan = document.createElement('span');
+      labelSpan.textContent = zone.label;
+      li.appendChild(labelSpan);
+      // Placeholder while the zone's models are still streaming in
+      const loadingSpan = document.createElement('span');
+      loadingSpan.className = 'zone-loading';
+      loadingSpan.dataset.zone = zone.type;
+      loadingSpan.textContent = ' ⏳';
+      loadingSpan.title = t('hexInfo.zoneLoading');
+      loadingSpan.style.display = assetStreamer.isZoneLoading(zone.type) ? 'inline' : 'none';
+      li.appendChild(loadingSpan);
+      // Add unread badge for this theme (only on the first button of each theme)
+      if (zones.indexOf(zone) === 0) {
+        const badge = document.createElement('span');
+        badge.id = `unread-badge-${themeId}`;
+        badge.style.position = 'absolute';
+        badge.style.right = '12px';
+        badge.style.background = '#ff4444';
+        badge.style.color = '#fff';
+        badge.style.borderRadius = '10px';
+        badge.style.padding = '2px 6px';
+        badge.style.fontSize = '10px';
+        badge.style.fontWeight = 'bold';
+        badge.style.opacity = '0';
+        badge.style.transition = 'opacity 0.3s';
+        badge.style.minWidth = '16px';
+        badge.style.textAlign = 'center';
+        li.appendChild(badge);
+      }
+      li.onmouseenter = () => {
+        // Only highlight if not already active
+        if (currentActiveHexType !== zone.type) {
+          li.style.background = '#1a82f7';
+          li.style.color = '#fff';
+        }
+        // Highlight corresponding hex
+        hexObjects.forEach(hex => {
+          if (hex.userData.type === zone.type) {
+            hex.traverse(child => {
+              if (child.isMesh && child.material) {
+                // Handle single material
+                if (!Array.isArray(child.material)) {
+                  // Only modify materials that already have emissive properties
+                  if (child.material.emissive !== undefined) {
+                    child.material.emissive = new THREE.Color(0x1a82f7);
+                    child.material.emissiveIntensity = 0.7;
+                  }
+                } else {
+                  // Handle material arrays
+                  child.material.forEach(mat => {
+                    if (mat && mat.emissive !== undefined) {
+                      mat.emissive = new THREE.Color(0x1a82f7);
+                      mat.emissiveIntensity = 0.7;
+                    }
+                  });
+                }
+              }
             });
-            item.addEventListener('touchend', () => {
-              setTimeout(() => {
-                item.style.backgroundColor = 'transparent';
-              }, 150);
+          }
+        });
+      };
+      li.onmouseleave = () => {
+        // Restore highlight based on active state
+        if (currentActiveHexType === zone.type) {
+          li.style.background = '#0a5a3d';
+          li.style.color = '#fff';
+          li.style.fontWeight = 'bold';
+        } else {
+          li.style.background = 'none';
+          li.style.color = '#fff';
+          li.style.fontWeight = 'normal';
+        }
+        // Remove hex highlight
+        hexObjects.forEach(hex => {
+          if (hex.userData.type === zone.type) {
+            hex.traverse(child => {
+              if (child.isMesh && child.material) {
+                // Handle single material
+                if (!Array.isArray(child.material)) {
+                  if (child.material.emissive !== undefined) {
+                    child.material.emissive.setRGB(0,0,0);
+                    child.material.emissiveIntensity = 0;
+                  }
+                } else {
+                  // Handle material arrays
+                  child.material.forEach(mat => {
+                    if (mat && mat.emissive !== undefined) {
+                      mat.emissive.setRGB(0,0,0);
+                      mat.emissiveIntensity = 0;
+                    }
+                  });
+                }
+              }
             });
           }
         });
-      }
-    }, 100); // Small delay to ensure navigation is created
+      };
+      li.onclick = () => {
+        // Don't navigate if already active
+        if (currentActiveHexType === zone.type) return;
+        navigateToZone(zone.type);
+      };
+      navList.appendChild(li);
+    });
+  });
   }
-}
-// Define drawer-to-theme mapping (already declared at top)
-const navSidebar = document.createElement('nav');
-navSidebar.id = 'zoneNavSidebar';
-// Base styles for navigation
-const baseNavStyles = {
-  position: 'fixed',
-  top: '0',
-  left: '0',
-  height: '100vh',
-  background: 'rgba(20, 20, 30, 0.97)',
-  color: '#fff',
-  padding: '36px 0 24px 0',
-  display: 'flex',
-  flexDirection: 'column',
-  alignItems: 'center',
-  zIndex: '300',
-  boxShadow: '2px 0 24px rgba(0,0,0,0.18)',
-  fontSize: '1.1rem',
-  fontWeight: 'bold',
-  letterSpacing: '0.02em'
-};
-// Apply responsive styles
-if (isMobileDevice) {
-  // Mobile styles
-  Object.assign(navSidebar.style, baseNavStyles);
-  navSidebar.style.width = '280px'; // Wider for mobile touch targets
-  navSidebar.style.transform = 'translateX(-100%)'; // Hidden by default
-  navSidebar.style.transition = 'transform 0.3s ease';
-  navSidebar.style.fontSize = '1.2rem'; // Larger text for mobile
-  navSidebar.style.padding = '60px 0 24px 0'; // More top padding for toggle button
-} else {
-  // Desktop styles
-  Object.assign(navSidebar.style, baseNavStyles);
-  navSidebar.style.width = CONFIG.NAVIGATION.SIDEBAR_WIDTH + 'px';
-}
-navSidebar.innerHTML = `<div style="font-size:1.3rem;margin-bottom:18px;font-weight:bold;">${isMobileDevice ? 'Navigation' : 'Areas to explore'}</div><ul id="zoneNavList" style="list-style:none;padding:0;margin:0;width:100%;"></ul>`;
-document.body.appendChild(navSidebar);
-// Prevent raycast from passing through the nav bar
-navSidebar.addEventListener('pointerdown', e => e.stopPropagation());
-navSidebar.addEventListener('pointermove', e => e.stopPropagation());
-navSidebar.addEventListener('pointerup', e => e.stopPropagation());
-navSidebar.style.pointerEvents = 'auto';
-// Position 3D canvas responsively
-renderer.domElement.style.position = 'absolute';
-if (isMobileDevice) {
-  // Mobile: Full screen canvas, navigation slides over
-  renderer.domElement.style.left = '0';
-  renderer.domElement.style.top = '0';
-  renderer.domElement.style.width = '100vw';
-  renderer.domElement.style.height = '100vh';
-} else {
-  // Desktop: Canvas offset by navigation width
-  renderer.domElement.style.left = CONFIG.NAVIGATION.SIDEBAR_WIDTH + 'px';
-  renderer.domElement.style.top = '0';
-  renderer.domElement.style.width = `calc(100vw - ${CONFIG.NAVIGATION.SIDEBAR_WIDTH}px)`;
-  renderer.domElement.style.height = '100vh';
-}
-// Create mobile navigation toggle after sidebar is created
-createMobileNavToggle();
-const navList = document.getElementById('zoneNavList');
-// Function to navigate to a hex zone directly
-function navigateToZone(zoneType) {
-  const hex = hexObjects.find(h => h.userData.type === zoneType);
-  if (!hex) return;
-  currentActiveHexType = zoneType;
-  console.log(`Navigation started: currentActiveHexType set to "${currentActiveHexType}"`);
-  updateHexInfo(currentActiveHexType); // Update hex info display
-  // Find the hex data for camera position
-  const hexData = hexMap.find(h => h.type === zoneType);
-  const cameraPos = hexData?.cameraPos || { x: 0, y: 5, z: 10 };
-  const hexPosition = hex.position;
-  // Animate camera to hex
-  gsap.to(camera.position, {
-    x: cameraPos.x,
-    y: cameraPos.y,
-    z: cameraPos.z,
-    duration: 2,
-    ease: 'power3.inOut',
+  assetStreamer.onZoneProgress((zone) => {
+    const loading = assetStreamer.isZoneLoading(zone);
+    navList.querySelectorAll(`.zone-loading[data-zone="${zone}"]`).forEach(span => {
+      span.style.display = loading ? 'inline' : 'none';
+    });
+    if (zone === currentActiveHexType) updateZoneLoadingInfo();
   });
-  gsap.to(lookAtTarget, {
-    x: hexPosition.x,
-    y: hexPosition.y,
-    z: hexPosition.z,
-    duration: 2,
-    ease: 'power3.inOut',
-    onUpdate: () => {
-      camera.lookAt(lookAtTarget.x, lookAtTarget.y, lookAtTarget.z);
-    },
-    onComplete: () => {
-      console.log(`Navigation completed: currentActiveHexType is "${currentActiveHexType}"`);
+  // Initialize theme unread badges
+  updateThemeUnreadBadges();
+  // Also initialize badges after a short delay to ensure DOM is ready
+  setTimeout(() => {
+    updateThemeUnreadBadges();
+  }, 1000);
+  // Expose navigation function to window for external access
+  window.navigateToZone = navigateToZone;
+  function createContactButton() {
+    const contactButton = document.createElement('button');
+    contactButton.id = 'contact-button';
+    contactButton.textContent = `📧 ${t('contact.button')}`;
+    // Base styles
+    const baseStyles = {
+      position: 'fixed',
+      bottom: '20px',
+      background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+      color: 'white',
+      border: 'none',
+      borderRadius: '50px',
+      padding: '12px 24px',
+      fontSize: '16px',
+      fontWeight: 'bold',
+      cursor: 'pointer',
+      zIndex: '1000',
+      boxShadow: '0 4px 20px rgba(0,0,0,0.3)',
+      transition: 'all 0.3s ease',
+      display: 'flex',
+      alignItems: 'center',
+      gap: '8px',
+      backdropFilter: 'blur(10px)',
+      border: '1px solid rgba(255,255,255,0.2)'
+    };
+    // Responsive positioning to account for navbar
+    if (isMobileDevice) {
+      // Mobile: Full width, simple centering
+      baseStyles.left = '50%';
+      baseStyles.transform = 'translateX(-50%)';
+    } else {
+      // Desktop: Center in the visible area (excluding navbar)
+      baseStyles.left = `${CONFIG.NAVIGATION.SIDEBAR_WIDTH + (window.innerWidth - CONFIG.NAVIGATION.SIDEBAR_WIDTH) / 2}px`;
+      baseStyles.transform = 'translateX(-50%)';
     }
-  });
-  // Update active nav item
-  updateNavActiveState(zoneType);
-}
-// Function to update nav active state
-function updateNavActiveState(activeType) {
-  try {
-    const navList = document.getElementById('zoneNavList');
-    if (!navList) {
-      console.log('Navigation element not found, skipping nav update');
-      return;
+    // Apply styles
+    Object.assign(contactButton.style, baseStyles);
+    // Mobile adjustments (only vertical positioning and sizing)
+    if (isMobileDevice) {
+      contactButton.style.bottom = '80px'; // Higher position on mobile to avoid navigation
+      contactButton.style.padding = '14px 20px';
+      contactButton.style.fontSize = '15px';
     }
-    const navItems = navList.querySelectorAll('li');
-    navItems.forEach(item => {
-      // Find the zone that matches this nav item
-      if (typeof mainZones !== 'undefined') {
-        const zone = mainZones.find(z => z.label === item.textContent);
-        if (zone && activeType && zone.type === activeType) {
-          item.style.background = '#0a5a3d';
-          item.style.color = '#fff';
-          item.style.fontWeight = 'bold';
-        } else {
-          item.style.background = 'none';
-          item.style.color = '#fff';
-          item.style.fontWeight = 'normal';
-        }
+    // Hover effects
+    contactButton.addEventListener('mouseenter', () => {
+      contactButton.style.transform = 'translateX(-50%) translateY(-2px) scale(1.05)';
+      contactButton.style.boxShadow = '0 6px 25px rgba(0,0,0,0.4)';
+      contactButton.style.background = 'linear-gradient(135deg, #764ba2 0%, #667eea 100%)';
+    });
+    contactButton.addEventListener('mouseleave', () => {
+      contactButton.style.transform = 'translateX(-50%) translateY(0) scale(1)';
+      contactButton.style.boxShadow = '0 4px 20px rgba(0,0,0,0.3)';
+      contactButton.style.background = 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)';
+    });
+    // Click handler
+    contactButton.addEventListener('click', (e) => {
+      e.stopPropagation();
+      e.preventDefault();
+      // Add click animation
+      contactButton.style.transform = 'translateX(-50%) translateY(1px) scale(0.95)';
+      setTimeout(() => {
+        contactButton.style.transform = 'translateX(-50%) translateY(-2px) scale(1.05)';
+      }, 150);
+      // Open contact modal directly
+      modalManager.open('mail-box');
+      // Close mobile navigation if open
+      if (isMobileDevice && isNavigationOpen) {
+        toggleMobileNavigation();
       }
     });
-  } catch (error) {
-    console.log('Navigation update failed:', error.message);
-  }
-}
-// Group zones by theme for better organization
-if (typeof mainZones !== 'undefined') {
-  const groupedZones = {
-    'home': mainZones.filter(zone => zone.themeId === 'home'),
-    'garage': mainZones.filter(zone => zone.themeId === 'garage'),
-    'forge': mainZones.filter(zone => zone.themeId === 'forge'),
-    'contact': mainZones.filter(zone => zone.themeId === 'contact'),
-    'projects': mainZones.filter(zone => zone.themeId === 'projects'),
-    'cv': mainZones.filter(zone => zone.themeId === 'cv')
-  };
-  // Create navigation items grouped by theme
-  Object.entries(groupedZones).forEach(([themeId, zones]) => {
-    // Create zone items for this theme
-    zones.forEach(zone => {
-      const li = document.createElement('li');
-    li.style.cursor = 'pointer';
-    li.style.margin = '0 0 8px 0';
-    li.style.padding = '8px 24px';
-    li.style.borderRadius = '8px 24px 24px 8px';
-    li.style.transition = 'background 0.2s, color 0.2s';
-    li.style.fontSize = '1rem';
-    li.style.position = 'relative';
-    // Add zone label
-    const labelSpan = document.createElement('span');
-    labelSpan.textContent = zone.label;
-    li.appendChild(labelSpan);
-    // Add unread badge for this theme (only on the first button of each theme)
-    if (zones.indexOf(zone) === 0) {
-      const badge = document.createElement('span');
-      badge.id = `unread-badge-${themeId}`;
-      badge.style.position = 'absolute';
-      badge.style.right = '12px';
-      badge.style.background = '#ff4444';
-      badge.style.color = '#fff';
-      badge.style.borderRadius = '10px';
-      badge.style.padding = '2px 6px';
-      badge.style.fontSize = '10px';
-      badge.style.fontWeight = 'bold';
-      badge.style.opacity = '0';
-      badge.style.transition = 'opacity 0.3s';
-      badge.style.minWidth = '16px';
-      badge.style.textAlign = 'center';
-      li.appendChild(badge);
-    }
-    li.onmouseenter = () => {
-      // Only highlight if not already active
-      if (currentActiveHexType !== zone.type) {
-        li.style.background = '#1a82f7';
-        li.style.color = '#fff';
-      }
-      // Highlight corresponding hex
-      hexObjects.forEach(hex => {
-        if (hex.userData.type === zone.type) {
-          hex.traverse(child => {
-            if (child.isMesh && child.material) {
-              // Handle single material
-              if (!Array.isArray(child.material)) {
-                // Only modify materials that already have emissive properties
-                if (child.material.emissive !== undefined) {
-                  child.material.emissive = new THREE.Color(0x1a82f7);
-                  child.material.emissiveIntensity = 0.7;
-                }
-              } else {
-                // Handle material arrays
-                child.material.forEach(mat => {
-                  if (mat && mat.emissive !== undefined) {
-                    mat.emissive = new THREE.Color(0x1a82f7);
-                    mat.emissiveIntensity = 0.7;
-                  }
-                });
-              }
-            }
-          });
-        }
-      });
-    };
-    li.onmouseleave = () => {
-      // Restore highlight based on active state
-      if (currentActiveHexType === zone.type) {
-        li.style.background = '#0a5a3d';
-        li.style.color = '#fff';
-        li.style.fontWeight = 'bold';
-      } else {
-        li.style.background = 'none';
-        li.style.color = '#fff';
-        li.style.fontWeight = 'normal';
-      }
-      // Remove hex highlight
-      hexObjects.forEach(hex => {
-        if (hex.userData.type === zone.type) {
-          hex.traverse(child => {
-            if (child.isMesh && child.material) {
-              // Handle single material
-              if (!Array.isArray(child.material)) {
-                if (child.material.emissive !== undefined) {
-                  child.material.emissive.setRGB(0,0,0);
-                  child.material.emissiveIntensity = 0;
-                }
-              } else {
-                // Handle material arrays
-                child.material.forEach(mat => {
-                  if (mat && mat.emissive !== undefined) {
-                    mat.emissive.setRGB(0,0,0);
-                    mat.emissiveIntensity = 0;
-                  }
-                });
-              }
-            }
-          });
-        }
-      });
-    };
-    li.onclick = () => {
-      // Don't navigate if already active
-      if (currentActiveHexType === zone.type) return;
-      navigateToZone(zone.type);
+    // Prevent touch events from propagating to 3D scene
+    contactButton.addEventListener('touchstart', (e) => e.stopPropagation());
+    contactButton.addEventListener('touchmove', (e) => e.stopPropagation());
+    contactButton.addEventListener('touchend', (e) => e.stopPropagation());
+    // Reposition button on window resize
+    const repositionButton = () => {
+      if (!isMobileDevice) {
+        const newLeft = CONFIG.NAVIGATION.SIDEBAR_WIDTH + (window.innerWidth - CONFIG.NAVIGATION.SIDEBAR_WIDTH) / 2;
+        contactButton.style.left = `${newLeft}px`;
+      }
     };
-    navList.appendChild(li);
-  });
-});
-}
-// Initialize theme unread badges
-updateThemeUnreadBadges();
-// Also initialize badges after a short delay to ensure DOM is ready
-setTimeout(() => {
-  updateThemeUnreadBadges();
-}, 1000);
-// Expose navigation function to window for external access
-window.navigateToZone = navigateToZone;
-function createContactButton() {
-  const contactButton = document.createElement('button');
-  contactButton.id = 'contact-button';
-  contactButton.innerHTML = '📧 Contact';
-  // Base styles
-  const baseStyles = {
-    position: 'fixed',
-    bottom: '20px',
-    background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
-    color: 'white',
-    border: 'none',
-    borderRadius: '50px',
-    padding: '12px 24px',
-    fontSize: '16px',
-    fontWeight: 'bold',
-    cursor: 'pointer',
-    zIndex: '1000',
-    boxShadow: '0 4px 20px rgba(0,0,0,0.3)',
-    transition: 'all 0.3s ease',
-    display: 'flex',
-    alignItems: 'center',
-    gap: '8px',
-    backdropFilter: 'blur(10px)',
-    border: '1px solid rgba(255,255,255,0.2)'
-  };
-  // Responsive positioning to account for navbar
-  if (isMobileDevice) {
-    // Mobile: Full width, simple centering
-    baseStyles.left = '50%';
-    baseStyles.transform = 'translateX(-50%)';
-  } else {
-    // Desktop: Center in the visible area (excluding navbar)
-    baseStyles.left = `${CONFIG.NAVIGATION.SIDEBAR_WIDTH + (window.innerWidth - CONFIG.NAVIGATION.SIDEBAR_WIDTH) / 2}px`;
-    baseStyles.transform = 'translateX(-50%)';
+    window.addEventListener('resize', repositionButton);
+    document.body.appendChild(contactButton);
+    return contactButton;
   }
-  // Apply styles
-  Object.assign(contactButton.style, baseStyles);
-  // Mobile adjustments (only vertical positioning and sizing)
-  if (isMobileDevice) {
-    contactButton.style.bottom = '80px'; // Higher position on mobile to avoid navigation
-    contactButton.style.padding = '14px 20px';
-    contactButton.style.fontSize = '15px';
-  }
-  // Hover effects
-  contactButton.addEventListener('mouseenter', () => {
-    contactButton.style.transform = 'translateX(-50%) translateY(-2px) scale(1.05)';
-    contactButton.style.boxShadow = '0 6px 25px rgba(0,0,0,0.4)';
-    contactButton.style.background = 'linear-gradient(135deg, #764ba2 0%, #667eea 100%)';
+  // Create the contact button
+  createContactButton();
+  function resize3DView() {
+    let width, height;
+    if (isMobileDevice) {
+      // Mobile: Full screen canvas
+      width = window.innerWidth;
+      height = window.innerHeight;
+      renderer.domElement.style.left = '0';
+      renderer.domElement.style.width = '100vw';
+      renderer.domElement.style.height = '100vh';
+    } else {
+      // Desktop: Canvas offset by navigation width
+      const navWidth = CONFIG.NAVIGATION.SIDEBAR_WIDTH;
+      width = window.innerWidth - navWidth;
+      height = window.innerHeight;
+      renderer.domElement.style.left = navWidth + 'px';
+      renderer.domElement.style.width = `calc(100vw - ${navWidth}px)`;
+      renderer.domElement.style.height = '100vh';
+    }
+    renderer.setSize(width, height);
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+  }
+  window.addEventListener('resize', resize3DView);
+  resize3DView(); // Initial call
+  // Cinematic entrance will be triggered by onAllAssetsLoaded() when appropriate
+  // Variables declared earlier in the file near scene initialization
+  // Mouse down event - start orbiting
+  window.addEventListener('mousedown', (event) => {
+    // Only orbit from the overview, outside the cinematic and modals
+    if (!appState.allowsOrbit()) return;
+    // Check if click is on the navigation sidebar
+    const navSidebar = document.getElementById('zoneNavSidebar');
+    if (navSidebar && navSidebar.contains(event.target)) {
+      return; // Don't start orbiting if clicking on nav
+    }
+    // Only allow orbiting with left mouse button
+    if (event.button === 0) {
+      previousMouseX = event.clientX;
+      previousMouseY = event.clientY;
+      // We'll set isOrbiting to true in mousemove if the mouse actually moves
+    }
   });
-  contactButton.addEventListener('mouseleave', () => {
-    contactButton.style.transform = 'translateX(-50%) translateY(0) scale(1)';
-    contactButton.style.boxShadow = '0 4px 20px rgba(0,0,0,0.3)';
-    contactButton.style.background = 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)';
+  // Mouse move event - update orbit rotation
+  window.addEventListener('mousemove', (event) => {
+    // Skip unless the camera is free in orbital mode
+    if (!appState.allowsOrbit()) return;
+    // Start orbiting if mouse is pressed and moved (drag detected)
+    if (!isOrbiting && event.buttons === 1 && previousMouseX !== 0) {
+      const distance = Math.hypot(event.clientX - previousMouseX, event.clientY - previousMouseY);
+      if (distance > 3) { // Only start orbiting if mouse moved more than 3 pixels
+        isOrbiting = true;
+        orbitController.beginDrag();
+        document.body.style.cursor = 'grabbing';
+      }
+    }
+    if (!isOrbiting) return;
+    // Negative azimuth for natural feel, dragging down tilts the view down onto the island
+    orbitController.rotate(
+      -(event.clientX - previousMouseX) * orbitSensitivity,
+      (event.clientY - previousMouseY) * orbitSensitivity
+    );
+    previousMouseX = event.clientX;
+    previousMouseY = event.clientY;
   });
-  // Click handler
-  contactButton.addEventListener('click', (e) => {
-    e.stopPropagation();
-    e.preventDefault();
-    // Add click animation
-    contactButton.style.transform = 'translateX(-50%) translateY(1px) scale(0.95)';
-    setTimeout(() => {
-      contactButton.style.transform = 'translateX(-50%) translateY(-2px) scale(1.05)';
-    }, 150);
-    // Open contact modal directly
-    showContactModal();
-    // Close mobile navigation if open
-    if (isMobileDevice && isNavigationOpen) {
-      toggleMobileNavigation();
+  // Mouse up event - stop orbiting, a flick keeps turning for a moment
+  window.addEventListener('mouseup', (event) => {
+    if (event.button === 0) {
+      if (isOrbiting) orbitController.endDrag();
+      isOrbiting = false;
+      previousMouseX = 0;
+      document.body.style.cursor = 'default';
     }
   });
-  // Prevent touch events from propagating to 3D scene
-  contactButton.addEventListener('touchstart', (e) => e.stopPropagation());
-  contactButton.addEventListener('touchmove', (e) => e.stopPropagation());
-  contactButton.addEventListener('touchend', (e) => e.stopPropagation());
-  // Reposition button on window resize
-  const repositionButton = () => {
-    if (!isMobileDevice) {
-      const newLeft = CONFIG.NAVIGATION.SIDEBAR_WIDTH + (window.innerWidth - CONFIG.NAVIGATION.SIDEBAR_WIDTH) / 2;
-      contactButton.style.left = `${newLeft}px`;
+  // Mouse leave event - stop orbiting if mouse leaves window
+  window.addEventListener('mouseleave', () => {
+    if (isOrbiting) {
+      orbitController.endDrag();
+      isOrbiting = false;
+      previousMouseX = 0;
+      document.body.style.cursor = 'default';
+    }
+  });
+  if (typeof window !== 'undefined') {
+    // Debug functions available in browser console
+    window.debugLights = () => ImportedLightManager.debugLights();
+    window.adjustLightIntensity = (multiplier) => ImportedLightManager.adjustAllLights(multiplier);
+    window.toggleImportedLights = (enabled) => ImportedLightManager.toggleAllLights(enabled);
+    window.getSpotLights = () => ImportedLightManager.getLightsByType('SpotLight');
+    window.getPointLights = () => ImportedLightManager.getLightsByType('PointLight');
+    // Quick commands for common adjustments
+    window.dimLights = () => {
+      ImportedLightManager.adjustAllLights(0.1);
+      console.log('Dimmed all imported lights to 10% intensity');
+    };
+    window.brightLights = () => {
+      ImportedLightManager.adjustAllLights(0.8);
+      console.log('Increased all imported lights to 80% intensity');
+    };
+    window.resetLights = () => {
+      ImportedLightManager.adjustAllLights(0.3); // Back to default 30%
+      console.log('Reset all imported lights to default 30% intensity');
+    };
+    // Specific spotlight controls
+    window.adjustSpotLights = (intensity, angle, distance) => {
+      const spotLights = ImportedLightManager.getLightsByType('SpotLight');
+      spotLights.forEach(light => {
+        if (intensity !== undefined) light.intensity = intensity;
+        if (angle !== undefined) light.angle = angle * Math.PI / 180; // Convert degrees to radians
+        if (distance !== undefined) light.distance = distance;
+      });
+      if (!isProduction) console.log(`Adjusted ${spotLights.length} spotlights - intensity: ${intensity}, angle: ${angle}°, distance: ${distance}`);
+    };
+    if (!isProduction) {
+      console.log('Portfolio Light Debug Commands loaded');
     }
-  };
-  window.addEventListener('resize', repositionButton);
-  document.body.appendChild(contactButton);
-  return contactButton;
-}
-// Create the contact button
-createContactButton();
-function resize3DView() {
-  let width, height;
-  if (isMobileDevice) {
-    // Mobile: Full screen canvas
-    width = window.innerWidth;
-    height = window.innerHeight;
-    renderer.domElement.style.left = '0';
-    renderer.domElement.style.width = '100vw';
-    renderer.domElement.style.height = '100vh';
-  } else {
-    // Desktop: Canvas offset by navigation width
-    const navWidth = CONFIG.NAVIGATION.SIDEBAR_WIDTH;
-    width = window.innerWidth - navWidth;
-    height = window.innerHeight;
-    renderer.domElement.style.left = navWidth + 'px';
-    renderer.domElement.style.width = `calc(100vw - ${navWidth}px)`;
-    renderer.domElement.style.height = '100vh';
-  }
-  renderer.setSize(width, height);
-  camera.aspect = width / height;
-  camera.updateProjectionMatrix();
-}
-window.addEventListener('resize', resize3DView);
-resize3DView(); // Initial call
-// Cinematic entrance will be triggered by onAllAssetsLoaded() when appropriate
-// Variables declared earlier in the file near scene initialization
-// Mouse down event - start orbiting
-window.addEventListener('mousedown', (event) => {
-  // Skip if in cinematic mode or clicking on UI elements
-  if (cinematicMode) return;
-  // Skip if currently viewing a hex (not in orbital mode)
-  if (currentActiveHexType !== null) return;
-  // Check if click is on the navigation sidebar
-  const navSidebar = document.getElementById('zoneNavSidebar');
-  if (navSidebar && navSidebar.contains(event.target)) {
-    return; // Don't start orbiting if clicking on nav
-  }
-  // Only allow orbiting with left mouse button
-  if (event.button === 0) {
-    previousMouseX = event.clientX;
-    // We'll set isOrbiting to true in mousemove if the mouse actually moves
-  }
-});
-// Mouse move event - update orbit rotation
-window.addEventListener('mousemove', (event) => {
-  if (cinematicMode) return;
-  // Skip if currently viewing a hex (not in orbital mode)
-  if (currentActiveHexType !== null) return;
-  // Start orbiting if mouse is pressed and moved (drag detected)
-  if (!isOrbiting && event.buttons === 1 && previousMouseX !== 0) {
-    const deltaX = Math.abs(event.clientX - previousMouseX);
-    if (deltaX > 3) { // Only start orbiting if mouse moved more than 3 pixels
-      isOrbiting = true;
-      document.body.style.cursor = 'grabbing';
-    }
-  }
-  if (!isOrbiting) return;
-  const deltaX = event.clientX - previousMouseX;
-  currentCameraAngle -= deltaX * orbitSensitivity; // Negative for natural feel
-  // Update camera position based on angle
-  camera.position.x = orbitCenter.x + orbitRadius * Math.cos(currentCameraAngle);
-  camera.position.z = orbitCenter.z + orbitRadius * Math.sin(currentCameraAngle);
-  camera.position.y = orbitHeight;
-  // Always look at the center of the island
-  camera.lookAt(orbitCenter.x, orbitCenter.y, orbitCenter.z);
-  // Keep lookAtTarget synchronized with orbital look-at
-  lookAtTarget.x = orbitCenter.x;
-  lookAtTarget.y = orbitCenter.y;
-  lookAtTarget.z = orbitCenter.z;
-  previousMouseX = event.clientX;
-});
-// Mouse up event - stop orbiting
-window.addEventListener('mouseup', (event) => {
-  if (event.button === 0) {
-    isOrbiting = false;
-    previousMouseX = 0;
-    document.body.style.cursor = 'default';
-  }
-});
-// Mouse leave event - stop orbiting if mouse leaves window
-window.addEventListener('mouseleave', () => {
-  if (isOrbiting) {
-    isOrbiting = false;
-    previousMouseX = 0;
-    document.body.style.cursor = 'default';
   }
-});
-if (typeof window !== 'undefined') {
-  // Debug functions available in browser console
-  window.debugLights = () => ImportedLightManager.debugLights();
-  window.adjustLightIntensity = (multiplier) => ImportedLightManager.adjustAllLights(multiplier);
-  window.toggleImportedLights = (enabled) => ImportedLightManager.toggleAllLights(enabled);
-  window.getSpotLights = () => ImportedLightManager.getLightsByType('SpotLight');
-  window.getPointLights = () => ImportedLightManager.getLightsByType('PointLight');
-  // Quick commands for common adjustments
-  window.dimLights = () => {
-    ImportedLightManager.adjustAllLights(0.1);
-    console.log('Dimmed all imported lights to 10% intensity');
-  };
-  window.brightLights = () => {
-    ImportedLightManager.adjustAllLights(0.8);
-    console.log('Increased all imported lights to 80% intensity');
-  };
-  window.resetLights = () => {
-    ImportedLightManager.adjustAllLights(0.3); // Back to default 30%
-    console.log('Reset all imported lights to default 30% intensity');
-  };
-  // Specific spotlight controls
-  window.adjustSpotLights = (intensity, angle, distance) => {
-    const spotLights = ImportedLightManager.getLightsByType('SpotLight');
-    spotLights.forEach(light => {
-      if (intensity !== undefined) light.intensity = intensity;
-      if (angle !== undefined) light.angle = angle * Math.PI / 180; // Convert degrees to radians
-      if (distance !== undefined) light.distance = distance;
-    });
-    if (!isProduction) console.log(`Adjusted ${spotLights.length} spotlights - intensity: ${intensity}, angle: ${angle}°, distance: ${distance}`);
-  };
-  if (!isProduction) {
-    console.log('Portfolio Light Debug Commands loaded');
+  // Update camera angle when cinematic animation completes
+  function updateCameraAngleFromPosition() {
+    const deltaX = camera.position.x - orbitCenter.x;
+    const deltaZ = camera.position.z - orbitCenter.z;
+    currentCameraAngle = Math.atan2(deltaZ, deltaX);
+    // Outside orbit (e.g. a tour stopped on an object) keep the tilt and zoom returnToOverview goes back to
+    if (appState.is('orbit')) orbitController.syncFromCamera();
   }
 }
-// Update camera angle when cinematic animation completes
-function updateCameraAngleFromPosition() {
-  const deltaX = camera.position.x - orbitCenter.x;
-  const deltaZ = camera.position.z - orbitCenter.z;
-  currentCameraAngle = Math.atan2(deltaZ, deltaX);
-}
+startPortfolio().catch(error => ErrorHandler.logError(error, 'Critical - Portfolio startup'));
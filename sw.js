@@ -0,0 +1,189 @@
+// Service worker keeping the portfolio usable offline:
+// - the shell listed in build-manifest.json is precached on install
+// - models, textures and media are served cache-first, sidepages stale-while-revalidate,
+//   everything else same-origin network-first with the cache as fallback
+// - cache names carry the build version from the registration URL, older builds are dropped on activate
+// - contact form posts made offline are queued in IndexedDB and replayed once back online
+const BUILD_VERSION = new URL(self.location).searchParams.get('build') || 'dev';
+const CACHE_PREFIX = 'portfolio-';
+const CACHE_NAMES = {
+  shell: `${CACHE_PREFIX}shell-${BUILD_VERSION}`,
+  assets: `${CACHE_PREFIX}assets-${BUILD_VERSION}`,
+  pages: `${CACHE_PREFIX}pages-${BUILD_VERSION}`
+};
+const OFFLINE_PAGE = './offline.html';
+const ASSET_PATTERN = /\.(glb|gltf|png|jpe?g|webp|svg|hdr|mp3|webm|mp4|pdf)$/i;
+const CDN_ORIGINS = ['https://esm.sh']; // three.js and GSAP modules
+// Netlify forms post to /thank-you, the fallback form goes to Formspree
+const CONTACT_ENDPOINTS = ['/thank-you', 'https://formspree.io/'];
+const CONTACT_SYNC_TAG = 'contact-queue';
+const QUEUE_DB = 'portfolio-offline';
+const QUEUE_STORE = 'contactQueue';
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    fetch('./build-manifest.json', { cache: 'no-store' })
+      .then(response => response.json())
+      .then(manifest => caches.open(CACHE_NAMES.shell).then(cache => cache.addAll(manifest.shell)))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  const current = Object.values(CACHE_NAMES);
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names
+        .filter(name => name.startsWith(CACHE_PREFIX) && !current.includes(name))
+        .map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+      .then(() => flushContactQueue())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method === 'POST') {
+    if (isContactSubmission(url)) event.respondWith(submitOrQueue(request));
+    return;
+  }
+  // Partial media responses cannot be cached, let the browser handle them
+  if (request.method !== 'GET' || request.headers.has('range')) return;
+  const sameOrigin = url.origin === self.location.origin;
+  if (CDN_ORIGINS.includes(url.origin) || (sameOrigin && ASSET_PATTERN.test(url.pathname))) {
+    event.respondWith(cacheFirst(request, CACHE_NAMES.assets));
+  } else if (sameOrigin && url.pathname.includes('/sidepages/')) {
+    event.respondWith(staleWhileRevalidate(request, CACHE_NAMES.pages));
+  } else if (sameOrigin) {
+    event.respondWith(networkFirst(request, CACHE_NAMES.shell));
+  }
+});
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === CONTACT_SYNC_TAG) event.waitUntil(flushContactQueue());
+});
+
+// Browsers without Background Sync ask for a flush when they come back online
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.action === 'flushContactQueue') event.waitUntil(flushContactQueue());
+});
+
+function putInCache(cacheName, request, response) {
+  // Only complete responses, an error page must not replace a good copy
+  if (response.status !== 200) return Promise.resolve();
+  return caches.open(cacheName).then(cache => cache.put(request, response));
+}
+
+// Offline page for documents, a network error for everything else
+function offlineResponse(request) {
+  if (request.mode === 'navigate') return caches.match(OFFLINE_PAGE);
+  return Response.error();
+}
+
+function cacheFirst(request, cacheName) {
+  return caches.match(request).then(cached => cached || fetch(request).then(response => {
+    putInCache(cacheName, request, response.clone());
+    return response;
+  }).catch(() => offlineResponse(request)));
+}
+
+function staleWhileRevalidate(request, cacheName) {
+  return caches.match(request, { ignoreSearch: request.mode === 'navigate' }).then(cached => {
+    const network = fetch(request).then(response => {
+      putInCache(cacheName, request, response.clone());
+      return response;
+    });
+    if (cached) {
+      network.catch(() => {});
+      return cached;
+    }
+    return network.catch(() => offlineResponse(request));
+  });
+}
+
+function networkFirst(request, cacheName) {
+  return fetch(request)
+    .then(response => {
+      putInCache(cacheName, request, response.clone());
+      return response;
+    })
+    .catch(() => caches.match(request, { ignoreSearch: request.mode === 'navigate' })
+      .then(cached => cached || offlineResponse(request)));
+}
+
+function isContactSubmission(url) {
+  return CONTACT_ENDPOINTS.some(endpoint => endpoint.startsWith('/')
+    ? url.origin === self.location.origin && url.pathname === endpoint
+    : url.href.startsWith(endpoint));
+}
+
+function submitOrQueue(request) {
+  // Keep a copy of the body, the original is consumed by the network attempt
+  const saved = request.clone().arrayBuffer();
+  return fetch(request).catch(() => saved
+    .then(body => queueSubmission({
+      url: request.url,
+      headers: Object.fromEntries(['Content-Type', 'Accept']
+        .filter(name => request.headers.get(name))
+        .map(name => [name, request.headers.get(name)])),
+      body,
+      queuedAt: Date.now()
+    }))
+    .then(() => {
+      if (self.registration.sync) self.registration.sync.register(CONTACT_SYNC_TAG).catch(() => {});
+      // The Netlify form posts as a page navigation, the Formspree one through fetch
+      if (request.mode === 'navigate') {
+        return Response.redirect(new URL(`${OFFLINE_PAGE}?queued=contact`, self.location).href, 303);
+      }
+      return new Response(JSON.stringify({ queued: true }), {
+        status: 202,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }));
+}
+
+function openQueue() {
+  return new Promise((resolve, reject) => {
+    const open = indexedDB.open(QUEUE_DB, 1);
+    open.onupgradeneeded = () => open.result.createObjectStore(QUEUE_STORE, { keyPath: 'id', autoIncrement: true });
+    open.onsuccess = () => resolve(open.result);
+    open.onerror = () => reject(open.error);
+  });
+}
+
+function runQueueTransaction(mode, operation) {
+  return openQueue().then(db => new Promise((resolve, reject) => {
+    const transaction = db.transaction(QUEUE_STORE, mode);
+    const request = operation(transaction.objectStore(QUEUE_STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  }));
+}
+
+function queueSubmission(entry) {
+  return runQueueTransaction('readwrite', store => store.add(entry));
+}
+
+function flushContactQueue() {
+  return runQueueTransaction('readonly', store => store.getAll()).then(async entries => {
+    let sent = 0;
+    for (const entry of entries) {
+      try {
+        const response = await fetch(entry.url, { method: 'POST', headers: entry.headers, body: entry.body });
+        // Server errors and rate limiting are worth a later replay, keep the entry and the rest for the next attempt
+        if (response.status >= 500 || response.status === 429) break;
+        // Sent, or rejected (4xx) in a way a replay cannot fix: either way it leaves the queue
+        await runQueueTransaction('readwrite', store => store.delete(entry.id));
+        if (response.ok) sent++;
+      } catch (error) {
+        // Still offline, keep the rest for the next attempt
+        break;
+      }
+    }
+    if (sent > 0) {
+      const clients = await self.clients.matchAll({ includeUncontrolled: true });
+      clients.forEach(client => client.postMessage({ action: 'contactQueueFlushed', sent }));
+    }
+  });
+}